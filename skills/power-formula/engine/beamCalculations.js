@@ -4,6 +4,7 @@
  *
  * All units: ksi (stress), in (length), in² (area), kip (force), kip-in (moment)
  */
+import { illinois, scanSignChanges } from './rootFinding.js';
 
 // ─── ACI 318 helpers ────────────────────────────────────────────────────────
 
@@ -18,34 +19,206 @@ export function beta1(fc) {
 
 /**
  * True for section types defined by an outer polygon ring + optional hole rings
- * (the interactively drawn "custom" section and the DXF-imported "dxf" section).
- * Both share the same { points, holes } geometry and analysis path; only the
+ * (the interactively drawn "custom" section, the DXF-imported "dxf" section and
+ * a "standard" catalog shape from data/standardShapes.js, with its shapeId).
+ * All share the same { points, holes } geometry and analysis path; only the
  * input method and display label differ.
  */
 export function isPolygonSection(section) {
-  return section?.sectionType === 'custom' || section?.sectionType === 'dxf';
+  return ['custom', 'dxf', 'standard'].includes(section?.sectionType);
 }
 
 /**
  * Concrete modulus of elasticity for normalweight concrete per ACI 318-19
- * §19.2.2.1(b):  Ec = 57000·√f'c  (psi).  Returns ksi.
+ * §19.2.2.1(b):  Ec = 57000·√f'c  (psi), 4700·√f'c (MPa) for SI.  Returns ksi.
  * (Lightweight concrete has a lower Ec that depends on unit weight wc; that
  * refinement is not modeled here, so decompression strain is conservative —
  * i.e. slightly under-predicted — for lightweight sections.)
  */
-export function concreteModulus(fc) {
-  return 57 * Math.sqrt(fc * 1000); // 57000·√(f'c_psi) / 1000  →  ksi
+export function concreteModulus(fc, units = 'US') {
+  // 57000·√(f'c_psi) / 1000  →  ksi; 4700·√(f'c_MPa) in SI (ACI 318M)
+  return sqrtFcTerm(fc, 57000, 4700, units);
+}
+
+const MPA_PER_KSI = 6.894757;
+
+/**
+ * Code term k·√f'c in ksi, for f'c in ksi. The US equations are written with
+ * f'c in psi; their SI editions round the coefficient on their own (57 000 →
+ * 4 700, 7.5 → 0.62, 2 → 0.17 …), so with units === 'SI' (section.units) the
+ * SI form kMpa·√f'c(MPa) is evaluated rather than a converted US one.
+ */
+export function sqrtFcTerm(fc, kPsi, kMpa, units = 'US') {
+  if (units === 'SI') return (kMpa * Math.sqrt(fc * MPA_PER_KSI)) / MPA_PER_KSI;
+  return (kPsi * Math.sqrt(fc * 1000)) / 1000;
 }
 
 /**
  * Strength reduction factor φ per ACI 318-19 §21.2
  * Based on net tensile strain in the extreme tension steel layer.
  * εty = fpy / Es  (yield strain of outermost tension steel)
+ *
+ * phiCompression is the compression-controlled limit of Table 21.2.2:
+ * 0.65 for tied members (default) or 0.75 for spirally reinforced members.
  */
-export function phiFactor(epsilonT, epsilonTy) {
+export function phiFactor(epsilonT, epsilonTy, phiCompression = 0.65) {
   if (epsilonT >= epsilonTy + 0.003) return 0.90;
-  if (epsilonT <= epsilonTy) return 0.65;
-  return 0.65 + 0.25 * (epsilonT - epsilonTy) / 0.003;
+  if (epsilonT <= epsilonTy) return phiCompression;
+  return phiCompression + (0.90 - phiCompression) * (epsilonT - epsilonTy) / 0.003;
+}
+
+/**
+ * Strength reduction factor φ for FRP reinforcement per ACI 440.11-22 §21.2.
+ * FRP is linear-elastic to rupture with no yield plateau, so the classes
+ * reverse: a section whose concrete crushes first, εt ≤ 0.8 εfu
+ * (compression-controlled), takes phiCompression = 0.65, and one whose FRP
+ * ruptures, εt ≥ εfu (tension-controlled, brittle and without warning), the
+ * lower phiTension = 0.55, linear between. εfu = ffu / Ef.
+ */
+export function frpPhiFactor(epsilonT, epsilonFu, phiCompression = 0.65, phiTension = 0.55) {
+  const epsCl = 0.8 * epsilonFu;
+  if (epsilonT >= epsilonFu) return phiTension;
+  if (epsilonT <= epsCl) return phiCompression;
+  return phiCompression + (phiTension - phiCompression) * (epsilonT - epsCl) / (epsilonFu - epsCl);
+}
+
+/**
+ * ACI φ of the extreme tension layer's material: phiFactor() for steel,
+ * frpPhiFactor() for FRP (steel.frp).
+ */
+export function materialPhi(epsilonT, steel, phiCompression = 0.65) {
+  if (steel?.frp) return frpPhiFactor(epsilonT, steel.fpu / steel.Es);
+  return phiFactor(epsilonT, steel ? steel.fpy / steel.Es : 0.002, phiCompression);
+}
+
+// Strain limits of FRP, 0.8 εfu and εfu (ACI 440.11-22 Table 21.2.2; the
+// AASHTO GFRP guide specification uses the same), flagged for the φ rules.
+function frpStrainLimits(steel) {
+  const efu = steel.fpu / steel.Es;
+  return { compression: 0.8 * efu, tension: efu, frp: true };
+}
+
+/**
+ * Compression-controlled φ for the member's transverse reinforcement
+ * (ACI 318-19 Table 21.2.2): 0.75 for spirals, 0.65 otherwise (ties).
+ */
+export function compressionPhi(confinement) {
+  return confinement === 'spiral' ? 0.75 : 0.65;
+}
+
+// ─── Design code provisions ─────────────────────────────────────────────────
+
+// AASHTO LRFD Table C5.6.2.1-1 strain limits of nonprestressed bars by fy
+// (ksi), interpolated between grades; prestressing steel uses the first row.
+const AASHTO_STRAIN_LIMITS = [
+  { fy: 60, compression: 0.002, tension: 0.005 },
+  { fy: 75, compression: 0.0028, tension: 0.005 },
+  { fy: 80, compression: 0.003, tension: 0.0056 },
+  { fy: 100, compression: 0.004, tension: 0.008 },
+];
+
+function aashtoStrainLimits(steel) {
+  if (steel.frp) return frpStrainLimits(steel);
+  const rows = AASHTO_STRAIN_LIMITS;
+  const limits = ({ compression, tension }) => ({ compression, tension });
+  if (steel.category === 'prestressing' || steel.fpy <= rows[0].fy) return limits(rows[0]);
+  const hi = rows.findIndex((r) => r.fy >= steel.fpy);
+  if (hi < 0) return limits(rows[rows.length - 1]);
+  const lo = rows[hi - 1];
+  const t = (steel.fpy - lo.fy) / (rows[hi].fy - lo.fy);
+  return {
+    compression: lo.compression + t * (rows[hi].compression - lo.compression),
+    tension: lo.tension + t * (rows[hi].tension - lo.tension),
+  };
+}
+
+/**
+ * Code provision sets, selected by section.code (default 'aci318'). Each
+ * supplies β1, the strain limits and φ of the extreme tension steel, the
+ * modulus of rupture, the minimum flexural strength and the clause citations
+ * used by the results panel and the PDF report:
+ *
+ *   ACI 318-19    φ = 0.65 … 0.90 (Table 21.2.2), fr = 7.5λ√f'c (psi)
+ *                 or 0.62λ√f'c (MPa),
+ *                 φMn ≥ min(1.2 Mcr, 1.33 Mu)                    §9.6.1.3
+ *   AASHTO LRFD   φ = 0.75 … 1.00 prestressed / 0.90 (§5.5.4.2),
+ *                 fr = 0.24λ√f'c (ksi) or 0.63λ√f'c (MPa),
+ *                 φMn ≥ min(Mcr, 1.33 Mu)                        §5.6.3.3
+ *                 Mcr = γ3 [(γ1 fr + γ2 fcpe) Sc − Mdnc (Sc/Snc − 1)]
+ *
+ * with γ1 = 1.6, γ2 = 1.1 (1.0 when all tendons are unbonded) and γ3 = 1.0
+ * for prestressed members, else fy/fu of the reinforcement. The biaxial
+ * analysis remains on ACI 318-19. When the extreme tension layer is FRP both
+ * sets take its rupture-based limits and frpPhiFactor(), with φ = 0.65
+ * (ACI 440.11-22) or 0.75 (AASHTO GFRP guide specification) for concrete
+ * crushing.
+ */
+export const CODE_PROVISIONS = {
+  aci318: {
+    id: 'aci318',
+    name: 'ACI 318-19',
+    cite: {
+      beta1: '§22.2.2.4.3',
+      whitney: '§22.2',
+      phi: '§21.2',
+      fr: '§19.2.3',
+      lambda: '§19.2.4',
+      Mcr: '§24.2.3.5',
+      minStrength: '§9.6.1.3',
+    },
+    beta1,
+    strainLimits: (steel) => {
+      if (steel.frp) return frpStrainLimits(steel);
+      const ety = steel.fpy / steel.Es;
+      return { compression: ety, tension: ety + 0.003 };
+    },
+    phi: (epsT, limits, { phiCompression = 0.65 } = {}) => (limits.frp
+      ? frpPhiFactor(epsT, limits.tension)
+      : phiFactor(epsT, limits.compression, phiCompression)),
+    modulusOfRupture: (fc, lambda = 1, units) => sqrtFcTerm(fc, 7.5 * lambda, 0.62 * lambda, units),
+    minimumStrength: ({ Mcr }) => ({ McrMin: 1.2 * Mcr, label: '1.2Mcr' }),
+  },
+  aashto: {
+    id: 'aashto',
+    name: 'AASHTO LRFD',
+    cite: {
+      beta1: '§5.6.2.2',
+      whitney: '§5.6.2.2',
+      phi: '§5.5.4.2',
+      fr: '§5.4.2.6',
+      lambda: '§5.4.2.8',
+      Mcr: '§5.6.3.3',
+      minStrength: '§5.6.3.3',
+    },
+    beta1,
+    strainLimits: aashtoStrainLimits,
+    phi: (epsT, limits, { prestressed = false } = {}) => {
+      if (limits.frp) return frpPhiFactor(epsT, limits.tension, 0.75);
+      const phiT = prestressed ? 1.0 : 0.9;
+      if (epsT >= limits.tension) return phiT;
+      if (epsT <= limits.compression) return 0.75;
+      return 0.75 + (phiT - 0.75) * (epsT - limits.compression) / (limits.tension - limits.compression);
+    },
+    // 0.24√f'c in ksi; 0.63√f'c in MPa for the SI edition.
+    modulusOfRupture: (fc, lambda = 1, units) => (units === 'SI'
+      ? sqrtFcTerm(fc, 0, 0.63 * lambda, units)
+      : 0.24 * lambda * Math.sqrt(fc)),
+    minimumStrength: ({ fr, fcpe, Sc, Snc, Mnc, steelLayers }) => {
+      const tendons = steelLayers.filter((l) => l.fse > 0);
+      const gamma1 = 1.6;
+      const gamma2 = tendons.length > 0 && tendons.every((l) => l.bonded === false) ? 1.0 : 1.1;
+      const gamma3 = tendons.length > 0
+        ? 1.0
+        : Math.min(...steelLayers.map((l) => l.steel.fpy / l.steel.fpu).filter((r) => r > 0), 1);
+      const McrMin = gamma3 * ((gamma1 * fr + gamma2 * fcpe) * Sc - Mnc * (Sc / Snc - 1));
+      return { McrMin, label: 'Mcr', gamma1, gamma2, gamma3 };
+    },
+  },
+};
+
+/** Provision set of a section (section.code), ACI 318-19 by default. */
+export function codeProvisions(section) {
+  return CODE_PROVISIONS[section?.code] || CODE_PROVISIONS.aci318;
 }
 
 // ─── Power formula ──────────────────────────────────────────────────────────
@@ -60,6 +233,12 @@ export function phiFactor(epsilonT, epsilonTy) {
  *   - fpu (ultimate) for prestressing steel (Gr. 150, 250, 270)
  * This is controlled by the steel.stressCap property.
  *
+ * FRP (steel.frp) has no yield: it is linear-elastic, fs = Es·εs, up to
+ * rupture at fpu, and carries no compression (ACI 440.11-22 neglects FRP in
+ * compression). Past εfu = fpu / Es the stress stays at fpu so the
+ * neutral-axis solve keeps a monotonic residual; analyzeBeam() reports the
+ * rupture.
+ *
  * @param {number} epsilonS  – total steel strain (positive = tension)
  * @param {object} steel     – { Es, fpu, fpy, Q, R, K, stressCap }
  * @returns {number} steel stress (ksi), same sign convention as strain
@@ -70,6 +249,7 @@ export function powerFormulaStress(epsilonS, steel) {
   const cap = steel.stressCap ?? steel.fpu;
 
   if (Math.abs(epsilonS) < 1e-12) return 0;
+  if (steel.frp) return epsilonS > 0 ? Math.min(Es * epsilonS, cap) : 0;
 
   const absEps = Math.abs(epsilonS);
   const EsEps = Es * absEps;
@@ -87,11 +267,12 @@ export function powerFormulaStress(epsilonS, steel) {
 /**
  * Generate stress-strain curve data points for a given steel type.
  */
-export function generateStressStrainCurve(steel, numPoints = 200) {
-  const maxStrain = steel.fpu / steel.Es * 3; // go well past yield
+export function generateStressStrainCurve(steel, numPoints = 200, maxStrain = (steel.fpu / steel.Es) * 3) {
+  // maxStrain defaults to well past yield; FRP curves end at rupture.
+  const end = steel.frp ? Math.min(maxStrain, steel.fpu / steel.Es) : maxStrain;
   const points = [];
   for (let i = 0; i <= numPoints; i++) {
-    const eps = (i / numPoints) * maxStrain;
+    const eps = (i / numPoints) * end;
     const fs = powerFormulaStress(eps, steel);
     points.push({ strain: eps, stress: fs });
   }
@@ -127,6 +308,17 @@ export function steelStrain(di, c, fse, Es, epsDecomp = 0) {
   return ecu * (di / c - 1) + eso + epsDecomp;
 }
 
+/**
+ * Neutral-axis depth cb at which an FRP layer just reaches its rupture strain
+ * εfu = fpu / Es while the top fiber is at εcu = 0.003, from steelStrain():
+ *   cb = 0.003 d / (εfu − εpre + 0.003),  εpre = fse / Es + εdecomp
+ * A shallower neutral axis ruptures the layer before the concrete crushes.
+ */
+export function frpBalancedDepth(layer, depth, epsDecomp = 0) {
+  const pre = steelStrain(depth, depth, layer.fse, layer.steel.Es, epsDecomp);
+  return (0.003 * depth) / (layer.steel.fpu / layer.steel.Es - pre + 0.003);
+}
+
 /**
  * Concrete decompression strain at each steel layer, for bonded prestressed
  * layers (fse > 0). Returns an array aligned with steelLayers; entries for
@@ -136,10 +328,12 @@ export function steelStrain(di, c, fse, Es, epsDecomp = 0) {
  * prestress force P acting at eccentricity e_ps (uniaxial, gross section):
  *   f_ci = P/A + P·e_ps·y_i / Ig         (compression positive)
  * where y_i = d_i − ȳ_cg. The decompression strain is f_ci / Ec.
+ * Unbonded layers (bonded === false) add to P but have no decompression term,
+ * since their stress does not follow the concrete at their own level.
  */
-export function decompressionStrains(steelLayers, sectionProps, fc) {
+export function decompressionStrains(steelLayers, sectionProps, fc, units) {
   const { A, yCg, Ig } = sectionProps;
-  const Ec = concreteModulus(fc);
+  const Ec = concreteModulus(fc, units);
   let P = 0;
   let PdMoment = 0;
   for (const l of steelLayers) {
@@ -152,13 +346,95 @@ export function decompressionStrains(steelLayers, sectionProps, fc) {
   const yps = P > 0 ? PdMoment / P : yCg;
   const ePs = yps - yCg;
   return steelLayers.map((l) => {
-    if (!(l.fse > 0) || !(Ig > 0) || !(A > 0)) return 0;
+    if (!(l.fse > 0) || l.bonded === false || !(Ig > 0) || !(A > 0)) return 0;
     const yi = l.depth - yCg;
     const fci = P / A + (P * ePs * yi) / Ig;
     return fci / Ec;
   });
 }
 
+// ─── Unbonded tendons ────────────────────────────────────────────────────────
+
+/**
+ * Width of the compression face, b in ρp = Aps / (b·dp), taken as the mean
+ * width of the top 1% of the section so that every section type (including
+ * drawn and DXF polygons) is handled by concreteCompression().
+ */
+export function compressionFaceWidth(section) {
+  const { fc, bf, bw, hf, h } = section;
+  const a = 0.01 * h;
+  return concreteCompression(fc, a, bf, bw, hf, section) / (0.85 * fc * a);
+}
+
+/**
+ * Stress in unbonded prestressed reinforcement at nominal flexural strength,
+ * ACI 318-19 §20.3.2.4 (Table 20.3.2.4.1), in ksi:
+ *
+ *   ℓn/h ≤ 35:  fps = fse + 10 + f'c / (100 ρp)   ≤ fpy, ≤ fse + 60
+ *   ℓn/h > 35:  fps = fse + 10 + f'c / (300 ρp)   ≤ fpy, ≤ fse + 30
+ *
+ * with ρp = Aps / (b·dp) over all unbonded layers and ℓn = section.span (ft).
+ * SI sections use the ACI 318M constants 70, 420 and 210 MPa for 10, 60 and
+ * 30 ksi. The equations are valid only when fse ≥ 0.5 fpu (§20.3.2.4); `valid` reports
+ * that condition for every unbonded layer.
+ *
+ * Unbonded tendons slip relative to the concrete, so their stress is not given
+ * by strain compatibility at the section; the fps value is used in its place.
+ *
+ * @returns {object|null} null when no layer is unbonded, otherwise
+ *   { fps: [ksi | null per layer], rhoP, dp, Aps, b, spanDepth, slender, valid }
+ */
+export function unbondedTendonStress(section, steelLayers) {
+  let Aps = 0;
+  let AdMoment = 0;
+  for (const l of steelLayers) {
+    if (l.bonded === false && l.fse > 0) {
+      Aps += l.area;
+      AdMoment += l.area * l.depth;
+    }
+  }
+  if (!(Aps > 0)) return null;
+
+  const { fc, h } = section;
+  const dp = AdMoment / Aps;
+  const b = compressionFaceWidth(section);
+  const rhoP = Aps / (b * dp);
+  const spanDepth = ((section.span || 0) * 12) / h;
+  const slender = spanDepth > 35;
+  const denom = slender ? 300 : 100;
+  const si = section.units === 'SI';
+  const base = si ? 70 / MPA_PER_KSI : 10;
+  const increaseCap = si ? (slender ? 210 : 420) / MPA_PER_KSI : slender ? 30 : 60;
+
+  let valid = true;
+  const fps = steelLayers.map((l) => {
+    if (!(l.bonded === false && l.fse > 0)) return null;
+    if (l.fse < 0.5 * l.steel.fpu) valid = false;
+    const raw = l.fse + base + fc / (denom * rhoP);
+    return Math.min(raw, l.steel.fpy, l.fse + increaseCap);
+  });
+
+  return { fps, rhoP, dp, Aps, b, spanDepth, slender, valid };
+}
+
+/**
+ * Strain and stress of one layer at neutral-axis depth c. Bonded layers follow
+ * strain compatibility and the power formula; an unbonded layer carries its
+ * §20.3.2.4 fps, and its reported strain is the concrete strain at its level.
+ * A layer's optional fpsMax caps its stress, e.g. strand within its §25.4.8
+ * development length; fpsMax = 0 (sheathed, debonded strand) carries no
+ * stress of either sign.
+ */
+export function layerState(layer, depth, c, epsDecomp, fpsUnbonded = null) {
+  if (fpsUnbonded != null) {
+    return { strain: 0.003 * (depth / c - 1), stress: fpsUnbonded };
+  }
+  const strain = steelStrain(depth, c, layer.fse, layer.steel.Es, epsDecomp);
+  const stress = powerFormulaStress(strain, layer.steel);
+  if (layer.fpsMax === 0) return { strain, stress: 0 };
+  return { strain, stress: layer.fpsMax != null ? Math.min(stress, layer.fpsMax) : stress };
+}
+
 // ─── Section analysis (rectangular / T-beam) ────────────────────────────────
 
 /**
@@ -192,6 +468,15 @@ export function decompressionStrains(steelLayers, sectionProps, fc) {
  * For a rectangular beam, bf = bw and hf = h, so it reduces to Cc = 0.85·f'c·a·b.
  */
 export function concreteCompression(fc, a, bf, bw, hf, section = null) {
+  // Composite topping: the block takes the topping strength down to ht, then
+  // the precast section below it (scaled so that fc = 1 still returns areas).
+  if (hasTopping(section)) {
+    const { bt, ht, fc: fct } = section.topping;
+    const top = 0.85 * fc * (fct / section.fc) * bt * Math.min(a, ht);
+    if (a <= ht) return top;
+    return top + concreteCompression(fc, a - ht, bf, bw, hf, precastSection(section));
+  }
+
   // Handle polygon sections (drawn "custom" or DXF-imported), with optional holes
   if (isPolygonSection(section)) {
     return 0.85 * fc * polygonAreaAboveDepth(section, a);
@@ -275,6 +560,18 @@ export function concreteCompression(fc, a, bf, bw, hf, section = null) {
  *   Approximated as gross section centroid minus void contribution
  */
 export function compressionCentroid(a, bf, bw, hf, section = null) {
+  // Composite topping: centroid of the force, topping and precast weighted by
+  // their strengths.
+  if (hasTopping(section)) {
+    const { bt, ht, fc: fct } = section.topping;
+    if (a <= ht) return a / 2;
+    const precast = precastSection(section);
+    const top = (fct / section.fc) * bt * ht;
+    const below = concreteCompression(1, a - ht, bf, bw, hf, precast) / 0.85;
+    const yBelow = ht + compressionCentroid(a - ht, bf, bw, hf, precast);
+    return (top * (ht / 2) + below * yBelow) / (top + below);
+  }
+
   // Handle polygon sections (drawn "custom" or DXF-imported), with optional holes
   if (isPolygonSection(section)) {
     return polygonCentroidAboveDepth(section, a);
@@ -359,6 +656,81 @@ export function compressionCentroid(a, bf, bw, hf, section = null) {
   return (flangeArea * hf / 2 + webArea * (hf + (a - hf) / 2)) / totalArea;
 }
 
+/**
+ * Solve the section equilibrium residual ΣF(c) = Cc − ΣT − Pu for the neutral
+ * axis depth on [cLow, cHigh] (see rootFinding.js) and diagnose failures:
+ *
+ *   converged        one root; c is the equilibrium depth
+ *   multiple-roots   several sign changes; c is the shallowest root
+ *   no-root          ΣF of one sign on the whole bracket; dominant tells which
+ *                    side wins ('tension': ΣT + Pu exceeds any Cc, 'compression':
+ *                    Cc exceeds ΣT + Pu even as c → 0) and c is the bracket end
+ *                    the residual approaches zero at
+ *   discontinuous    ΣF changes sign only across jumps, none refines to a root
+ *
+ * The residual is in kips; |ΣF| < 1e-3 at c counts as converged.
+ *
+ * @param {Function} residualAt – c (in) → ΣF (kip)
+ * @param {object} [opts] – { Pu } applied axial load, for the suggested fix
+ * @returns {object} { c, residual, converged, status, roots, dominant,
+ *   bracket: { cLow, cHigh, residualLow, residualHigh }, iterations,
+ *   evaluations, suggestion }
+ */
+export function solveNeutralAxis(residualAt, cLow, cHigh, opts = {}) {
+  const Pu = opts.Pu || 0;
+  const scan = scanSignChanges(residualAt, cLow, cHigh);
+  const bracket = { cLow, cHigh, residualLow: scan.fLo, residualHigh: scan.fHi };
+  const base = { bracket, evaluations: scan.evaluations, iterations: 0, roots: [], dominant: null, suggestion: null };
+
+  if (!scan.brackets.length) {
+    const dominant = scan.fLo < 0 ? 'tension' : 'compression';
+    const c = dominant === 'tension' ? cHigh : cLow;
+    const residual = dominant === 'tension' ? scan.fHi : scan.fLo;
+    let suggestion;
+    if (dominant === 'tension') {
+      suggestion = Pu > 0
+        ? 'The axial load exceeds the compression the section can develop. Reduce Pu or enlarge the section.'
+        : "The steel tension exceeds the concrete compression even with the whole depth in compression. " +
+          "Reduce the steel area or prestress, raise f'c, or widen the compression flange.";
+    } else {
+      suggestion = Pu < 0
+        ? 'The axial tension exceeds what the steel can carry. Reduce the axial tension or add steel.'
+        : 'The steel is in net compression at every neutral-axis depth, so nothing balances the concrete. ' +
+          'Check that the layer depths are measured from the top (compression) fiber.';
+    }
+    return { ...base, c, residual, converged: false, status: 'no-root', dominant, suggestion };
+  }
+
+  // A sign change across a jump (e.g. steel stress dropping to zero at
+  // rupture for a very shallow c) refines to the jump, not to a root.
+  const refined = scan.brackets.map(({ a, b, fa, fb }) => illinois(residualAt, a, b, fa, fb));
+  const roots = refined.filter((r) => Math.abs(r.fx) < 1e-3);
+  const iterations = refined.reduce((n, r) => n + r.iterations, 0);
+  const result = { ...base, iterations, evaluations: scan.evaluations + iterations, roots: roots.map((r) => r.x) };
+  if (!roots.length) {
+    const closest = refined.reduce((best, r) => (Math.abs(r.fx) < Math.abs(best.fx) ? r : best));
+    return {
+      ...result,
+      c: closest.x,
+      residual: closest.fx,
+      converged: false,
+      status: 'discontinuous',
+      suggestion: 'The residual changes sign only across a jump, not through zero; ' +
+        'check the steel and concrete stress-strain input for discontinuities.',
+    };
+  }
+  Object.assign(result, { c: roots[0].x, residual: roots[0].fx, converged: true });
+  if (roots.length > 1) {
+    return {
+      ...result,
+      status: 'multiple-roots',
+      suggestion: 'Force equilibrium holds at more than one neutral-axis depth; the shallowest is used. ' +
+        'Check the steel stress-strain input and the layer arrangement.',
+    };
+  }
+  return { ...result, status: 'converged' };
+}
+
 /**
  * Main analysis: find neutral axis depth c by force equilibrium, then compute Mn.
  *
@@ -366,75 +738,98 @@ export function compressionCentroid(a, bf, bw, hf, section = null) {
  *   bf = flange width (in), bw = web width (in), hf = flange thickness (in), h = total depth (in)
  *   fc = concrete compressive strength (ksi)
  *
- * @param {Array} steelLayers – [{ area, depth, fse, steel: { Es, fpu, fpy, Q, R, K } }, ...]
+ * Optional axial load: section.Pu (kip, compression positive) turns the
+ * equilibrium condition into Cc − ΣT = Pu, and Mn is then taken about the
+ * gross-section centroid (identical to the moment of the internal couple when
+ * Pu = 0). section.confinement ('tied' | 'spiral') selects the
+ * compression-controlled φ of ACI 318-19 Table 21.2.2.
+ *
+ * A composite topping (section.topping, see noncompositeProperties) adds a
+ * slab of its own f'c over the precast; β1 is then that of the topping.
+ *
+ * Layers flagged bonded: false take the §20.3.2.4 unbonded tendon stress (see
+ * unbondedTendonStress, which needs section.span in ft) instead of the
+ * strain-compatibility stress.
+ *
+ * section.momentSign = 'hogging' puts compression at the bottom fiber: the
+ * section is analyzed upside down (hoggingSection), so c, a and the layer
+ * depths of the results are measured from the bottom, and Mn is the magnitude
+ * of the negative moment. Cracking is then checked at the top fiber.
+ *
+ * FRP layers (steel.frp) follow ACI 440.11-22: φ from frpPhiFactor() when
+ * the extreme layer is FRP (results.frp), and results.frpRupture = { cb, ab,
+ * layer } when a layer ruptures before the concrete crushes, Mn then taken
+ * on the balanced block.
+ *
+ * @param {Array} steelLayers – [{ area, depth, fse, bonded, steel: { Es, fpu, fpy, Q, R, K } }, ...]
  *   area = area of steel (in²)
  *   depth = distance from extreme compression fiber (in)
  *   fse = effective prestress (ksi), 0 for mild steel
+ *   bonded = false for unbonded tendons (default bonded)
  *
  * @returns {object} results
  */
 export function analyzeBeam(section, steelLayers) {
+  if (section.momentSign === 'hogging') {
+    const mirrored = hoggingSection(section, steelLayers);
+    const res = analyzeBeam(mirrored.section, mirrored.layers);
+    const cracking = prestressAndCracking(section, steelLayers, res.phiMn, (section.Mu || 0) * 12);
+    return { ...res, section, momentSign: 'hogging', cracking };
+  }
   const { bf, bw, hf, h, fc } = section;
-  const b1 = beta1(fc);
+  const code = codeProvisions(section);
+  // With a composite topping the block starts in the topping concrete.
+  const b1 = code.beta1(hasTopping(section) ? section.topping.fc : fc);
+  const Pu = section.Pu || 0;
 
   // Concrete decompression strain at each layer (gross-section based, constant
-  // through the bisection since it depends only on the effective prestress).
+  // through the solve since it depends only on the effective prestress).
+  // Prestress acts on the precast alone, before any topping is cast.
   const sectionProps = grossSectionProperties(section);
-  const decomp = decompressionStrains(steelLayers, sectionProps, fc);
-
-  // Bisection to find c where ΣF = 0
-  // Compression is positive, tension in steel at bottom is positive
-  let cLow = 0.01;
-  let cHigh = h;
-  let c = h / 2;
-  const maxIter = 500;
-  const tolerance = 1e-6;
-  let residual = Infinity;
-
-  for (let iter = 0; iter < maxIter; iter++) {
-    c = (cLow + cHigh) / 2;
-    const a = b1 * c;
-
-    // Concrete compression
-    const Cc = concreteCompression(fc, a, bf, bw, hf, section);
-
-    // Steel forces (positive = tension)
+  const decomp = decompressionStrains(steelLayers, noncompositeProperties(section), fc, section.units);
+  const unbonded = unbondedTendonStress(section, steelLayers);
+  const fpsOf = (i) => (unbonded ? unbonded.fps[i] : null);
+
+  // Residual ΣF(c) = Cc − ΣT − Pu, zero at equilibrium (Pu = 0 for pure
+  // flexure). Compression is positive, tension in steel at bottom is positive.
+  const residualAt = (c) => {
+    const Cc = concreteCompression(fc, Math.min(b1 * c, h), bf, bw, hf, section);
     let totalSteelForce = 0;
     for (let i = 0; i < steelLayers.length; i++) {
       const layer = steelLayers[i];
-      const eps = steelStrain(layer.depth, c, layer.fse, layer.steel.Es, decomp[i]);
-      const fs = powerFormulaStress(eps, layer.steel);
-      totalSteelForce += fs * layer.area;
-    }
-
-    // Equilibrium: Cc − totalSteelForce = 0  (compression balances tension)
-    residual = Cc - totalSteelForce;
-
-    if (Math.abs(residual) < tolerance) break;
-
-    if (residual > 0) {
-      // Too much compression → c is too large → reduce c
-      cHigh = c;
-    } else {
-      // Too much tension → c is too small → increase c
-      cLow = c;
+      const { stress } = layerState(layer, layer.depth, c, decomp[i], fpsOf(i));
+      totalSteelForce += stress * layer.area;
     }
-  }
+    return Cc - totalSteelForce - Pu;
+  };
 
-  // Did the bisection actually find equilibrium within the bracket [0.01, h]?
-  // A residual that is still large means no root was bracketed (e.g. the steel
-  // cannot be balanced anywhere in the section) and the result is unreliable.
-  const converged = Math.abs(residual) < 1e-3;
+  // A compressive axial load can push the neutral axis below the section, so
+  // the upper bracket is widened; the stress block itself never exceeds h.
+  const solver = solveNeutralAxis(residualAt, 0.01, Pu > 0 ? 50 * h : h, { Pu });
+  const { c, residual, converged } = solver;
 
   // Final results with converged c
-  const a = b1 * c;
+  const a = Math.min(b1 * c, h);
   const Cc = concreteCompression(fc, a, bf, bw, hf, section);
-  const ccCentroid = compressionCentroid(a, bf, bw, hf, section);
+
+  // FRP rupture: a bonded FRP layer strained past εfu at εcu = 0.003 breaks
+  // before the concrete crushes, and the stress block no longer applies. As
+  // in ACI 440.1R-15 §7.2.2.2 (Mn = Af ffu (d − β1 cb / 2)) the compression
+  // then acts at the centroid of the block of the largest balanced depth cb
+  // (frpBalancedDepth), a conservative, shorter lever arm.
+  let frpRupture = null;
+  steelLayers.forEach((layer, i) => {
+    if (!layer.steel.frp || fpsOf(i) != null) return;
+    const cb = frpBalancedDepth(layer, layer.depth, decomp[i]);
+    if (c < cb && (!frpRupture || cb > frpRupture.cb)) {
+      frpRupture = { cb, ab: Math.min(b1 * cb, h), layer: i };
+    }
+  });
+  const ccCentroid = compressionCentroid(frpRupture ? frpRupture.ab : a, bf, bw, hf, section);
 
   // Compute per-layer results
   const layerResults = steelLayers.map((layer, i) => {
-    const eps = steelStrain(layer.depth, c, layer.fse, layer.steel.Es, decomp[i]);
-    const fs = powerFormulaStress(eps, layer.steel);
+    const { strain: eps, stress: fs } = layerState(layer, layer.depth, c, decomp[i], fpsOf(i));
     const force = fs * layer.area;
     return {
       ...layer,
@@ -454,6 +849,9 @@ export function analyzeBeam(section, steelLayers) {
     Mn += lr.force * lr.depth;
   }
   Mn -= Cc * ccCentroid;
+  // Transfer to the gross centroid: with Cc − ΣT = Pu the moment about the top
+  // fiber differs from the centroidal moment by Pu·ȳcg.
+  Mn += Pu * sectionProps.yCg;
 
   // Net tensile strain in outermost tension steel (for φ factor)
   let maxDepth = 0;
@@ -466,11 +864,14 @@ export function analyzeBeam(section, steelLayers) {
   }
 
   const epsilonT = extremeTensionLayer ? extremeTensionLayer.strain : 0;
-  const epsilonTy = extremeTensionLayer
-    ? extremeTensionLayer.steel.fpy / extremeTensionLayer.steel.Es
-    : 0.002;
+  const strainLimits = extremeTensionLayer
+    ? code.strainLimits(extremeTensionLayer.steel)
+    : { compression: 0.002, tension: 0.005 };
 
-  const phi = phiFactor(epsilonT, epsilonTy);
+  const phi = code.phi(epsilonT, strainLimits, {
+    phiCompression: compressionPhi(section.confinement),
+    prestressed: steelLayers.some((l) => l.fse > 0),
+  });
   const phiMn = phi * Mn;
 
   // c/d ratio for ductility check
@@ -478,7 +879,7 @@ export function analyzeBeam(section, steelLayers) {
   const cOverD = c / dt;
 
   // Prestress & cracking analysis. Mu (factored demand) is optional and, when
-  // supplied, enables the ACI 318-19 §9.6.1.3 1.33·Mu exception.
+  // supplied, enables the 1.33·Mu exception of the minimum-strength check.
   const MuIn = (section.Mu || 0) * 12; // kip-ft → kip-in
   const cracking = prestressAndCracking(section, steelLayers, phiMn, MuIn);
 
@@ -504,15 +905,192 @@ export function analyzeBeam(section, steelLayers) {
     cOverD,
     fc,
     section,
+    Pu,
+    unbonded,
     converged,
     residual,
+    solver,
     demand,
-    ductile: epsilonT >= epsilonTy + 0.003,
-    transition: epsilonT >= epsilonTy && epsilonT < epsilonTy + 0.003,
+    momentSign: 'sagging',
+    code: code.id,
+    strainLimits,
+    // FRP never yields: its sections are classed by failure mode instead.
+    frp: strainLimits.frp === true,
+    frpRupture,
+    ductile: !strainLimits.frp && epsilonT >= strainLimits.tension,
+    transition: epsilonT >= strainLimits.compression && epsilonT < strainLimits.tension,
     cracking,
   };
 }
 
+// ─── Axial load – moment (P–M) interaction ──────────────────────────────────
+
+/**
+ * Nominal and design P–M interaction curve for prestressed columns, piles and
+ * walls, using the same Whitney block, power-formula steel model and
+ * decompression strains as analyzeBeam. Axial force is compression positive;
+ * moments are taken about the gross-section centroid (positive = compression
+ * at the top fiber).
+ *
+ * The curve is traced by sweeping the neutral-axis depth c from well below the
+ * section (near-uniform 0.003 shortening) to a shallow compression zone:
+ *   Pn = Cc − Σ fsi·Asi
+ *   Mn = Σ fsi·Asi·(di − ȳcg) + Cc·(ȳcg − ycc)
+ * and closing at pure axial tension, Pnt = −Σ fpy·As (ACI 318-19 §22.4.3).
+ *
+ * Axial strength limits (ACI 318-19 §22.4.2):
+ *   Po     = 0.85 f'c (Ag − Ast − Apd) + fy·Ast − (fse − 0.003 Ep)·Apd
+ *   Pn,max = 0.80 Po (tied) or 0.85 Po (spiral)
+ * φ follows §21.2 from the net tensile strain with the compression-controlled
+ * limit set by section.confinement, and the design curve is truncated at
+ * φPn,max. Under AASHTO LRFD (section.code) β1 and φ come from its provision
+ * set; its §5.6.4.4 Po and Pn,max take the same form.
+ *
+ * @param {object} section – as for analyzeBeam; Pu (kip) and Mu (kip-ft) are
+ *   the optional factored demand point
+ * @param {Array} steelLayers – as for analyzeBeam
+ * @param {object} [opts] – { points: number of sweep points (default 60) }
+ * @returns {object} { points, Po, Pnmax, phiPnmax, Pnt, balanced, pureFlexure,
+ *   phiCompression, demand } with forces in kip and moments in kip-ft
+ */
+export function interactionDiagram(section, steelLayers, opts = {}) {
+  const { points: nPoints = 60 } = opts;
+  const { bf, bw, hf, h, fc } = section;
+  const code = codeProvisions(section);
+  const b1 = code.beta1(hasTopping(section) ? section.topping.fc : fc);
+  const sectionProps = grossSectionProperties(section);
+  const { A: Ag, yCg } = sectionProps;
+  // As in analyzeBeam, prestress acts on the precast alone.
+  const decomp = decompressionStrains(steelLayers, noncompositeProperties(section), fc, section.units);
+  const unbonded = unbondedTendonStress(section, steelLayers);
+
+  // Extreme tension layer drives φ and the balanced point.
+  let extreme = 0;
+  for (let i = 1; i < steelLayers.length; i++) {
+    if (steelLayers[i].depth > steelLayers[extreme].depth) extreme = i;
+  }
+  const et = steelLayers[extreme];
+  const epsTy = et ? et.steel.fpy / et.steel.Es : 0.002;
+  const dt = et ? et.depth : h;
+  const limits = et ? code.strainLimits(et.steel) : { compression: 0.002, tension: 0.005 };
+  const phiOf = (epsT) => code.phi(epsT, limits, {
+    phiCompression: compressionPhi(section.confinement),
+    prestressed: steelLayers.some((l) => l.fse > 0),
+  });
+  const phiC = phiOf(-Infinity);
+
+  const pointAt = (c) => {
+    const a = Math.min(b1 * c, h);
+    const Cc = concreteCompression(fc, a, bf, bw, hf, section);
+    const ycc = compressionCentroid(a, bf, bw, hf, section);
+    let T = 0;
+    let MT = 0;
+    let epsT = 0;
+    for (let i = 0; i < steelLayers.length; i++) {
+      const l = steelLayers[i];
+      const { strain: eps, stress } = layerState(l, l.depth, c, decomp[i], unbonded ? unbonded.fps[i] : null);
+      const F = stress * l.area;
+      T += F;
+      MT += F * (l.depth - yCg);
+      if (i === extreme) epsT = eps;
+    }
+    const Pn = Cc - T;
+    const Mn = MT + Cc * (yCg - ycc);
+    const phi = phiOf(epsT);
+    return { c, Pn, Mn, MnFt: Mn / 12, epsT, phi };
+  };
+
+  // Axial strength limits, ACI 318-19 §22.4.2.2 / §22.4.2.3.
+  let Ast = 0, fyAst = 0, Apd = 0, prestressTerm = 0, Pnt = 0, MntIn = 0;
+  for (const l of steelLayers) {
+    if (l.fse > 0) {
+      Apd += l.area;
+      prestressTerm += (l.fse - 0.003 * l.steel.Es) * l.area;
+    } else {
+      Ast += l.area;
+      // FRP bars carry no compression (ACI 440.11-22).
+      if (!l.steel.frp) fyAst += l.steel.fpy * l.area;
+    }
+    Pnt -= l.steel.fpy * l.area;
+    MntIn += l.steel.fpy * l.area * (l.depth - yCg);
+  }
+  // Multi-material polygons: the full-depth stress block carries each region
+  // at its own strength (Ag is transformed elastically).
+  const Ac = section.ringFc ? concreteCompression(fc, h, bf, bw, hf, section) / (0.85 * fc) : Ag;
+  const Po = 0.85 * fc * (Ac - Ast - Apd) + fyAst - prestressTerm;
+  const Pnmax = (section.confinement === 'spiral' ? 0.85 : 0.80) * Po;
+  const phiPnmax = phiC * Pnmax;
+
+  const design = (p) => ({
+    ...p,
+    phiPn: p.Pn > 0 ? Math.min(p.phi * p.Pn, phiPnmax) : p.phi * p.Pn,
+    phiMnFt: p.phi * p.MnFt,
+  });
+
+  // Log-spaced sweep from c = 10h (near-uniform compression) to c = 0.05·dt.
+  const cMax = 10 * h;
+  const cMin = 0.05 * dt;
+  const curve = [];
+  for (let k = 0; k <= nPoints; k++) {
+    const c = cMax * Math.pow(cMin / cMax, k / nPoints);
+    const p = pointAt(c);
+    if (p.Pn >= Pnt) curve.push(design(p));
+  }
+  curve.push(design({ c: 0, Pn: Pnt, Mn: MntIn, MnFt: MntIn / 12, epsT: Infinity, phi: phiOf(Infinity) }));
+
+  // Balanced point: extreme tension layer reaches εty as the concrete reaches 0.003.
+  let balanced = null;
+  if (et) {
+    const denom = 0.003 + epsTy - et.fse / et.steel.Es - decomp[extreme];
+    if (denom > 0) balanced = design(pointAt((0.003 * dt) / denom));
+  }
+
+  // Pure flexure: the Pu = 0 solution of analyzeBeam.
+  const flex = analyzeBeam({ ...section, Pu: 0 }, steelLayers);
+  const pureFlexure = {
+    c: flex.c, Pn: 0, MnFt: flex.MnFt, phi: flex.phi, phiPn: 0, phiMnFt: flex.phiMnFt,
+  };
+
+  // Demand check: design moment strength at the factored axial load.
+  const Pu = section.Pu || 0;
+  const MuFt = section.Mu || 0;
+  let demand = null;
+  if (Pu !== 0 || MuFt > 0) {
+    let phiMnAtPu = null;
+    for (let i = 0; i < curve.length - 1; i++) {
+      const p = curve[i], q = curve[i + 1];
+      const lo = Math.min(p.phiPn, q.phiPn), hi = Math.max(p.phiPn, q.phiPn);
+      if (Pu >= lo && Pu <= hi) {
+        const t = hi > lo ? (Pu - p.phiPn) / (q.phiPn - p.phiPn) : 0;
+        const m = p.phiMnFt + t * (q.phiMnFt - p.phiMnFt);
+        phiMnAtPu = phiMnAtPu == null ? m : Math.max(phiMnAtPu, m);
+      }
+    }
+    const axialOk = Pu <= phiPnmax && Pu >= curve[curve.length - 1].phiPn;
+    const pass = axialOk && phiMnAtPu != null && MuFt <= phiMnAtPu;
+    demand = {
+      Pu,
+      MuFt,
+      phiMnAtPu,
+      utilization: phiMnAtPu > 0 ? MuFt / phiMnAtPu : Infinity,
+      axialOk,
+      pass,
+    };
+  }
+
+  return {
+    points: curve,
+    Po,
+    Pnmax,
+    phiPnmax,
+    Pnt,
+    balanced,
+    pureFlexure,
+    phiCompression: phiC,
+    demand,
+  };
+}
+
 /**
  * Compute the decompression strain for prestressed layers.
  * This is the additional strain needed to decompress the concrete at the steel level.
@@ -611,61 +1189,90 @@ function customRings(section) {
   return { outer, holes };
 }
 
+/**
+ * Material weight of each ring of a polygon section, for region-wise concrete
+ * strengths. spec.ringFc[i] is the f'c (ksi) of ring i of [outer, ...holes]:
+ * blank keeps the section f'c for the outer ring and leaves a hole void, while
+ * a hole with its own f'c is an infill of that concrete.
+ *
+ * Weights are relative to fc: strength ratios f'ci / f'c for the stress block,
+ * or modulus ratios Eci / Ec = √(f'ci / f'c) for elastic properties. A hole's
+ * weight is net of the outer concrete it replaces (k_infill − k_outer, so −1
+ * for a void in a single-material section). β1 and the strain limits still
+ * follow the section f'c.
+ *
+ * @returns {{ outer: number, holes: number[] }} holes aligned with spec.holes
+ */
+export function ringWeights(spec, fc, elastic = false) {
+  const tags = spec.ringFc || [];
+  const ratio = (f) => (f > 0 && fc > 0 ? (elastic ? Math.sqrt(f / fc) : f / fc) : null);
+  const outer = ratio(tags[0]) ?? 1;
+  const holes = (spec.holes || []).map((_, i) => (ratio(tags[i + 1]) ?? 0) - outer);
+  return { outer, holes };
+}
+
 /**
  * Net concrete area of a custom section between y = 0 and y = a.
- * (Outer clipped area minus hole clipped areas.)
+ * (Outer clipped area minus hole clipped areas.) With region-wise strengths
+ * each region is weighted by f'ci / f'c, so 0.85 f'c times the result is the
+ * compression force.
  */
 export function polygonAreaAboveDepth(section, a) {
   const { outer, holes } = customRings(section);
   if (outer.length < 3) return 0;
-  let area = Math.abs(ringSignedArea(clipRingBelow(outer, a)));
-  for (const hole of holes) {
-    if (hole.length < 3) continue;
-    area -= Math.abs(ringSignedArea(clipRingBelow(hole, a)));
-  }
+  const k = ringWeights(section, section.fc);
+  let area = k.outer * Math.abs(ringSignedArea(clipRingBelow(outer, a)));
+  holes.forEach((hole, i) => {
+    if (hole.length < 3) return;
+    area += k.holes[i] * Math.abs(ringSignedArea(clipRingBelow(hole, a)));
+  });
   return Math.max(area, 0);
 }
 
 /**
- * Centroid (depth from top) of the net concrete area between y = 0 and y = a.
+ * Centroid (depth from top) of the net concrete area between y = 0 and y = a,
+ * weighted by region strength as in polygonAreaAboveDepth.
  */
 export function polygonCentroidAboveDepth(section, a) {
   const { outer, holes } = customRings(section);
   if (outer.length < 3) return 0;
+  const k = ringWeights(section, section.fc);
   let A = 0;
   let Ay = 0;
   const om = ringMoments(clipRingBelow(outer, a));
-  A += om.A;
-  Ay += om.Ay;
-  for (const hole of holes) {
-    if (hole.length < 3) continue;
+  A += k.outer * om.A;
+  Ay += k.outer * om.Ay;
+  holes.forEach((hole, i) => {
+    if (hole.length < 3) return;
     const hm = ringMoments(clipRingBelow(hole, a));
-    A -= hm.A;
-    Ay -= hm.Ay;
-  }
+    A += k.holes[i] * hm.A;
+    Ay += k.holes[i] * hm.Ay;
+  });
   return A > 1e-12 ? Ay / A : 0;
 }
 
 /**
  * Full gross properties of a custom polygon (with holes).
- * Returns { A, yCg, Ig } with yCg measured from the top fiber (y = 0).
+ * Returns { A, yCg, Ig } with yCg measured from the top fiber (y = 0); with
+ * region-wise strengths these are transformed to the section f'c by Eci / Ec.
  */
 export function polygonProperties(section) {
   const { outer, holes } = customRings(section);
+  const k = ringWeights(section, section.fc, true);
   let A = 0;
   let Ay = 0;
   let Iy0 = 0; // ∫ y² dA about the y = 0 axis
   const om = ringMoments(outer);
-  A += om.A;
-  Ay += om.Ay;
-  Iy0 += om.Iy0;
-  for (const hole of holes) {
-    if (hole.length < 3) continue;
+  A += k.outer * om.A;
+  Ay += k.outer * om.Ay;
+  Iy0 += k.outer * om.Iy0;
+  holes.forEach((hole, i) => {
+    if (hole.length < 3) return;
     const hm = ringMoments(hole);
-    A -= hm.A;
-    Ay -= hm.Ay;
-    Iy0 -= hm.Iy0;
-  }
+    A += k.holes[i] * hm.A;
+    Ay += k.holes[i] * hm.Ay;
+    Iy0 += k.holes[i] * hm.Iy0;
+  });
   const yCg = A > 1e-12 ? Ay / A : 0;
   // Parallel-axis shift from the y = 0 axis to the centroidal axis.
   const Ig = Iy0 - A * yCg * yCg;
@@ -687,6 +1294,20 @@ export function polygonProperties(section) {
 export function grossSectionProperties(section) {
   const { h } = section;
 
+  if (hasTopping(section)) {
+    // Topping transformed into precast concrete by n = Ect / Ec = √(f'ct / f'c).
+    const { bt, ht, fc: fct } = section.topping;
+    const nc = noncompositeProperties(section);
+    const n = Math.sqrt(fct / section.fc);
+    const At = n * bt * ht;
+    const A = nc.A + At;
+    const yCg = (nc.A * nc.yCg + At * ht / 2) / A;
+    const Ig = nc.Ig + nc.A * Math.pow(nc.yCg - yCg, 2)
+      + (n * bt * Math.pow(ht, 3)) / 12 + At * Math.pow(yCg - ht / 2, 2);
+    const yb = h - yCg;
+    return { A, yCg, Ig, yb, Sb: Ig / yb, n };
+  }
+
   let A, yCg, Ig;
 
   switch (section.sectionType) {
@@ -738,7 +1359,8 @@ export function grossSectionProperties(section) {
     }
 
     case 'custom':
-    case 'dxf': {
+    case 'dxf':
+    case 'standard': {
       const props = polygonProperties(section);
       A = props.A;
       yCg = props.yCg;
@@ -778,6 +1400,107 @@ export function grossSectionProperties(section) {
   return { A, yCg, Ig, yb, Sb };
 }
 
+// ─── Composite topping ──────────────────────────────────────────────────────
+
+/**
+ * A cast-in-place topping over a precast member is given as
+ * section.topping = { bt, ht, fc }: width and thickness (in) and its own f'c
+ * (ksi). The composite h and all depths (steel layers, stress block) are then
+ * measured from the top of the topping, while the precast geometry fields
+ * (hf, voidCenterDepth, polygon points, …) keep their origin at the top of the
+ * precast.
+ *
+ *   Stress block   0.85 f'ct over the topping, 0.85 f'c below it
+ *   Elastic props  topping transformed by n = Ect / Ec = √(f'ct / f'c)
+ *
+ * Prestress and the noncomposite dead load (section.Mnc, kip-ft: precast
+ * self-weight plus topping) act on the precast alone; superimposed loads act
+ * on the composite section.
+ */
+export function hasTopping(section) {
+  return !!(section?.topping && section.topping.ht > 0 && section.topping.bt > 0);
+}
+
+/** The precast member alone, with its own h and no topping. */
+export function precastSection(section) {
+  if (!hasTopping(section)) return section;
+  return { ...section, h: section.h - section.topping.ht, topping: null };
+}
+
+/**
+ * Properties of the noncomposite (precast) section, with ȳcg measured from the
+ * top of the topping so that layer depths apply unchanged. Identical to
+ * grossSectionProperties() without a topping.
+ */
+export function noncompositeProperties(section) {
+  if (!hasTopping(section)) return grossSectionProperties(section);
+  const props = grossSectionProperties(precastSection(section));
+  return { ...props, yCg: props.yCg + section.topping.ht };
+}
+
+// ─── Hogging (negative moment) ──────────────────────────────────────────────
+
+/**
+ * The section and layers turned upside down, so that a hogging moment puts
+ * compression at the top as the sagging analysis expects. Depths become
+ * h − y. Rectangular, sandwich and hollow-core sections stay parametric;
+ * T-beams, double tees and polygon sections become "custom" polygons.
+ *
+ * A composite topping is on the tension side in hogging, where concrete is
+ * ignored, so only the precast is mirrored (about its own height); the layer
+ * depths, measured from the top of the topping, still become h − d with h the
+ * composite height and so stay consistent with the mirrored precast.
+ *
+ * @returns {{ section: object, layers: Array }} a sagging section and layers
+ */
+export function hoggingSection(section, steelLayers) {
+  const pc = { ...precastSection(section), momentSign: 'sagging' };
+  const hp = pc.h;
+  const flip = (ring) => ring.map((p) => ({ ...p, y: hp - p.y })).reverse();
+  let mirrored;
+  switch (pc.sectionType) {
+    case 'rectangular':
+      mirrored = pc;
+      break;
+    case 'sandwich':
+      mirrored = { ...pc, bt: pc.bb, bb: pc.bt, ht: hp - pc.ht - pc.hg };
+      break;
+    case 'hollowcore':
+      mirrored = { ...pc, voidCenterDepth: hp - pc.voidCenterDepth };
+      break;
+    default: {
+      const poly = sectionToPolygon(pc);
+      mirrored = {
+        ...pc,
+        sectionType: 'custom',
+        points: flip(poly.outer),
+        holes: (poly.holes || []).map(flip),
+        ringFc: poly.ringFc,
+      };
+    }
+  }
+  const layers = steelLayers.map((l) => ({ ...l, depth: section.h - l.depth }));
+  return { section: mirrored, layers };
+}
+
+// Top-fiber cracking under a hogging moment M:
+//   f_top = P/A − P·e/St − M/St = −fr   →   Mcr = St (fr + fcpe)
+// with fcpe the prestress at the top fiber. With a topping, which carries no
+// prestress, the lesser of the topping cracking (its own fr) and the precast
+// top-fiber cracking governs; the sagging Mnc on the precast delays the latter.
+function hoggingCracking(section, P, e, fr, frTopping) {
+  const nc = noncompositeProperties(section);
+  const ht = hasTopping(section) ? section.topping.ht : 0;
+  const StNc = nc.Ig / (nc.yCg - ht);
+  const fcpe = P / nc.A - (P * e) / StNc;
+  if (!ht) return { fcpe, St: StNc, StNc, Mcr: StNc * (fr + fcpe) };
+  const c = grossSectionProperties(section);
+  const Mnc = (section.Mnc || 0) * 12;
+  const St = c.Ig / c.yCg;
+  const McrPrecast = (c.Ig / (c.yCg - ht)) * (fr + fcpe + Mnc / StNc);
+  return { fcpe, St, StNc, Mcr: Math.min(St * frTopping, McrPrecast) };
+}
+
 /**
  * Compute prestress force, eccentricity, cracking moment, and the 1.2Mcr check.
  *
@@ -785,14 +1508,32 @@ export function grossSectionProperties(section) {
  * Eccentricity e = y_ps - y_cg  (positive when below centroid)
  *   where y_ps is the centroid of prestress force from top
  * Average precompressive stress f_pc = P / A
- * Modulus of rupture f_r = 7.5 √(f'c)  in psi → converted to ksi
+ * Modulus of rupture f_r from the code provisions (codeProvisions): 7.5λ√f'c
+ * in psi for ACI 318-19, 0.24λ√f'c in ksi for AASHTO LRFD
  * Cracking moment Mcr = Sb × (fr + P/A + P×e/Sb)
  *
- * @returns { P, fpc, e, fr, Mcr, McrFt, phiMnOverMcr, passesMinStrength, sectionProps }
+ * With a composite topping, P/A and P×e/Sb are taken on the precast section,
+ * which also carries the noncomposite dead load Mnc (section.Mnc, kip-ft):
+ *   Mcr = Mnc + Sbc × (fr + P/Anc + P×e/Sbnc − Mnc/Sbnc)
+ *
+ * For section.momentSign = 'hogging' the tension face is the top: St and the
+ * prestress at the top fiber replace Sb and fcpe (see hoggingCracking), and
+ * the AASHTO check takes no noncomposite moment.
+ *
+ * The minimum-strength threshold is the lesser of the code's McrMin (1.2 Mcr,
+ * or the γ-factored AASHTO Mcr) and 1.33 Mu.
+ *
+ * @returns { P, fpc, fcpe, e, fr, Mcr, McrFt, McrMin, McrMinFt, threshold,
+ *   governs, passesMinStrength, code, gamma1, gamma2, gamma3, sectionProps,
+ *   ncProps, Mnc, tensionFiber, S, Snc }  S and Snc are the tension-face
+ *   section moduli of the section and of the precast alone
  */
 export function prestressAndCracking(section, steelLayers, phiMn, Mu = 0) {
   const sectionProps = grossSectionProperties(section);
-  const { A, yCg, Sb } = sectionProps;
+  const ncProps = noncompositeProperties(section);
+  const { A, yCg, Sb: SbNc } = ncProps;
+  const { Sb } = sectionProps;
+  const Mnc = hasTopping(section) ? (section.Mnc || 0) * 12 : 0;
 
   // Effective prestress force: only layers with fse > 0
   let P = 0;
@@ -813,40 +1554,59 @@ export function prestressAndCracking(section, steelLayers, phiMn, Mu = 0) {
   // Average precompressive stress
   const fpc = P / A;
 
-  // Modulus of rupture: fr = 7.5·λ·√f'c (psi units) → convert to ksi
-  // λ = lightweight-concrete factor per ACI 318-19 §19.2.4 (1.0 normalweight).
-  // f'c is in ksi, so f'c_psi = fc × 1000
+  // Modulus of rupture (ksi); λ = lightweight-concrete factor (1.0 normalweight).
+  const code = codeProvisions(section);
   const fc = section.fc;
   const lambda = section.lambda ?? 1;
-  const fr = 7.5 * lambda * Math.sqrt(fc * 1000) / 1000; // ksi
+  const fr = code.modulusOfRupture(fc, lambda, section.units);
 
   // Cracking moment: Mcr = Sb × (fr + P/A + P×e/Sb)
-  // = Sb × fr + Sb × P/A + P × e
-  const Mcr = Sb * (fr + P / A + P * e / Sb);
+  // = Sb × fr + Sb × P/A + P × e  (Sb = Sbnc and Mnc = 0 without a topping)
+  const hogging = section.momentSign === 'hogging';
+  let fcpe, Mcr, S, Snc;
+  if (hogging) {
+    const frTopping = hasTopping(section)
+      ? code.modulusOfRupture(section.topping.fc, lambda, section.units)
+      : fr;
+    ({ fcpe, Mcr, St: S, StNc: Snc } = hoggingCracking(section, P, e, fr, frTopping));
+  } else {
+    fcpe = P / A + (P * e) / SbNc; // prestress at the bottom fiber
+    Mcr = Mnc + Sb * (fr + fcpe - Mnc / SbNc);
+    S = Sb;
+    Snc = SbNc;
+  }
   const McrFt = Mcr / 12;
 
-  // Minimum flexural strength, ACI 318-19 §9.6.1.3: φMn must be at least the
-  // lesser of 1.2·Mcr and 1.33·Mu (the 1.33·Mu relief applies only when a
-  // factored demand Mu is supplied).
-  const Mcr12 = 1.2 * Mcr;
+  // Minimum flexural strength: φMn must be at least the lesser of the code's
+  // McrMin and 1.33·Mu (the 1.33·Mu relief applies only when a factored
+  // demand Mu is supplied).
+  const { McrMin, label, ...gammas } = code.minimumStrength({
+    Mcr, fr, fcpe, Sc: S, Snc, Mnc: hogging ? 0 : Mnc, steelLayers,
+  });
   const Mu133 = 1.33 * Mu;
-  const useMuRelief = Mu > 0 && Mu133 < Mcr12;
-  const threshold = useMuRelief ? Mu133 : Mcr12;
+  const useMuRelief = Mu > 0 && Mu133 < McrMin;
+  const threshold = useMuRelief ? Mu133 : McrMin;
   const thresholdFt = threshold / 12;
-  const governs = useMuRelief ? '1.33Mu' : '1.2Mcr';
+  const governs = useMuRelief ? '1.33Mu' : label;
   const passesMinStrength = phiMn >= threshold;
 
   return {
     P,
     fpc,
+    fcpe,
     e,
     yps,
     fr,
     lambda,
     Mcr,
     McrFt,
-    Mcr12,
-    Mcr12Ft: Mcr12 / 12,
+    Mcr12: 1.2 * Mcr,
+    Mcr12Ft: (1.2 * Mcr) / 12,
+    McrMin,
+    McrMinFt: McrMin / 12,
+    McrMinLabel: label,
+    code: code.id,
+    ...gammas,
     Mu133,
     Mu133Ft: Mu133 / 12,
     Mu,
@@ -855,6 +1615,11 @@ export function prestressAndCracking(section, steelLayers, phiMn, Mu = 0) {
     governs,
     passesMinStrength,
     sectionProps,
+    ncProps,
+    Mnc,
+    tensionFiber: hogging ? 'top' : 'bottom',
+    S,
+    Snc,
   };
 }
 
@@ -885,7 +1650,8 @@ export function sectionToPolygon(section) {
   switch (sectionType) {
     case 'custom':
     case 'dxf':
-      return { outer: section.points, holes: section.holes || [] };
+    case 'standard':
+      return { outer: section.points, holes: section.holes || [], ringFc: section.ringFc, fc: section.fc };
 
     case 'rectangular': {
       const b = section.bw;
@@ -962,10 +1728,15 @@ export function sectionToPolygon(section) {
   }
 }
 
-// Flatten a polygon spec into an array of positive rings and an array of holes.
-function ringsOf(polySpec) {
-  const positive = [polySpec.outer, ...(polySpec.extra || [])].filter((r) => r && r.length >= 3);
-  const holes = (polySpec.holes || []).filter((r) => r && r.length >= 3);
+// Flatten a polygon spec into arrays of positive rings and holes, each with
+// its material weight (ringWeights; extra rings share the outer weight).
+function ringsOf(polySpec, elastic = false) {
+  const k = ringWeights(polySpec, polySpec.fc, elastic);
+  const valid = (r) => r && r.length >= 3;
+  const positive = [polySpec.outer, ...(polySpec.extra || [])].filter(valid)
+    .map((ring) => ({ ring, k: k.outer }));
+  const holes = (polySpec.holes || []).map((ring, i) => ({ ring, k: k.holes[i] }))
+    .filter((h) => valid(h.ring));
   return { positive, holes };
 }
 
@@ -1000,20 +1771,19 @@ function ringIntegrals(ring) {
  * vertices expressed relative to the centroid (extreme-fiber candidates).
  */
 export function polygonFullProperties(polySpec) {
-  const { positive, holes } = ringsOf(polySpec);
+  const { positive, holes } = ringsOf(polySpec, true);
   let A = 0, Sx = 0, Sy = 0, Ix0 = 0, Iy0 = 0, Ixy0 = 0;
-  const add = (ri, sign) => {
-    A += sign * ri.A; Sx += sign * ri.Sx; Sy += sign * ri.Sy;
-    Ix0 += sign * ri.Ix; Iy0 += sign * ri.Iy; Ixy0 += sign * ri.Ixy;
+  const add = (ri, k) => {
+    A += k * ri.A; Sx += k * ri.Sx; Sy += k * ri.Sy;
+    Ix0 += k * ri.Ix; Iy0 += k * ri.Iy; Ixy0 += k * ri.Ixy;
   };
-  for (const r of positive) add(ringIntegrals(r), 1);
-  for (const r of holes) add(ringIntegrals(r), -1);
+  for (const { ring, k } of [...positive, ...holes]) add(ringIntegrals(ring), k);
   const xCg = A > 1e-12 ? Sx / A : 0;
   const yCg = A > 1e-12 ? Sy / A : 0;
   const Ix = Ix0 - A * yCg * yCg;
   const Iy = Iy0 - A * xCg * xCg;
   const Ixy = Ixy0 - A * xCg * yCg;
-  const corners = positive.flatMap((r) => r.map((p) => ({ x: p.x - xCg, y: p.y - yCg })));
+  const corners = positive.flatMap(({ ring }) => ring.map((p) => ({ x: p.x - xCg, y: p.y - yCg })));
   return { A, xCg, yCg, Ix, Iy, Ixy, corners };
 }
 
@@ -1037,22 +1807,22 @@ function clipRingByLine(ring, m, threshold) {
 function clippedAreaCentroid(polySpec, m, threshold) {
   const { positive, holes } = ringsOf(polySpec);
   let A = 0, Sx = 0, Sy = 0;
-  const acc = (ring, sign) => {
+  const acc = (ring, k) => {
     if (ring.length < 3) return;
     const ri = ringIntegrals(ring);
-    A += sign * ri.A; Sx += sign * ri.Sx; Sy += sign * ri.Sy;
+    A += k * ri.A; Sx += k * ri.Sx; Sy += k * ri.Sy;
   };
-  for (const r of positive) acc(clipRingByLine(r, m, threshold), 1);
-  for (const r of holes) acc(clipRingByLine(r, m, threshold), -1);
+  for (const { ring, k } of [...positive, ...holes]) acc(clipRingByLine(ring, m, threshold), k);
   return { A, cx: A > 1e-12 ? Sx / A : 0, cy: A > 1e-12 ? Sy / A : 0 };
 }
 
 /**
  * Solve flexural capacity for one neutral-axis orientation.
  * @param phi compression-normal direction angle (NA is perpendicular).
+ * @param fps optional per-layer unbonded tendon stress (unbondedTendonStress().fps).
  * Returns moments (kip-in) and φ-reduced moments about the centroid.
  */
-export function biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, decomp = null) {
+export function biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, decomp = null, fps = null) {
   const m = { x: Math.cos(phi), y: Math.sin(phi) };
   const projAll = polySpec.outer.concat(polySpec.extra || []).map((p) => p.x * m.x + p.y * m.y);
   const projMax = Math.max(...projAll);
@@ -1060,6 +1830,7 @@ export function biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, deco
   const b1 = beta1(fc);
   const depthOf = (p) => projMax - (p.x * m.x + p.y * m.y);
   const decompOf = (i) => (decomp ? decomp[i] : 0);
+  const fpsOf = (i) => (fps ? fps[i] : null);
 
   // Bisection on NA depth c for ΣF = 0.
   let lo = 1e-4, hi = projMax - projMin, c = (lo + hi) / 2;
@@ -1070,8 +1841,8 @@ export function biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, deco
     let T = 0;
     for (let i = 0; i < steelLayers.length; i++) {
       const s = steelLayers[i];
-      const eps = steelStrain(depthOf({ x: s.x, y: s.depth }), c, s.fse, s.steel.Es, decompOf(i));
-      T += powerFormulaStress(eps, s.steel) * s.area;
+      const { stress } = layerState(s, depthOf({ x: s.x, y: s.depth }), c, decompOf(i), fpsOf(i));
+      T += stress * s.area;
     }
     const residual = T - Cc;
     if (Math.abs(residual) < 1e-6) break;
@@ -1083,20 +1854,19 @@ export function biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, deco
   const Cc = 0.85 * fc * cc.A;
   let Mx = -Cc * (cc.cy - props.yCg);
   let My = -Cc * (cc.cx - props.xCg);
-  let epsT = -Infinity, epsTy = 0.002;
+  let epsT = -Infinity, extremeSteel = null;
   const layerResults = [];
   for (let i = 0; i < steelLayers.length; i++) {
     const s = steelLayers[i];
     const d = depthOf({ x: s.x, y: s.depth });
-    const eps = steelStrain(d, c, s.fse, s.steel.Es, decompOf(i));
-    const fs = powerFormulaStress(eps, s.steel);
+    const { strain: eps, stress: fs } = layerState(s, d, c, decompOf(i), fpsOf(i));
     const F = fs * s.area;
     Mx += F * (s.depth - props.yCg);
     My += F * (s.x - props.xCg);
     layerResults.push({ ...s, strain: eps, stress: fs, force: F });
-    if (eps > epsT) { epsT = eps; epsTy = s.steel.fpy / s.steel.Es; }
+    if (eps > epsT) { epsT = eps; extremeSteel = s.steel; }
   }
-  const phiF = phiFactor(epsT, epsTy);
+  const phiF = materialPhi(epsT, extremeSteel);
   return {
     phi, c, a, m, Mx, My, phiMx: phiF * Mx, phiMy: phiF * My,
     phiF, epsT, layerResults,
@@ -1131,10 +1901,10 @@ function envelopeRadiusAtAngle(envelope, angle) {
  * bending) case. Mirrors decompressionStrains() but uses the full {Ix,Iy,Ixy}
  * field. Returns an array aligned with steelLayers (0 for non-prestressed).
  */
-export function biaxialDecompStrains(props, steelLayers, fc) {
+export function biaxialDecompStrains(props, steelLayers, fc, units) {
   const { A, Ix, Iy, Ixy, xCg, yCg } = props;
   const det = Ix * Iy - Ixy * Ixy;
-  const Ec = concreteModulus(fc);
+  const Ec = concreteModulus(fc, units);
   let P = 0, Pex = 0, Pey = 0;
   for (const s of steelLayers) {
     if (s.fse > 0) {
@@ -1149,7 +1919,7 @@ export function biaxialDecompStrains(props, steelLayers, fc) {
   const kx = (x, y) => (Iy * y - Ixy * x) / det;
   const ky = (x, y) => (Ix * x - Ixy * y) / det;
   return steelLayers.map((s) => {
-    if (!(s.fse > 0) || !(A > 0) || Math.abs(det) < 1e-12) return 0;
+    if (!(s.fse > 0) || s.bonded === false || !(A > 0) || Math.abs(det) < 1e-12) return 0;
     const x = s.x - xCg, y = s.depth - yCg;
     // Concrete compressive stress (compression positive) at the layer level.
     const comp = P / A + P * ey * kx(x, y) + P * ex * ky(x, y);
@@ -1157,10 +1927,10 @@ export function biaxialDecompStrains(props, steelLayers, fc) {
   });
 }
 
-export function biaxialCracking(props, steelLayers, fc, MxService, MyService, lambda = 1) {
+export function biaxialCracking(props, steelLayers, fc, MxService, MyService, lambda = 1, units) {
   const { A, Ix, Iy, Ixy, corners } = props;
   const det = Ix * Iy - Ixy * Ixy;
-  const fr = 7.5 * lambda * Math.sqrt(fc * 1000) / 1000;
+  const fr = CODE_PROVISIONS.aci318.modulusOfRupture(fc, lambda, units);
 
   // Prestress force and centroidal eccentricity.
   let P = 0, Pex = 0, Pey = 0;
@@ -1258,13 +2028,15 @@ export function analyzeBiaxial(section, steelLayers, opts = {}) {
   const props = polygonFullProperties(polySpec);
   const fc = section.fc;
   const lambda = section.lambda ?? 1;
-  const decomp = biaxialDecompStrains(props, steelLayers, fc);
+  const decomp = biaxialDecompStrains(props, steelLayers, fc, section.units);
+  const unbonded = unbondedTendonStress(section, steelLayers);
+  const fps = unbonded ? unbonded.fps : null;
 
   // Sweep orientations -> envelope (kip-ft).
   const raw = [];
   for (let i = 0; i < samples; i++) {
     const phi = (i / samples) * 2 * Math.PI;
-    const r = biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, decomp);
+    const r = biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, decomp, fps);
     raw.push(r);
   }
   const envelope = raw.map((r) => ({
@@ -1278,7 +2050,7 @@ export function analyzeBiaxial(section, steelLayers, opts = {}) {
   //   compression at right (+My)      -> m = (1, 0)  -> phi = 0
   //   compression at left  (-My)      -> m = (-1,0)  -> phi = π
   const anchor = (phi) => {
-    const r = biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, decomp);
+    const r = biaxialAtOrientation(polySpec, steelLayers, props, fc, phi, decomp, fps);
     return {
       phiMx: r.phiMx / 12, phiMy: r.phiMy / 12, Mx: r.Mx / 12, My: r.My / 12,
       phi: r.phiF, c: r.c, epsT: r.epsT, layerResults: r.layerResults,
@@ -1304,11 +2076,11 @@ export function analyzeBiaxial(section, steelLayers, opts = {}) {
     };
   }
 
-  const cracking = biaxialCracking(props, steelLayers, fc, MxService, MyService, lambda);
+  const cracking = biaxialCracking(props, steelLayers, fc, MxService, MyService, lambda, section.units);
 
   return {
     mode: 'biaxial',
-    section, props, envelope, anchors, demand, cracking,
+    section, props, envelope, anchors, demand, cracking, unbonded,
     sectionPolygon: polySpec,
   };
 }
@@ -0,0 +1,80 @@
+/**
+ * Bracketed root finding for the equilibrium solvers. A residual f(x) is first
+ * sampled across [lo, hi] to find its sign changes, so a missing root (f of
+ * one sign throughout) or several roots are reported instead of silently
+ * converging on a bracket end. Each bracketed root is then refined with the
+ * Illinois variant of regula falsi:
+ *
+ *   x = (a·f(b) − b·f(a)) / (f(b) − f(a))
+ *
+ * halving the retained end's f value whenever the same end is kept twice, and
+ * falling back to a bisection step when the bracket stops shrinking. This
+ * converges superlinearly on the smooth stretches of a section residual and
+ * never leaves the bracket across its kinks (flange, yield, stress-block cap).
+ */
+
+const sign = (v) => (v > 0 ? 1 : v < 0 ? -1 : 0);
+
+/**
+ * Sample f at samples + 1 evenly spaced points on [lo, hi] and return the
+ * sub-intervals across which it changes sign.
+ *
+ * @returns {object} { brackets: [{ a, b, fa, fb }], fLo, fHi, evaluations }
+ */
+export function scanSignChanges(f, lo, hi, samples = 24) {
+  const brackets = [];
+  let a = lo;
+  let fa = f(lo);
+  const fLo = fa;
+  for (let i = 1; i <= samples; i++) {
+    const b = lo + ((hi - lo) * i) / samples;
+    const fb = f(b);
+    // A zero sample ends one bracket; only a zero at lo starts one.
+    const crosses = fa === 0 ? i === 1 : fb === 0 || sign(fa) !== sign(fb);
+    if (crosses) brackets.push({ a, b, fa, fb });
+    a = b;
+    fa = fb;
+  }
+  return { brackets, fLo, fHi: fa, evaluations: samples + 1 };
+}
+
+/**
+ * Refine a root of f bracketed by [a, b] (f(a) and f(b) of opposite sign or
+ * zero) with the Illinois method.
+ *
+ * @param {object} [opts] – { tolerance: 1e-6 on |f|, xTolerance: 1e-10 on the
+ *   bracket width, maxIter: 100 }
+ * @returns {object} { x, fx, iterations, converged }
+ */
+export function illinois(f, a, b, fa = f(a), fb = f(b), opts = {}) {
+  const { tolerance = 1e-6, xTolerance = 1e-10, maxIter = 100 } = opts;
+  if (fa === 0) return { x: a, fx: 0, iterations: 0, converged: true };
+  if (fb === 0) return { x: b, fx: 0, iterations: 0, converged: true };
+  if (sign(fa) === sign(fb)) throw new Error('illinois: root is not bracketed');
+
+  let kept = 0; // +1 when a was kept last step, -1 when b was
+  let width = Math.abs(b - a);
+  let x = a, fx = fa;
+  for (let iter = 1; iter <= maxIter; iter++) {
+    x = (a * fb - b * fa) / (fb - fa);
+    // Bisect when the secant step stalls against one end.
+    if (!(x > Math.min(a, b) && x < Math.max(a, b)) || (iter % 3 === 0 && Math.abs(b - a) > width / 2)) {
+      x = (a + b) / 2;
+    }
+    if (iter % 3 === 0) width = Math.abs(b - a);
+    fx = f(x);
+    if (Math.abs(fx) < tolerance) return { x, fx, iterations: iter, converged: true };
+
+    if (sign(fx) === sign(fb)) {
+      b = x; fb = fx;
+      if (kept === 1) fa /= 2;
+      kept = 1;
+    } else {
+      a = x; fa = fx;
+      if (kept === -1) fb /= 2;
+      kept = -1;
+    }
+    if (Math.abs(b - a) < xTolerance) return { x, fx, iterations: iter, converged: true };
+  }
+  return { x, fx, iterations: maxIter, converged: false };
+}
@@ -4,6 +4,7 @@
  *
  * The SINGLE SOURCE OF TRUTH for the methodology is:
  *   src/utils/beamCalculations.js   (the power-formula analysis engine)
+ *   src/utils/rootFinding.js        (its neutral-axis solver)
  *   src/data/steelPresets.js        (per-grade Q/R/K parameters)
  *
  * A skill uploaded to Claude runs as a standalone bundle and cannot reach the
@@ -14,7 +15,7 @@
  * Run it before downloading the skill to upload to Claude:
  *   node skills/power-formula/sync-engine.mjs      (or: npm run skill:sync)
  */
-import { copyFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
 import { execSync } from 'node:child_process';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -26,11 +27,16 @@ mkdirSync(engineDir, { recursive: true });
 
 const files = [
   ['src/utils/beamCalculations.js', 'beamCalculations.js'],
+  ['src/utils/rootFinding.js', 'rootFinding.js'],
   ['src/data/steelPresets.js', 'steelPresets.js'],
 ];
 
+// The app imports relative modules without an extension (Vite resolves them);
+// plain Node needs the .js, so the copies get it added.
 for (const [src, dest] of files) {
-  copyFileSync(join(repoRoot, src), join(engineDir, dest));
+  const text = readFileSync(join(repoRoot, src), 'utf8')
+    .replace(/(from '\.\/[\w-]+)';/g, "$1.js';");
+  writeFileSync(join(engineDir, dest), text);
   console.log(`synced ${src} -> engine/${dest}`);
 }
 
@@ -44,8 +50,8 @@ try {
 writeFileSync(
   join(engineDir, 'SOURCE.txt'),
   [
-    'engine/beamCalculations.js and engine/steelPresets.js are GENERATED copies.',
-    'Canonical source: src/utils/beamCalculations.js, src/data/steelPresets.js',
+    'engine/beamCalculations.js, engine/rootFinding.js and engine/steelPresets.js are GENERATED copies.',
+    'Canonical source: src/utils/beamCalculations.js, src/utils/rootFinding.js, src/data/steelPresets.js',
     `Synced from commit: ${commit}`,
     `Synced at: ${new Date().toISOString()}`,
     '',
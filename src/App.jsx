@@ -8,10 +8,39 @@ import DesignGauges from './components/DesignGauges';
 import ExportDialog from './components/ExportDialog';
 import InteractionDiagram from './components/InteractionDiagram';
 import BiaxialResults from './components/BiaxialResults';
-import { analyzeBeam, analyzeBiaxial, polygonProperties } from './utils/beamCalculations';
+import PMInteractionDiagram from './components/PMInteractionDiagram';
+import MomentCurvatureChart from './components/MomentCurvatureChart';
+import SpanDiagram from './components/SpanDiagram';
+import SweepPanel from './components/SweepPanel';
+import MonteCarloPanel from './components/MonteCarloPanel';
+import {
+  analyzeBeam, analyzeBiaxial, codeProvisions, hoggingSection, interactionDiagram, polygonProperties,
+} from './utils/beamCalculations';
+import { analyzeFiber } from './utils/fiberAnalysis';
+import { momentCurvature } from './utils/momentCurvature';
+import { stageStressChecks } from './utils/stageStresses';
+import { shearStrength } from './utils/shearStrength';
+import { spanAnalysis } from './utils/spanAnalysis';
+import { developLayers } from './utils/strandDevelopment';
+import { layersAtStation, verticalPrestress } from './utils/strandProfiles';
+import { deflection } from './utils/deflection';
 import generatePdfReport from './utils/generatePdfReport';
+import { unitFormatter } from './utils/units';
 import './App.css';
 
+// Explain a failed neutral-axis solve from analyzeBeam's solver diagnosis.
+function solverFailureMessage(solver, u) {
+  const { cLow, cHigh, residualLow, residualHigh } = solver.bracket;
+  const ends = `ΣF = ${u.fmt(residualLow, 'force', 2)} at c = ${u.fmt(cLow, 'length', 2)} and ` +
+    `${u.fmt(residualHigh, 'force', 2)} at c = ${u.fmt(cHigh, 'length', 2)}`;
+  if (solver.status === 'no-root') {
+    const side = solver.dominant === 'tension' ? 'steel tension (plus any axial load)' : 'concrete compression';
+    return `No force equilibrium within the section: ${ends}, so the ${side} governs at every ` +
+      `neutral-axis depth. ${solver.suggestion}`;
+  }
+  return `Force equilibrium not reached (${ends}). ${solver.suggestion}`;
+}
+
 export default function App() {
   const [results, setResults] = useState(null);
   const [section, setSection] = useState(null);
@@ -22,6 +51,7 @@ export default function App() {
 
   const handleCalculate = (sec, layers, preError) => {
     setError(null);
+    const u = unitFormatter(sec?.units);
     try {
       if (preError) {
         throw new Error(preError);
@@ -46,11 +76,17 @@ export default function App() {
           );
         }
       }
+      if (sec.topping && !(sec.topping.bt > 0 && sec.topping.fc > 0)) {
+        throw new Error('Composite topping: enter a positive width and f′c.');
+      }
+      if (sec.fci > sec.fc) {
+        throw new Error('Concrete strength at transfer f′ci cannot exceed f′c.');
+      }
       for (let i = 0; i < layers.length; i++) {
         const l = layers[i];
         if (l.depth <= 0 || l.depth > sec.h) {
           throw new Error(
-            `Layer ${i + 1}: depth must be between 0 and total beam depth (${sec.h} in).`
+            `Layer ${i + 1}: depth must be between 0 and total beam depth (${u.fmt(sec.h, 'length')}).`
           );
         }
         if (l.area <= 0) {
@@ -59,6 +95,28 @@ export default function App() {
         if (sec.bendingMode === 'biaxial' && (l.x === undefined || Number.isNaN(l.x))) {
           throw new Error(`Layer ${i + 1}: lateral location x is required for biaxial bending.`);
         }
+        if (l.profile === 'harped') {
+          if (!(l.endDepth > 0 && l.endDepth < sec.h)) {
+            throw new Error(`Layer ${i + 1}: harped end depth must be between 0 and total beam depth (${u.fmt(sec.h, 'length')}).`);
+          }
+          if (!(l.holdDown > 0) || (sec.span > 0 && l.holdDown > sec.span / 2)) {
+            throw new Error(`Layer ${i + 1}: hold-down points must lie between the member end and midspan.`);
+          }
+        }
+        if (l.debondLength > 0 && sec.span > 0 && l.debondLength >= sec.span / 2) {
+          throw new Error(`Layer ${i + 1}: debonded length must be less than half the span.`);
+        }
+        if (l.bonded === false && l.fse > 0) {
+          if (!(sec.span > 0)) {
+            throw new Error(`Layer ${i + 1}: enter the span length to compute the unbonded tendon stress.`);
+          }
+          if (l.fse < 0.5 * l.steel.fpu) {
+            throw new Error(
+              `Layer ${i + 1}: the unbonded fps equations of ACI 318-19 §20.3.2.4 require ` +
+              `fse ≥ 0.5 fpu (${u.fmt(0.5 * l.steel.fpu, 'stress', 1)}).`
+            );
+          }
+        }
       }
 
       let res;
@@ -67,16 +125,69 @@ export default function App() {
           Mux: sec.Mux, Muy: sec.Muy, MxService: sec.MxService, MyService: sec.MyService,
         });
       } else {
-        res = analyzeBeam(sec, layers);
+        // At a station near the member end, take the strand profile there and
+        // cap strand within its §25.4.8 development length at the stress it
+        // can develop; the uncapped result at the station supplies fps.
+        const atStation = sec.distFromEnd != null;
+        const spanFt = sec.span > 0 ? sec.span : Infinity;
+        const stationLayers = atStation ? layersAtStation(layers, sec.distFromEnd / 12, spanFt) : layers;
+        const full = analyzeBeam(sec, stationLayers);
+        const development = atStation
+          ? developLayers(sec, stationLayers, sec.distFromEnd, full)
+          : null;
+        const secLayers = development ? development.layers : stationLayers;
+        res = secLayers === stationLayers ? full : analyzeBeam(sec, secLayers);
+        res.development = development;
+        res.layers = secLayers;
         const totalSteel = res.layerResults.reduce((s, lr) => s + lr.force, 0);
-        const equilibriumError = Math.abs(res.Cc - totalSteel);
-        if (!res.converged || equilibriumError > 0.1) {
+        const equilibriumError = Math.abs(res.Cc - totalSteel - res.Pu);
+        if (!res.converged) {
+          throw new Error(solverFailureMessage(res.solver, u));
+        }
+        if (equilibriumError > 0.1) {
           throw new Error(
             `Solution did not converge — no force equilibrium found within the section ` +
-            `(equilibrium error = ${equilibriumError.toFixed(3)} kips). Check that the steel ` +
-            `area, depths, and section dimensions are physically reasonable.`
+            `(equilibrium error = ${u.fmt(equilibriumError, 'force', 3)}). ` +
+            (res.Pu !== 0
+              ? `Check that the axial load Pᵤ = ${u.fmt(res.Pu, 'force', 1)} lies between the pure-tension ` +
+                `and pure-compression capacities of the section.`
+              : `Check that the steel area, depths, and section dimensions are physically reasonable.`)
           );
         }
+        if (sec.bendingMode === 'axial') {
+          res.interaction = interactionDiagram(sec, secLayers);
+        }
+        // Under a hogging moment the fiber and M–φ analyses, like analyzeBeam,
+        // take the section upside down.
+        const flexure = sec.momentSign === 'hogging'
+          ? hoggingSection(sec, secLayers)
+          : { section: sec, layers: secLayers };
+        if (sec.concreteModel && sec.concreteModel !== 'none') {
+          if (sec.concreteModel === 'custom' && sec.concreteCurve.length < 2) {
+            throw new Error('Enter at least two strain, stress points for the custom concrete curve.');
+          }
+          res.fiber = analyzeFiber(flexure.section, flexure.layers);
+        }
+        res.momentCurvature = momentCurvature(flexure.section, flexure.layers);
+        res.stages = stageStressChecks(sec, secLayers);
+        res.shear = shearStrength(sec, secLayers, {
+          Vp: atStation ? verticalPrestress(layers, sec.distFromEnd / 12, spanFt) : 0,
+        });
+        if (sec.supports !== 'none') {
+          if (!(sec.span > 0)) throw new Error('Enter a span length for the span analysis.');
+          const outside = (sec.pointLoads || []).findIndex((p) => p.a < 0 || p.a > sec.span);
+          if (outside >= 0) {
+            throw new Error(`Point load ${outside + 1}: location must lie within the span (0 to ${sec.span} ft).`);
+          }
+          res.span = spanAnalysis(sec, layers, {
+            layersAt: (x) => developLayers(
+              sec, layersAtStation(layers, x, sec.span), Math.min(x, sec.span - x) * 12
+            ).layers,
+          });
+          if (sec.supports === 'simple') {
+            res.deflection = deflection(sec, layers, { liveLimit: sec.liveLimit });
+          }
+        }
       }
 
       setResults(res);
@@ -104,11 +215,15 @@ export default function App() {
     }
   };
 
+  // Provisions of the last calculated section (ACI 318-19 before any run).
+  const codeName = codeProvisions(section).name;
+  const multipleRoots = results?.solver?.status === 'multiple-roots' ? results.solver : null;
+
   return (
     <div className="app">
       <header className="app-header">
         <div className="header-content">
-          <div className="header-badge">ACI 318-19</div>
+          <div className="header-badge">{codeName}</div>
           <div className="header-text">
             <h1>Prestressed Concrete Beam Calculator</h1>
             <p className="subtitle">
@@ -138,6 +253,19 @@ export default function App() {
         </div>
 
         <div className="output-column">
+          {multipleRoots && (
+            <div className="error-banner warning">
+              <span className="error-icon">!</span>
+              <div>
+                <strong>Multiple Equilibrium Solutions</strong>
+                <p>
+                  Equilibrium at c = {multipleRoots.roots.map((c) => unitFormatter(section.units).fmt(c, 'length', 3)).join(', ')}.{' '}
+                  {multipleRoots.suggestion}
+                </p>
+              </div>
+            </div>
+          )}
+
           {error && (
             <div className="error-banner">
               <span className="error-icon">!</span>
@@ -174,6 +302,11 @@ export default function App() {
               <BeamDiagram section={section} results={results} />
               <StrainDiagram results={results} />
               <StressStrainChart results={results} />
+              <PMInteractionDiagram results={results} />
+              <MomentCurvatureChart results={results} />
+              <SpanDiagram results={results} />
+              <SweepPanel results={results} />
+              <MonteCarloPanel results={results} />
             </div>
           </div>
         )}
@@ -182,7 +315,7 @@ export default function App() {
       <footer className="app-footer">
         <div className="footer-content">
           <p>
-            Based on <strong>ACI 318-19</strong> and the <strong>Devalapura&#8211;Tadros power formula</strong> for
+            Based on <strong>{codeName}</strong> and the <strong>Devalapura&#8211;Tadros power formula</strong> for
             steel stress&#8211;strain behavior (PCI Design Handbook).
           </p>
           <p className="disclaimer">
@@ -1,12 +1,22 @@
+import { hasTopping, hoggingSection, precastSection, sectionToPolygon } from '../utils/beamCalculations';
+import { unitFormatter } from '../utils/units';
+
 /**
  * SVG cross-section diagram of the beam with reinforcement layers,
  * neutral axis, and Whitney stress block visualization.
  */
-export default function BeamDiagram({ section, results }) {
-  if (!section || !results) return null;
+export default function BeamDiagram({ section: analysisSection, results }) {
+  if (!analysisSection || !results) return null;
+  // A hogging section is drawn as analyzed: upside down, compression face up.
+  const hogging = results.momentSign === 'hogging';
+  const shown = hogging ? hoggingSection(analysisSection, []).section : analysisSection;
+  const section = hasTopping(shown) ? compositeOutline(shown) : shown;
 
   const { bf, bw, hf, h, sectionType, bt, ht, hg, bb, hb, numStems, stemWidth, numVoids, voidDiameter, points, holes } = section;
   const { c, a, layerResults } = results;
+  const u = unitFormatter(analysisSection.units);
+  // Dimension labels: inches as 12.00", SI in mm.
+  const dim = (v) => (u.si ? u.fmt(v, 'length', 2) : `${v.toFixed(2)}"`);
 
   // Drawing scale
   const padding = 40;
@@ -16,9 +26,9 @@ export default function BeamDiagram({ section, results }) {
   const isSandwich = sectionType === 'sandwich';
   const isDoubleTee = sectionType === 'doubletee';
   const isHollowCore = sectionType === 'hollowcore';
-  const isCustom = sectionType === 'custom' || sectionType === 'dxf';
+  const isCustom = sectionType === 'custom' || sectionType === 'dxf' || sectionType === 'standard';
   const customMaxX = isCustom && points?.length
-    ? Math.max(...points.map((p) => p.x))
+    ? Math.max(...[points, ...(holes || [])].flat().map((p) => p.x))
     : 1;
   const maxWidth = isCustom ? customMaxX : (isSandwich ? Math.max(bt, bb) : (bf || bw));
   const scale = Math.min(maxDrawWidth / maxWidth, maxDrawHeight / h);
@@ -328,7 +338,7 @@ export default function BeamDiagram({ section, results }) {
 
   return (
     <div className="beam-diagram">
-      <h3>Cross-Section &amp; Stress Block</h3>
+      <h3>Cross-Section &amp; Stress Block{hogging && ' (hogging, drawn upside down)'}</h3>
       <svg
         viewBox={`0 0 ${svgW} ${svgH}`}
         width="100%"
@@ -373,12 +383,12 @@ export default function BeamDiagram({ section, results }) {
           strokeDasharray="6,3"
         />
         <text x={annotX} y={naY + 4} className="diagram-label na-label">
-          c = {c.toFixed(2)}&quot;
+          c = {dim(c)}
         </text>
 
         {/* Stress block depth annotation */}
         <text x={annotX} y={oy + aH / 2 + 4} className="diagram-label a-label">
-          a = {a.toFixed(2)}&quot;
+          a = {dim(a)}
         </text>
 
         {/* Steel layers */}
@@ -411,7 +421,7 @@ export default function BeamDiagram({ section, results }) {
               />
               {/* Label */}
               <text x={annotX} y={ly + 4} className="diagram-label steel-label">
-                d={lr.depth.toFixed(2)}&quot; | f<tspan baselineShift="sub" fontSize="8">s</tspan>={lr.stress.toFixed(1)} ksi
+                d={dim(lr.depth)} | f<tspan baselineShift="sub" fontSize="8">s</tspan>={u.fmt(lr.stress, 'stress', 1)}
               </text>
             </g>
           );
@@ -427,7 +437,7 @@ export default function BeamDiagram({ section, results }) {
           className="diagram-label dim-label"
           transform={`rotate(-90, ${ox - 28}, ${oy + drawH / 2})`}
         >
-          h = {h}&quot;
+          h = {u.si ? dim(h) : `${h}"`}
         </text>
 
         {/* Legend */}
@@ -441,3 +451,24 @@ export default function BeamDiagram({ section, results }) {
     </div>
   );
 }
+
+// A composite section drawn as polygon rings: the topping on top and the
+// precast rings below it, centered on each other. The rings only touch, so the
+// even-odd fill used for custom sections shows them all as concrete.
+function compositeOutline(section) {
+  const { bt, ht } = section.topping;
+  const poly = sectionToPolygon(precastSection(section));
+  const rings = [poly.outer, ...(poly.extra || [])];
+  const width = Math.max(...rings.flat().map((p) => p.x));
+  const dxTop = Math.max((width - bt) / 2, 0);
+  const dxPre = Math.max((bt - width) / 2, 0);
+  const shift = (ring) => ring.map((p) => ({ x: p.x + dxPre, y: p.y + ht }));
+  return {
+    ...section,
+    sectionType: 'custom',
+    points: [
+      { x: dxTop, y: 0 }, { x: dxTop + bt, y: 0 }, { x: dxTop + bt, y: ht }, { x: dxTop, y: ht },
+    ],
+    holes: [...rings.map(shift), ...(poly.holes || []).map(shift)],
+  };
+}
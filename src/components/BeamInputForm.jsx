@@ -1,9 +1,24 @@
 import { useState } from 'react';
-import steelPresets from '../data/steelPresets';
+import standardShapes, { findStandardShape, STANDARD_SHAPE_FAMILIES } from '../data/standardShapes';
 import SectionDrawer from './SectionDrawer';
 import DxfImporter from './DxfImporter';
+import { CONCRETE_MODELS } from '../utils/fiberAnalysis';
+import { prestressLosses } from '../utils/prestressLosses';
+import PrestressLossPanel from './PrestressLossPanel';
+import StrandPatternPanel from './StrandPatternPanel';
+import DesignPanel from './DesignPanel';
+import SteelGradeEditor from './SteelGradeEditor';
+import PowerFormulaFitPanel from './PowerFormulaFitPanel';
+import { designPrestress } from '../utils/designSteel';
+import { patternLayers, strandPattern } from '../utils/strandPattern';
+import { customSteelGrade, steelGradeList } from '../utils/steelGrades';
+import { parseProject, serializeProject } from '../utils/projectFile';
+import { SUPPORT_TYPES } from '../utils/spanAnalysis';
+import { CODE_PROVISIONS } from '../utils/beamCalculations';
+import { convertFields, convertTextColumns, fromDisplay, toDisplay, unitFormatter, UNIT_SYSTEMS } from '../utils/units';
 
 const DEFAULT_SECTION = {
+  units: 'US', // input units: 'US' | 'SI'; the defaults below are US values
   sectionType: 'rectangular',
   bf: 16,
   bw: 16,
@@ -11,6 +26,7 @@ const DEFAULT_SECTION = {
   h: 6,
   fc: 5,
   lambda: 1,   // lightweight-concrete factor λ (ACI 318-19 §19.2.4)
+  code: 'aci318', // design code provisions: 'aci318' | 'aashto' (uniaxial and P–M)
   Mu: 0,       // factored moment demand Mu (kip-ft), uniaxial; enables 1.33Mu relief
   // Sandwich shape parameters
   bt: 16,  // top rectangle width
@@ -26,30 +42,137 @@ const DEFAULT_SECTION = {
   numVoids: 4,           // number of voids
   voidDiameter: 6,       // void diameter (in), typically 2/3 to 3/4 of depth
   voidCenterDepth: 12,   // depth to void centers from top (in)
+  // Standard catalog shape (data/standardShapes.js), analyzed as a polygon.
+  shapeId: 'aashto4',
   // Custom drawn section: outer polygon + optional hole polygons (inches,
   // y measured downward from the extreme compression fiber).
   points: [],
   holes: [],
-  // Bending mode and biaxial demands (kip-ft). bendingMode: 'uniaxial' | 'biaxial'
+  // Region-wise f'c (ksi strings) for [outer, ...holes]; blank keeps f'c for
+  // the outer shape and leaves a hole void.
+  ringFc: [],
+  // Bending mode and biaxial demands (kip-ft).
+  // bendingMode: 'uniaxial' | 'axial' (uniaxial + axial load, P–M) | 'biaxial'
   bendingMode: 'uniaxial',
+  momentSign: 'sagging',  // uniaxial only: 'sagging' | 'hogging' (compression at the bottom)
+  Pu: 0,                  // factored axial load (kip, compression +), axial mode only
+  confinement: 'tied',    // transverse reinforcement: 'tied' | 'spiral' (ACI 318-19 Table 21.2.2)
+  span: 30,               // span length (ft): span analysis and unbonded tendon stress (§20.3.2.4)
+  // Span analysis: supports 'none' (single section only) | 'simple' | 'propped' |
+  // 'fixed'; uniform loads in kip/ft, point loads as "P (kip), a (ft), D|L" lines.
+  supports: 'none',
+  wD: 0,       // superimposed dead load (self-weight is added from wc)
+  wL: 0,       // live load
+  wc: 150,     // concrete unit weight (pcf)
+  pointLoads: '',
+  liveLimit: 360,   // live-load deflection limit, span / Δ (ACI 318-19 Table 24.2.2)
+  distFromEnd: '',  // section distance from the member end (in); blank = fully developed
+  // Fiber-section check alongside the Whitney block: 'none' | 'hognestad' |
+  // 'todeschini' | 'custom'. concreteCurve holds "strain, stress (ksi)" lines.
+  concreteModel: 'none',
+  concreteCurve: '0.0005, 2.0\n0.001, 3.5\n0.002, 4.25\n0.003, 3.8',
+  // Stage stress checks, ACI 318-19 §24.5 (moments in kip-ft).
+  fci: 3.5,                  // concrete strength at transfer (ksi)
+  stressLocation: 'midspan', // 'midspan' | 'end' (ends of simply supported members)
+  // Composite CIP topping over the precast (uniaxial flexure only); layer
+  // depths stay measured from the top of the precast.
+  composite: false,
+  toppingWidth: 96,          // in
+  toppingThickness: 2,       // in
+  toppingFc: 4,              // topping f'c (ksi)
+  Mnc: 0,                    // noncomposite dead moment: precast + topping (kip-ft)
+  Mself: 0,                  // self-weight moment acting at transfer
+  Msustained: 0,             // sustained service moment
+  Mservice: 0,               // total service moment
+  // One-way shear at a chosen section, ACI 318-19 §22.5 (kip, kip-ft).
+  Vu: 0,      // factored shear
+  MuV: 0,     // factored moment occurring with Vu
+  Vd: 0,      // unfactored dead-load shear
+  Md: 0,      // unfactored dead-load moment
+  Av: 0.22,   // stirrup area, all legs (in²)
+  fyt: 60,    // stirrup yield strength (ksi)
   Mux: 0,
   Muy: 0,
   MxService: 0,
   MyService: 0,
 };
 
+// "strain, stress" lines → [{ strain, stress }], skipping anything unparsable.
+function parseCurve(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim().split(/[\s,;]+/).map(Number))
+    .filter(([e, f]) => Number.isFinite(e) && Number.isFinite(f))
+    .map(([strain, stress]) => ({ strain, stress }));
+}
+
+// "P, a, D|L" lines → [{ P, a, type }], skipping anything unparsable.
+function parsePointLoads(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim().split(/[\s,;]+/))
+    .filter(([P, a]) => Number.isFinite(parseFloat(P)) && Number.isFinite(parseFloat(a)))
+    .map(([P, a, type]) => ({
+      P: parseFloat(P),
+      a: parseFloat(a),
+      type: String(type || 'D').toUpperCase() === 'L' ? 'L' : 'D',
+    }));
+}
+
+// Quantity of each numeric form field, for unit conversion (see units.js).
+// Polygon points and holes stay in inches: the drawer and importer own them.
+const SECTION_QUANTITIES = {
+  bf: 'length', bw: 'length', hf: 'length', h: 'length',
+  bt: 'length', ht: 'length', hg: 'length', bb: 'length', hb: 'length',
+  stemWidth: 'length', stemSpacing: 'length', voidDiameter: 'length', voidCenterDepth: 'length',
+  distFromEnd: 'length', toppingWidth: 'length', toppingThickness: 'length',
+  fc: 'stress', fci: 'stress', toppingFc: 'stress', fyt: 'stress',
+  Pu: 'force', Vu: 'force', Vd: 'force',
+  Mu: 'moment', Mnc: 'moment', Mself: 'moment', Msustained: 'moment', Mservice: 'moment',
+  MuV: 'moment', Md: 'moment', Mux: 'moment', Muy: 'moment', MxService: 'moment', MyService: 'moment',
+  span: 'span', wD: 'lineLoad', wL: 'lineLoad', wc: 'unitWeight', Av: 'area',
+};
+
+const LAYER_QUANTITIES = {
+  area: 'area', depth: 'length', x: 'length', endDepth: 'length', db: 'length',
+  fse: 'stress', fpi: 'stress', holdDown: 'span', debondLength: 'span',
+};
+
+// Columns of the free-text inputs: "P, a, D|L" and "strain, stress".
+const POINT_LOAD_COLUMNS = ['force', 'span', null];
+const CURVE_COLUMNS = [null, 'stress'];
+
 const DEFAULT_LAYER = {
   steelPresetId: 'grade270',
   area: 0.153,
   depth: 3,
   x: 8,   // lateral location from left fiber (in) — biaxial mode only
   fse: 170,
+  fpi: 189,     // stress immediately after transfer (ksi)
+  bonded: true, // false for unbonded post-tensioned tendons
+  db: 0.5,      // strand diameter (in), for §25.4.8 transfer and development
+  profile: 'straight', // 'harped': depth rises to endDepth between hold-downs and ends
+  endDepth: 10,  // depth at the member ends (in), harped only
+  holdDown: 10,  // hold-down points from each end (ft), harped only
+  debondLength: 0, // sheathed length at each end (ft), strand only
 };
 
 export default function BeamInputForm({ onCalculate }) {
   const [section, setSection] = useState(DEFAULT_SECTION);
   const [layers, setLayers] = useState([{ ...DEFAULT_LAYER, id: 1 }]);
   const [nextId, setNextId] = useState(2);
+  // User-defined steel grades (US units), saved with the project.
+  const [steelGrades, setSteelGrades] = useState([]);
+  const [projectError, setProjectError] = useState(null);
+  const grades = steelGradeList(steelGrades);
+  const findGrade = (id) => grades.find((p) => p.id === id);
+  const u = unitFormatter(section.units);
+  // Inputs accept any decimal in SI (converted values rarely sit on the US
+  // steps); min/max bounds are US values rescaled to the selected units.
+  const stepOf = (s) => (u.si ? 'any' : s);
+  const limit = (v, name) => Math.round(toDisplay(v, name, section.units));
+  // A US length default (in) in the selected units.
+  const len = (v) => Math.round(toDisplay(v, 'length', section.units));
 
   const handleSectionChange = (field, value) => {
     const updated = { ...section, [field]: value };
@@ -59,27 +182,27 @@ export default function BeamInputForm({ onCalculate }) {
         updated.bf = updated.bw;
         updated.hf = 0;
       } else if (value === 'tbeam') {
-        updated.hf = updated.hf || 6;
-        updated.bf = updated.bf || updated.bw + 12;
+        updated.hf = updated.hf || len(6);
+        updated.bf = updated.bf || parseFloat(updated.bw) + len(12);
       } else if (value === 'sandwich') {
-        updated.bt = updated.bt || 16;
-        updated.ht = updated.ht || 8;
-        updated.hg = updated.hg || 4;
-        updated.bb = updated.bb || 16;
-        updated.hb = updated.hb || 8;
-        updated.h = updated.ht + updated.hg + updated.hb;
+        updated.bt = updated.bt || len(16);
+        updated.ht = updated.ht || len(8);
+        updated.hg = updated.hg || len(4);
+        updated.bb = updated.bb || len(16);
+        updated.hb = updated.hb || len(8);
+        updated.h = parseFloat(updated.ht) + parseFloat(updated.hg) + parseFloat(updated.hb);
       } else if (value === 'doubletee') {
         // PCI standard double tee: 8DT24, 10DT24, 12DT28 etc.
-        updated.bf = updated.bf || 96;  // 8 ft typical
-        updated.hf = updated.hf || 2;   // 2" flange typical
-        updated.h = updated.h || 24;    // 24" depth typical
+        updated.bf = updated.bf || len(96);  // 8 ft typical
+        updated.hf = updated.hf || len(2);   // 2" flange typical
+        updated.h = updated.h || len(24);    // 24" depth typical
         updated.numStems = 2;
-        updated.stemWidth = updated.stemWidth || 5;  // ~5" average stem width
-        updated.stemSpacing = updated.stemSpacing || 40;
+        updated.stemWidth = updated.stemWidth || len(5);  // ~5" average stem width
+        updated.stemSpacing = updated.stemSpacing || len(40);
       } else if (value === 'hollowcore') {
         // PCI standard hollow core: typically 4 ft wide x 8-12" deep
-        updated.bf = updated.bf || 48;  // 4 ft typical
-        updated.h = updated.h || 8;     // 8" depth typical
+        updated.bf = updated.bf || len(48);  // 4 ft typical
+        updated.h = updated.h || len(8);     // 8" depth typical
         updated.bw = updated.bf;        // rectangular shape
         updated.hf = updated.h;
         updated.numVoids = updated.numVoids || 4;
@@ -87,6 +210,10 @@ export default function BeamInputForm({ onCalculate }) {
         updated.voidCenterDepth = updated.voidCenterDepth || updated.h / 2;
       }
     }
+    // A standard shape fixes the depth at its catalog value.
+    if (updated.sectionType === 'standard' && (field === 'sectionType' || field === 'shapeId')) {
+      updated.h = toDisplay(findStandardShape(updated.shapeId).h, 'length', updated.units);
+    }
     // Update total height for sandwich when individual heights change
     if (updated.sectionType === 'sandwich' && ['ht', 'hg', 'hb'].includes(field)) {
       updated.h = parseFloat(updated.ht) + parseFloat(updated.hg) + parseFloat(updated.hb);
@@ -104,11 +231,38 @@ export default function BeamInputForm({ onCalculate }) {
     setSection(updated);
   };
 
+  // Switch input units: rescale every numeric input so the design is unchanged.
+  const handleUnitsChange = (to) => {
+    const from = section.units;
+    if (to === from) return;
+    setSection((prev) => ({
+      ...convertFields(prev, SECTION_QUANTITIES, from, to),
+      units: to,
+      ringFc: (prev.ringFc || []).map((f) =>
+        convertFields({ f }, { f: 'stress' }, from, to).f),
+      pointLoads: convertTextColumns(prev.pointLoads, POINT_LOAD_COLUMNS, from, to),
+      concreteCurve: convertTextColumns(prev.concreteCurve, CURVE_COLUMNS, from, to),
+    }));
+    setLayers((prev) => prev.map((l) => convertFields(l, LAYER_QUANTITIES, from, to)));
+  };
+
+  // The form in US units, as the engine takes it.
+  const inUS = () => {
+    const exact = { round: false };
+    return {
+      ...convertFields(section, SECTION_QUANTITIES, section.units, 'US', exact),
+      ringFc: (section.ringFc || []).map((f) =>
+        convertFields({ f }, { f: 'stress' }, section.units, 'US', exact).f),
+      pointLoads: convertTextColumns(section.pointLoads, POINT_LOAD_COLUMNS, section.units, 'US', exact),
+      concreteCurve: convertTextColumns(section.concreteCurve, CURVE_COLUMNS, section.units, 'US', exact),
+    };
+  };
+
   // Receive geometry from the custom-section drawer. Normalize so the topmost
   // point sits at y = 0 (extreme compression fiber) and set total depth h.
   const handleCustomGeometry = (points, holes) => {
     if (!points || points.length < 3) {
-      setSection((prev) => ({ ...prev, points: [], holes: [], h: prev.h }));
+      setSection((prev) => ({ ...prev, points: [], holes: [], ringFc: [], h: prev.h }));
       return;
     }
     const allY = points.map((p) => p.y).concat(...holes.map((h) => h.map((p) => p.y)));
@@ -119,12 +273,13 @@ export default function BeamInputForm({ onCalculate }) {
       ...prev,
       points: shift(points),
       holes: holes.map(shift),
-      h: maxY - minY,
+      h: toDisplay(maxY - minY, 'length', prev.units),
     }));
   };
 
   // Receive geometry from the DXF importer. It arrives already normalized to the
-  // engine convention (inches, y down, top fiber at y = 0), so store it as-is.
+  // engine convention (inches, y down, top fiber at y = 0), so store it as-is;
+  // only h and the seeded layer locations are form inputs in the selected units.
   //
   // Reinforcement "nodes" (DXF POINT entities) trigger biaxial mode and seed one
   // steel layer per node, positioned to match it. Clearing the import (no
@@ -138,7 +293,8 @@ export default function BeamInputForm({ onCalculate }) {
       ...prev,
       points: hasGeom ? points : [],
       holes: holes || [],
-      h: hasGeom ? h : prev.h,
+      ringFc: [],
+      h: hasGeom ? toDisplay(h, 'length', prev.units) : prev.h,
       bendingMode:
         importedNodes.length > 0
           ? 'biaxial'
@@ -154,15 +310,15 @@ export default function BeamInputForm({ onCalculate }) {
       // so the user can adjust per their design.
       setLayers(
         importedNodes.map((n, i) => ({
-          ...DEFAULT_LAYER,
+          ...convertFields(DEFAULT_LAYER, LAYER_QUANTITIES, 'US', section.units),
           id: i + 1,
-          x: String(+n.x.toFixed(4)),
-          depth: String(+n.depth.toFixed(4)),
+          x: String(+toDisplay(n.x, 'length', section.units).toFixed(4)),
+          depth: String(+toDisplay(n.depth, 'length', section.units).toFixed(4)),
         }))
       );
       setNextId(importedNodes.length + 1);
     } else if (!hasGeom) {
-      setLayers([{ ...DEFAULT_LAYER, id: 1 }]);
+      setLayers([{ ...defaultLayer(), id: 1 }]);
       setNextId(2);
     }
   };
@@ -173,9 +329,10 @@ export default function BeamInputForm({ onCalculate }) {
         if (l.id !== id) return l;
         const updated = { ...l, [field]: value };
         if (field === 'steelPresetId') {
-          const preset = steelPresets.find((p) => p.id === value);
+          const preset = findGrade(value);
           if (preset) {
-            updated.fse = preset.defaultFse;
+            Object.assign(updated, convertFields(
+              { fse: preset.defaultFse, fpi: preset.defaultFpi }, LAYER_QUANTITIES, 'US', section.units));
           }
         }
         return updated;
@@ -184,86 +341,315 @@ export default function BeamInputForm({ onCalculate }) {
   };
 
   const addLayer = () => {
-    setLayers((prev) => [...prev, { ...DEFAULT_LAYER, id: nextId }]);
+    setLayers((prev) => [...prev, { ...defaultLayer(), id: nextId }]);
     setNextId((n) => n + 1);
   };
 
+  // A new layer's defaults in the selected units.
+  const defaultLayer = () => convertFields(DEFAULT_LAYER, LAYER_QUANTITIES, 'US', section.units);
+
   const removeLayer = (id) => {
     setLayers((prev) => prev.filter((l) => l.id !== id));
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
+  // Region strengths aligned with [outer, ...holes]; undefined when none set.
+  const parseRingFc = (us) => {
+    const rings = 1 + (us.holes?.length || 0);
+    const tags = Array.from({ length: rings }, (_, i) => {
+      const f = parseFloat(us.ringFc?.[i]);
+      return f > 0 ? f : null;
+    });
+    return tags.some((f) => f != null) ? tags : undefined;
+  };
+
+  const handleRingFcChange = (i, value) => {
+    setSection((prev) => {
+      const ringFc = [...(prev.ringFc || [])];
+      ringFc[i] = value;
+      return { ...prev, ringFc };
+    });
+  };
 
+  // Parse the form into an analysis section: { section } or { error } when a
+  // polygon section has no closed outer shape yet.
+  const buildSection = () => {
+    const us = inUS();
     // Polygon sections (drawn "custom" or DXF-imported): pass geometry straight through.
-    if (section.sectionType === 'custom' || section.sectionType === 'dxf') {
-      if (!section.points || section.points.length < 3) {
-        const msg = section.sectionType === 'dxf'
-          ? 'Import a DXF with a closed outer polyline before calculating.'
-          : 'Draw and close the outer shape (at least 3 nodes) before calculating.';
-        onCalculate(null, [], msg);
-        return;
+    if (us.sectionType === 'custom' || us.sectionType === 'dxf') {
+      if (!us.points || us.points.length < 3) {
+        return {
+          error: us.sectionType === 'dxf'
+            ? 'Import a DXF with a closed outer polyline before calculating.'
+            : 'Draw and close the outer shape (at least 3 nodes) before calculating.',
+        };
       }
-      const finalSection = {
-        sectionType: section.sectionType,
-        points: section.points,
-        holes: section.holes || [],
-        h: parseFloat(section.h),
-        fc: parseFloat(section.fc),
-        ...biaxialFields(),
+      return {
+        section: withTopping(us, {
+          sectionType: us.sectionType,
+          points: us.points,
+          holes: us.holes || [],
+          ringFc: parseRingFc(us),
+          h: parseFloat(us.h),
+          fc: parseFloat(us.fc),
+          ...sharedFields(us),
+        }),
       };
-      onCalculate(finalSection, buildLayers());
-      return;
     }
 
-    const finalSection = {
-      ...section,
-      bf: section.sectionType === 'rectangular' ? section.bw : parseFloat(section.bf),
-      bw: section.sectionType === 'hollowcore' || section.sectionType === 'doubletee' ? parseFloat(section.bf) : parseFloat(section.bw),
-      hf: section.sectionType === 'rectangular' ? parseFloat(section.h) : parseFloat(section.hf),
-      h: parseFloat(section.h),
-      fc: parseFloat(section.fc),
-      // Sandwich parameters
-      bt: parseFloat(section.bt),
-      ht: parseFloat(section.ht),
-      hg: parseFloat(section.hg),
-      bb: parseFloat(section.bb),
-      hb: parseFloat(section.hb),
-      // Double tee parameters
-      numStems: parseInt(section.numStems) || 2,
-      stemWidth: parseFloat(section.stemWidth) || 5,
-      stemSpacing: parseFloat(section.stemSpacing) || 40,
-      // Hollow core parameters
-      numVoids: parseInt(section.numVoids) || 0,
-      voidDiameter: parseFloat(section.voidDiameter) || 0,
-      voidCenterDepth: parseFloat(section.voidCenterDepth) || parseFloat(section.h) / 2,
-      ...biaxialFields(),
+    // Standard shapes: the catalog polygon, in inches like a drawn section.
+    if (us.sectionType === 'standard') {
+      const shape = findStandardShape(us.shapeId);
+      return {
+        section: withTopping(us, {
+          sectionType: 'standard',
+          shapeId: shape.id,
+          points: shape.points,
+          holes: shape.holes,
+          h: shape.h,
+          fc: parseFloat(us.fc),
+          ...sharedFields(us),
+        }),
+      };
+    }
+
+    return {
+      section: withTopping(us, {
+        ...us,
+        bf: us.sectionType === 'rectangular' ? us.bw : parseFloat(us.bf),
+        bw: us.sectionType === 'hollowcore' || us.sectionType === 'doubletee' ? parseFloat(us.bf) : parseFloat(us.bw),
+        hf: us.sectionType === 'rectangular' ? parseFloat(us.h) : parseFloat(us.hf),
+        h: parseFloat(us.h),
+        fc: parseFloat(us.fc),
+        // Sandwich parameters
+        bt: parseFloat(us.bt),
+        ht: parseFloat(us.ht),
+        hg: parseFloat(us.hg),
+        bb: parseFloat(us.bb),
+        hb: parseFloat(us.hb),
+        // Double tee parameters
+        numStems: parseInt(us.numStems) || 2,
+        stemWidth: parseFloat(us.stemWidth) || 5,
+        stemSpacing: parseFloat(us.stemSpacing) || 40,
+        // Hollow core parameters
+        numVoids: parseInt(us.numVoids) || 0,
+        voidDiameter: parseFloat(us.voidDiameter) || 0,
+        voidCenterDepth: parseFloat(us.voidCenterDepth) || parseFloat(us.h) / 2,
+        ...sharedFields(us),
+      }),
     };
+  };
+
+  // Composite topping thickness (in), 0 when the section is not composite.
+  // The analysis section grows by it and every depth is measured from its top.
+  const toppingOffset = (us) =>
+    us.bendingMode === 'uniaxial' && us.composite ? parseFloat(us.toppingThickness) || 0 : 0;
+
+  const withTopping = (us, sec) => {
+    const ht = toppingOffset(us);
+    if (!(ht > 0)) return sec;
+    return {
+      ...sec,
+      h: sec.h + ht,
+      topping: { bt: parseFloat(us.toppingWidth) || 0, ht, fc: parseFloat(us.toppingFc) || 0 },
+      Mnc: parseFloat(us.Mnc) || 0,
+    };
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { section: finalSection, error } = buildSection();
+    if (error) {
+      onCalculate(null, [], error);
+      return;
+    }
     onCalculate(finalSection, buildLayers());
   };
 
+  // Run the loss estimate on the current inputs and write the resulting fse
+  // and fpi into the prestressing layers, in the selected units. Throws on
+  // incomplete geometry.
+  const applyLosses = (opts) => {
+    const { section: finalSection, error } = buildSection();
+    if (error) throw new Error(error);
+    const result = prestressLosses(finalSection, buildLayers(), opts);
+    const round = (v) => Math.round(v * 10) / 10;
+    setLayers((prev) =>
+      prev.map((l, i) => {
+        const r = result.layers[i];
+        if (!r) return l;
+        const stresses = convertFields({ fse: r.fse, fpi: r.fpi }, LAYER_QUANTITIES, 'US', section.units, { round: false });
+        return { ...l, fse: round(stresses.fse), fpi: round(stresses.fpi) };
+      })
+    );
+    return result;
+  };
+
+  // Replace the steel layers with a strand pattern on the grid: one layer per
+  // row, or one per strand in biaxial mode so each keeps its own x.
+  const applyPattern = ({ steelPresetId, db, area, ...opts }) => {
+    const { section: finalSection, error } = buildSection();
+    if (error) throw new Error(error);
+    const pattern = strandPattern(finalSection, opts);
+    if (!pattern.placed) throw new Error('No strands fit inside the section with the covers given.');
+    const preset = findGrade(steelPresetId);
+    const strand = { ...DEFAULT_LAYER, steelPresetId, area, db, fse: preset.defaultFse, fpi: preset.defaultFpi };
+    const generated = patternLayers(pattern, strand, { individual: finalSection.bendingMode === 'biaxial' });
+    setLayers(toFormLayers(generated));
+    setNextId(generated.length + 1);
+    return pattern;
+  };
+
+  // Design mode: the least strand count for Mu, keeping the mild-steel layers.
+  const runDesign = ({ steelPresetId, db, area, fse, depth, tensionControlled }) => {
+    const { section: finalSection, error } = buildSection();
+    if (error) throw new Error(error);
+    const preset = findGrade(steelPresetId);
+    const strand = { ...DEFAULT_LAYER, steelPresetId, area, db, fse, fpi: preset.defaultFpi, steel: preset };
+    return designPrestress(finalSection, {
+      strand,
+      depth: depth == null ? null : depth + toppingOffset(inUS()),
+      tensionControlled,
+      baseLayers: buildLayers().filter((l) => l.steel.category === 'mild'),
+    });
+  };
+
+  const applyDesign = (candidate) => {
+    const mild = layers.filter((l) => findGrade(l.steelPresetId)?.category === 'mild');
+    const next = [...mild, ...toFormLayers(candidate.layers)].map((l, i) => ({ ...l, id: i + 1 }));
+    setLayers(next);
+    setNextId(next.length + 1);
+  };
+
+  // Add a custom steel grade, or replace the one with its id; layers that use
+  // it take the new properties on the next run.
+  const saveGrade = (fields) => {
+    const grade = customSteelGrade(fields, grades);
+    setSteelGrades((prev) => (prev.some((g) => g.id === grade.id)
+      ? prev.map((g) => (g.id === grade.id ? grade : g))
+      : [...prev, grade]));
+    return grade;
+  };
+
+  const deleteGrade = (id) => {
+    const i = layers.findIndex((l) => l.steelPresetId === id);
+    if (i >= 0) {
+      throw new Error(`Layer ${i + 1} uses ${findGrade(id).name}; choose another steel type for it first.`);
+    }
+    setSteelGrades((prev) => prev.filter((g) => g.id !== id));
+  };
+
+  // Save the form inputs and custom grades as a project file.
+  const handleSaveProject = () => {
+    const blob = new Blob([serializeProject({ section, layers, steelGrades })], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'beam-project.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleOpenProject = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const project = parseProject(String(reader.result));
+        setSection({ ...DEFAULT_SECTION, ...project.section });
+        setLayers(project.layers.map((l, i) => ({ ...DEFAULT_LAYER, ...l, id: i + 1 })));
+        setNextId(project.layers.length + 1);
+        setSteelGrades(project.steelGrades);
+        setProjectError(null);
+      } catch (err) {
+        setProjectError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Engine layers (US, depths from the top of any topping) back to form
+  // layers numbered from 1; the form keeps depths from the top of the precast.
+  const toFormLayers = (engineLayers) => {
+    const ht = toppingOffset(inUS());
+    return engineLayers.map((l, i) => {
+      const layer = convertFields(
+        { ...l, depth: l.depth - ht, ...(l.endDepth != null && { endDepth: l.endDepth - ht }) },
+        LAYER_QUANTITIES, 'US', section.units);
+      delete layer.count;
+      delete layer.steel;
+      return { ...layer, id: i + 1 };
+    });
+  };
+
   // Shared helpers for both section paths.
-  const biaxialFields = () => ({
-    bendingMode: section.bendingMode || 'uniaxial',
-    lambda: parseFloat(section.lambda) || 1,
-    Mu: parseFloat(section.Mu) || 0,
-    Mux: parseFloat(section.Mux) || 0,
-    Muy: parseFloat(section.Muy) || 0,
-    MxService: parseFloat(section.MxService) || 0,
-    MyService: parseFloat(section.MyService) || 0,
+  const sharedFields = (us) => ({
+    units: us.units,
+    bendingMode: us.bendingMode || 'uniaxial',
+    momentSign: us.bendingMode === 'uniaxial' ? us.momentSign || 'sagging' : 'sagging',
+    code: us.bendingMode === 'biaxial' ? 'aci318' : us.code || 'aci318',
+    lambda: parseFloat(us.lambda) || 1,
+    Mu: parseFloat(us.Mu) || 0,
+    Pu: us.bendingMode === 'axial' ? parseFloat(us.Pu) || 0 : 0,
+    confinement: us.confinement || 'tied',
+    span: parseFloat(us.span) || 0,
+    supports: us.bendingMode === 'biaxial' ? 'none' : us.supports || 'none',
+    wD: parseFloat(us.wD) || 0,
+    wL: parseFloat(us.wL) || 0,
+    // Blank leaves wc unset so the engines take their 150 pcf default.
+    wc: Number.isFinite(parseFloat(us.wc)) ? parseFloat(us.wc) : undefined,
+    pointLoads: parsePointLoads(us.pointLoads),
+    liveLimit: parseFloat(us.liveLimit) || 360,
+    distFromEnd: us.bendingMode === 'biaxial' || us.distFromEnd === ''
+      || !Number.isFinite(parseFloat(us.distFromEnd)) ? null : parseFloat(us.distFromEnd),
+    concreteModel: us.bendingMode === 'biaxial' ? 'none' : us.concreteModel || 'none',
+    concreteCurve: parseCurve(us.concreteCurve),
+    fci: parseFloat(us.fci) || 0,
+    stressLocation: us.stressLocation || 'midspan',
+    Mself: parseFloat(us.Mself) || 0,
+    Msustained: parseFloat(us.Msustained) || 0,
+    Mservice: parseFloat(us.Mservice) || 0,
+    Vu: parseFloat(us.Vu) || 0,
+    MuV: parseFloat(us.MuV) || 0,
+    Vd: parseFloat(us.Vd) || 0,
+    Md: parseFloat(us.Md) || 0,
+    Av: parseFloat(us.Av) || 0,
+    fyt: parseFloat(us.fyt) || 60,
+    Mux: parseFloat(us.Mux) || 0,
+    Muy: parseFloat(us.Muy) || 0,
+    MxService: parseFloat(us.MxService) || 0,
+    MyService: parseFloat(us.MyService) || 0,
   });
-  const buildLayers = () =>
-    layers.map((l) => {
-      const preset = steelPresets.find((p) => p.id === l.steelPresetId);
+  const buildLayers = () => {
+    const ht = toppingOffset(inUS());
+    return layers.map((layer) => {
+      const l = convertFields(layer, LAYER_QUANTITIES, section.units, 'US', { round: false });
+      const preset = findGrade(l.steelPresetId);
       return {
         area: parseFloat(l.area),
-        depth: parseFloat(l.depth),
+        depth: parseFloat(l.depth) + ht,
         x: parseFloat(l.x) || 0,
         fse: parseFloat(l.fse) || 0,
+        fpi: preset.category === 'mild' ? 0 : parseFloat(l.fpi) || 0,
+        bonded: preset.category === 'mild' || l.bonded !== false,
+        db: parseFloat(l.db) || 0.5,
+        ...(preset.category !== 'mild' && l.profile === 'harped' && {
+          profile: 'harped',
+          endDepth: parseFloat(l.endDepth) + ht,
+          holdDown: parseFloat(l.holdDown),
+        }),
+        debondLength: preset.strand && l.bonded !== false ? parseFloat(l.debondLength) || 0 : 0,
         steel: preset,
         name: preset.name,
       };
     });
+  };
+
+  // Profiles only matter where the section is located along the span.
+  const showProfiles = section.bendingMode !== 'biaxial'
+    && (section.supports !== 'none' || section.distFromEnd !== '');
+
+  const hasUnbonded = layers.some((l) => l.bonded === false
+    && findGrade(l.steelPresetId)?.category !== 'mild');
 
   return (
     <form onSubmit={handleSubmit} className="input-form">
@@ -291,10 +677,19 @@ export default function BeamInputForm({ onCalculate }) {
               <option value="sandwich">Sandwich</option>
               <option value="doubletee">Double Tee (PCI)</option>
               <option value="hollowcore">Hollow Core (PCI)</option>
+              <option value="standard">Standard Shape (PCI/AASHTO)</option>
               <option value="custom">Custom (Draw)</option>
               <option value="dxf">Custom (DXF Import)</option>
             </select>
           </label>
+          <label>
+            <span className="label-text">Units</span>
+            <select value={section.units} onChange={(e) => handleUnitsChange(e.target.value)}>
+              {UNIT_SYSTEMS.map((system) => (
+                <option key={system.id} value={system.id}>{system.name}</option>
+              ))}
+            </select>
+          </label>
         </div>
 
         <div className="form-row">
@@ -305,11 +700,45 @@ export default function BeamInputForm({ onCalculate }) {
               onChange={(e) => handleSectionChange('bendingMode', e.target.value)}
             >
               <option value="uniaxial">Uniaxial (about x)</option>
+              <option value="axial">Uniaxial + axial load (P–M)</option>
               <option value="biaxial">Biaxial (Mx &amp; My)</option>
             </select>
           </label>
+          {section.bendingMode !== 'biaxial' && (
+            <label>
+              <span className="label-text">Design Code</span>
+              <select
+                value={section.code}
+                onChange={(e) => handleSectionChange('code', e.target.value)}
+              >
+                {Object.values(CODE_PROVISIONS).map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
 
+        {section.bendingMode === 'uniaxial' && (
+          <div className="form-row">
+            <label>
+              <span className="label-text">Moment</span>
+              <select
+                value={section.momentSign}
+                onChange={(e) => handleSectionChange('momentSign', e.target.value)}
+              >
+                <option value="sagging">Sagging (+M, compression at top)</option>
+                <option value="hogging">Hogging (−M, compression at bottom)</option>
+              </select>
+              {section.momentSign === 'hogging' && (
+                <span className="field-note">
+                  Layer depths stay measured from the top; c, a and d in the results are from the bottom fiber
+                </span>
+              )}
+            </label>
+          </div>
+        )}
+
         {section.bendingMode === 'biaxial' && (
           <div className="biaxial-note">
             Biaxial mode builds the full φMx–φMy interaction envelope. Specify each
@@ -319,28 +748,61 @@ export default function BeamInputForm({ onCalculate }) {
           </div>
         )}
 
+        {section.bendingMode === 'axial' && (
+          <div className="biaxial-note">
+            Axial mode traces the full P–M interaction curve (pure compression, balanced
+            point, pure flexure, tension) and checks the factored demand (P<sub>u</sub>,
+            M<sub>u</sub>). Axial load is compression positive; moments are about the
+            gross-section centroid.
+          </div>
+        )}
+
         {section.sectionType === 'custom' && (
           <>
             <SectionDrawer value={section} onChange={handleCustomGeometry} />
             <div className="form-row">
               <label className="computed">
-                <span className="label-text">Total Depth, h (in)</span>
+                <span className="label-text">Total Depth, h ({u.label('length')})</span>
                 <span className="computed-value">
-                  {section.points?.length >= 3 ? section.h.toFixed(2) : '—'}
+                  {section.points?.length >= 3 ? section.h.toFixed(u.si ? 0 : 2) : '—'}
                 </span>
               </label>
             </div>
           </>
         )}
 
+        {section.sectionType === 'standard' && (
+          <div className="form-row">
+            <label>
+              <span className="label-text">Standard Shape</span>
+              <select
+                value={section.shapeId}
+                onChange={(e) => handleSectionChange('shapeId', e.target.value)}
+              >
+                {STANDARD_SHAPE_FAMILIES.map((family) => (
+                  <optgroup key={family} label={family}>
+                    {standardShapes.filter((s) => s.family === family).map((s) => (
+                      <option key={s.id} value={s.id}>{s.name}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </label>
+            <label className="computed">
+              <span className="label-text">Total Depth, h ({u.label('length')})</span>
+              <span className="computed-value">{u.num(findStandardShape(section.shapeId).h, 'length')}</span>
+            </label>
+          </div>
+        )}
+
         {section.sectionType === 'dxf' && (
           <>
             <DxfImporter value={section} onChange={handleDxfGeometry} />
             <div className="form-row">
               <label className="computed">
-                <span className="label-text">Total Depth, h (in)</span>
+                <span className="label-text">Total Depth, h ({u.label('length')})</span>
                 <span className="computed-value">
-                  {section.points?.length >= 3 ? section.h.toFixed(2) : '—'}
+                  {section.points?.length >= 3 ? section.h.toFixed(u.si ? 0 : 2) : '—'}
                 </span>
               </label>
             </div>
@@ -350,10 +812,10 @@ export default function BeamInputForm({ onCalculate }) {
         <div className="form-row">
           {section.sectionType === 'tbeam' && (
             <label>
-              <span className="label-text">Flange Width, b<sub>f</sub> (in)</span>
+              <span className="label-text">Flange Width, b<sub>f</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0.1"
                 value={section.bf}
                 onChange={(e) => handleSectionChange('bf', e.target.value)}
@@ -362,11 +824,11 @@ export default function BeamInputForm({ onCalculate }) {
           )}
           {section.sectionType === 'doubletee' && (
             <label>
-              <span className="label-text">Total Width, b<sub>f</sub> (in)</span>
+              <span className="label-text">Total Width, b<sub>f</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="1"
-                min="48"
+                step={stepOf('1')}
+                min={limit(48, 'length')}
                 value={section.bf}
                 onChange={(e) => handleSectionChange('bf', e.target.value)}
               />
@@ -374,22 +836,22 @@ export default function BeamInputForm({ onCalculate }) {
           )}
           {section.sectionType === 'hollowcore' && (
             <label>
-              <span className="label-text">Slab Width (in)</span>
+              <span className="label-text">Slab Width ({u.label('length')})</span>
               <input
                 type="number"
-                step="1"
-                min="12"
+                step={stepOf('1')}
+                min={limit(12, 'length')}
                 value={section.bf}
                 onChange={(e) => handleSectionChange('bf', e.target.value)}
               />
             </label>
           )}
-          {section.sectionType !== 'sandwich' && section.sectionType !== 'doubletee' && section.sectionType !== 'hollowcore' && section.sectionType !== 'custom' && section.sectionType !== 'dxf' && (
+          {section.sectionType !== 'sandwich' && section.sectionType !== 'doubletee' && section.sectionType !== 'hollowcore' && section.sectionType !== 'custom' && section.sectionType !== 'dxf' && section.sectionType !== 'standard' && (
             <label>
-              <span className="label-text">{section.sectionType === 'tbeam' ? 'Web' : 'Beam'} Width, b<sub>w</sub> (in)</span>
+              <span className="label-text">{section.sectionType === 'tbeam' ? 'Web' : 'Beam'} Width, b<sub>w</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0.1"
                 value={section.bw}
                 onChange={(e) => handleSectionChange('bw', parseFloat(e.target.value))}
@@ -398,10 +860,10 @@ export default function BeamInputForm({ onCalculate }) {
           )}
           {section.sectionType === 'tbeam' && (
             <label>
-              <span className="label-text">Flange Depth, h<sub>f</sub> (in)</span>
+              <span className="label-text">Flange Depth, h<sub>f</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0"
                 value={section.hf}
                 onChange={(e) => handleSectionChange('hf', e.target.value)}
@@ -411,23 +873,23 @@ export default function BeamInputForm({ onCalculate }) {
           {section.sectionType === 'doubletee' && (
             <>
               <label>
-                <span className="label-text">Flange Thickness (in)</span>
+                <span className="label-text">Flange Thickness ({u.label('length')})</span>
                 <input
                   type="number"
-                  step="0.1"
-                  min="1"
-                  max="6"
+                  step={stepOf('0.1')}
+                  min={limit(1, 'length')}
+                  max={limit(6, 'length')}
                   value={section.hf}
                   onChange={(e) => handleSectionChange('hf', e.target.value)}
                 />
               </label>
               <label>
-                <span className="label-text">Stem Width (in)</span>
+                <span className="label-text">Stem Width ({u.label('length')})</span>
                 <input
                   type="number"
-                  step="0.1"
-                  min="3"
-                  max="10"
+                  step={stepOf('0.1')}
+                  min={limit(3, 'length')}
+                  max={limit(10, 'length')}
                   value={section.stemWidth}
                   onChange={(e) => handleSectionChange('stemWidth', e.target.value)}
                 />
@@ -437,20 +899,20 @@ export default function BeamInputForm({ onCalculate }) {
           {section.sectionType === 'sandwich' && (
             <>
               <label>
-                <span className="label-text">Top Width, b<sub>t</sub> (in)</span>
+                <span className="label-text">Top Width, b<sub>t</sub> ({u.label('length')})</span>
                 <input
                   type="number"
-                  step="0.1"
+                  step={stepOf('0.1')}
                   min="0.1"
                   value={section.bt}
                   onChange={(e) => handleSectionChange('bt', e.target.value)}
                 />
               </label>
               <label>
-                <span className="label-text">Top Height, h<sub>t</sub> (in)</span>
+                <span className="label-text">Top Height, h<sub>t</sub> ({u.label('length')})</span>
                 <input
                   type="number"
-                  step="0.1"
+                  step={stepOf('0.1')}
                   min="0.1"
                   value={section.ht}
                   onChange={(e) => handleSectionChange('ht', e.target.value)}
@@ -458,12 +920,12 @@ export default function BeamInputForm({ onCalculate }) {
               </label>
             </>
           )}
-          {section.sectionType !== 'sandwich' && section.sectionType !== 'hollowcore' && section.sectionType !== 'custom' && section.sectionType !== 'dxf' && (
+          {section.sectionType !== 'sandwich' && section.sectionType !== 'hollowcore' && section.sectionType !== 'custom' && section.sectionType !== 'dxf' && section.sectionType !== 'standard' && (
             <label>
-              <span className="label-text">Total Depth, h (in)</span>
+              <span className="label-text">Total Depth, h ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0.1"
                 value={section.h}
                 onChange={(e) => handleSectionChange('h', e.target.value)}
@@ -473,12 +935,12 @@ export default function BeamInputForm({ onCalculate }) {
           {section.sectionType === 'hollowcore' && (
             <>
               <label>
-                <span className="label-text">Slab Depth (in)</span>
+                <span className="label-text">Slab Depth ({u.label('length')})</span>
                 <input
                   type="number"
-                  step="1"
-                  min="6"
-                  max="16"
+                  step={stepOf('1')}
+                  min={limit(6, 'length')}
+                  max={limit(16, 'length')}
                   value={section.h}
                   onChange={(e) => handleSectionChange('h', e.target.value)}
                 />
@@ -487,18 +949,18 @@ export default function BeamInputForm({ onCalculate }) {
                 <span className="label-text">Number of Voids</span>
                 <input
                   type="number"
-                  step="1"
-                  min="1"
-                  max="10"
+                  step={stepOf('1')}
+                  min={limit(1, 'length')}
+                  max={limit(10, 'length')}
                   value={section.numVoids}
                   onChange={(e) => handleSectionChange('numVoids', e.target.value)}
                 />
               </label>
               <label>
-                <span className="label-text">Void Diameter (in)</span>
+                <span className="label-text">Void Diameter ({u.label('length')})</span>
                 <input
                   type="number"
-                  step="0.1"
+                  step={stepOf('0.1')}
                   min="0.1"
                   value={section.voidDiameter}
                   onChange={(e) => handleSectionChange('voidDiameter', e.target.value)}
@@ -511,37 +973,37 @@ export default function BeamInputForm({ onCalculate }) {
         {section.sectionType === 'sandwich' && (
           <div className="form-row">
             <label>
-              <span className="label-text">Gap Height, h<sub>g</sub> (in)</span>
+              <span className="label-text">Gap Height, h<sub>g</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0.1"
                 value={section.hg}
                 onChange={(e) => handleSectionChange('hg', e.target.value)}
               />
             </label>
             <label>
-              <span className="label-text">Bottom Width, b<sub>b</sub> (in)</span>
+              <span className="label-text">Bottom Width, b<sub>b</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0.1"
                 value={section.bb}
                 onChange={(e) => handleSectionChange('bb', e.target.value)}
               />
             </label>
             <label>
-              <span className="label-text">Bottom Height, h<sub>b</sub> (in)</span>
+              <span className="label-text">Bottom Height, h<sub>b</sub> ({u.label('length')})</span>
               <input
                 type="number"
-                step="0.1"
+                step={stepOf('0.1')}
                 min="0.1"
                 value={section.hb}
                 onChange={(e) => handleSectionChange('hb', e.target.value)}
               />
             </label>
             <label className="computed">
-              <span className="label-text">Total Depth, h (in)</span>
+              <span className="label-text">Total Depth, h ({u.label('length')})</span>
               <span className="computed-value">
                 {section.h.toFixed(1)}
               </span>
@@ -551,12 +1013,12 @@ export default function BeamInputForm({ onCalculate }) {
 
         <div className="form-row">
           <label>
-            <span className="label-text">f&#x2032;<sub>c</sub> (ksi)</span>
+            <span className="label-text">f&#x2032;<sub>c</sub> ({u.label('stress')})</span>
             <input
               type="number"
-              step="0.5"
-              min="2"
-              max="16"
+              step={stepOf('0.5')}
+              min={limit(2, 'stress')}
+              max={limit(16, 'stress')}
               value={section.fc}
               onChange={(e) => handleSectionChange('fc', e.target.value)}
             />
@@ -564,15 +1026,67 @@ export default function BeamInputForm({ onCalculate }) {
           <label className="computed">
             <span className="label-text">&beta;<sub>1</sub></span>
             <span className="computed-value">
-              {section.fc <= 4
-                ? '0.850'
-                : section.fc >= 8
-                ? '0.650'
-                : (0.85 - 0.05 * (section.fc - 4)).toFixed(3)}
+              {(() => {
+                const fcKsi = fromDisplay(section.fc, 'stress', section.units);
+                return fcKsi <= 4 ? '0.850' : fcKsi >= 8 ? '0.650' : (0.85 - 0.05 * (fcKsi - 4)).toFixed(3);
+              })()}
             </span>
           </label>
         </div>
 
+        {(section.sectionType === 'custom' || section.sectionType === 'dxf') && section.points?.length >= 3 && (
+          <div className="form-row">
+            {[null, ...(section.holes || [])].map((_, i) => (
+              <label key={i}>
+                <span className="label-text">
+                  {i === 0 ? 'Outer' : `Hole ${i}`} f&#x2032;<sub>c</sub> ({u.label('stress')})
+                </span>
+                <input
+                  type="number"
+                  step={stepOf('0.5')}
+                  min={limit(2, 'stress')}
+                  max={limit(16, 'stress')}
+                  placeholder={i === 0 ? String(section.fc) : 'void'}
+                  value={section.ringFc?.[i] ?? ''}
+                  onChange={(e) => handleRingFcChange(i, e.target.value)}
+                />
+                <span className="field-note">
+                  {i === 0 ? 'Blank uses f\u2032c above' : 'Blank leaves a void; a value fills the hole'}
+                </span>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {section.bendingMode !== 'biaxial' && (
+          <div className="form-row">
+            <label>
+              <span className="label-text">Fiber Check (concrete curve)</span>
+              <select
+                value={section.concreteModel}
+                onChange={(e) => handleSectionChange('concreteModel', e.target.value)}
+              >
+                <option value="none">None (Whitney block only)</option>
+                {CONCRETE_MODELS.map((m) => (
+                  <option key={m.id} value={m.id}>{m.name}</option>
+                ))}
+              </select>
+              <span className="field-note">Reports fiber-section M<sub>n</sub> next to the Whitney result</span>
+            </label>
+            {section.concreteModel === 'custom' && (
+              <label className="curve-input">
+                <span className="label-text">Strain, stress ({u.label('stress')}) — one point per line</span>
+                <textarea
+                  rows={5}
+                  value={section.concreteCurve}
+                  onChange={(e) => handleSectionChange('concreteCurve', e.target.value)}
+                />
+                <span className="field-note">Compression positive; the curve starts at the origin</span>
+              </label>
+            )}
+          </div>
+        )}
+
         <div className="form-row">
           <label>
             <span className="label-text">Concrete Weight (&lambda;)</span>
@@ -587,10 +1101,10 @@ export default function BeamInputForm({ onCalculate }) {
           </label>
           {section.bendingMode !== 'biaxial' && (
             <label>
-              <span className="label-text">M<sub>u</sub> (factored, kip-ft)</span>
+              <span className="label-text">M<sub>u</sub> (factored, {u.label('moment')})</span>
               <input
                 type="number"
-                step="1"
+                step={stepOf('1')}
                 min="0"
                 value={section.Mu}
                 onChange={(e) => handleSectionChange('Mu', e.target.value)}
@@ -599,8 +1113,94 @@ export default function BeamInputForm({ onCalculate }) {
             </label>
           )}
         </div>
+
+        {section.bendingMode === 'axial' && (
+          <div className="form-row">
+            <label>
+              <span className="label-text">P<sub>u</sub> (factored axial, {u.label('force')})</span>
+              <input
+                type="number"
+                step={stepOf('1')}
+                value={section.Pu}
+                onChange={(e) => handleSectionChange('Pu', e.target.value)}
+              />
+              <span className="field-note">Compression positive, tension negative</span>
+            </label>
+            <label>
+              <span className="label-text">Transverse Reinforcement</span>
+              <select
+                value={section.confinement}
+                onChange={(e) => handleSectionChange('confinement', e.target.value)}
+              >
+                <option value="tied">Ties (&#x03D5; = 0.65, 0.80 Po)</option>
+                <option value="spiral">Spiral (&#x03D5; = 0.75, 0.85 Po)</option>
+              </select>
+            </label>
+          </div>
+        )}
       </div>
 
+      {/* ── Composite Topping ── */}
+      {section.bendingMode === 'uniaxial' && (
+        <div className="form-section">
+          <h3>
+            <span className="section-icon">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <rect x="1" y="2" width="12" height="3" rx="0.5" fill="currentColor" opacity="0.5"/>
+                <rect x="4" y="5" width="6" height="7" rx="0.5" stroke="currentColor" strokeWidth="1.3"/>
+              </svg>
+            </span>
+            Composite Topping
+          </h3>
+          <div className="form-row">
+            <label>
+              <span className="label-text">Cast-in-Place Topping</span>
+              <select
+                value={section.composite ? 'yes' : 'no'}
+                onChange={(e) => handleSectionChange('composite', e.target.value === 'yes')}
+              >
+                <option value="no">None (precast alone)</option>
+                <option value="yes">Composite topping slab</option>
+              </select>
+            </label>
+          </div>
+          {section.composite && (
+            <>
+              <div className="layers-info">
+                The stress block takes 0.85f&prime;<sub>c</sub> of whichever concrete it lies in; elastic properties
+                transform the topping by E<sub>ct</sub>/E<sub>c</sub>. Prestress and M<sub>nc</sub> act on the precast
+                alone. Steel depths above stay measured from the top of the precast.
+              </div>
+              <div className="form-row">
+                <label>
+                  <span className="label-text">Topping Width ({u.label('length')})</span>
+                  <input type="number" step="any" min="0.01" value={section.toppingWidth}
+                    onChange={(e) => handleSectionChange('toppingWidth', e.target.value)} />
+                </label>
+                <label>
+                  <span className="label-text">Topping Thickness ({u.label('length')})</span>
+                  <input type="number" step="any" min="0.01" value={section.toppingThickness}
+                    onChange={(e) => handleSectionChange('toppingThickness', e.target.value)} />
+                </label>
+                <label>
+                  <span className="label-text">Topping f&#x2032;<sub>c</sub> ({u.label('stress')})</span>
+                  <input type="number" step={stepOf('0.5')} min="1" value={section.toppingFc}
+                    onChange={(e) => handleSectionChange('toppingFc', e.target.value)} />
+                </label>
+              </div>
+              <div className="form-row">
+                <label>
+                  <span className="label-text">M<sub>nc</sub> ({u.label('moment')})</span>
+                  <input type="number" step={stepOf('1')} min="0" value={section.Mnc}
+                    onChange={(e) => handleSectionChange('Mnc', e.target.value)} />
+                  <span className="field-note">Precast self-weight plus topping, on the noncomposite section</span>
+                </label>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* ── Steel Layers ── */}
       <div className="form-section">
         <h3>
@@ -620,7 +1220,7 @@ export default function BeamInputForm({ onCalculate }) {
         </div>
 
         {layers.map((layer, idx) => {
-          const preset = steelPresets.find((p) => p.id === layer.steelPresetId);
+          const preset = findGrade(layer.steelPresetId);
           const isMild = preset?.category === 'mild';
 
           return (
@@ -646,8 +1246,8 @@ export default function BeamInputForm({ onCalculate }) {
                     onChange={(e) => handleLayerChange(layer.id, 'steelPresetId', e.target.value)}
                   >
                     <optgroup label="Mild Steel">
-                      {steelPresets
-                        .filter((p) => p.category === 'mild')
+                      {grades
+                        .filter((p) => p.category === 'mild' && !p.frp)
                         .map((p) => (
                           <option key={p.id} value={p.id}>
                             {p.name}
@@ -655,8 +1255,17 @@ export default function BeamInputForm({ onCalculate }) {
                         ))}
                     </optgroup>
                     <optgroup label="Prestressing Steel">
-                      {steelPresets
-                        .filter((p) => p.category === 'prestressing')
+                      {grades
+                        .filter((p) => p.category === 'prestressing' && !p.frp)
+                        .map((p) => (
+                          <option key={p.id} value={p.id}>
+                            {p.name}
+                          </option>
+                        ))}
+                    </optgroup>
+                    <optgroup label="FRP (ACI 440.11)">
+                      {grades
+                        .filter((p) => p.frp)
                         .map((p) => (
                           <option key={p.id} value={p.id}>
                             {p.name}
@@ -666,7 +1275,7 @@ export default function BeamInputForm({ onCalculate }) {
                   </select>
                 </label>
                 <label>
-                  <span className="label-text">A<sub>s</sub> (in&sup2;)</span>
+                  <span className="label-text">A<sub>s</sub> ({u.label('area')})</span>
                   <input
                     type="number"
                     step="any"
@@ -678,7 +1287,7 @@ export default function BeamInputForm({ onCalculate }) {
               </div>
               <div className="form-row">
                 <label>
-                  <span className="label-text">Depth, d (in)</span>
+                  <span className="label-text">Depth, d ({u.label('length')})</span>
                   <input
                     type="number"
                     step="any"
@@ -689,7 +1298,7 @@ export default function BeamInputForm({ onCalculate }) {
                 </label>
                 {section.bendingMode === 'biaxial' && (
                   <label>
-                    <span className="label-text">Lateral, x (in)</span>
+                    <span className="label-text">Lateral, x ({u.label('length')})</span>
                     <input
                       type="number"
                       step="any"
@@ -699,10 +1308,10 @@ export default function BeamInputForm({ onCalculate }) {
                   </label>
                 )}
                 <label className={isMild ? 'disabled-field' : ''}>
-                  <span className="label-text">f<sub>se</sub> (ksi)</span>
+                  <span className="label-text">f<sub>se</sub> ({u.label('stress')})</span>
                   <input
                     type="number"
-                    step="1"
+                    step={stepOf('1')}
                     min="0"
                     value={isMild ? 0 : layer.fse}
                     disabled={isMild}
@@ -711,6 +1320,94 @@ export default function BeamInputForm({ onCalculate }) {
                   {isMild && <span className="field-note">N/A for mild steel</span>}
                 </label>
               </div>
+              {!isMild && (
+                <div className="form-row">
+                  <label>
+                    <span className="label-text">f<sub>pi</sub> at transfer ({u.label('stress')})</span>
+                    <input
+                      type="number"
+                      step={stepOf('1')}
+                      min="0"
+                      value={layer.fpi}
+                      onChange={(e) => handleLayerChange(layer.id, 'fpi', e.target.value)}
+                    />
+                  </label>
+                  <label>
+                    <span className="label-text">Bond</span>
+                    <select
+                      value={layer.bonded === false ? 'unbonded' : 'bonded'}
+                      onChange={(e) => handleLayerChange(layer.id, 'bonded', e.target.value === 'bonded')}
+                    >
+                      <option value="bonded">Bonded (strain compatibility)</option>
+                      <option value="unbonded">Unbonded (ACI 318-19 §20.3.2.4)</option>
+                    </select>
+                  </label>
+                  {preset?.strand && section.bendingMode !== 'biaxial' && layer.bonded !== false && (
+                    <label>
+                      <span className="label-text">Strand d<sub>b</sub> ({u.label('length')})</span>
+                      <select
+                        value={layer.db}
+                        onChange={(e) => handleLayerChange(layer.id, 'db', e.target.value)}
+                      >
+                        {['0.375', '0.4375', '0.5', '0.6', '0.7'].map((d) => (
+                          <option key={d} value={d}>{d}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+              )}
+              {!isMild && showProfiles && (
+                <div className="form-row">
+                  <label>
+                    <span className="label-text">Profile</span>
+                    <select
+                      value={layer.profile}
+                      onChange={(e) => handleLayerChange(layer.id, 'profile', e.target.value)}
+                    >
+                      <option value="straight">Straight</option>
+                      <option value="harped">Harped (hold-down points)</option>
+                    </select>
+                  </label>
+                  {layer.profile === 'harped' && (
+                    <>
+                      <label>
+                        <span className="label-text">Depth at Ends ({u.label('length')})</span>
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={layer.endDepth}
+                          onChange={(e) => handleLayerChange(layer.id, 'endDepth', e.target.value)}
+                        />
+                      </label>
+                      <label>
+                        <span className="label-text">Hold-down from Ends ({u.label('span')})</span>
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={layer.holdDown}
+                          onChange={(e) => handleLayerChange(layer.id, 'holdDown', e.target.value)}
+                        />
+                      </label>
+                    </>
+                  )}
+                  {preset?.strand && layer.bonded !== false && (
+                    <label>
+                      <span className="label-text">Debonded Length ({u.label('span')})</span>
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={layer.debondLength}
+                        onChange={(e) => handleLayerChange(layer.id, 'debondLength', e.target.value)}
+                      />
+                      <span className="field-note">Sheathed at each end; &#x2113;<sub>d</sub> doubled past it</span>
+                    </label>
+                  )}
+                </div>
+              )}
               {section.bendingMode === 'biaxial' && (() => {
                 // Display-only readout: the same location expressed from the
                 // lower-left corner (x from left, y from bottom = h − depth).
@@ -721,14 +1418,14 @@ export default function BeamInputForm({ onCalculate }) {
                 const yFromBottom = hNum - dNum;
                 return (
                   <div className="field-note layer-llcoord">
-                    From lower-left: x = {xNum.toFixed(4)}&Prime;, y = {yFromBottom.toFixed(4)}&Prime;
+                    From lower-left: x = {xNum.toFixed(4)} {u.label('length')}, y = {yFromBottom.toFixed(4)} {u.label('length')}
                   </div>
                 );
               })()}
               <div className="preset-info">
-                <span style={{whiteSpace: 'nowrap'}}>E<sub>s</sub>={preset?.Es?.toLocaleString()} ksi</span>
-                <span style={{whiteSpace: 'nowrap'}}>f<sub>py</sub>={preset?.fpy} ksi</span>
-                <span style={{whiteSpace: 'nowrap'}}>f<sub>pu</sub>={preset?.fpu} ksi</span>
+                <span style={{whiteSpace: 'nowrap'}}>E<sub>s</sub>={Math.round(u.value(preset?.Es, 'stress')).toLocaleString()} {u.label('stress')}</span>
+                <span style={{whiteSpace: 'nowrap'}}>f<sub>py</sub>={u.num(preset?.fpy, 'stress', 0)} {u.label('stress')}</span>
+                <span style={{whiteSpace: 'nowrap'}}>f<sub>pu</sub>={u.num(preset?.fpu, 'stress', 0)} {u.label('stress')}</span>
                 <span style={{whiteSpace: 'nowrap'}}>Q={preset?.Q}</span>
                 <span style={{whiteSpace: 'nowrap'}}>R={preset?.R}</span>
                 <span style={{whiteSpace: 'nowrap'}}>K={preset?.K}</span>
@@ -740,8 +1437,321 @@ export default function BeamInputForm({ onCalculate }) {
         <button type="button" className="btn-add-layer" onClick={addLayer}>
           + Add Steel Layer
         </button>
+
+        {section.bendingMode !== 'biaxial'
+          && layers.some((l) => findGrade(l.steelPresetId)?.strand) && (
+          <div className="form-row">
+            <label>
+              <span className="label-text">Distance from Member End ({u.label('length')})</span>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={section.distFromEnd}
+                placeholder="fully developed"
+                onChange={(e) => handleSectionChange('distFromEnd', e.target.value)}
+              />
+              <span className="field-note">
+                Caps bonded strand stress within &#x2113;<sub>d</sub> (&sect;25.4.8); blank for a fully developed section
+              </span>
+            </label>
+          </div>
+        )}
       </div>
 
+      <div className="form-section">
+        <h3>
+          <span className="section-icon">
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M1.5 12.5C4 12.5 5 3 8 2.5c2-.3 3 1 4.5 1" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+            </svg>
+          </span>
+          Steel Grades
+        </h3>
+        <div className="layers-info">
+          Custom grades join the steel types above, for uniaxial and biaxial runs, and are saved
+          with the project. Each is checked for a rising stress&#x2013;strain curve before use.
+        </div>
+        <SteelGradeEditor grades={steelGrades} onSave={saveGrade} onDelete={deleteGrade} units={section.units} />
+        <div className="layers-info">
+          From test data: fit the power-formula constants Q, R and K to a measured stress&#x2013;strain curve by least squares.
+        </div>
+        <PowerFormulaFitPanel onSave={saveGrade} units={section.units} />
+      </div>
+
+      {(section.bendingMode !== 'biaxial' || hasUnbonded) && (
+        <div className="form-section">
+          <h3>
+            <span className="section-icon">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M1 6h12M3 6l-1.5 5h3zM11 6l-1.5 5h3z" stroke="currentColor" strokeWidth="1.3" strokeLinejoin="round"/>
+              </svg>
+            </span>
+            Span &amp; Loads
+          </h3>
+          <div className="form-row">
+            <label>
+              <span className="label-text">Span, &#x2113;<sub>n</sub> ({u.label('span')})</span>
+              <input
+                type="number"
+                step="any"
+                min="0.01"
+                value={section.span}
+                onChange={(e) => handleSectionChange('span', e.target.value)}
+              />
+              {hasUnbonded && (
+                <span className="field-note">
+                  Also sets &#x2113;<sub>n</sub>/h for the unbonded f<sub>ps</sub> equation
+                </span>
+              )}
+            </label>
+            {section.bendingMode !== 'biaxial' && (
+              <label>
+                <span className="label-text">Span Analysis</span>
+                <select
+                  value={section.supports}
+                  onChange={(e) => handleSectionChange('supports', e.target.value)}
+                >
+                  <option value="none">Off (single section)</option>
+                  {SUPPORT_TYPES.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          {section.bendingMode !== 'biaxial' && section.supports !== 'none' && (
+            <>
+              <div className="layers-info">
+                Factored envelope of 1.4D and 1.2D + 1.6L, with self-weight from the gross area.
+                &#x03D5;M<sub>n</sub> is computed at stations along the span.
+              </div>
+              <div className="form-row">
+                <label>
+                  <span className="label-text">w<sub>D</sub> ({u.label('lineLoad')})</span>
+                  <input type="number" step={stepOf('0.05')} min="0" value={section.wD}
+                    onChange={(e) => handleSectionChange('wD', e.target.value)} />
+                  <span className="field-note">Superimposed dead load</span>
+                </label>
+                <label>
+                  <span className="label-text">w<sub>L</sub> ({u.label('lineLoad')})</span>
+                  <input type="number" step={stepOf('0.05')} min="0" value={section.wL}
+                    onChange={(e) => handleSectionChange('wL', e.target.value)} />
+                </label>
+                <label>
+                  <span className="label-text">w<sub>c</sub> ({u.label('unitWeight')})</span>
+                  <input type="number" step={stepOf('5')} min="0" value={section.wc}
+                    onChange={(e) => handleSectionChange('wc', e.target.value)} />
+                </label>
+              </div>
+              <div className="form-row">
+                <label className="curve-input">
+                  <span className="label-text">Point Loads (P {u.label('force')}, a {u.label('span')}, D or L per line)</span>
+                  <textarea
+                    rows={3}
+                    value={section.pointLoads}
+                    placeholder="10, 12, L"
+                    onChange={(e) => handleSectionChange('pointLoads', e.target.value)}
+                  />
+                </label>
+              </div>
+              {section.supports === 'simple' && (
+                <div className="form-row">
+                  <label>
+                    <span className="label-text">Live-Load Deflection Limit</span>
+                    <select
+                      value={section.liveLimit}
+                      onChange={(e) => handleSectionChange('liveLimit', e.target.value)}
+                    >
+                      <option value="180">&#x2113;/180 (flat roofs)</option>
+                      <option value="240">&#x2113;/240</option>
+                      <option value="360">&#x2113;/360 (floors)</option>
+                      <option value="480">&#x2113;/480 (supporting partitions)</option>
+                    </select>
+                    <span className="field-note">Camber and deflection use f&prime;<sub>ci</sub> at release</span>
+                  </label>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {section.bendingMode !== 'biaxial' && (
+        <div className="form-section">
+          <h3>
+            <span className="section-icon">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M2 12h10M3 12V5M7 12V2M11 12V7" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              </svg>
+            </span>
+            Stage Stresses (ACI 318-19 &sect;24.5)
+          </h3>
+          <div className="layers-info">
+            Extreme-fiber stresses at transfer (f<sub>pi</sub>, M<sub>self</sub>) and at service
+            (f<sub>se</sub>, sustained and total moments), checked for prestressed sections. Units: {u.label('moment')}.
+          </div>
+          <div className="form-row">
+            <label>
+              <span className="label-text">f&#x2032;<sub>ci</sub> ({u.label('stress')})</span>
+              <input
+                type="number"
+                step={stepOf('0.5')}
+                min="1"
+                value={section.fci}
+                onChange={(e) => handleSectionChange('fci', e.target.value)}
+              />
+            </label>
+            <label>
+              <span className="label-text">Section Location</span>
+              <select
+                value={section.stressLocation}
+                onChange={(e) => handleSectionChange('stressLocation', e.target.value)}
+              >
+                <option value="midspan">Away from member ends</option>
+                <option value="end">End of simply supported member</option>
+              </select>
+            </label>
+          </div>
+          <div className="form-row">
+            <label>
+              <span className="label-text">M<sub>self</sub> (at transfer)</span>
+              <input type="number" step={stepOf('1')} value={section.Mself}
+                onChange={(e) => handleSectionChange('Mself', e.target.value)} />
+            </label>
+            <label>
+              <span className="label-text">M<sub>sustained</sub> (service)</span>
+              <input type="number" step={stepOf('1')} value={section.Msustained}
+                onChange={(e) => handleSectionChange('Msustained', e.target.value)} />
+            </label>
+            <label>
+              <span className="label-text">M<sub>service</sub> (total)</span>
+              <input type="number" step={stepOf('1')} value={section.Mservice}
+                onChange={(e) => handleSectionChange('Mservice', e.target.value)} />
+            </label>
+          </div>
+        </div>
+      )}
+
+      {section.bendingMode !== 'biaxial' && (
+        <div className="form-section">
+          <h3>
+            <span className="section-icon">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M2 2v10M12 2v10M2 12L12 2" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              </svg>
+            </span>
+            Shear (ACI 318-19 &sect;22.5)
+          </h3>
+          <div className="layers-info">
+            Demands at the section checked for shear, typically h/2 from the support.
+            V<sub>d</sub> and M<sub>d</sub> are unfactored dead-load effects for V<sub>ci</sub>. Units: {u.label('force')}, {u.label('moment')}.
+          </div>
+          <div className="form-row">
+            <label>
+              <span className="label-text">V<sub>u</sub> ({u.label('force')})</span>
+              <input type="number" step={stepOf('1')} min="0" value={section.Vu}
+                onChange={(e) => handleSectionChange('Vu', e.target.value)} />
+            </label>
+            <label>
+              <span className="label-text">M<sub>u</sub> at section</span>
+              <input type="number" step={stepOf('1')} min="0" value={section.MuV}
+                onChange={(e) => handleSectionChange('MuV', e.target.value)} />
+            </label>
+          </div>
+          <div className="form-row">
+            <label>
+              <span className="label-text">V<sub>d</sub> ({u.label('force')})</span>
+              <input type="number" step={stepOf('1')} min="0" value={section.Vd}
+                onChange={(e) => handleSectionChange('Vd', e.target.value)} />
+            </label>
+            <label>
+              <span className="label-text">M<sub>d</sub> ({u.label('moment')})</span>
+              <input type="number" step={stepOf('1')} min="0" value={section.Md}
+                onChange={(e) => handleSectionChange('Md', e.target.value)} />
+            </label>
+          </div>
+          <div className="form-row">
+            <label>
+              <span className="label-text">Stirrup A<sub>v</sub> ({u.label('area')})</span>
+              <input type="number" step={stepOf('0.01')} min="0" value={section.Av}
+                onChange={(e) => handleSectionChange('Av', e.target.value)} />
+              <span className="field-note">All legs, e.g. 0.22 for two #3</span>
+            </label>
+            <label>
+              <span className="label-text">f<sub>yt</sub> ({u.label('stress')})</span>
+              <input type="number" step={stepOf('1')} min="1" value={section.fyt}
+                onChange={(e) => handleSectionChange('fyt', e.target.value)} />
+              <span className="field-note">Limited to {u.si ? '420 MPa' : '60 ksi'} (&sect;20.2.2.4)</span>
+            </label>
+          </div>
+        </div>
+      )}
+
+      <div className="form-section">
+        <h3>
+          <span className="section-icon">
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <circle cx="3" cy="11" r="1.5" fill="currentColor"/>
+              <circle cx="7" cy="11" r="1.5" fill="currentColor"/>
+              <circle cx="11" cy="11" r="1.5" fill="currentColor"/>
+              <circle cx="5" cy="7" r="1.5" fill="currentColor"/>
+              <circle cx="9" cy="7" r="1.5" fill="currentColor"/>
+            </svg>
+          </span>
+          Strand Pattern
+        </h3>
+        <div className="layers-info">
+          Places strands on the grid inside the section outline, row by row from the
+          bottom, and replaces the steel layers above: one layer per row
+          {section.bendingMode === 'biaxial' ? ' (one per strand in biaxial mode, each at its own x)' : ''}.
+        </div>
+        <StrandPatternPanel onApply={applyPattern} units={section.units} steelGrades={grades} />
+      </div>
+
+      {section.bendingMode === 'uniaxial' && section.momentSign !== 'hogging' && (
+        <div className="form-section">
+          <h3>
+            <span className="section-icon">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <circle cx="6" cy="6" r="4" stroke="currentColor" strokeWidth="1.5"/>
+                <path d="M9 9l3.5 3.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              </svg>
+            </span>
+            Design Mode
+          </h3>
+          <div className="layers-info">
+            Finds the least strand count with &phi;M<sub>n</sub> &ge; M<sub>u</sub> (M<sub>u</sub> above)
+            and the &sect;9.6.1.3 minimum strength, optionally tension-controlled. Mild-steel
+            layers are kept and counted.
+          </div>
+          <DesignPanel onRun={runDesign} onApply={applyDesign} units={section.units} steelGrades={grades} />
+        </div>
+      )}
+
+      {section.bendingMode !== 'biaxial'
+        && layers.some((l) => findGrade(l.steelPresetId)?.category === 'prestressing') && (
+        <div className="form-section">
+          <h3>
+            <span className="section-icon">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M2 3h10M2 7h7M2 11h4" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              </svg>
+            </span>
+            Prestress Losses
+          </h3>
+          <div className="layers-info">
+            Estimates f<sub>se</sub> from the jacking stress less elastic shortening, creep, shrinkage
+            and relaxation, using f&#x2032;<sub>ci</sub>, M<sub>self</sub> and M<sub>sustained</sub> above.
+          </div>
+          <PrestressLossPanel
+            onApply={applyLosses}
+            units={section.units}
+            layerLabels={layers.map((_, i) => `Layer ${i + 1}`)}
+          />
+        </div>
+      )}
+
       {section.bendingMode === 'biaxial' && (
         <div className="form-section">
           <h3>
@@ -754,35 +1764,56 @@ export default function BeamInputForm({ onCalculate }) {
           </h3>
           <div className="layers-info">
             Factored moments drive the strength utilization; service moments drive the
-            cracking check. Leave at 0 to report capacities only. Units: kip-ft.
+            cracking check. Leave at 0 to report capacities only. Units: {u.label('moment')}.
           </div>
           <div className="form-row">
             <label>
               <span className="label-text">M<sub>ux</sub> (factored)</span>
-              <input type="number" step="1" value={section.Mux}
+              <input type="number" step={stepOf('1')} value={section.Mux}
                 onChange={(e) => handleSectionChange('Mux', e.target.value)} />
             </label>
             <label>
               <span className="label-text">M<sub>uy</sub> (factored)</span>
-              <input type="number" step="1" value={section.Muy}
+              <input type="number" step={stepOf('1')} value={section.Muy}
                 onChange={(e) => handleSectionChange('Muy', e.target.value)} />
             </label>
           </div>
           <div className="form-row">
             <label>
               <span className="label-text">M<sub>x</sub> (service)</span>
-              <input type="number" step="1" value={section.MxService}
+              <input type="number" step={stepOf('1')} value={section.MxService}
                 onChange={(e) => handleSectionChange('MxService', e.target.value)} />
             </label>
             <label>
               <span className="label-text">M<sub>y</sub> (service)</span>
-              <input type="number" step="1" value={section.MyService}
+              <input type="number" step={stepOf('1')} value={section.MyService}
                 onChange={(e) => handleSectionChange('MyService', e.target.value)} />
             </label>
           </div>
         </div>
       )}
 
+      <div className="form-section">
+        <h3>
+          <span className="section-icon">
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M2 1.5h7l3 3v8H2z" stroke="currentColor" strokeWidth="1.4" strokeLinejoin="round"/>
+            </svg>
+          </span>
+          Project
+        </h3>
+        <div className="form-row">
+          <button type="button" className="btn-add-layer" onClick={handleSaveProject}>
+            Save Project
+          </button>
+          <label>
+            <span className="label-text">Open Project</span>
+            <input type="file" accept=".json,application/json" onChange={(e) => handleOpenProject(e.target.files?.[0])} />
+          </label>
+        </div>
+        {projectError && <div className="dxf-error">{projectError}</div>}
+      </div>
+
       <button type="submit" className="btn-calculate">
         Calculate Beam Strength
         <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -1,3 +1,5 @@
+import { unitFormatter } from '../utils/units';
+
 /**
  * Tabular results for biaxial bending: NA-aligned capacities, demand
  * utilization, and the biaxial cracking check.
@@ -9,6 +11,10 @@ function fmt(v, d = 1) {
 export default function BiaxialResults({ results }) {
   if (!results || results.mode !== 'biaxial') return null;
   const { anchors, demand, cracking, props } = results;
+  const u = unitFormatter(results.section?.units);
+  // Values of a quantity in the project's units; fmt's dash for missing ones.
+  const q = (name) => (v, d = 1) => (v == null ? fmt(v) : u.num(v, name, d));
+  const mo = q('moment'), len = q('length');
 
   const U = demand ? demand.utilization : null;
   const pass = demand ? demand.pass : null;
@@ -23,8 +29,8 @@ export default function BiaxialResults({ results }) {
           <div>
             <strong>{pass ? 'Demand within envelope' : 'Demand exceeds capacity'}</strong>
             <p>
-              φMn capacity along the demand direction = {fmt(demand.capacity)} kip-ft;
-              demand = {fmt(demand.magnitude)} kip-ft (M<sub>ux</sub>={fmt(demand.Mux)}, M<sub>uy</sub>={fmt(demand.Muy)}).
+              φMn capacity along the demand direction = {mo(demand.capacity)} {u.label('moment')};
+              demand = {mo(demand.magnitude)} {u.label('moment')} (M<sub>ux</sub>={mo(demand.Mux)}, M<sub>uy</sub>={mo(demand.Muy)}).
             </p>
           </div>
         </div>
@@ -33,13 +39,13 @@ export default function BiaxialResults({ results }) {
       <h3>NA-aligned capacities (consistent with uniaxial analysis)</h3>
       <table className="results-table">
         <thead>
-          <tr><th>Orientation</th><th>φMx (k-ft)</th><th>φMy (k-ft)</th><th>φ</th><th>c (in)</th></tr>
+          <tr><th>Orientation</th><th>φMx ({u.label('moment')})</th><th>φMy ({u.label('moment')})</th><th>φ</th><th>c ({u.label('length')})</th></tr>
         </thead>
         <tbody>
-          <tr><td>About x — sagging (φMnx⁺)</td><td>{fmt(anchors.xSag.phiMx)}</td><td>{fmt(anchors.xSag.phiMy)}</td><td>{fmt(anchors.xSag.phi, 3)}</td><td>{fmt(anchors.xSag.c, 2)}</td></tr>
-          <tr><td>About x — hogging (φMnx⁻)</td><td>{fmt(anchors.xHog.phiMx)}</td><td>{fmt(anchors.xHog.phiMy)}</td><td>{fmt(anchors.xHog.phi, 3)}</td><td>{fmt(anchors.xHog.c, 2)}</td></tr>
-          <tr><td>About y — +My (φMny⁺)</td><td>{fmt(anchors.yPos.phiMx)}</td><td>{fmt(anchors.yPos.phiMy)}</td><td>{fmt(anchors.yPos.phi, 3)}</td><td>{fmt(anchors.yPos.c, 2)}</td></tr>
-          <tr><td>About y — −My (φMny⁻)</td><td>{fmt(anchors.yNeg.phiMx)}</td><td>{fmt(anchors.yNeg.phiMy)}</td><td>{fmt(anchors.yNeg.phi, 3)}</td><td>{fmt(anchors.yNeg.c, 2)}</td></tr>
+          <tr><td>About x — sagging (φMnx⁺)</td><td>{mo(anchors.xSag.phiMx)}</td><td>{mo(anchors.xSag.phiMy)}</td><td>{fmt(anchors.xSag.phi, 3)}</td><td>{len(anchors.xSag.c, 2)}</td></tr>
+          <tr><td>About x — hogging (φMnx⁻)</td><td>{mo(anchors.xHog.phiMx)}</td><td>{mo(anchors.xHog.phiMy)}</td><td>{fmt(anchors.xHog.phi, 3)}</td><td>{len(anchors.xHog.c, 2)}</td></tr>
+          <tr><td>About y — +My (φMny⁺)</td><td>{mo(anchors.yPos.phiMx)}</td><td>{mo(anchors.yPos.phiMy)}</td><td>{fmt(anchors.yPos.phi, 3)}</td><td>{len(anchors.yPos.c, 2)}</td></tr>
+          <tr><td>About y — −My (φMny⁻)</td><td>{mo(anchors.yNeg.phiMx)}</td><td>{mo(anchors.yNeg.phiMy)}</td><td>{fmt(anchors.yNeg.phi, 3)}</td><td>{len(anchors.yNeg.c, 2)}</td></tr>
         </tbody>
       </table>
       <p className="note">
@@ -51,9 +57,9 @@ export default function BiaxialResults({ results }) {
       <h3>Biaxial cracking (service)</h3>
       <table className="results-table">
         <tbody>
-          <tr><td>M<sub>cr,x</sub> (+ / −)</td><td>{fmt(cracking.McrFt.xPos)} / {fmt(cracking.McrFt.xNeg)} k-ft</td></tr>
-          <tr><td>M<sub>cr,y</sub> (+ / −)</td><td>{fmt(cracking.McrFt.yPos)} / {fmt(cracking.McrFt.yNeg)} k-ft</td></tr>
-          <tr><td>Prestress P</td><td>{fmt(cracking.P)} kip @ e=({fmt(cracking.ex, 2)}, {fmt(cracking.ey, 2)}) in</td></tr>
+          <tr><td>M<sub>cr,x</sub> (+ / −)</td><td>{mo(cracking.McrFt.xPos)} / {mo(cracking.McrFt.xNeg)} {u.label('moment')}</td></tr>
+          <tr><td>M<sub>cr,y</sub> (+ / −)</td><td>{mo(cracking.McrFt.yPos)} / {mo(cracking.McrFt.yNeg)} {u.label('moment')}</td></tr>
+          <tr><td>Prestress P</td><td>{u.fmt(cracking.P, 'force', 1)} @ e=({len(cracking.ex, 2)}, {len(cracking.ey, 2)}) {u.label('length')}</td></tr>
           <tr><td>Cracking utilization</td><td className={cracking.cracks ? 'fail-text' : 'ok-text'}>{(cracking.utilization * 100).toFixed(0)}% — {cracking.cracks ? 'cracked' : 'uncracked'}</td></tr>
         </tbody>
       </table>
@@ -61,10 +67,10 @@ export default function BiaxialResults({ results }) {
       <h3>Section properties</h3>
       <table className="results-table">
         <tbody>
-          <tr><td>Area</td><td>{fmt(props.A)} in²</td></tr>
-          <tr><td>Centroid (x, y)</td><td>({fmt(props.xCg, 2)}, {fmt(props.yCg, 2)}) in</td></tr>
-          <tr><td>I<sub>x</sub> / I<sub>y</sub></td><td>{fmt(props.Ix, 0)} / {fmt(props.Iy, 0)} in⁴</td></tr>
-          <tr><td>I<sub>xy</sub></td><td>{fmt(props.Ixy, 0)} in⁴</td></tr>
+          <tr><td>Area</td><td>{u.fmt(props.A, 'area', 1)}</td></tr>
+          <tr><td>Centroid (x, y)</td><td>({len(props.xCg, 2)}, {len(props.yCg, 2)}) {u.label('length')}</td></tr>
+          <tr><td>I<sub>x</sub> / I<sub>y</sub></td><td>{u.num(props.Ix, 'inertia', 0)} / {u.fmt(props.Iy, 'inertia', 0)}</td></tr>
+          <tr><td>I<sub>xy</sub></td><td>{u.fmt(props.Ixy, 'inertia', 0)}</td></tr>
         </tbody>
       </table>
     </div>
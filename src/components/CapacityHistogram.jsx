@@ -0,0 +1,93 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+import { histogram } from '../utils/monteCarlo';
+
+/**
+ * Histogram of the Monte Carlo capacities with the nominal capacity, the mean
+ * and the demand Mu marked; bins below Mu are shaded red.
+ */
+export default function CapacityHistogram({ mc, label = 'Mn', units = 'US' }) {
+  const u = unitFormatter(units);
+  const m = (v) => u.value(v, 'moment');
+  const bins = histogram(mc.samples, 30).map((b) => ({ ...b, from: m(b.from), to: m(b.to) }));
+  const marks = [
+    { v: m(mc.nominal), label: 'nominal', color: '#16a34a' },
+    { v: m(mc.mean), label: 'mean', color: '#1e293b' },
+    ...(mc.Mu != null ? [{ v: m(mc.Mu), label: 'Mu', color: '#ef4444' }] : []),
+  ];
+
+  const W = 380;
+  const H = 260;
+  const PAD_L = 40;
+  const PAD_R = 16;
+  const PAD_T = 14;
+  const PAD_B = 52;
+
+  const xs = [bins[0].from, bins.at(-1).to, ...marks.map((k) => k.v)];
+  const span = Math.max(...xs) - Math.min(...xs) || Math.abs(xs[0]) * 0.1 || 1;
+  const xMin = Math.min(...xs) - span * 0.05;
+  const xMax = Math.max(...xs) + span * 0.05;
+  const nMax = Math.max(...bins.map((b) => b.count)) * 1.1;
+  const X = (v) => PAD_L + ((v - xMin) / (xMax - xMin)) * (W - PAD_L - PAD_R);
+  const Y = (n) => PAD_T + ((nMax - n) / nMax) * (H - PAD_T - PAD_B);
+
+  const step = niceStep(xMax - xMin);
+  const ticks = [];
+  for (let v = Math.ceil(xMin / step) * step; v <= xMax; v += step) ticks.push(v);
+  const nStep = Math.max(niceStep(nMax), 1);
+  const nTicks = [];
+  for (let n = 0; n <= nMax; n += nStep) nTicks.push(n);
+  const muX = mc.Mu != null ? m(mc.Mu) : -Infinity;
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+      {ticks.map((v) => (
+        <g key={`x${v}`}>
+          <line x1={X(v)} y1={PAD_T} x2={X(v)} y2={H - PAD_B} stroke="#e2e8f0" strokeWidth="1" />
+          <text x={X(v)} y={H - PAD_B + 12} className="chart-tick" textAnchor="middle">
+            {Number(v.toPrecision(4))}
+          </text>
+        </g>
+      ))}
+      {nTicks.map((n) => (
+        <text key={`n${n}`} x={PAD_L - 4} y={Y(n) + 3} className="chart-tick" textAnchor="end">{n}</text>
+      ))}
+      <line x1={PAD_L} y1={Y(0)} x2={W - PAD_R} y2={Y(0)} stroke="#94a3b8" strokeWidth="1" />
+
+      {bins.map((b) => (
+        <rect
+          key={b.from}
+          x={X(b.from)}
+          y={Y(b.count)}
+          width={Math.max(X(b.to) - X(b.from) - 0.5, 0.5)}
+          height={Y(0) - Y(b.count)}
+          fill={b.to <= muX ? '#fca5a5' : '#93c5fd'}
+        />
+      ))}
+      {marks.map(({ v, label: text, color }) => (
+        <line key={text} x1={X(v)} y1={PAD_T} x2={X(v)} y2={H - PAD_B} stroke={color} strokeWidth="1.4" strokeDasharray="4 3" />
+      ))}
+
+      <text x={(PAD_L + W - PAD_R) / 2} y={H - PAD_B + 26} className="chart-axis-label" textAnchor="middle">
+        {label} ({u.label('moment')})
+      </text>
+      <text
+        x={10}
+        y={(PAD_T + H - PAD_B) / 2}
+        className="chart-axis-label"
+        textAnchor="middle"
+        transform={`rotate(-90 10 ${(PAD_T + H - PAD_B) / 2})`}
+      >
+        Trials
+      </text>
+      <g transform={`translate(${PAD_L}, ${H - 4})`}>
+        {marks.map(({ label: text, color }, i) => (
+          <g key={text} transform={`translate(${i * 80}, 0)`}>
+            <line x1="0" y1="-4" x2="12" y2="-4" stroke={color} strokeWidth="1.6" strokeDasharray="4 3" />
+            <text x="16" y="-1" className="diagram-label legend-text">{text}</text>
+          </g>
+        ))}
+      </g>
+    </svg>
+  );
+}
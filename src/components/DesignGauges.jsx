@@ -3,6 +3,8 @@
  * Each gauge shows colored zones, threshold markers with labels, and a needle
  * indicating the current value.
  */
+import { unitFormatter } from '../utils/units';
+
 // Straight-line phi: ϕ (U+03D5)
 const PHI = '\u03D5';
 
@@ -150,7 +152,13 @@ export default function DesignGauges({ results }) {
     layerResults,
     cracking,
     demand,
+    interaction,
+    stages,
+    shear,
+    span,
+    deflection,
   } = results;
+  const u = unitFormatter(results.section?.units);
 
   // Extreme tension layer (deepest)
   let extremeLayer = layerResults[0];
@@ -158,22 +166,41 @@ export default function DesignGauges({ results }) {
     if (lr.depth > extremeLayer.depth) extremeLayer = lr;
   }
 
-  const epsilonTy = extremeLayer ? extremeLayer.steel.fpy / extremeLayer.steel.Es : 0.002;
-  const tensionLimit = epsilonTy + 0.003;
+  const yieldStrain = extremeLayer ? extremeLayer.steel.fpy / extremeLayer.steel.Es : 0.002;
+  const limits = results.strainLimits || { compression: yieldStrain, tension: yieldStrain + 0.003 };
+  // ACI 318 uses εty and εty + 0.003; AASHTO LRFD its εcl and εtl.
+  const aashto = results.code === 'aashto';
+  const epsilonTy = limits.compression;
+  const tensionLimit = limits.tension;
+
+  // FRP (ACI 440.11) has no yield and ruptures in a brittle way, so the
+  // classes run the other way: concrete crushing is the preferred mode and
+  // FRP rupture the one to warn about.
+  const frp = results.frp === true;
 
   // Steel stress utilization
   const stressCap = extremeLayer?.steel?.stressCap || extremeLayer?.steel?.fpu || extremeLayer?.steel?.fpy;
   const fpy = extremeLayer?.steel?.fpy || 60;
 
   // Ductility
-  const ductilityStatus = ductile ? 'pass' : transition ? 'warn' : 'fail';
-  const ductilityLabel = ductile
+  const ductilityStatus = frp
+    ? (transition || epsilonT >= tensionLimit ? 'warn' : 'pass')
+    : ductile ? 'pass' : transition ? 'warn' : 'fail';
+  const ductilityLabel = frp
+    ? epsilonT >= tensionLimit ? 'FRP Rupture (brittle)' : transition ? 'Transition Zone' : 'Concrete Crushing'
+    : ductile
     ? 'Tension-Controlled'
     : transition
     ? 'Transition Zone'
     : 'Compression-Controlled';
 
-  // 1.2Mcr check
+  // c/dt limits: 0.375 and 0.600 for steel; for FRP those of its strain
+  // limits, allowing for the extreme layer's prestrain, εt = 0.003 (dt/c − 1) + εpre.
+  const prestrain = epsilonT - 0.003 * (1 / cOverD - 1);
+  const cdTension = frp ? 0.003 / (0.003 + tensionLimit - prestrain) : 0.375;
+  const cdCompression = frp ? 0.003 / (0.003 + epsilonTy - prestrain) : 0.6;
+
+  // Minimum-strength (1.2Mcr, or the AASHTO Mcr) check
   const hasCracking = !!cracking;
 
   // Strain gauge range — extend past actual value
@@ -184,8 +211,10 @@ export default function DesignGauges({ results }) {
       {/* Hero value */}
       <div className="gauge-hero">
         <div className="hero-label">{PHI}M<sub>n</sub> &mdash; Design Moment Strength</div>
-        <div className="hero-value">{phiMnFt.toFixed(1)} <span className="hero-unit">kip-ft</span></div>
-        <div className="hero-sub">{phiMn.toFixed(1)} kip-in &nbsp;|&nbsp; M<sub>n</sub> = {MnFt.toFixed(1)} kip-ft</div>
+        <div className="hero-value">{u.num(phiMnFt, 'moment', 1)} <span className="hero-unit">{u.label('moment')}</span></div>
+        <div className="hero-sub">
+          {!u.si && <>{phiMn.toFixed(1)} kip-in &nbsp;|&nbsp; </>}M<sub>n</sub> = {u.fmt(MnFt, 'moment', 1)}
+        </div>
       </div>
 
       {/* Horizontal bar gauges */}
@@ -193,18 +222,28 @@ export default function DesignGauges({ results }) {
 
         {/* Strain Classification */}
         <BarGauge
-          title="Section Strain Classification"
+          title={`Section Strain Classification${frp ? ' (FRP)' : ''}`}
           value={epsilonT}
           displayValue={`&epsilon;<sub>t</sub> = ${epsilonT.toFixed(5)}`}
-          zones={[
+          zones={frp ? [
+            { start: 0, end: epsilonTy, color: '#22c55e', label: 'Crushing' },
+            { start: epsilonTy, end: tensionLimit, color: '#f59e0b', label: 'Transition' },
+            { start: tensionLimit, end: strainMax, color: '#ef4444', label: 'Rupture' },
+          ] : [
             { start: 0, end: epsilonTy, color: '#ef4444', label: 'Compression' },
             { start: epsilonTy, end: tensionLimit, color: '#f59e0b', label: 'Transition' },
             { start: tensionLimit, end: strainMax, color: '#22c55e', label: 'Tension' },
           ]}
           markers={[
             { value: 0, label: '0' },
-            { value: epsilonTy, label: `&epsilon;<sub>ty</sub> = ${epsilonTy.toFixed(4)}` },
-            { value: tensionLimit, label: `&epsilon;<sub>ty</sub>+0.003 = ${tensionLimit.toFixed(4)}` },
+            {
+              value: epsilonTy,
+              label: `${frp ? '0.8&epsilon;<sub>fu</sub>' : `&epsilon;<sub>${aashto ? 'cl' : 'ty'}</sub>`} = ${epsilonTy.toFixed(4)}`,
+            },
+            {
+              value: tensionLimit,
+              label: `${frp ? '&epsilon;<sub>fu</sub>' : aashto ? '&epsilon;<sub>tl</sub>' : '&epsilon;<sub>ty</sub>+0.003'} = ${tensionLimit.toFixed(4)}`,
+            },
             { value: strainMax, label: strainMax.toFixed(4) },
           ]}
         />
@@ -215,32 +254,43 @@ export default function DesignGauges({ results }) {
           value={cOverD}
           displayValue={`c/d<sub>t</sub> = ${cOverD.toFixed(4)}`}
           zones={[
-            { start: 0, end: 0.375, color: '#22c55e', label: 'Tension-Ctrl' },
-            { start: 0.375, end: 0.6, color: '#f59e0b', label: 'Transition' },
-            { start: 0.6, end: Math.max(0.8, cOverD * 1.15), color: '#ef4444', label: 'Compression' },
+            { start: 0, end: cdTension, color: frp ? '#ef4444' : '#22c55e', label: frp ? 'Rupture' : 'Tension-Ctrl' },
+            { start: cdTension, end: cdCompression, color: '#f59e0b', label: 'Transition' },
+            {
+              start: cdCompression,
+              end: Math.max(0.8, cOverD * 1.15),
+              color: frp ? '#22c55e' : '#ef4444',
+              label: frp ? 'Crushing' : 'Compression',
+            },
           ]}
           markers={[
             { value: 0, label: '0' },
-            { value: 0.375, label: '0.375' },
-            { value: 0.6, label: '0.600' },
+            { value: cdTension, label: cdTension.toFixed(3) },
+            { value: cdCompression, label: cdCompression.toFixed(3) },
             { value: Math.max(0.8, cOverD * 1.15), label: Math.max(0.8, cOverD * 1.15).toFixed(2) },
           ]}
         />
 
-        {/* Steel Stress */}
+        {/* Steel Stress; FRP is elastic up to rupture at ffu */}
         <BarGauge
-          title="Extreme Tension Steel Stress, f<sub>ps</sub>"
+          title={frp ? 'Extreme Tension FRP Stress, f<sub>f</sub>' : 'Extreme Tension Steel Stress, f<sub>ps</sub>'}
           value={extremeLayer.stress}
-          displayValue={`f<sub>ps</sub> = ${extremeLayer.stress.toFixed(1)} ksi (${((extremeLayer.stress / stressCap) * 100).toFixed(0)}%)`}
-          zones={[
+          displayValue={`f<sub>${frp ? 'f' : 'ps'}</sub> = ${u.fmt(extremeLayer.stress, 'stress', 1)} (${((extremeLayer.stress / stressCap) * 100).toFixed(0)}%)`}
+          zones={frp ? [
+            { start: 0, end: stressCap, color: '#3b82f6', label: 'Elastic' },
+            { start: stressCap, end: stressCap * 1.05, color: '#ef4444', label: 'Rupture' },
+          ] : [
             { start: 0, end: fpy, color: '#3b82f6', label: 'Elastic' },
             { start: fpy, end: stressCap, color: '#22c55e', label: 'Inelastic' },
             { start: stressCap, end: stressCap * 1.05, color: '#ef4444', label: 'Cap' },
           ]}
-          markers={[
+          markers={frp ? [
             { value: 0, label: '0' },
-            { value: fpy, label: `f<sub>py</sub> = ${fpy}` },
-            { value: stressCap, label: `f<sub>pu</sub> = ${stressCap}` },
+            { value: stressCap, label: `f<sub>fu</sub> = ${u.si ? u.num(stressCap, 'stress', 0) : stressCap}` },
+          ] : [
+            { value: 0, label: '0' },
+            { value: fpy, label: `f<sub>py</sub> = ${u.si ? u.num(fpy, 'stress', 0) : fpy}` },
+            { value: stressCap, label: `f<sub>pu</sub> = ${u.si ? u.num(stressCap, 'stress', 0) : stressCap}` },
           ]}
         />
       </div>
@@ -253,24 +303,76 @@ export default function DesignGauges({ results }) {
             status={demand.pass ? 'pass' : 'fail'}
             detail={
               demand.pass
-                ? `${phiMnFt.toFixed(1)} ≥ ${demand.MuFt.toFixed(1)} kip-ft (util ${(demand.utilization * 100).toFixed(0)}%)`
-                : `${phiMnFt.toFixed(1)} < ${demand.MuFt.toFixed(1)} kip-ft (util ${(demand.utilization * 100).toFixed(0)}%)`
+                ? `${u.num(phiMnFt, 'moment', 1)} ≥ ${u.fmt(demand.MuFt, 'moment', 1)} (util ${(demand.utilization * 100).toFixed(0)}%)`
+                : `${u.num(phiMnFt, 'moment', 1)} < ${u.fmt(demand.MuFt, 'moment', 1)} (util ${(demand.utilization * 100).toFixed(0)}%)`
+            }
+          />
+        )}
+        {interaction?.demand && (
+          <StatusBadge
+            label="P&ndash;M Interaction"
+            status={interaction.demand.pass ? 'pass' : 'fail'}
+            detail={
+              interaction.demand.phiMnAtPu != null
+                ? `${PHI}Mn = ${u.fmt(interaction.demand.phiMnAtPu, 'moment', 1)} at Pu = ${u.fmt(interaction.demand.Pu, 'force', 1)}`
+                : `Pu = ${u.fmt(interaction.demand.Pu, 'force', 1)} is outside the curve`
             }
           />
         )}
+        {stages && (
+          <StatusBadge
+            label="Transfer Stresses"
+            status={stages.transfer.pass ? 'pass' : 'fail'}
+            detail={`top ${u.num(stages.transfer.top, 'stress', 3)}, bottom ${u.fmt(stages.transfer.bottom, 'stress', 3)}`}
+          />
+        )}
+        {stages && (
+          <StatusBadge
+            label="Service Stresses"
+            status={stages.serviceOk ? 'pass' : stages.service.classification === 'C' ? 'warn' : 'fail'}
+            detail={`Class ${stages.service.classification}, ft = ${u.fmt(stages.service.ft, 'stress', 3)}`}
+          />
+        )}
+        {shear && shear.Vu > 0 && (
+          <StatusBadge
+            label="Shear"
+            status={shear.pass ? 'pass' : 'fail'}
+            detail={
+              !shear.pass
+                ? `Vs > ${u.si ? 0.66 : 8}\u221Af'c bw d \u2014 enlarge the section`
+                : shear.AvsReq > 0
+                ? `${PHI}Vc = ${u.fmt(shear.phiVc, 'force', 1)}, Av/s = ${u.fmt(shear.AvsReq, 'areaPerLength', 4)}`
+                : `${PHI}Vc = ${u.fmt(shear.phiVc, 'force', 1)}, no stirrups required`
+            }
+          />
+        )}
+        {span && (
+          <StatusBadge
+            label="Span Capacity"
+            status={span.pass ? 'pass' : 'fail'}
+            detail={`Mu/${PHI}Mn = ${span.critical.ratio.toFixed(2)} at x = ${u.fmt(span.critical.x, 'span', 1)}`}
+          />
+        )}
+        {deflection && (
+          <StatusBadge
+            label="Live Deflection"
+            status={deflection.pass ? 'pass' : 'fail'}
+            detail={`${u.fmt(deflection.live, 'length', 2)} vs. span/${deflection.liveLimit}; final camber ${u.fmt(deflection.final, 'length', 2)}`}
+          />
+        )}
         <StatusBadge
-          label="Ductility"
+          label={frp ? 'Failure Mode' : 'Ductility'}
           status={ductilityStatus}
           detail={ductilityLabel}
         />
         {hasCracking && (
           <StatusBadge
-            label={`${PHI}M<sub>n</sub> &ge; 1.2 M<sub>cr</sub>`}
+            label={`${PHI}M<sub>n</sub> &ge; ${cracking.McrMinLabel === 'Mcr' ? '' : '1.2 '}M<sub>cr</sub>`}
             status={cracking.passesMinStrength ? 'pass' : 'fail'}
             detail={
               cracking.passesMinStrength
-                ? `${phiMnFt.toFixed(1)} \u2265 ${cracking.thresholdFt.toFixed(1)} kip-ft`
-                : `${phiMnFt.toFixed(1)} < ${cracking.thresholdFt.toFixed(1)} kip-ft`
+                ? `${u.num(phiMnFt, 'moment', 1)} \u2265 ${u.fmt(cracking.thresholdFt, 'moment', 1)}`
+                : `${u.num(phiMnFt, 'moment', 1)} < ${u.fmt(cracking.thresholdFt, 'moment', 1)}`
             }
           />
         )}
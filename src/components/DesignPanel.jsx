@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import steelPresets from '../data/steelPresets';
+import { convertFields, fromDisplay, unitFormatter } from '../utils/units';
+import { STRAND_SIZES } from '../utils/strandPattern';
+
+const DESIGN_QUANTITIES = { fse: 'stress', depth: 'length' };
+
+/**
+ * Design mode. Collects the strand, its effective prestress and layout, runs
+ * onRun (which calls designPrestress with Mu and the mild-steel layers of the
+ * form) and lists the candidate strand counts; onApply writes the chosen
+ * candidate into the steel layers. Values follow the form's units; the strand
+ * list is that of steelGrades.
+ */
+export default function DesignPanel({ onRun, onApply, units = 'US', steelGrades = steelPresets }) {
+  const strands = steelGrades.filter((p) => p.strand);
+  const [inputs, setInputs] = useState(convertFields({
+    steelPresetId: 'grade270',
+    db: 0.5,
+    fse: 160,
+    layout: 'pattern',
+    depth: 20,
+    tensionControlled: false,
+  }, DESIGN_QUANTITIES, 'US', units));
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // Rescale the inputs when the form switches units.
+  const [inputUnits, setInputUnits] = useState(units);
+  if (inputUnits !== units) {
+    setInputUnits(units);
+    setInputs((prev) => convertFields(prev, DESIGN_QUANTITIES, inputUnits, units));
+    setResult(null);
+  }
+  const u = unitFormatter(units);
+
+  const handleChange = (field, value) => {
+    setInputs((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleRun = () => {
+    const size = STRAND_SIZES.find((s) => s.db === parseFloat(inputs.db)) || STRAND_SIZES[1];
+    try {
+      setResult(onRun({
+        steelPresetId: inputs.steelPresetId,
+        db: size.db,
+        area: size.area,
+        fse: fromDisplay(parseFloat(inputs.fse) || 0, 'stress', units),
+        depth: inputs.layout === 'layer' ? fromDisplay(parseFloat(inputs.depth), 'length', units) : null,
+        tensionControlled: inputs.tensionControlled,
+      }));
+      setError(null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  const shown = result ? result.candidates.slice(Math.max(result.candidates.length - 8, 0)) : [];
+  const check = (ok) => (ok ? '✓' : '✗');
+
+  return (
+    <>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Strand</span>
+          <select value={inputs.steelPresetId} onChange={(e) => handleChange('steelPresetId', e.target.value)}>
+            {strands.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="label-text">Size</span>
+          <select value={inputs.db} onChange={(e) => handleChange('db', e.target.value)}>
+            {STRAND_SIZES.map((s) => (
+              <option key={s.db} value={s.db}>{s.name} ({u.fmt(s.area, 'area', 3)})</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="label-text">f<sub>se</sub> ({u.label('stress')})</span>
+          <input type="number" step={u.si ? 'any' : '1'} min="0" value={inputs.fse}
+            onChange={(e) => handleChange('fse', e.target.value)} />
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Layout</span>
+          <select value={inputs.layout} onChange={(e) => handleChange('layout', e.target.value)}>
+            <option value="pattern">Grid rows from the bottom (2 in grid)</option>
+            <option value="layer">Single layer at a depth</option>
+          </select>
+        </label>
+        {inputs.layout === 'layer' && (
+          <label>
+            <span className="label-text">Depth, d<sub>p</sub> ({u.label('length')})</span>
+            <input type="number" step={u.si ? 'any' : '0.5'} min="0" value={inputs.depth}
+              onChange={(e) => handleChange('depth', e.target.value)} />
+            <span className="field-note">From the top of the precast</span>
+          </label>
+        )}
+        <label>
+          <span className="label-text">Target</span>
+          <select
+            value={inputs.tensionControlled ? 'yes' : 'no'}
+            onChange={(e) => handleChange('tensionControlled', e.target.value === 'yes')}
+          >
+            <option value="no">φMn ≥ Mu and minimum strength</option>
+            <option value="yes">Also tension-controlled</option>
+          </select>
+        </label>
+      </div>
+
+      <button type="button" className="btn-add-layer" onClick={handleRun}>
+        Find Strand Count
+      </button>
+
+      {error && <div className="dxf-error">{error}</div>}
+
+      {result && (
+        <div className="table-wrapper loss-breakdown">
+          <table className="layer-table">
+            <thead>
+              <tr>
+                <th>Strands</th>
+                <th>A<sub>ps</sub></th>
+                <th>&phi;M<sub>n</sub></th>
+                <th>M<sub>u</sub>/&phi;M<sub>n</sub></th>
+                <th>Min.</th>
+                <th>&epsilon;<sub>t</sub></th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((c) => (
+                <tr key={c.n} className={c === result.required ? 'design-required' : undefined}>
+                  <td>{c.n}</td>
+                  <td>{u.num(c.area, 'area', 3)}</td>
+                  <td>{u.num(c.phiMnFt, 'moment', 1)}</td>
+                  <td>{c.utilization.toFixed(3)}</td>
+                  <td>{check(c.minStrength)}</td>
+                  <td>{c.epsilonT.toFixed(4)} {inputs.tensionControlled && check(c.tensionControlled)}</td>
+                  <td>
+                    {c.adequate && (
+                      <button type="button" className="btn-use" onClick={() => onApply(c)}>Use</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <span className="field-note">
+            {result.required
+              ? `${result.required.n} strands are the least adequate count`
+                + (result.requiredArea ? `; φMn = Mu at Aps = ${u.fmt(result.requiredArea, 'area', 3)}` : '')
+                + '. Use replaces the prestressing layers above; mild steel is kept.'
+              : result.reason}
+            {' '}Moments in {u.label('moment')}, areas in {u.label('area')}.
+          </span>
+        </div>
+      )}
+    </>
+  );
+}
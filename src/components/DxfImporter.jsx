@@ -1,6 +1,7 @@
 import { useRef, useState } from 'react';
 import { parseDxf, UNIT_SCALE_TO_INCHES } from '../utils/dxfParser';
 import { dxfRingsToSection } from '../utils/dxfGeometry';
+import { unitFormatter } from '../utils/units';
 
 /**
  * Upload a .dxf cross-section for the "Custom (DXF Import)" section type.
@@ -13,7 +14,8 @@ import { dxfRingsToSection } from '../utils/dxfGeometry';
  * present the parent switches to biaxial bending and seeds a steel layer at each.
  *
  * Units: if the DXF carries $INSUNITS it is used and shown; the user can override
- * with the unit selector. Re-importing replaces the previous geometry.
+ * with the unit selector, which starts at millimeters for SI projects. The
+ * readout follows the project units. Re-importing replaces the previous geometry.
  */
 
 const UNIT_OPTIONS = [
@@ -33,7 +35,7 @@ export default function DxfImporter({ value, onChange }) {
   const [rawRings, setRawRings] = useState(null); // parsed rings (DXF coords)
   const [rawNodes, setRawNodes] = useState([]);   // parsed POINT entities (DXF coords)
   const [nodes, setNodes] = useState([]);         // transformed nodes (engine coords) for preview
-  const [unit, setUnit] = useState('in');
+  const [unit, setUnit] = useState(value?.units === 'SI' ? 'mm' : 'in');
   const [detectedUnit, setDetectedUnit] = useState(null);
   const [error, setError] = useState(null);
   const [warnings, setWarnings] = useState([]);
@@ -126,6 +128,7 @@ export default function DxfImporter({ value, onChange }) {
   const points = value?.points || [];
   const holes = value?.holes || [];
   const hasGeom = points.length >= 3;
+  const u = unitFormatter(value?.units);
 
   let preview = null;
   if (hasGeom) {
@@ -216,8 +219,8 @@ export default function DxfImporter({ value, onChange }) {
         <>
           {preview}
           <div className="drawer-readout">
-            depth h = {stats.height.toFixed(2)}&quot; &nbsp;|&nbsp; width = {stats.width.toFixed(2)}&quot;
-            &nbsp;|&nbsp; net area = {stats.area.toFixed(2)} in&sup2; &nbsp;|&nbsp; openings = {stats.openingCount}
+            depth h = {u.fmt(stats.height, 'length')} &nbsp;|&nbsp; width = {u.fmt(stats.width, 'length')}
+            &nbsp;|&nbsp; net area = {u.fmt(stats.area, 'area')} &nbsp;|&nbsp; openings = {stats.openingCount}
             &nbsp;|&nbsp; nodes = {stats.nodeCount ?? 0}
           </div>
           {(stats.nodeCount ?? 0) > 0 && (
@@ -1,19 +1,27 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+
 /**
  * Biaxial φMx–φMy interaction diagram: strength envelope, cracking envelope,
  * factored-demand and service points, with NA-aligned φMnx/φMny anchors marked.
  */
 export default function InteractionDiagram({ results }) {
   if (!results || results.mode !== 'biaxial') return null;
-  const { envelope, anchors, demand, cracking } = results;
+  const { cracking } = results;
+  const u = unitFormatter(results.section?.units);
+  const m = (v) => u.value(v, 'moment');
+  const anchors = Object.fromEntries(Object.entries(results.anchors)
+    .map(([key, a]) => [key, { ...a, phiMx: m(a.phiMx), phiMy: m(a.phiMy) }]));
+  const demand = results.demand && { ...results.demand, Mux: m(results.demand.Mux), Muy: m(results.demand.Muy) };
 
-  const strength = envelope.map((p) => ({ x: p.phiMx, y: p.phiMy }));
-  const crack = (cracking.envelope || []).map((p) => ({ x: p.Mx, y: p.My }));
+  const strength = results.envelope.map((p) => ({ x: m(p.phiMx), y: m(p.phiMy) }));
+  const crack = (cracking.envelope || []).map((p) => ({ x: m(p.Mx), y: m(p.My) }));
 
   // Extent across both envelopes + demand/service points.
   const allPts = [
     ...strength, ...crack,
     ...(demand ? [{ x: demand.Mux, y: demand.Muy }] : []),
-    { x: cracking == null ? 0 : (results.section.MxService || 0), y: results.section.MyService || 0 },
+    { x: cracking == null ? 0 : m(results.section.MxService || 0), y: m(results.section.MyService || 0) },
   ];
   const ext = Math.max(
     ...allPts.map((p) => Math.max(Math.abs(p.x), Math.abs(p.y))),
@@ -33,12 +41,12 @@ export default function InteractionDiagram({ results }) {
     pts.map((p, i) => `${i === 0 ? 'M' : 'L'} ${X(p.x).toFixed(1)} ${Y(p.y).toFixed(1)}`).join(' ') + ' Z';
 
   // Axis ticks (nice round numbers)
-  const tickStep = niceStep(ext);
+  const tickStep = niceStep(ext, 4);
   const ticks = [];
   for (let v = tickStep; v < ext; v += tickStep) ticks.push(v);
 
-  const sx = results.section.MxService || 0;
-  const sy = results.section.MyService || 0;
+  const sx = m(results.section.MxService || 0);
+  const sy = m(results.section.MyService || 0);
 
   return (
     <div className="beam-diagram interaction-diagram">
@@ -103,11 +111,3 @@ export default function InteractionDiagram({ results }) {
     </div>
   );
 }
-
-function niceStep(ext) {
-  const raw = ext / 4;
-  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
-  const n = raw / mag;
-  const step = n < 1.5 ? 1 : n < 3 ? 2 : n < 7 ? 5 : 10;
-  return step * mag;
-}
@@ -0,0 +1,110 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+
+/**
+ * Moment–curvature (M–φ) response with the cracking, first-yield and ultimate
+ * points marked. Curvature is plotted in 10⁻³ /in and moment in kip-ft, or
+ * 10⁻³ /mm and kN·m for SI.
+ */
+export default function MomentCurvatureChart({ results }) {
+  const mk = results?.momentCurvature;
+  if (!mk || mk.points.length < 2) return null;
+  const u = unitFormatter(results.section?.units);
+  const inUnits = (p) => p && ({ ...p, kappa: u.value(p.kappa, 'curvature'), MFt: u.value(p.MFt, 'moment') });
+  const points = mk.points.map(inUnits);
+  const cracking = inUnits(mk.cracking);
+  const firstYield = inUnits(mk.firstYield);
+  const ultimate = inUnits(mk.ultimate);
+
+  const W = 380;
+  const H = 300;
+  const PAD_L = 46;
+  const PAD_R = 16;
+  const PAD_T = 18;
+  const PAD_B = 52;
+
+  const k = (p) => p.kappa * 1000;
+  const allK = [...points.map(k), 0];
+  const allM = [...points.map((p) => p.MFt), 0];
+  const kMin = Math.min(...allK);
+  const kMax = Math.max(...allK) * 1.05;
+  const mMin = Math.min(...allM);
+  const mMax = Math.max(...allM, 1) * 1.1;
+
+  const X = (v) => PAD_L + ((v - kMin) / (kMax - kMin)) * (W - PAD_L - PAD_R);
+  const Y = (m) => PAD_T + ((mMax - m) / (mMax - mMin)) * (H - PAD_T - PAD_B);
+
+  const path = points
+    .map((p, i) => `${i === 0 ? 'M' : 'L'} ${X(k(p)).toFixed(1)} ${Y(p.MFt).toFixed(1)}`)
+    .join(' ');
+
+  const kStep = niceStep(kMax - kMin);
+  const mStep = niceStep(mMax - mMin);
+  const kTicks = [];
+  for (let v = Math.ceil(kMin / kStep) * kStep; v <= kMax; v += kStep) kTicks.push(v);
+  const mTicks = [];
+  for (let v = Math.ceil(mMin / mStep) * mStep; v <= mMax; v += mStep) mTicks.push(v);
+
+  const events = [
+    { pt: cracking, label: 'cracking', color: '#f59e0b' },
+    { pt: firstYield, label: 'first yield', color: '#16a34a' },
+    { pt: ultimate, label: 'ultimate', color: '#ef4444' },
+  ].filter((e) => e.pt);
+
+  return (
+    <div className="beam-diagram interaction-diagram mk-diagram">
+      <h3>Moment–Curvature (M–&#x03C6;)</h3>
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+        {kTicks.map((v) => (
+          <g key={`k${v}`}>
+            <line x1={X(v)} y1={PAD_T} x2={X(v)} y2={H - PAD_B} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={X(v)} y={H - PAD_B + 12} className="chart-tick" textAnchor="middle">
+              {Number(v.toPrecision(3))}
+            </text>
+          </g>
+        ))}
+        {mTicks.map((v) => (
+          <g key={`m${v}`}>
+            <line x1={PAD_L} y1={Y(v)} x2={W - PAD_R} y2={Y(v)} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={PAD_L - 4} y={Y(v) + 3} className="chart-tick" textAnchor="end">{v.toFixed(0)}</text>
+          </g>
+        ))}
+
+        <line x1={PAD_L} y1={Y(0)} x2={W - PAD_R} y2={Y(0)} stroke="#94a3b8" strokeWidth="1" />
+        <line x1={X(0)} y1={PAD_T} x2={X(0)} y2={H - PAD_B} stroke="#94a3b8" strokeWidth="1" />
+        <text x={(PAD_L + W - PAD_R) / 2} y={H - PAD_B + 26} className="chart-axis-label" textAnchor="middle">
+          Curvature, &#x03C6; (10&#x207B;&#x00B3; /{u.label('length')})
+        </text>
+        <text
+          x={12}
+          y={(PAD_T + H - PAD_B) / 2}
+          className="chart-axis-label"
+          textAnchor="middle"
+          transform={`rotate(-90 12 ${(PAD_T + H - PAD_B) / 2})`}
+        >
+          Moment ({u.label('moment')})
+        </text>
+
+        <path d={path} fill="none" stroke="#3b82f6" strokeWidth="2" />
+
+        {events.map(({ pt, label, color }) => (
+          <g key={label}>
+            <circle cx={X(k(pt))} cy={Y(pt.MFt)} r="4" fill={color} stroke="#fff" strokeWidth="1.5" />
+            <text x={X(k(pt)) + 6} y={Y(pt.MFt) + 12} className="diagram-label" fontSize="9" fill={color}>
+              {label}
+            </text>
+          </g>
+        ))}
+
+        <g transform={`translate(${PAD_L}, ${H - 4})`}>
+          {events.map(({ label, color }, i) => (
+            <g key={label} transform={`translate(${i * 90}, 0)`}>
+              <circle cx="5" cy="-4" r="3.5" fill={color} />
+              <text x="12" y="-1" className="diagram-label legend-text">{label}</text>
+            </g>
+          ))}
+        </g>
+      </svg>
+    </div>
+  );
+}
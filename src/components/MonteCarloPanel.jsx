@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { fromDisplay, toDisplay, unitFormatter } from '../utils/units';
+import { monteCarlo, RANDOM_VARIABLES } from '../utils/monteCarlo';
+import CapacityHistogram from './CapacityHistogram';
+
+/**
+ * Monte Carlo reliability of the calculated section. Collects the statistics
+ * of each random variable (distribution, bias, COV), the trial count, seed
+ * and demand, runs monteCarlo() and shows the capacity histogram with its
+ * mean, COV, probability of failure and reliability index β.
+ */
+export default function MonteCarloPanel({ results }) {
+  const section = results.section;
+  const units = section.units || 'US';
+  const u = unitFormatter(units);
+  const initial = () => ({
+    trials: 2000,
+    seed: 1,
+    capacity: 'MnFt',
+    Mu: section.Mu > 0 ? +toDisplay(section.Mu, 'moment', units).toPrecision(5) : '',
+    variables: Object.fromEntries(RANDOM_VARIABLES.map(({ id, dist, bias, cov }) => [id, { dist, bias, cov }])),
+  });
+  const [inputs, setInputs] = useState(initial);
+  const [mc, setMc] = useState(null);
+  const [error, setError] = useState(null);
+  // Start over for a new calculation.
+  const [forResults, setForResults] = useState(results);
+  if (forResults !== results) {
+    setForResults(results);
+    setInputs(initial());
+    setMc(null);
+    setError(null);
+  }
+
+  const handleChange = (field, value) => {
+    setInputs((prev) => ({ ...prev, [field]: value }));
+  };
+  const handleVariable = (id, field, value) => {
+    setInputs((prev) => ({
+      ...prev,
+      variables: { ...prev.variables, [id]: { ...prev.variables[id], [field]: value } },
+    }));
+  };
+
+  const handleRun = () => {
+    try {
+      setMc(monteCarlo(section, results.layers, {
+        trials: parseInt(inputs.trials),
+        seed: parseInt(inputs.seed) || 0,
+        capacity: inputs.capacity,
+        Mu: fromDisplay(parseFloat(inputs.Mu) || 0, 'moment', units),
+        variables: Object.fromEntries(Object.entries(inputs.variables).map(([id, v]) => [
+          id, { dist: v.dist, bias: parseFloat(v.bias), cov: parseFloat(v.cov) },
+        ])),
+      }));
+      setError(null);
+    } catch (err) {
+      setMc(null);
+      setError(err.message);
+    }
+  };
+
+  const capacityName = inputs.capacity === 'MnFt' ? 'Mn' : 'φMn';
+  const beta = (b) => (b == null ? '—' : b.toFixed(2));
+
+  return (
+    <div className="beam-diagram interaction-diagram reliability-diagram">
+      <h3>Monte Carlo Reliability</h3>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Trials</span>
+          <input type="number" step="500" min="2" max="100000" value={inputs.trials}
+            onChange={(e) => handleChange('trials', e.target.value)} />
+        </label>
+        <label>
+          <span className="label-text">Seed</span>
+          <input type="number" step="1" value={inputs.seed} onChange={(e) => handleChange('seed', e.target.value)} />
+          <span className="field-note">The same seed repeats the run</span>
+        </label>
+        <label>
+          <span className="label-text">Capacity</span>
+          <select value={inputs.capacity} onChange={(e) => handleChange('capacity', e.target.value)}>
+            <option value="MnFt">Nominal, Mn</option>
+            <option value="phiMnFt">Design, φMn</option>
+          </select>
+        </label>
+        <label>
+          <span className="label-text">M<sub>u</sub> ({u.label('moment')})</span>
+          <input type="number" step="any" min="0" value={inputs.Mu} onChange={(e) => handleChange('Mu', e.target.value)} />
+        </label>
+      </div>
+
+      <div className="table-wrapper">
+        <table className="layer-table">
+          <thead>
+            <tr>
+              <th>Variable</th>
+              <th>Distribution</th>
+              <th>Bias &lambda;</th>
+              <th>COV</th>
+            </tr>
+          </thead>
+          <tbody>
+            {RANDOM_VARIABLES.map(({ id, name }) => (
+              <tr key={id}>
+                <td>{name}</td>
+                <td>
+                  <select value={inputs.variables[id].dist} onChange={(e) => handleVariable(id, 'dist', e.target.value)}>
+                    <option value="normal">Normal</option>
+                    <option value="lognormal">Lognormal</option>
+                  </select>
+                </td>
+                <td>
+                  <input type="number" step="0.01" min="0" value={inputs.variables[id].bias}
+                    onChange={(e) => handleVariable(id, 'bias', e.target.value)} />
+                </td>
+                <td>
+                  <input type="number" step="0.005" min="0" value={inputs.variables[id].cov}
+                    onChange={(e) => handleVariable(id, 'cov', e.target.value)} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <span className="field-note">
+          Factors on the nominal values. f<sub>pu</sub>, A<sub>ps</sub>, d<sub>p</sub> and f<sub>se</sub> apply to
+          every prestressing layer; mild steel stays at its nominal values.
+        </span>
+      </div>
+
+      <button type="button" className="btn-add-layer" onClick={handleRun}>
+        Run Simulation
+      </button>
+
+      {error && <div className="dxf-error">{error}</div>}
+
+      {mc && (
+        <>
+          <CapacityHistogram mc={mc} label={capacityName} units={units} />
+          <div className="table-wrapper">
+            <table className="layer-table">
+              <tbody>
+                <tr><td>Nominal {capacityName}</td><td>{u.fmt(mc.nominal, 'moment', 1)}</td></tr>
+                <tr><td>Mean, bias</td><td>{u.fmt(mc.mean, 'moment', 1)}, {mc.bias.toFixed(3)}</td></tr>
+                <tr><td>Standard deviation, COV</td><td>{u.fmt(mc.sd, 'moment', 1)}, {mc.cov.toFixed(4)}</td></tr>
+                <tr><td>5th percentile</td><td>{u.fmt(mc.p05, 'moment', 1)}</td></tr>
+                {mc.Mu != null && (
+                  <>
+                    <tr><td>P({capacityName} &lt; M<sub>u</sub>)</td><td>{mc.pf.toExponential(2)}</td></tr>
+                    <tr><td>&beta; from the failure count</td><td>{beta(mc.betaEmpirical)}</td></tr>
+                    <tr><td>&beta; of a lognormal fit</td><td>{beta(mc.beta)}</td></tr>
+                  </>
+                )}
+              </tbody>
+            </table>
+            <span className="field-note">
+              {mc.samples.length} of {mc.trials} trials analyzed
+              {mc.failed > 0 ? ` (${mc.failed} put steel outside the section or found no equilibrium)` : ''}.
+              {mc.Mu != null && mc.betaEmpirical == null
+                ? ` No trial${mc.pf === 1 ? ' exceeded' : ' fell below'} Mu; the count resolves pf to about 1/${mc.samples.length}, so rely on the lognormal β.`
+                : ''}
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
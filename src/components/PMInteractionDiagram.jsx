@@ -0,0 +1,141 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+
+/**
+ * Axial load – moment (P–M) interaction diagram: nominal and design curves,
+ * the §22.4.2 axial cap, balanced / pure-flexure points, and the factored
+ * demand point. Axial compression is plotted upward.
+ */
+export default function PMInteractionDiagram({ results }) {
+  const interaction = results?.interaction;
+  if (!interaction) return null;
+  const u = unitFormatter(results.section?.units);
+  const inUnits = (p) => p && ({
+    ...p,
+    MnFt: u.value(p.MnFt, 'moment'),
+    phiMnFt: u.value(p.phiMnFt, 'moment'),
+    MuFt: u.value(p.MuFt, 'moment'),
+    Pn: u.value(p.Pn, 'force'),
+    phiPn: u.value(p.phiPn, 'force'),
+    Pu: u.value(p.Pu, 'force'),
+  });
+  const points = interaction.points.map(inUnits);
+  const phiPnmax = u.value(interaction.phiPnmax, 'force');
+  const balanced = inUnits(interaction.balanced);
+  const pureFlexure = inUnits(interaction.pureFlexure);
+  const demand = inUnits(interaction.demand);
+
+  const W = 380;
+  const H = 360;
+  const PAD_L = 46;
+  const PAD_R = 16;
+  const PAD_T = 18;
+  const PAD_B = 52;
+
+  const allM = [
+    ...points.map((p) => p.MnFt),
+    ...(demand ? [demand.MuFt] : []),
+    0,
+  ];
+  const allP = [
+    ...points.map((p) => p.Pn),
+    ...(demand ? [demand.Pu] : []),
+    0,
+  ];
+  const mMin = Math.min(...allM);
+  const mMax = Math.max(...allM, 1) * 1.1;
+  const pMin = Math.min(...allP) * 1.1;
+  const pMax = Math.max(...allP, 1) * 1.08;
+
+  const X = (m) => PAD_L + ((m - mMin) / (mMax - mMin)) * (W - PAD_L - PAD_R);
+  const Y = (p) => PAD_T + ((pMax - p) / (pMax - pMin)) * (H - PAD_T - PAD_B);
+
+  const toPath = (pts, mKey, pKey) =>
+    pts.map((p, i) => `${i === 0 ? 'M' : 'L'} ${X(p[mKey]).toFixed(1)} ${Y(p[pKey]).toFixed(1)}`).join(' ');
+
+  const mStep = niceStep(mMax - mMin);
+  const pStep = niceStep(pMax - pMin);
+  const mTicks = [];
+  for (let v = Math.ceil(mMin / mStep) * mStep; v <= mMax; v += mStep) mTicks.push(v);
+  const pTicks = [];
+  for (let v = Math.ceil(pMin / pStep) * pStep; v <= pMax; v += pStep) pTicks.push(v);
+
+  return (
+    <div className="beam-diagram interaction-diagram pm-diagram">
+      <h3>Axial–Moment Interaction (P–M)</h3>
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+        {/* grid + ticks */}
+        {mTicks.map((v) => (
+          <g key={`m${v}`}>
+            <line x1={X(v)} y1={PAD_T} x2={X(v)} y2={H - PAD_B} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={X(v)} y={H - PAD_B + 12} className="chart-tick" textAnchor="middle">{v.toFixed(0)}</text>
+          </g>
+        ))}
+        {pTicks.map((v) => (
+          <g key={`p${v}`}>
+            <line x1={PAD_L} y1={Y(v)} x2={W - PAD_R} y2={Y(v)} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={PAD_L - 4} y={Y(v) + 3} className="chart-tick" textAnchor="end">{v.toFixed(0)}</text>
+          </g>
+        ))}
+
+        {/* axes through the origin */}
+        <line x1={PAD_L} y1={Y(0)} x2={W - PAD_R} y2={Y(0)} stroke="#94a3b8" strokeWidth="1" />
+        <line x1={X(0)} y1={PAD_T} x2={X(0)} y2={H - PAD_B} stroke="#94a3b8" strokeWidth="1" />
+        <text x={(PAD_L + W - PAD_R) / 2} y={H - PAD_B + 26} className="chart-axis-label" textAnchor="middle">
+          Moment ({u.label('moment')})
+        </text>
+        <text
+          x={12}
+          y={(PAD_T + H - PAD_B) / 2}
+          className="chart-axis-label"
+          textAnchor="middle"
+          transform={`rotate(-90 12 ${(PAD_T + H - PAD_B) / 2})`}
+        >
+          Axial load, compression + ({u.label('force')})
+        </text>
+
+        {/* nominal curve */}
+        <path d={toPath(points, 'MnFt', 'Pn')} fill="none" stroke="#94a3b8" strokeWidth="1.5" strokeDasharray="5,3" />
+
+        {/* design curve (truncated at φPn,max) */}
+        <path d={toPath(points, 'phiMnFt', 'phiPn')} fill="rgba(59,130,246,0.08)" stroke="#3b82f6" strokeWidth="2" />
+
+        {/* φPn,max cap */}
+        <line x1={PAD_L} y1={Y(phiPnmax)} x2={W - PAD_R} y2={Y(phiPnmax)} stroke="#ef4444" strokeWidth="1" strokeDasharray="3,3" />
+        <text x={W - PAD_R - 2} y={Y(phiPnmax) - 4} className="diagram-label" fontSize="9" textAnchor="end" fill="#ef4444">
+          &#x03D5;P<tspan baselineShift="sub" fontSize="7">n,max</tspan> = {phiPnmax.toFixed(0)}
+        </text>
+
+        {/* balanced + pure flexure */}
+        {balanced && (
+          <g>
+            <circle cx={X(balanced.phiMnFt)} cy={Y(balanced.phiPn)} r="3.5" fill="#16a34a" stroke="#fff" strokeWidth="1" />
+            <text x={X(balanced.phiMnFt) + 6} y={Y(balanced.phiPn) - 4} className="diagram-label" fontSize="9" fill="#15803d">
+              balanced
+            </text>
+          </g>
+        )}
+        <circle cx={X(pureFlexure.phiMnFt)} cy={Y(0)} r="3.5" fill="#16a34a" stroke="#fff" strokeWidth="1" />
+
+        {/* demand point */}
+        {demand && (
+          <g>
+            <circle cx={X(demand.MuFt)} cy={Y(demand.Pu)} r="4.5"
+              fill={demand.pass ? '#22c55e' : '#ef4444'} stroke="#fff" strokeWidth="1.5" />
+            <text x={X(demand.MuFt) + 6} y={Y(demand.Pu) + 4} className="diagram-label" fontSize="9" fill="#ef4444">
+              demand
+            </text>
+          </g>
+        )}
+
+        {/* legend */}
+        <g transform={`translate(${PAD_L}, ${H - 4})`}>
+          <line x1="0" y1="-4" x2="14" y2="-4" stroke="#3b82f6" strokeWidth="2" />
+          <text x="18" y="-1" className="diagram-label legend-text">&#x03D5;Pn–&#x03D5;Mn</text>
+          <line x1="100" y1="-4" x2="114" y2="-4" stroke="#94a3b8" strokeWidth="1.5" strokeDasharray="4,2" />
+          <text x="118" y="-1" className="diagram-label legend-text">nominal</text>
+        </g>
+      </svg>
+    </div>
+  );
+}
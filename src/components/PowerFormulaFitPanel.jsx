@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import StressStrainChart from './StressStrainChart';
+import { fromDisplay, unitFormatter } from '../utils/units';
+import { fitPowerFormula, parseStressStrainCsv } from '../utils/powerFormulaFit';
+
+/**
+ * Power-formula fit to test data. Reads (strain, stress) pairs pasted or from
+ * a CSV file, fits Q, R and K (fitPowerFormula) with Es, fpy and fpu entered
+ * or estimated from the data, shows the fit over the data with its error, and
+ * saves the result through onSave as a prestressing grade. Stresses follow
+ * the form's units.
+ */
+export default function PowerFormulaFitPanel({ onSave, units = 'US' }) {
+  const u = unitFormatter(units);
+  const [inputs, setInputs] = useState({
+    csv: '', strainPercent: false, Es: '', fpy: '', fpu: '', name: '', strand: true,
+  });
+  const [fit, setFit] = useState(null);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(null);
+
+  const handleChange = (field, value) => {
+    setInputs((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => handleChange('csv', String(reader.result));
+    reader.readAsText(file);
+  };
+
+  // Blank properties are estimated from the data.
+  const stressInput = (v) => (v === '' || !Number.isFinite(parseFloat(v)) ? null : fromDisplay(parseFloat(v), 'stress', units));
+
+  const handleFit = () => {
+    try {
+      const points = parseStressStrainCsv(inputs.csv, { strainPercent: inputs.strainPercent })
+        .map((p) => ({ strain: p.strain, stress: fromDisplay(p.stress, 'stress', units) }));
+      setFit({
+        points,
+        ...fitPowerFormula(points, { Es: stressInput(inputs.Es), fpy: stressInput(inputs.fpy), fpu: stressInput(inputs.fpu) }),
+      });
+      setError(null);
+      setSaved(null);
+    } catch (err) {
+      setFit(null);
+      setError(err.message);
+    }
+  };
+
+  // Default prestress as for the strand presets: fpi 0.70 fpu after seating,
+  // fse 0.63 fpu after about 10 % losses; both can be changed in the editor.
+  const grade = fit && {
+    name: inputs.name.trim() || 'Fitted grade',
+    category: 'prestressing',
+    strand: inputs.strand,
+    lowRelaxation: true,
+    description: `Power formula fitted to ${fit.points.length} test points`,
+    Es: fit.Es,
+    fpy: fit.fpy,
+    fpu: fit.fpu,
+    stressCap: fit.stressCap,
+    Q: +fit.Q.toPrecision(5),
+    R: +fit.R.toPrecision(5),
+    K: +fit.K.toPrecision(5),
+    defaultFse: +(0.63 * fit.fpu).toFixed(1),
+    defaultFpi: +(0.7 * fit.fpu).toFixed(1),
+    custom: true,
+  };
+
+  const handleSave = () => {
+    try {
+      setSaved(onSave(grade).name);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const yesNo = (field) => (
+    <select value={inputs[field] ? 'yes' : 'no'} onChange={(e) => handleChange(field, e.target.value === 'yes')}>
+      <option value="yes">Yes</option>
+      <option value="no">No</option>
+    </select>
+  );
+
+  return (
+    <>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Test Data: strain, stress ({u.label('stress')})</span>
+          <textarea
+            rows={5}
+            value={inputs.csv}
+            placeholder={'0, 0\n0.005, 142\n0.01, 243\n…'}
+            onChange={(e) => handleChange('csv', e.target.value)}
+          />
+          <span className="field-note">One pair per line; header lines are skipped</span>
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">CSV File</span>
+          <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={(e) => handleFile(e.target.files?.[0])} />
+        </label>
+        <label>
+          <span className="label-text">Strain in %</span>
+          {yesNo('strainPercent')}
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">E<sub>s</sub> ({u.label('stress')})</span>
+          <input type="number" step="any" min="0" value={inputs.Es} placeholder="From data"
+            onChange={(e) => handleChange('Es', e.target.value)} />
+        </label>
+        <label>
+          <span className="label-text">f<sub>py</sub> ({u.label('stress')})</span>
+          <input type="number" step="any" min="0" value={inputs.fpy} placeholder="At 1% strain"
+            onChange={(e) => handleChange('fpy', e.target.value)} />
+        </label>
+        <label>
+          <span className="label-text">f<sub>pu</sub> ({u.label('stress')})</span>
+          <input type="number" step="any" min="0" value={inputs.fpu} placeholder="Peak stress"
+            onChange={(e) => handleChange('fpu', e.target.value)} />
+        </label>
+      </div>
+
+      <button type="button" className="btn-add-layer" onClick={handleFit}>
+        Fit Q, R and K
+      </button>
+
+      {fit && (
+        <>
+          <StressStrainChart grades={[grade]} data={fit.points} title="Power-Formula Fit" units={units} />
+          <div className="table-wrapper">
+            <table className="layer-table">
+              <tbody>
+                <tr><td>Q, R, K</td><td>{grade.Q}, {grade.R}, {grade.K}</td></tr>
+                <tr><td>E<sub>s</sub>, f<sub>py</sub>, f<sub>pu</sub></td>
+                  <td>{u.num(fit.Es, 'stress', 0)}, {u.num(fit.fpy, 'stress', 1)}, {u.fmt(fit.fpu, 'stress', 1)}</td></tr>
+                <tr><td>RMS error</td><td>{u.fmt(fit.rms, 'stress', 2)}</td></tr>
+                <tr><td>Largest error</td><td>{u.fmt(fit.maxError, 'stress', 2)}</td></tr>
+                <tr><td>R&sup2;</td><td>{fit.r2.toFixed(5)}</td></tr>
+              </tbody>
+            </table>
+            <span className="field-note">
+              {fit.points.length} points
+              {fit.converged ? '' : `; the fit stopped after ${fit.iterations} iterations without converging`}.
+              Saved with f<sub>pi</sub> = 0.70 f<sub>pu</sub> and f<sub>se</sub> = 0.63 f<sub>pu</sub>.
+            </span>
+          </div>
+          <div className="form-row">
+            <label>
+              <span className="label-text">Grade Name</span>
+              <input type="text" value={inputs.name} placeholder="Fitted grade"
+                onChange={(e) => handleChange('name', e.target.value)} />
+            </label>
+            <label>
+              <span className="label-text">Seven-Wire Strand</span>
+              {yesNo('strand')}
+            </label>
+          </div>
+          <button type="button" className="btn-add-layer" onClick={handleSave}>
+            Save as Steel Grade
+          </button>
+          {saved && <span className="field-note">Saved as {saved}.</span>}
+        </>
+      )}
+
+      {error && <div className="dxf-error">{error}</div>}
+    </>
+  );
+}
@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { convertFields, fromDisplay, unitFormatter } from '../utils/units';
+
+const METHODS = [
+  { id: 'pci', name: 'PCI / Zia et al. (lump-sum components)' },
+  { id: 'aashto', name: 'AASHTO LRFD refined (§5.9.3.4)' },
+];
+
+/**
+ * Prestress loss estimator. Collects the loss parameters, runs onApply (which
+ * writes fse and fpi into the prestressing layers) and shows the breakdown
+ * ES + CR + SH + RE for each layer. f'ci, Mself and Msustained come from the
+ * stage-stress inputs. V/S and the breakdown follow the form's units.
+ */
+export default function PrestressLossPanel({ onApply, layerLabels, units = 'US' }) {
+  const [inputs, setInputs] = useState({
+    method: 'pci',
+    jackingRatio: 0.75,
+    tensioning: 'pre',
+    RH: 70,
+    VS: units === 'SI' ? 75 : 3,
+    ti: 1,
+    tf: 10000,
+  });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // Rescale V/S when the form switches units.
+  const [inputUnits, setInputUnits] = useState(units);
+  if (inputUnits !== units) {
+    setInputUnits(units);
+    setInputs((prev) => convertFields(prev, { VS: 'length' }, inputUnits, units));
+  }
+  const u = unitFormatter(units);
+
+  const handleChange = (field, value) => {
+    setInputs((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleApply = () => {
+    try {
+      setResult(onApply({
+        method: inputs.method,
+        jackingRatio: parseFloat(inputs.jackingRatio) || 0.75,
+        postTensioned: inputs.tensioning === 'post',
+        RH: parseFloat(inputs.RH) || 0,
+        VS: fromDisplay(parseFloat(inputs.VS) || 0, 'length', units),
+        ti: parseFloat(inputs.ti) || 1,
+        tf: parseFloat(inputs.tf) || 10000,
+      }));
+      setError(null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  const rows = result
+    ? result.layers.map((r, i) => (r ? { ...r, label: layerLabels[i] } : null)).filter(Boolean)
+    : [];
+
+  return (
+    <>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Method</span>
+          <select value={inputs.method} onChange={(e) => handleChange('method', e.target.value)}>
+            {METHODS.map((m) => (
+              <option key={m.id} value={m.id}>{m.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">f<sub>pj</sub> / f<sub>pu</sub></span>
+          <input type="number" step="0.01" min="0.5" max="0.8" value={inputs.jackingRatio}
+            onChange={(e) => handleChange('jackingRatio', e.target.value)} />
+        </label>
+        <label className={inputs.method === 'aashto' ? 'disabled-field' : undefined}>
+          <span className="label-text">Tensioning</span>
+          <select
+            value={inputs.method === 'aashto' ? 'pre' : inputs.tensioning}
+            disabled={inputs.method === 'aashto'}
+            onChange={(e) => handleChange('tensioning', e.target.value)}
+          >
+            <option value="pre">Pretensioned</option>
+            <option value="post">Post-tensioned</option>
+          </select>
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">RH (%)</span>
+          <input type="number" step="5" min="0" max="100" value={inputs.RH}
+            onChange={(e) => handleChange('RH', e.target.value)} />
+        </label>
+        <label>
+          <span className="label-text">V/S ({u.label('length')})</span>
+          <input type="number" step={u.si ? 'any' : '0.1'} min="0" value={inputs.VS}
+            onChange={(e) => handleChange('VS', e.target.value)} />
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">t<sub>i</sub> (days)</span>
+          <input type="number" step="any" min="0.25" value={inputs.ti}
+            onChange={(e) => handleChange('ti', e.target.value)} />
+          <span className="field-note">Age at transfer (curing to tensioning for PT)</span>
+        </label>
+        {inputs.method === 'aashto' && (
+          <label>
+            <span className="label-text">t<sub>f</sub> (days)</span>
+            <input type="number" step="any" min="1" value={inputs.tf}
+              onChange={(e) => handleChange('tf', e.target.value)} />
+            <span className="field-note">Final age</span>
+          </label>
+        )}
+      </div>
+
+      <button type="button" className="btn-add-layer" onClick={handleApply}>
+        Estimate Losses &amp; Fill f<sub>se</sub>
+      </button>
+
+      {error && <div className="dxf-error">{error}</div>}
+
+      {rows.length > 0 && (
+        <div className="table-wrapper loss-breakdown">
+          <table className="layer-table">
+            <thead>
+              <tr>
+                <th>Layer</th>
+                <th>f<sub>pj</sub></th>
+                <th>ES</th>
+                <th>CR</th>
+                <th>SH</th>
+                <th>RE</th>
+                <th>Total</th>
+                <th>f<sub>se</sub></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.label}>
+                  <td>{r.label}</td>
+                  <td>{u.num(r.fpj, 'stress', 1)}</td>
+                  <td>{u.num(r.ES, 'stress', 1)}</td>
+                  <td>{u.num(r.CR, 'stress', 1)}</td>
+                  <td>{u.num(r.SH, 'stress', 1)}</td>
+                  <td>{u.num(r.RE, 'stress', 1)}</td>
+                  <td>
+                    {u.num(r.total, 'stress', 1)} ({((r.total / r.fpj) * 100).toFixed(1)}%)
+                  </td>
+                  <td>{u.num(r.fse, 'stress', 1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <span className="field-note">
+            Stresses in {u.label('stress')}. f<sub>se</sub> and f<sub>pi</sub> = f<sub>pj</sub> &minus; ES were written to the layers above.
+          </span>
+        </div>
+      )}
+    </>
+  );
+}
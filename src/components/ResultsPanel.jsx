@@ -3,6 +3,10 @@
  * All calculation sections are collapsible (collapsed by default).
  */
 import { useState } from 'react';
+import { CONCRETE_MODELS } from '../utils/fiberAnalysis';
+import { SUPPORT_TYPES } from '../utils/spanAnalysis';
+import { codeProvisions } from '../utils/beamCalculations';
+import { unitFormatter } from '../utils/units';
 
 function CollapsibleSection({ title, id, children }) {
   const [open, setOpen] = useState(false);
@@ -45,6 +49,16 @@ export default function ResultsPanel({ results }) {
     cOverD,
     fc,
     cracking,
+    Pu,
+    unbonded,
+    interaction,
+    fiber,
+    momentCurvature,
+    stages,
+    shear,
+    span,
+    development,
+    deflection,
   } = results;
 
   // Find extreme tension layer (deepest) for evaluated formula display
@@ -54,6 +68,20 @@ export default function ResultsPanel({ results }) {
   }
   const etl = extremeLayer;
   const epsilonTy = etl ? etl.steel.fpy / etl.steel.Es : 0.002;
+  const code = codeProvisions(results.section);
+  const aashto = code.id === 'aashto';
+  const limits = results.strainLimits || { compression: epsilonTy, tension: epsilonTy + 0.003 };
+  const phiT = layerResults.some((lr) => lr.fse > 0) ? 1.0 : 0.9;
+  // FRP extreme layer: ACI 440.11 φ from 0.8 εfu and εfu (frpPhiFactor).
+  const frp = results.frp === true;
+  const phiFrpC = aashto ? 0.75 : 0.65;
+  const hogging = results.momentSign === 'hogging';
+  const u = unitFormatter(results.section?.units);
+  const Es = etl ? Math.round(u.value(etl.steel.Es, 'stress')).toLocaleString() : '';
+  // Evaluated equations that mix forces and section moduli are shown in N and
+  // mm for SI, so each line is dimensionally consistent as written.
+  const N = (kip, digits = 2) => (u.si ? (u.value(kip, 'force') * 1000).toFixed(0) : kip.toFixed(digits));
+  const Nmm = (kipIn) => (u.si ? (u.value(kipIn, 'momentIn') * 1e6).toExponential(3) : kipIn.toFixed(1));
 
   return (
     <div className="results-panel">
@@ -68,7 +96,7 @@ export default function ResultsPanel({ results }) {
             <tbody>
               <tr>
                 <td>f&#x2032;<sub>c</sub></td>
-                <td>{fc} ksi</td>
+                <td>{u.fmt(fc, 'stress', 2)}</td>
               </tr>
               <tr>
                 <td>&beta;<sub>1</sub></td>
@@ -76,15 +104,15 @@ export default function ResultsPanel({ results }) {
               </tr>
               <tr>
                 <td>Neutral axis depth, c</td>
-                <td>{c.toFixed(3)} in</td>
+                <td>{u.fmt(c, 'length', 3)}</td>
               </tr>
               <tr>
                 <td>Whitney stress block depth, a = &beta;<sub>1</sub>&middot;c</td>
-                <td>{a.toFixed(3)} in</td>
+                <td>{u.fmt(a, 'length', 3)}</td>
               </tr>
               <tr>
                 <td>Concrete compression, C<sub>c</sub></td>
-                <td>{Cc.toFixed(2)} kips</td>
+                <td>{u.fmt(Cc, 'force', 2)}</td>
               </tr>
               <tr>
                 <td>c / d<sub>t</sub> ratio</td>
@@ -94,27 +122,152 @@ export default function ResultsPanel({ results }) {
                 <td>Net tensile strain, &epsilon;<sub>t</sub></td>
                 <td>{epsilonT.toFixed(6)}</td>
               </tr>
-              <tr>
-                <td>Yield strain, &epsilon;<sub>ty</sub> = f<sub>py</sub> / E<sub>s</sub></td>
-                <td>{epsilonTy.toFixed(6)}</td>
-              </tr>
+              {frp ? (
+                <tr>
+                  <td>FRP strain limits, 0.8&epsilon;<sub>fu</sub> / &epsilon;<sub>fu</sub> = f<sub>fu</sub> / E<sub>f</sub></td>
+                  <td>{limits.compression.toFixed(4)} / {limits.tension.toFixed(4)}</td>
+                </tr>
+              ) : aashto ? (
+                <tr>
+                  <td>Strain limits, &epsilon;<sub>cl</sub> / &epsilon;<sub>tl</sub> ({code.cite.phi})</td>
+                  <td>{limits.compression.toFixed(4)} / {limits.tension.toFixed(4)}</td>
+                </tr>
+              ) : (
+                <tr>
+                  <td>Yield strain, &epsilon;<sub>ty</sub> = f<sub>py</sub> / E<sub>s</sub></td>
+                  <td>{epsilonTy.toFixed(6)}</td>
+                </tr>
+              )}
               <tr>
                 <td>Strength reduction, &#x03D5;</td>
                 <td>{phi.toFixed(3)}</td>
               </tr>
+              {results.frpRupture && (
+                <tr>
+                  <td>FRP rupture before crushing (ACI 440.1R-15 §7.2.2.2)</td>
+                  <td>M<sub>n</sub> on the block of c<sub>b</sub> = {u.fmt(results.frpRupture.cb, 'length', 2)}</td>
+                </tr>
+              )}
+              {hogging && (
+                <tr>
+                  <td>Moment sign</td>
+                  <td>Hogging (&minus;M) &mdash; c, a and d measured from the bottom fiber</td>
+                </tr>
+              )}
+              {Pu !== 0 && (
+                <tr>
+                  <td>Factored axial load, P<sub>u</sub> (compression +)</td>
+                  <td>{u.fmt(Pu, 'force', 1)} &mdash; M<sub>n</sub> taken about the centroid</td>
+                </tr>
+              )}
               <tr>
                 <td>M<sub>n</sub> (Nominal Strength)</td>
-                <td>{MnFt.toFixed(1)} kip-ft ({Mn.toFixed(1)} kip-in)</td>
+                <td>{u.fmt(MnFt, 'moment', 1)} ({u.fmt(Mn, 'momentIn', 1)})</td>
               </tr>
               <tr>
                 <td>&#x03D5;M<sub>n</sub> (Design Strength)</td>
-                <td>{phiMnFt.toFixed(1)} kip-ft ({phiMn.toFixed(1)} kip-in)</td>
+                <td>{u.fmt(phiMnFt, 'moment', 1)} ({u.fmt(phiMn, 'momentIn', 1)})</td>
               </tr>
             </tbody>
           </table>
         </div>
       </CollapsibleSection>
 
+      {/* Fiber-section comparison */}
+      {fiber && (
+        <CollapsibleSection title="Fiber-Section Check" id="fiber">
+          <div className="result-details">
+            <div className="table-wrapper">
+              <table className="layer-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Whitney block</th>
+                    <th>Fiber ({CONCRETE_MODELS.find((m) => m.id === fiber.model)?.name})</th>
+                    <th>Fiber / Whitney</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    [<>Neutral axis depth, c ({u.label('length')})</>, c, fiber.c, 3, 'length'],
+                    [<>Concrete compression, C<sub>c</sub> ({u.label('force')})</>, Cc, fiber.Cc, 2, 'force'],
+                    [<>Net tensile strain, &epsilon;<sub>t</sub></>, epsilonT, fiber.epsilonT, 6],
+                    [<>Strength reduction, &#x03D5;</>, phi, fiber.phi, 3],
+                    [<>M<sub>n</sub> ({u.label('moment')})</>, MnFt, fiber.MnFt, 1, 'moment'],
+                    [<>&#x03D5;M<sub>n</sub> ({u.label('moment')})</>, phiMnFt, fiber.phiMnFt, 1, 'moment'],
+                  ].map(([label, wb, fb, digits, q], i) => (
+                    <tr key={i}>
+                      <td>{label}</td>
+                      <td>{q ? u.num(wb, q, digits) : wb.toFixed(digits)}</td>
+                      <td>{q ? u.num(fb, q, digits) : fb.toFixed(digits)}</td>
+                      <td>{wb !== 0 ? (fb / wb).toFixed(3) : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {fiber.curve && (
+              <div className="field-note">
+                f&#x2033;<sub>c</sub> = {u.fmt(fiber.curve.fpp, 'stress', 2)} at &epsilon;<sub>0</sub> = {fiber.curve.eps0.toFixed(5)};
+                extreme fiber at &epsilon;<sub>cu</sub> = 0.003, concrete tension ignored.
+              </div>
+            )}
+            {!fiber.converged && (
+              <div className="cracking-check check-fail">
+                {'\u2717 Fiber solution did not converge \u2014 '}
+                {fiber.solver?.suggestion || 'check the concrete curve'}
+              </div>
+            )}
+          </div>
+        </CollapsibleSection>
+      )}
+
+      {/* Moment–curvature */}
+      {momentCurvature && momentCurvature.points.length > 1 && (
+        <CollapsibleSection title="Moment–Curvature Response" id="moment-curvature">
+          <div className="result-details">
+            <div className="table-wrapper">
+              <table className="layer-table">
+                <thead>
+                  <tr>
+                    <th>Event</th>
+                    <th>&epsilon;<sub>top</sub></th>
+                    <th>&#x03C6; (10<sup>&minus;3</sup> /{u.label('length')})</th>
+                    <th>M ({u.label('moment')})</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    [<>Cracking (f<sub>r</sub> at extreme tension fiber)</>, momentCurvature.cracking],
+                    [<>First yield of steel</>, momentCurvature.firstYield],
+                    [<>Ultimate (&epsilon;<sub>cu</sub> = 0.003)</>, momentCurvature.ultimate],
+                  ].map(([label, pt], i) => pt && (
+                    <tr key={i}>
+                      <td>{label}</td>
+                      <td>{pt.epsTop.toFixed(5)}</td>
+                      <td>{u.num(pt.kappa * 1000, 'curvature', 4)}</td>
+                      <td>{u.num(pt.MFt, 'moment', 1)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <table className="detail-table">
+              <tbody>
+                <tr>
+                  <td>Curvature ductility, &mu;<sub>&#x03C6;</sub> = &#x03C6;<sub>u</sub> / &#x03C6;<sub>y</sub></td>
+                  <td>{momentCurvature.ductility != null ? momentCurvature.ductility.toFixed(2) : 'N/A (no yield before ultimate)'}</td>
+                </tr>
+              </tbody>
+            </table>
+            <div className="field-note">
+              {CONCRETE_MODELS.find((m) => m.id === momentCurvature.model)?.name} concrete in compression,
+              linear to f<sub>r</sub> in tension; moments about the gross centroid include prestress.
+            </div>
+          </div>
+        </CollapsibleSection>
+      )}
+
       {/* Evaluated Equations */}
       <CollapsibleSection title="Evaluated Equations" id="equations">
         <div className="result-details flexural-strength-section">
@@ -132,14 +285,24 @@ export default function ResultsPanel({ results }) {
               </div>
               {etl && (
                 <>
+                  {etl.steel.frp ? (
+                    <div className="formula">
+                      <span className="formula-lhs" style={{visibility: 'hidden'}}>f<sub>s</sub></span> ={' '}
+                      {Es}&#8239;({etl.strain.toFixed(6)}) &le; f<sub>fu</sub> = {u.num(etl.steel.fpu, 'stress', 0)}
+                      <span className="formula-note" style={{display: 'inline', marginLeft: '0.75rem'}}>
+                        (FRP: linear-elastic to rupture, no yield)
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="formula">
+                      <span className="formula-lhs" style={{visibility: 'hidden'}}>f<sub>s</sub></span> ={' '}
+                      {Es}&#8239;({etl.strain.toFixed(6)}){' '}
+                      [ {etl.steel.Q} + (1 &minus; {etl.steel.Q}) / [1 + ({Es} &times; {etl.strain.toFixed(6)} / {etl.steel.K} &times; {u.num(etl.steel.fpy, 'stress', 0)})<sup>{etl.steel.R}</sup>]<sup>1/{etl.steel.R}</sup> ]
+                    </div>
+                  )}
                   <div className="formula">
                     <span className="formula-lhs" style={{visibility: 'hidden'}}>f<sub>s</sub></span> ={' '}
-                    {etl.steel.Es.toLocaleString()}&#8239;({etl.strain.toFixed(6)}){' '}
-                    [ {etl.steel.Q} + (1 &minus; {etl.steel.Q}) / [1 + ({etl.steel.Es.toLocaleString()} &times; {etl.strain.toFixed(6)} / {etl.steel.K} &times; {etl.steel.fpy})<sup>{etl.steel.R}</sup>]<sup>1/{etl.steel.R}</sup> ]
-                  </div>
-                  <div className="formula">
-                    <span className="formula-lhs" style={{visibility: 'hidden'}}>f<sub>s</sub></span> ={' '}
-                    {etl.stress.toFixed(2)} ksi
+                    {u.fmt(etl.stress, 'stress', 2)}
                     <span className="formula-note" style={{display: 'inline', marginLeft: '0.75rem'}}>
                       (extreme tension layer)
                     </span>
@@ -150,7 +313,7 @@ export default function ResultsPanel({ results }) {
 
             {/* Strain Compatibility */}
             <div className="formula-block">
-              <div className="formula-title">Strain Compatibility (ACI 318):</div>
+              <div className="formula-title">Strain Compatibility ({code.name}):</div>
               <div className="formula">
                 <span className="formula-lhs">&epsilon;<sub>si</sub></span> ={' '}
                 &epsilon;<sub>cu</sub>&#8239;(d<sub>i</sub> / c &minus; 1) + f<sub>se</sub> / E<sub>s</sub> + &Delta;&epsilon;<sub>decomp</sub>
@@ -159,7 +322,7 @@ export default function ResultsPanel({ results }) {
                 <>
                   <div className="formula">
                     <span className="formula-lhs" style={{visibility: 'hidden'}}>&epsilon;<sub>si</sub></span> ={' '}
-                    0.003&#8239;({etl.depth.toFixed(2)} / {c.toFixed(3)} &minus; 1) + {(etl.fse || 0).toFixed(1)} / {etl.steel.Es.toLocaleString()} + {(etl.epsDecomp || 0).toFixed(6)}
+                    0.003&#8239;({u.num(etl.depth, 'length', 2)} / {u.num(c, 'length', 3)} &minus; 1) + {u.num(etl.fse || 0, 'stress', 1)} / {Es} + {(etl.epsDecomp || 0).toFixed(6)}
                   </div>
                   <div className="formula">
                     <span className="formula-lhs" style={{visibility: 'hidden'}}>&epsilon;<sub>si</sub></span> ={' '}
@@ -171,14 +334,44 @@ export default function ResultsPanel({ results }) {
                 </>
               )}
               <div className="formula-note">
-                &epsilon;<sub>cu</sub> = 0.003 per ACI 318. &Delta;&epsilon;<sub>decomp</sub> is the
+                &epsilon;<sub>cu</sub> = 0.003 per {code.name}. &Delta;&epsilon;<sub>decomp</sub> is the
                 concrete decompression strain at the steel level (bonded prestress only).
               </div>
             </div>
 
+            {/* Unbonded tendon stress */}
+            {unbonded && (
+              <div className="formula-block">
+                <div className="formula-title">Unbonded Tendon Stress (ACI 318-19 &sect;20.3.2.4):</div>
+                <div className="formula">
+                  <span className="formula-lhs">f<sub>ps</sub></span> ={' '}
+                  f<sub>se</sub> + {u.si ? 70 : 10} + f&#x2032;<sub>c</sub> / ({unbonded.slender ? 300 : 100}&#8239;&rho;<sub>p</sub>)
+                  {' '}&le; f<sub>py</sub>, &le; f<sub>se</sub> + {unbonded.slender ? (u.si ? 210 : 30) : (u.si ? 420 : 60)}
+                </div>
+                <div className="formula">
+                  <span className="formula-lhs">&rho;<sub>p</sub></span> ={' '}
+                  A<sub>ps</sub> / (b&#8239;d<sub>p</sub>) = {u.num(unbonded.Aps, 'area', 3)} / ({u.num(unbonded.b, 'length', 2)} &times; {u.num(unbonded.dp, 'length', 2)}) = {unbonded.rhoP.toFixed(5)}
+                </div>
+                <div className="formula">
+                  <span className="formula-lhs">&#x2113;<sub>n</sub>/h</span> ={' '}
+                  {unbonded.spanDepth.toFixed(1)} {unbonded.slender ? '> 35' : '\u2264 35'}
+                </div>
+                {layerResults.map((lr, idx) => lr.bonded === false && unbonded.fps[idx] != null && (
+                  <div className="formula" key={idx}>
+                    <span className="formula-lhs" style={{visibility: 'hidden'}}>f<sub>ps</sub></span>{' '}
+                    Layer {idx + 1}: f<sub>ps</sub> = {u.fmt(unbonded.fps[idx], 'stress', 2)}
+                  </div>
+                ))}
+                <div className="formula-note">
+                  Unbonded tendons take f<sub>ps</sub> in place of strain compatibility; the strain shown
+                  for them is the concrete strain at the tendon level.
+                </div>
+              </div>
+            )}
+
             {/* Whitney Stress Block */}
             <div className="formula-block">
-              <div className="formula-title">Whitney Stress Block (ACI 318 &sect;22.2):</div>
+              <div className="formula-title">Whitney Stress Block ({code.name} {code.cite.whitney}):</div>
               <div className="formula">
                 <span className="formula-lhs">C<sub>c</sub></span> ={' '}
                 0.85&#8239;f&#x2032;<sub>c</sub>&#8239;a&#8239;b
@@ -187,35 +380,128 @@ export default function ResultsPanel({ results }) {
               </div>
               <div className="formula">
                 <span className="formula-lhs" style={{visibility: 'hidden'}}>C<sub>c</sub></span>{' '}
-                a = {beta1.toFixed(3)} &times; {c.toFixed(3)} = {a.toFixed(3)} in
+                a = {beta1.toFixed(3)} &times; {u.num(c, 'length', 3)} = {u.fmt(a, 'length', 3)}
               </div>
               <div className="formula">
                 <span className="formula-lhs" style={{visibility: 'hidden'}}>C<sub>c</sub></span> ={' '}
-                {Cc.toFixed(2)} kips
+                {u.fmt(Cc, 'force', 2)}
               </div>
             </div>
 
             {/* Strength Reduction φ */}
             <div className="formula-block">
-              <div className="formula-title">Strength Reduction &#x03D5; (ACI 318 &sect;21.2):</div>
-              <div className="formula">
-                <span className="formula-lhs">&#x03D5;</span> ={' '}
-                0.65 + 0.25&#8239;(&epsilon;<sub>t</sub> &minus; &epsilon;<sub>ty</sub>) / 0.003
-              </div>
-              <div className="formula">
-                <span className="formula-lhs" style={{visibility: 'hidden'}}>&#x03D5;</span> ={' '}
-                0.65 + 0.25&#8239;({epsilonT.toFixed(6)} &minus; {epsilonTy.toFixed(6)}) / 0.003
+              <div className="formula-title">
+                Strength Reduction &#x03D5; ({frp ? (aashto ? 'AASHTO GFRP guide specification' : 'ACI 440.11-22 §21.2') : `${code.name} ${code.cite.phi}`}):
               </div>
+              {frp ? (
+                <>
+                  <div className="formula">
+                    <span className="formula-lhs">&#x03D5;</span> ={' '}
+                    {phiFrpC.toFixed(2)} &minus; ({phiFrpC.toFixed(2)} &minus; 0.55)&#8239;(&epsilon;<sub>t</sub> &minus; 0.8&epsilon;<sub>fu</sub>) / (0.2&epsilon;<sub>fu</sub>)
+                  </div>
+                  <div className="formula">
+                    <span className="formula-lhs" style={{visibility: 'hidden'}}>&#x03D5;</span> ={' '}
+                    {phiFrpC.toFixed(2)} &minus; {(phiFrpC - 0.55).toFixed(2)}&#8239;({epsilonT.toFixed(6)} &minus; {limits.compression.toFixed(4)}) / {(limits.tension - limits.compression).toFixed(4)}
+                  </div>
+                </>
+              ) : aashto ? (
+                <>
+                  <div className="formula">
+                    <span className="formula-lhs">&#x03D5;</span> ={' '}
+                    0.75 + ({phiT.toFixed(2)} &minus; 0.75)&#8239;(&epsilon;<sub>t</sub> &minus; &epsilon;<sub>cl</sub>) / (&epsilon;<sub>tl</sub> &minus; &epsilon;<sub>cl</sub>)
+                  </div>
+                  <div className="formula">
+                    <span className="formula-lhs" style={{visibility: 'hidden'}}>&#x03D5;</span> ={' '}
+                    0.75 + {(phiT - 0.75).toFixed(2)}&#8239;({epsilonT.toFixed(6)} &minus; {limits.compression.toFixed(4)}) / ({limits.tension.toFixed(4)} &minus; {limits.compression.toFixed(4)})
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="formula">
+                    <span className="formula-lhs">&#x03D5;</span> ={' '}
+                    0.65 + 0.25&#8239;(&epsilon;<sub>t</sub> &minus; &epsilon;<sub>ty</sub>) / 0.003
+                  </div>
+                  <div className="formula">
+                    <span className="formula-lhs" style={{visibility: 'hidden'}}>&#x03D5;</span> ={' '}
+                    0.65 + 0.25&#8239;({epsilonT.toFixed(6)} &minus; {epsilonTy.toFixed(6)}) / 0.003
+                  </div>
+                </>
+              )}
               <div className="formula">
                 <span className="formula-lhs" style={{visibility: 'hidden'}}>&#x03D5;</span> ={' '}
                 {phi.toFixed(3)}
               </div>
-              <div className="formula-note">0.65 &le; &#x03D5; &le; 0.90</div>
+              <div className="formula-note">
+                {frp
+                  ? `0.55 (FRP rupture) \u2264 \u03D5 \u2264 ${phiFrpC.toFixed(2)} (concrete crushing)`
+                  : aashto
+                  ? `0.75 \u2264 \u03D5 \u2264 ${phiT.toFixed(2)} (${phiT === 1 ? 'prestressed' : 'nonprestressed'})`
+                  : '0.65 \u2264 \u03D5 \u2264 0.90'}
+              </div>
             </div>
           </div>
         </div>
       </CollapsibleSection>
 
+      {/* Axial–Moment Interaction */}
+      {interaction && (
+        <CollapsibleSection title="Axial–Moment Interaction (P–M)" id="interaction">
+          <div className="result-details flexural-strength-section">
+            <table className="detail-table">
+              <tbody>
+                <tr>
+                  <td>Pure compression, P<sub>o</sub> (&sect;22.4.2.2)</td>
+                  <td>{u.fmt(interaction.Po, 'force', 1)}</td>
+                </tr>
+                <tr>
+                  <td>Maximum axial strength, P<sub>n,max</sub> (&sect;22.4.2.1)</td>
+                  <td>{u.fmt(interaction.Pnmax, 'force', 1)}</td>
+                </tr>
+                <tr>
+                  <td>&#x03D5;P<sub>n,max</sub> (&#x03D5; = {interaction.phiCompression.toFixed(2)})</td>
+                  <td>{u.fmt(interaction.phiPnmax, 'force', 1)}</td>
+                </tr>
+                {interaction.balanced && (
+                  <tr>
+                    <td>Balanced point, P<sub>b</sub> / M<sub>b</sub></td>
+                    <td>
+                      {u.fmt(interaction.balanced.Pn, 'force', 1)} / {u.fmt(interaction.balanced.MnFt, 'moment', 1)}
+                    </td>
+                  </tr>
+                )}
+                <tr>
+                  <td>Pure flexure, M<sub>n</sub> (P = 0)</td>
+                  <td>{u.fmt(interaction.pureFlexure.MnFt, 'moment', 1)}</td>
+                </tr>
+                <tr>
+                  <td>Pure tension, P<sub>nt</sub> (&sect;22.4.3)</td>
+                  <td>{u.fmt(interaction.Pnt, 'force', 1)}</td>
+                </tr>
+                {interaction.demand && (
+                  <tr>
+                    <td>&#x03D5;M<sub>n</sub> at P<sub>u</sub> = {u.fmt(interaction.demand.Pu, 'force', 1)}</td>
+                    <td>
+                      {interaction.demand.phiMnAtPu != null
+                        ? u.fmt(interaction.demand.phiMnAtPu, 'moment', 1)
+                        : 'outside the interaction curve'}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+            {interaction.demand && (
+              <div className={`cracking-check ${interaction.demand.pass ? 'check-pass' : 'check-fail'}`}>
+                {interaction.demand.pass
+                  ? '\u2713 OK \u2014 (Pu, Mu) lies inside the design P\u2013M curve'
+                  : !interaction.demand.axialOk
+                  ? '\u2717 FAILS \u2014 Pu exceeds the design axial strength'
+                  : '\u2717 FAILS \u2014 Mu exceeds \u03D5Mn at Pu'}
+              </div>
+            )}
+          </div>
+        </CollapsibleSection>
+      )}
+
       {/* Steel Layer Table */}
       <CollapsibleSection title="Steel Layer Results" id="layers">
         <div className="result-details">
@@ -226,32 +512,32 @@ export default function ResultsPanel({ results }) {
                   <th>Layer</th>
                   <th>Type</th>
                   <th>
-                    A<sub>s</sub> (in&sup2;)
+                    A<sub>s</sub> ({u.label('area')})
                   </th>
-                  <th>d (in)</th>
+                  <th>d ({u.label('length')})</th>
                   <th>
-                    f<sub>se</sub> (ksi)
+                    f<sub>se</sub> ({u.label('stress')})
                   </th>
                   <th>
                     &epsilon;<sub>s</sub>
                   </th>
                   <th>
-                    f<sub>s</sub> (ksi)
+                    f<sub>s</sub> ({u.label('stress')})
                   </th>
-                  <th>Force (kips)</th>
+                  <th>Force ({u.label('force')})</th>
                 </tr>
               </thead>
               <tbody>
                 {layerResults.map((lr, idx) => (
                   <tr key={idx} className={lr.force > 0 ? 'tension-row' : 'compression-row'}>
                     <td>{idx + 1}</td>
-                    <td>{lr.name || lr.steel?.name}</td>
-                    <td>{lr.area.toFixed(3)}</td>
-                    <td>{lr.depth.toFixed(2)}</td>
-                    <td>{(lr.fse || 0).toFixed(1)}</td>
+                    <td>{lr.name || lr.steel?.name}{lr.bonded === false ? ' (unbonded)' : ''}{lr.fpsMax != null ? ' (capped, \u00A725.4.8)' : ''}</td>
+                    <td>{u.num(lr.area, 'area', 3)}</td>
+                    <td>{u.num(lr.depth, 'length', 2)}</td>
+                    <td>{u.num(lr.fse || 0, 'stress', 1)}</td>
                     <td>{lr.strain.toFixed(6)}</td>
-                    <td>{lr.stress.toFixed(2)}</td>
-                    <td>{lr.force.toFixed(2)}</td>
+                    <td>{u.num(lr.stress, 'stress', 2)}</td>
+                    <td>{u.num(lr.force, 'force', 2)}</td>
                   </tr>
                 ))}
                 <tr className="totals-row">
@@ -259,7 +545,7 @@ export default function ResultsPanel({ results }) {
                     Total Steel Force
                   </td>
                   <td>
-                    {layerResults.reduce((sum, lr) => sum + lr.force, 0).toFixed(2)} kips
+                    {u.fmt(layerResults.reduce((sum, lr) => sum + lr.force, 0), 'force', 2)}
                   </td>
                 </tr>
               </tbody>
@@ -277,48 +563,69 @@ export default function ResultsPanel({ results }) {
               <tbody>
                 <tr>
                   <td>Gross section area, A<sub>g</sub></td>
-                  <td>{cracking.sectionProps.A.toFixed(2)} in&sup2;</td>
+                  <td>{u.fmt(cracking.sectionProps.A, 'area', 2)}</td>
                 </tr>
                 <tr>
                   <td>Gross moment of inertia, I<sub>g</sub></td>
-                  <td>{cracking.sectionProps.Ig.toFixed(1)} in&#x2074;</td>
+                  <td>{u.fmt(cracking.sectionProps.Ig, 'inertia', 1)}</td>
                 </tr>
                 <tr>
-                  <td>Section modulus (bottom), S<sub>b</sub></td>
-                  <td>{cracking.sectionProps.Sb.toFixed(2)} in&sup3;</td>
+                  {hogging
+                    ? <td>Section modulus (top), S<sub>t</sub></td>
+                    : <td>Section modulus (bottom), S<sub>b</sub></td>}
+                  <td>{u.fmt(cracking.S, 'modulus', 2)}</td>
                 </tr>
                 <tr>
                   <td>Centroid depth, y&#x0304;<sub>cg</sub></td>
-                  <td>{cracking.sectionProps.yCg.toFixed(3)} in</td>
+                  <td>{u.fmt(cracking.sectionProps.yCg, 'length', 3)}</td>
                 </tr>
+                {cracking.sectionProps.n != null && (
+                  <>
+                    <tr>
+                      <td>Topping modular ratio, n = E<sub>ct</sub>/E<sub>c</sub> (transformed above)</td>
+                      <td>{cracking.sectionProps.n.toFixed(3)}</td>
+                    </tr>
+                    <tr>
+                      <td>Precast A<sub>nc</sub> / I<sub>nc</sub> / S<sub>b,nc</sub></td>
+                      <td>
+                        {u.fmt(cracking.ncProps.A, 'area', 1)} / {u.fmt(cracking.ncProps.Ig, 'inertia', 0)} /{' '}
+                        {u.fmt(cracking.ncProps.Sb, 'modulus', 1)}
+                      </td>
+                    </tr>
+                    <tr>
+                      <td>Noncomposite dead moment, M<sub>nc</sub></td>
+                      <td>{u.fmt(cracking.Mnc / 12, 'moment', 1)}</td>
+                    </tr>
+                  </>
+                )}
                 <tr>
                   <td>Effective prestress force, P<sub>e</sub></td>
-                  <td>{cracking.P.toFixed(2)} kips</td>
+                  <td>{u.fmt(cracking.P, 'force', 2)}</td>
                 </tr>
                 <tr>
                   <td>
                     Avg. precompressive stress, f<sub>pc</sub> = P<sub>e</sub> / A<sub>g</sub>
                   </td>
-                  <td>{cracking.fpc.toFixed(4)} ksi</td>
+                  <td>{u.fmt(cracking.fpc, 'stress', 4)}</td>
                 </tr>
                 <tr>
                   <td>Prestress eccentricity, e</td>
-                  <td>{cracking.e.toFixed(3)} in</td>
+                  <td>{u.fmt(cracking.e, 'length', 3)}</td>
                 </tr>
                 <tr>
                   <td>
-                    Modulus of rupture, f<sub>r</sub> = 7.5&lambda;&radic;(f&#x2032;<sub>c</sub>)
+                    Modulus of rupture, f<sub>r</sub> = {aashto ? (u.si ? 0.63 : 0.24) : (u.si ? 0.62 : 7.5)}&lambda;&radic;(f&#x2032;<sub>c</sub>)
                     {cracking.lambda != null && cracking.lambda !== 1 && ` (λ = ${cracking.lambda})`}
                   </td>
-                  <td>{cracking.fr.toFixed(4)} ksi</td>
+                  <td>{u.fmt(cracking.fr, 'stress', 4)}</td>
                 </tr>
                 <tr>
                   <td>Cracking moment, M<sub>cr</sub></td>
-                  <td>{cracking.McrFt.toFixed(1)} kip-ft</td>
+                  <td>{u.fmt(cracking.McrFt, 'moment', 1)}</td>
                 </tr>
                 <tr>
                   <td>1.2 M<sub>cr</sub></td>
-                  <td>{cracking.thresholdFt.toFixed(1)} kip-ft</td>
+                  <td>{u.fmt(cracking.thresholdFt, 'moment', 1)}</td>
                 </tr>
               </tbody>
             </table>
@@ -332,64 +639,126 @@ export default function ResultsPanel({ results }) {
                 <div className="formula">
                   <span className="formula-lhs">f<sub>pc</sub></span> ={' '}
                   P<sub>e</sub> / A<sub>g</sub>
-                  {' '}= {cracking.P.toFixed(2)} / {cracking.sectionProps.A.toFixed(2)}
-                  {' '}= {cracking.fpc.toFixed(4)} ksi
+                  {' '}= {N(cracking.P)} / {u.num(cracking.ncProps.A, 'area', 2)}
+                  {' '}= {u.fmt(cracking.fpc, 'stress', 4)}
                 </div>
               </div>
               <div className="formula-block">
                 <div className="formula-title">
-                  Modulus of Rupture (ACI 318 &sect;19.2.3):
-                </div>
-                <div className="formula">
-                  <span className="formula-lhs">f<sub>r</sub></span> ={' '}
-                  7.5&lambda;&radic;(f&#x2032;<sub>c</sub>){' '}
-                  = 7.5 &times; {cracking.lambda ?? 1} &times; &radic;({(fc * 1000).toFixed(0)})
-                  {' '}= {(cracking.fr * 1000).toFixed(1)} psi
-                  {' '}= {cracking.fr.toFixed(4)} ksi
+                  Modulus of Rupture ({code.name} {code.cite.fr}):
                 </div>
+                {aashto ? (
+                  <div className="formula">
+                    <span className="formula-lhs">f<sub>r</sub></span> ={' '}
+                    {u.si ? 0.63 : 0.24}&lambda;&radic;(f&#x2032;<sub>c</sub>){' '}
+                    = {u.si ? 0.63 : 0.24} &times; {cracking.lambda ?? 1} &times; &radic;({u.num(fc, 'stress', 2)})
+                    {' '}= {u.fmt(cracking.fr, 'stress', 4)}
+                  </div>
+                ) : (
+                  <div className="formula">
+                    <span className="formula-lhs">f<sub>r</sub></span> ={' '}
+                    {u.si ? 0.62 : 7.5}&lambda;&radic;(f&#x2032;<sub>c</sub>){' '}
+                    {u.si ? (
+                      <>= 0.62 &times; {cracking.lambda ?? 1} &times; &radic;({u.num(fc, 'stress', 2)})</>
+                    ) : (
+                      <>
+                        = 7.5 &times; {cracking.lambda ?? 1} &times; &radic;({(fc * 1000).toFixed(0)})
+                        {' '}= {(cracking.fr * 1000).toFixed(1)} psi
+                      </>
+                    )}
+                    {' '}= {u.fmt(cracking.fr, 'stress', 4)}
+                  </div>
+                )}
                 <div className="formula-note">
-                  f&#x2032;<sub>c</sub> in psi for this equation. &lambda; = lightweight factor
-                  (ACI 318 &sect;19.2.4).
+                  f&#x2032;<sub>c</sub> in {u.si ? 'MPa' : aashto ? 'ksi' : 'psi'} for this equation. &lambda; = lightweight factor
+                  ({code.name} {code.cite.lambda}).
                 </div>
               </div>
               <div className="formula-block">
                 <div className="formula-title">
-                  Cracking Moment (ACI 318 &sect;24.2.3.5):
-                </div>
-                <div className="formula">
-                  <span className="formula-lhs">M<sub>cr</sub></span> ={' '}
-                  S<sub>b</sub>&#8239;(f<sub>r</sub> + P<sub>e</sub>/A<sub>g</sub> + P<sub>e</sub>&#8239;e / S<sub>b</sub>)
-                </div>
-                <div className="formula">
-                  <span className="formula-lhs" style={{visibility: 'hidden'}}>M<sub>cr</sub></span> ={' '}
-                  {cracking.sectionProps.Sb.toFixed(2)}&#8239;({cracking.fr.toFixed(4)} + {cracking.P.toFixed(2)}/{cracking.sectionProps.A.toFixed(2)} + {cracking.P.toFixed(2)} &times; {cracking.e.toFixed(3)} / {cracking.sectionProps.Sb.toFixed(2)})
+                  Cracking Moment ({code.name} {code.cite.Mcr}):
                 </div>
+                {hogging ? (
+                  <>
+                    <div className="formula">
+                      <span className="formula-lhs">M<sub>cr</sub></span> ={' '}
+                      {cracking.sectionProps.n != null
+                        ? <>min[S<sub>tc</sub>&#8239;f<sub>r,top</sub>, precast top fiber with M<sub>nc</sub>] (top-fiber tension)</>
+                        : <>S<sub>t</sub>&#8239;(f<sub>r</sub> + P<sub>e</sub>/A<sub>g</sub> &minus; P<sub>e</sub>&#8239;e / S<sub>t</sub>) (top-fiber tension)</>}
+                    </div>
+                    {cracking.sectionProps.n == null && (
+                      <div className="formula">
+                        <span className="formula-lhs" style={{visibility: 'hidden'}}>M<sub>cr</sub></span> ={' '}
+                        {u.num(cracking.S, 'modulus', 2)}&#8239;({u.num(cracking.fr, 'stress', 4)} + {N(cracking.P)}/{u.num(cracking.sectionProps.A, 'area', 2)} &minus; {N(cracking.P)} &times; {u.num(cracking.e, 'length', 3)} / {u.num(cracking.S, 'modulus', 2)})
+                      </div>
+                    )}
+                  </>
+                ) : cracking.sectionProps.n != null ? (
+                  <>
+                    <div className="formula">
+                      <span className="formula-lhs">M<sub>cr</sub></span> ={' '}
+                      M<sub>nc</sub> + S<sub>bc</sub>&#8239;(f<sub>r</sub> + P<sub>e</sub>/A<sub>nc</sub> + P<sub>e</sub>&#8239;e / S<sub>b,nc</sub> &minus; M<sub>nc</sub> / S<sub>b,nc</sub>)
+                    </div>
+                    <div className="formula">
+                      <span className="formula-lhs" style={{visibility: 'hidden'}}>M<sub>cr</sub></span> ={' '}
+                      {Nmm(cracking.Mnc)} + {u.num(cracking.sectionProps.Sb, 'modulus', 2)}&#8239;({u.num(cracking.fr, 'stress', 4)} + {N(cracking.P)}/{u.num(cracking.ncProps.A, 'area', 2)} + {N(cracking.P)} &times; {u.num(cracking.e, 'length', 3)} / {u.num(cracking.ncProps.Sb, 'modulus', 2)} &minus; {Nmm(cracking.Mnc)} / {u.num(cracking.ncProps.Sb, 'modulus', 2)})
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="formula">
+                      <span className="formula-lhs">M<sub>cr</sub></span> ={' '}
+                      S<sub>b</sub>&#8239;(f<sub>r</sub> + P<sub>e</sub>/A<sub>g</sub> + P<sub>e</sub>&#8239;e / S<sub>b</sub>)
+                    </div>
+                    <div className="formula">
+                      <span className="formula-lhs" style={{visibility: 'hidden'}}>M<sub>cr</sub></span> ={' '}
+                      {u.num(cracking.sectionProps.Sb, 'modulus', 2)}&#8239;({u.num(cracking.fr, 'stress', 4)} + {N(cracking.P)}/{u.num(cracking.sectionProps.A, 'area', 2)} + {N(cracking.P)} &times; {u.num(cracking.e, 'length', 3)} / {u.num(cracking.sectionProps.Sb, 'modulus', 2)})
+                    </div>
+                  </>
+                )}
                 <div className="formula">
                   <span className="formula-lhs" style={{visibility: 'hidden'}}>M<sub>cr</sub></span> ={' '}
-                  {cracking.Mcr.toFixed(1)} kip-in = {cracking.McrFt.toFixed(1)} kip-ft
+                  {u.si ? `${Nmm(cracking.Mcr)} N\u00B7mm` : u.fmt(cracking.Mcr, 'momentIn', 1)} = {u.fmt(cracking.McrFt, 'moment', 1)}
                 </div>
               </div>
               <div className="formula-block">
                 <div className="formula-title">
-                  Minimum Flexural Strength (ACI 318 &sect;9.6.1.3):
-                </div>
-                <div className="formula">
-                  <span className="formula-lhs">&#x03D5;M<sub>n</sub></span>{' '}
-                  &ge; min(1.2&#8239;M<sub>cr</sub>, 1.33&#8239;M<sub>u</sub>)
+                  Minimum Flexural Strength ({code.name} {code.cite.minStrength}):
                 </div>
+                {aashto ? (
+                  <>
+                    <div className="formula">
+                      <span className="formula-lhs">&#x03D5;M<sub>n</sub></span>{' '}
+                      &ge; min(M<sub>cr</sub>, 1.33&#8239;M<sub>u</sub>)
+                    </div>
+                    <div className="formula">
+                      <span className="formula-lhs">M<sub>cr</sub></span> ={' '}
+                      &gamma;<sub>3</sub>&#8239;[(&gamma;<sub>1</sub>&#8239;f<sub>r</sub> + &gamma;<sub>2</sub>&#8239;f<sub>cpe</sub>)&#8239;S<sub>c</sub> &minus; M<sub>dnc</sub>&#8239;(S<sub>c</sub>/S<sub>nc</sub> &minus; 1)]
+                    </div>
+                    <div className="formula">
+                      <span className="formula-lhs" style={{visibility: 'hidden'}}>M<sub>cr</sub></span> ={' '}
+                      {cracking.gamma3.toFixed(2)}&#8239;[({cracking.gamma1} &times; {u.num(cracking.fr, 'stress', 4)} + {cracking.gamma2} &times; {u.num(cracking.fcpe, 'stress', 4)}) &times; {u.num(cracking.S, 'modulus', 2)} &minus; {Nmm(hogging ? 0 : cracking.Mnc)} &times; ({u.num(cracking.S, 'modulus', 2)}/{u.num(cracking.Snc, 'modulus', 2)} &minus; 1)]
+                    </div>
+                  </>
+                ) : (
+                  <div className="formula">
+                    <span className="formula-lhs">&#x03D5;M<sub>n</sub></span>{' '}
+                    &ge; min(1.2&#8239;M<sub>cr</sub>, 1.33&#8239;M<sub>u</sub>)
+                  </div>
+                )}
                 <div className="formula">
-                  1.2&#8239;M<sub>cr</sub> = {(cracking.Mcr12Ft ?? cracking.thresholdFt).toFixed(1)} kip-ft
+                  {aashto ? <>M<sub>cr</sub></> : <>1.2&#8239;M<sub>cr</sub></>} = {u.fmt(cracking.McrMinFt ?? cracking.Mcr12Ft ?? cracking.thresholdFt, 'moment', 1)}
                   {cracking.Mu > 0 && (
                     <>
-                      {' '}&nbsp;|&nbsp; 1.33&#8239;M<sub>u</sub> = {cracking.Mu133Ft.toFixed(1)} kip-ft
+                      {' '}&nbsp;|&nbsp; 1.33&#8239;M<sub>u</sub> = {u.fmt(cracking.Mu133Ft, 'moment', 1)}
                       {' '}&nbsp;&rarr;&nbsp; governing: {cracking.governs}
                     </>
                   )}
                 </div>
                 <div className="formula">
-                  {phiMnFt.toFixed(1)} kip-ft{' '}
+                  {u.fmt(phiMnFt, 'moment', 1)}{' '}
                   {cracking.passesMinStrength ? '\u2265' : '<'}{' '}
-                  {cracking.thresholdFt.toFixed(1)} kip-ft
+                  {u.fmt(cracking.thresholdFt, 'moment', 1)}
                 </div>
                 <div className={`cracking-check ${cracking.passesMinStrength ? 'check-pass' : 'check-fail'}`}>
                   {cracking.passesMinStrength
@@ -402,6 +771,378 @@ export default function ResultsPanel({ results }) {
         </CollapsibleSection>
       )}
 
+      {/* Strand development */}
+      {development && development.rows.some(Boolean) && (
+        <CollapsibleSection title="Strand Development (ACI 318-19 &sect;25.4.8)" id="development">
+          <div className="result-details">
+            <div className="table-wrapper">
+              <table className="layer-table">
+                <thead>
+                  <tr>
+                    <th>Layer</th>
+                    <th>d<sub>b</sub> ({u.label('length')})</th>
+                    <th>&#x2113;<sub>t</sub> ({u.label('length')})</th>
+                    <th>&#x2113;<sub>d</sub> ({u.label('length')})</th>
+                    <th>f<sub>ps</sub> developed ({u.label('stress')})</th>
+                    <th>Cap at x ({u.label('stress')})</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {development.rows.map((r, i) => r && (
+                    <tr key={i} className={r.capped ? 'compression-row' : 'tension-row'}>
+                      <td>{i + 1}</td>
+                      <td>{u.si ? u.num(r.db, 'length', 1) : r.db}</td>
+                      <td>{u.num(r.lt, 'length', 1)}</td>
+                      <td>{u.num(r.ld, 'length', 1)}</td>
+                      <td>{u.num(r.fps, 'stress', 1)}</td>
+                      <td>{r.capped ? u.num(r.cap, 'stress', 1) : 'fully developed'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="formula-note">
+              Section at x = {u.si ? u.fmt(development.x, 'length', 0) : `${development.x} in`} from the member end.
+              &#x2113;<sub>t</sub> = (f<sub>se</sub>/{u.si ? 21 : 3000})d<sub>b</sub>,{' '}
+              &#x2113;<sub>d</sub> = &#x2113;<sub>t</sub> + ((f<sub>ps</sub> &minus; f<sub>se</sub>)/{u.si ? 7 : 1000})d<sub>b</sub> ({u.si ? 'MPa' : 'psi'});
+              strand stress rises linearly to f<sub>se</sub> over &#x2113;<sub>t</sub> and to f<sub>ps</sub> at &#x2113;<sub>d</sub>.
+              Debonded strand develops from the end of its sheathing with &#x2113;<sub>d</sub> doubled.
+            </div>
+          </div>
+        </CollapsibleSection>
+      )}
+
+      {/* Stage stresses */}
+      {stages && (
+        <CollapsibleSection title="Stage Stresses (ACI 318-19 &sect;24.5)" id="stages">
+          <div className="result-details">
+            <div className="table-wrapper">
+              <table className="layer-table">
+                <thead>
+                  <tr>
+                    <th>Stage</th>
+                    <th>P ({u.label('force')})</th>
+                    <th>M ({u.label('moment')})</th>
+                    <th>Fiber</th>
+                    <th>f ({u.label('stress')})</th>
+                    <th>Limit ({u.label('stress')})</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ['Transfer', stages.transfer],
+                    ['Service, sustained', stages.sustained],
+                    ['Service, total', stages.service],
+                  ].flatMap(([name, st]) => st.checks.map((chk, i) => (
+                    <tr key={`${name}-${chk.fiber}`} className={chk.pass ? 'tension-row' : 'compression-row'}>
+                      <td>{i === 0 ? name : ''}</td>
+                      <td>{i === 0 ? u.num(st.P, 'force', 1) : ''}</td>
+                      <td>{i === 0 ? u.num(st.M / 12, 'moment', 1) : ''}</td>
+                      <td>{chk.fiber}</td>
+                      <td>{u.num(chk.stress, 'stress', 3)}</td>
+                      <td>
+                        {chk.limit == null
+                          ? '\u2014'
+                          : `${chk.kind === 'compression' ? '' : '\u2212'}${u.num(chk.limit, 'stress', 3)}`}
+                      </td>
+                      <td>{chk.limit == null ? 'see class' : chk.pass ? 'OK' : 'NG'}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            </div>
+            <table className="detail-table">
+              <tbody>
+                <tr>
+                  <td>Transfer limits (f&#x2032;<sub>ci</sub> = {u.fmt(stages.fci, 'stress', 2)}, {stages.location === 'end' ? 'member end' : 'away from ends'})</td>
+                  <td>
+                    {stages.location === 'end' ? '0.70' : '0.60'} f&#x2032;<sub>ci</sub> compression,{' '}
+                    {stages.location === 'end' ? (u.si ? '0.5' : '6') : (u.si ? '0.25' : '3')}&radic;f&#x2032;<sub>ci</sub> tension
+                  </td>
+                </tr>
+                <tr>
+                  <td>Precompressed tension zone, f<sub>t</sub> at service</td>
+                  <td>{u.fmt(stages.service.ft, 'stress', 3)}</td>
+                </tr>
+                <tr>
+                  <td>
+                    Class limits, {u.si ? '0.62' : '7.5'}&radic;f&#x2032;<sub>c</sub> / {u.si ? '1.0' : '12'}&radic;f&#x2032;<sub>c</sub> (&sect;24.5.2.1)
+                  </td>
+                  <td>{u.num(stages.service.limits.classU, 'stress', 3)} / {u.fmt(stages.service.limits.classT, 'stress', 3)}</td>
+                </tr>
+                <tr>
+                  <td>Flexural member class</td>
+                  <td>Class {stages.service.classification}</td>
+                </tr>
+              </tbody>
+            </table>
+            <div className="formula-note">
+              Compression positive. f<sub>top</sub> = P/A &minus; Pe&#8239;y<sub>t</sub>/I<sub>g</sub> + M&#8239;y<sub>t</sub>/I<sub>g</sub>,{' '}
+              f<sub>bot</sub> = P/A + Pe&#8239;y<sub>b</sub>/I<sub>g</sub> &minus; M&#8239;y<sub>b</sub>/I<sub>g</sub> on the gross section.
+            </div>
+            <div className={`cracking-check ${stages.transfer.pass ? 'check-pass' : 'check-fail'}`}>
+              {stages.transfer.pass
+                ? '\u2713 OK \u2014 transfer stresses within \u00A724.5.3 limits'
+                : '\u2717 FAILS \u2014 transfer stresses exceed \u00A724.5.3 limits (tension above the limit needs bonded reinforcement, \u00A724.5.3.2.1)'}
+            </div>
+            <div className={`cracking-check ${stages.serviceOk ? 'check-pass' : 'check-fail'}`}>
+              {stages.service.classification === 'C'
+                ? '\u2717 Class C \u2014 cracked-section stresses and crack control (\u00A724.3) govern'
+                : stages.serviceOk
+                ? `\u2713 OK \u2014 Class ${stages.service.classification}, service compression within \u00A724.5.4 limits`
+                : '\u2717 FAILS \u2014 service compression exceeds \u00A724.5.4 limits'}
+            </div>
+          </div>
+        </CollapsibleSection>
+      )}
+
+      {/* Shear */}
+      {shear && (
+        <CollapsibleSection title="Shear Strength (ACI 318-19 &sect;22.5)" id="shear">
+          <div className="result-details">
+            <table className="detail-table">
+              <tbody>
+                <tr>
+                  <td>Member</td>
+                  <td>
+                    {shear.prestressed
+                      ? <>Prestressed, A<sub>ps</sub>f<sub>se</sub> &ge; 0.4(A<sub>ps</sub>f<sub>pu</sub> + A<sub>s</sub>f<sub>y</sub>) (&sect;22.5.6)</>
+                      : 'Nonprestressed (\u00A722.5.5)'}
+                  </td>
+                </tr>
+                <tr>
+                  <td>b<sub>w</sub> / d{shear.prestressed && <> / d<sub>p</sub></>}</td>
+                  <td>
+                    {u.num(shear.bw, 'length', 2)} / {u.num(shear.d, 'length', 2)}
+                    {shear.prestressed && ` / ${u.num(shear.dp, 'length', 2)}`} {u.label('length')}
+                  </td>
+                </tr>
+                {shear.simplified && (
+                  <tr>
+                    <td>V<sub>c</sub>, Table 22.5.6.2 (V<sub>u</sub>d<sub>p</sub>/M<sub>u</sub> = {shear.simplified.ratio.toFixed(3)})</td>
+                    <td>{u.fmt(shear.simplified.Vc, 'force', 2)}</td>
+                  </tr>
+                )}
+                {shear.detailed && (
+                  <>
+                    <tr>
+                      <td>M<sub>cre</sub> = (I/y<sub>t</sub>)({u.si ? 0.5 : 6}&lambda;&radic;f&#x2032;<sub>c</sub> + f<sub>pe</sub> &minus; f<sub>d</sub>)</td>
+                      <td>{u.fmt(shear.detailed.Mcre / 12, 'moment', 1)}</td>
+                    </tr>
+                    <tr>
+                      <td>V<sub>ci</sub> (&sect;22.5.6.3.1)</td>
+                      <td>
+                        {shear.detailed.Vci == null
+                          ? '\u2014 (no applied moment)'
+                          : u.fmt(shear.detailed.Vci, 'force', 2)}
+                      </td>
+                    </tr>
+                    <tr>
+                      <td>V<sub>cw</sub> (&sect;22.5.6.3.2)</td>
+                      <td>{u.fmt(shear.detailed.Vcw, 'force', 2)}</td>
+                    </tr>
+                    {shear.detailed.Vp > 0 && (
+                      <tr>
+                        <td>V<sub>p</sub> (harped strand, included in V<sub>cw</sub>)</td>
+                        <td>{u.fmt(shear.detailed.Vp, 'force', 2)}</td>
+                      </tr>
+                    )}
+                  </>
+                )}
+                <tr>
+                  <td>&#x03D5;V<sub>c</sub> ({shear.governs === 'simplified' ? 'simplified' : shear.governs === 'nonprestressed' ? `${u.si ? 0.17 : 2}\u03BB\u221Af\u2032c bw d` : shear.governs} governs)</td>
+                  <td>{u.fmt(shear.phiVc, 'force', 2)}</td>
+                </tr>
+                {shear.Vu > 0 && (
+                  <>
+                    <tr>
+                      <td>V<sub>s</sub> required = V<sub>u</sub>/&#x03D5; &minus; V<sub>c</sub></td>
+                      <td>{u.fmt(shear.VsReq, 'force', 2)} (max {u.num(shear.VsMax, 'force', 1)})</td>
+                    </tr>
+                    <tr>
+                      <td>A<sub>v,min</sub>/s (Table 9.6.3.4)</td>
+                      <td>{shear.needsMin ? u.fmt(shear.AvsMin, 'areaPerLength', 4) : 'not required (Vu \u2264 \u03D5Vc/2)'}</td>
+                    </tr>
+                    <tr>
+                      <td>A<sub>v</sub>/s required</td>
+                      <td>{u.fmt(shear.AvsReq, 'areaPerLength', 4)}</td>
+                    </tr>
+                    <tr>
+                      <td>s<sub>max</sub> (&sect;9.7.6.2.2)</td>
+                      <td>{u.fmt(shear.sMax, 'length', 1)}{shear.tight && ` (halved, Vs > ${u.si ? 0.33 : 4}\u221Af\u2032c bw d)`}</td>
+                    </tr>
+                    {shear.spacing != null && (
+                      <tr>
+                        <td>Spacing for A<sub>v</sub> = {u.fmt(shear.Av, 'area', 2)}</td>
+                        <td>{u.fmt(shear.spacing, 'length', 2)}</td>
+                      </tr>
+                    )}
+                  </>
+                )}
+              </tbody>
+            </table>
+            {shear.Vu > 0 && (
+              <div className={`cracking-check ${shear.pass ? 'check-pass' : 'check-fail'}`}>
+                {shear.pass
+                  ? `\u2713 OK \u2014 Vs within ${u.si ? 0.66 : 8}\u221Af\u2032c bw d (\u00A722.5.1.2)`
+                  : `\u2717 FAILS \u2014 required Vs exceeds ${u.si ? 0.66 : 8}\u221Af\u2032c bw d; enlarge the section (\u00A722.5.1.2)`}
+              </div>
+            )}
+          </div>
+        </CollapsibleSection>
+      )}
+
+      {/* Span analysis */}
+      {span && (
+        <CollapsibleSection title="Span Analysis" id="span">
+          <div className="result-details">
+            <table className="detail-table">
+              <tbody>
+                <tr>
+                  <td>Supports / span</td>
+                  <td>{SUPPORT_TYPES.find((t) => t.id === span.supports)?.name}, {u.fmt(span.L, 'span', 2)}</td>
+                </tr>
+                <tr>
+                  <td>Dead load w<sub>D</sub> (incl. self-weight {u.num(span.wSelf, 'lineLoad', 3)}) / live load w<sub>L</sub></td>
+                  <td>{u.num(span.wD, 'lineLoad', 3)} / {u.fmt(span.wL, 'lineLoad', 3)}</td>
+                </tr>
+                <tr>
+                  <td>Maximum M<sub>u</sub></td>
+                  <td>{u.fmt(span.maxMu.MuPos, 'moment', 1)} at x = {u.fmt(span.maxMu.x, 'span', 2)}</td>
+                </tr>
+                <tr>
+                  <td>Maximum |V<sub>u</sub>|</td>
+                  <td>{u.fmt(Math.abs(span.maxVu.Vu), 'force', 1)} at x = {u.fmt(span.maxVu.x, 'span', 2)}</td>
+                </tr>
+                <tr>
+                  <td>Critical section (largest M<sub>u</sub>/&#x03D5;M<sub>n</sub>)</td>
+                  <td>
+                    x = {u.fmt(span.critical.x, 'span', 2)}, M<sub>u</sub>/&#x03D5;M<sub>n</sub> = {span.critical.ratio.toFixed(3)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+            <div className="table-wrapper">
+              <table className="layer-table">
+                <thead>
+                  <tr>
+                    <th>x ({u.label('span')})</th>
+                    <th>V<sub>u</sub> ({u.label('force')})</th>
+                    <th>M<sub>u</sub> ({u.label('moment')})</th>
+                    <th>&#x03D5;M<sub>n</sub> ({u.label('moment')})</th>
+                    <th>M<sub>u</sub>/&#x03D5;M<sub>n</sub></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {span.stations.map((st) => (
+                    <tr key={st.x} className={st.ratio <= 1 ? 'tension-row' : 'compression-row'}>
+                      <td>{u.num(st.x, 'span', 2)}</td>
+                      <td>{u.num(st.Vu, 'force', 1)}</td>
+                      <td>
+                        {u.num(st.MuPos, 'moment', 1)}
+                        {st.MuNeg < 0 && ` / ${u.num(st.MuNeg, 'moment', 1)}`}
+                      </td>
+                      <td>{u.num(st.phiMnFt, 'moment', 1)}</td>
+                      <td>{st.ratio.toFixed(3)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {span.stations.some((st) => st.MuNeg < 0) && (
+              <div className="formula-note">
+                Negative (hogging) demands are listed after the sagging value; only sagging capacity is checked.
+              </div>
+            )}
+            <div className={`cracking-check ${span.pass ? 'check-pass' : 'check-fail'}`}>
+              {span.pass
+                ? '\u2713 OK \u2014 Mu \u2264 \u03D5Mn at every station'
+                : `\u2717 FAILS \u2014 Mu exceeds \u03D5Mn at x = ${u.fmt(span.critical.x, 'span', 2)}`}
+            </div>
+          </div>
+        </CollapsibleSection>
+      )}
+
+      {/* Camber and deflection */}
+      {deflection && (
+        <CollapsibleSection title="Camber &amp; Deflection" id="deflection">
+          <div className="result-details">
+            <table className="detail-table">
+              <tbody>
+                <tr>
+                  <td>E<sub>ci</sub> / E<sub>c</sub></td>
+                  <td>{u.num(deflection.Eci, 'stress', 0)} / {u.fmt(deflection.Ec, 'stress', 0)}</td>
+                </tr>
+                <tr>
+                  <td>Camber from prestress at release (&uarr;)</td>
+                  <td>{u.fmt(deflection.camber, 'length', 3)}</td>
+                </tr>
+                <tr>
+                  <td>Self-weight deflection at release (&darr;)</td>
+                  <td>{u.fmt(deflection.selfWeight, 'length', 3)}</td>
+                </tr>
+                <tr>
+                  <td>Net camber at release</td>
+                  <td>{u.fmt(deflection.release, 'length', 3)}</td>
+                </tr>
+                <tr>
+                  <td>
+                    Net camber at erection ({deflection.multipliers.erectionCamber} &times; camber &minus;{' '}
+                    {deflection.multipliers.erectionSelfWeight} &times; self-weight)
+                  </td>
+                  <td>{u.fmt(deflection.erection, 'length', 3)}</td>
+                </tr>
+                {deflection.topping > 0 && (
+                  <tr>
+                    <td>Topping weight deflection on the precast (&darr;)</td>
+                    <td>{u.fmt(deflection.topping, 'length', 3)}</td>
+                  </tr>
+                )}
+                <tr>
+                  <td>Superimposed dead-load deflection (&darr;)</td>
+                  <td>{u.fmt(deflection.superimposed, 'length', 3)}</td>
+                </tr>
+                <tr>
+                  <td>
+                    Final long-term camber ({deflection.multipliers.finalCamber}, {deflection.multipliers.finalSelfWeight},{' '}
+                    {deflection.multipliers.finalTopping != null && `${deflection.multipliers.finalTopping}, `}
+                    {deflection.multipliers.finalSuperimposed})
+                  </td>
+                  <td>{u.fmt(deflection.final, 'length', 3)}</td>
+                </tr>
+                <tr>
+                  <td>I<sub>g</sub> / I<sub>cr</sub> / I<sub>e</sub></td>
+                  <td>
+                    {u.num(deflection.Ig, 'inertia', 0)} / {u.num(deflection.Icr, 'inertia', 0)} / {u.fmt(deflection.Ie, 'inertia', 0)}
+                    {deflection.cracked ? ' (cracked)' : ''}
+                  </td>
+                </tr>
+                <tr>
+                  <td>Live-load deflection (&darr;)</td>
+                  <td>{u.fmt(deflection.live, 'length', 3)}</td>
+                </tr>
+                <tr>
+                  <td>Final camber with live load</td>
+                  <td>{u.fmt(deflection.finalWithLive, 'length', 3)}</td>
+                </tr>
+              </tbody>
+            </table>
+            <div className="formula-note">
+              Midspan values by virtual work along the strand profile; long-term multipliers from PCI Design
+              Handbook Table 5.8.2. I<sub>e</sub> = (M<sub>cr,L</sub>/M<sub>L</sub>)&sup3;I<sub>g</sub> +
+              [1 &minus; (M<sub>cr,L</sub>/M<sub>L</sub>)&sup3;]I<sub>cr</sub> with M<sub>cr,L</sub> = M<sub>cr</sub> &minus; M<sub>D</sub>.
+              Camber (upward) is positive.
+            </div>
+            <div className={`cracking-check ${deflection.pass ? 'check-pass' : 'check-fail'}`}>
+              {deflection.pass
+                ? `\u2713 OK \u2014 live-load deflection \u2264 span/${deflection.liveLimit} = ${u.fmt(deflection.liveAllowable, 'length', 3)}`
+                : `\u2717 FAILS \u2014 live-load deflection exceeds span/${deflection.liveLimit} = ${u.fmt(deflection.liveAllowable, 'length', 3)}`}
+            </div>
+          </div>
+        </CollapsibleSection>
+      )}
+
     </div>
   );
 }
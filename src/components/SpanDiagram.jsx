@@ -0,0 +1,147 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+
+/**
+ * Factored moment and shear diagrams along the span, with the φMn envelope
+ * over the moment diagram and the critical section (largest Mu/φMn) marked.
+ */
+export default function SpanDiagram({ results }) {
+  const span = results?.span;
+  if (!span || span.stations.length < 2) return null;
+  const u = unitFormatter(results.section?.units);
+  const inUnits = (s) => ({
+    ...s,
+    x: u.value(s.x, 'span'),
+    Vu: u.value(s.Vu, 'force'),
+    MuPos: u.value(s.MuPos, 'moment'),
+    MuNeg: u.value(s.MuNeg, 'moment'),
+    phiMnFt: u.value(s.phiMnFt, 'moment'),
+  });
+  const stations = span.stations.map(inUnits);
+  const critical = inUnits(span.critical);
+  const L = u.value(span.L, 'span');
+
+  const W = 760;
+  const H = 360;
+  const PAD_L = 52;
+  const PAD_R = 16;
+  const PAD_T = 18;
+  const GAP = 34;
+  const PAD_B = 46;
+  const plotH = (H - PAD_T - PAD_B - GAP) / 2;
+  const mTop = PAD_T;
+  const vTop = PAD_T + plotH + GAP;
+
+  const X = (x) => PAD_L + (x / L) * (W - PAD_L - PAD_R);
+
+  const mMax = Math.max(...stations.map((s) => Math.max(s.MuPos, s.phiMnFt)), 1) * 1.1;
+  const mMin = Math.min(...stations.map((s) => s.MuNeg), 0) * 1.1;
+  const YM = (m) => mTop + ((mMax - m) / (mMax - mMin)) * plotH;
+
+  const vAbs = Math.max(...stations.map((s) => Math.abs(s.Vu)), 1) * 1.1;
+  const YV = (v) => vTop + ((vAbs - v) / (2 * vAbs)) * plotH;
+
+  const line = (key, Y) => stations
+    .map((s, i) => `${i === 0 ? 'M' : 'L'} ${X(s.x).toFixed(1)} ${Y(s[key]).toFixed(1)}`)
+    .join(' ');
+  const hasNeg = stations.some((s) => s.MuNeg < 0);
+
+  const xStep = niceStep(L);
+  const xTicks = [];
+  for (let v = 0; v <= L + 1e-9; v += xStep) xTicks.push(v);
+  const mStep = niceStep(mMax - mMin);
+  const mTicks = [];
+  for (let v = Math.ceil(mMin / mStep) * mStep; v <= mMax; v += mStep) mTicks.push(v);
+  const vStep = niceStep(2 * vAbs);
+  const vTicks = [];
+  for (let v = Math.ceil(-vAbs / vStep) * vStep; v <= vAbs; v += vStep) vTicks.push(v);
+
+  const legend = [
+    { label: 'Mu', color: '#ef4444' },
+    { label: '\u03D5Mn', color: '#3b82f6' },
+    { label: 'Vu', color: '#f59e0b' },
+  ];
+
+  return (
+    <div className="beam-diagram interaction-diagram span-diagram">
+      <h3>Span Demand vs. Capacity</h3>
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+        {xTicks.map((v) => (
+          <g key={`x${v}`}>
+            <line x1={X(v)} y1={mTop} x2={X(v)} y2={mTop + plotH} stroke="#e2e8f0" strokeWidth="1" />
+            <line x1={X(v)} y1={vTop} x2={X(v)} y2={vTop + plotH} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={X(v)} y={vTop + plotH + 12} className="chart-tick" textAnchor="middle">
+              {Number(v.toPrecision(3))}
+            </text>
+          </g>
+        ))}
+        {mTicks.map((v) => (
+          <g key={`m${v}`}>
+            <line x1={PAD_L} y1={YM(v)} x2={W - PAD_R} y2={YM(v)} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={PAD_L - 4} y={YM(v) + 3} className="chart-tick" textAnchor="end">{v.toFixed(0)}</text>
+          </g>
+        ))}
+        {vTicks.map((v) => (
+          <g key={`v${v}`}>
+            <line x1={PAD_L} y1={YV(v)} x2={W - PAD_R} y2={YV(v)} stroke="#e2e8f0" strokeWidth="1" />
+            <text x={PAD_L - 4} y={YV(v) + 3} className="chart-tick" textAnchor="end">{v.toFixed(0)}</text>
+          </g>
+        ))}
+
+        <line x1={PAD_L} y1={YM(0)} x2={W - PAD_R} y2={YM(0)} stroke="#94a3b8" strokeWidth="1" />
+        <line x1={PAD_L} y1={YV(0)} x2={W - PAD_R} y2={YV(0)} stroke="#94a3b8" strokeWidth="1" />
+
+        <text
+          x={14}
+          y={mTop + plotH / 2}
+          className="chart-axis-label"
+          textAnchor="middle"
+          transform={`rotate(-90 14 ${mTop + plotH / 2})`}
+        >
+          Moment ({u.label('moment')})
+        </text>
+        <text
+          x={14}
+          y={vTop + plotH / 2}
+          className="chart-axis-label"
+          textAnchor="middle"
+          transform={`rotate(-90 14 ${vTop + plotH / 2})`}
+        >
+          Shear ({u.label('force')})
+        </text>
+        <text x={(PAD_L + W - PAD_R) / 2} y={vTop + plotH + 26} className="chart-axis-label" textAnchor="middle">
+          Distance along span ({u.label('span')})
+        </text>
+
+        <path d={line('phiMnFt', YM)} fill="none" stroke="#3b82f6" strokeWidth="2" />
+        <path d={line('MuPos', YM)} fill="none" stroke="#ef4444" strokeWidth="2" />
+        {hasNeg && (
+          <path d={line('MuNeg', YM)} fill="none" stroke="#ef4444" strokeWidth="1.5" strokeDasharray="4 3" />
+        )}
+        <path d={line('Vu', YV)} fill="none" stroke="#f59e0b" strokeWidth="2" />
+
+        {critical.ratio > 0 && (
+          <g>
+            <line
+              x1={X(critical.x)} y1={mTop} x2={X(critical.x)} y2={mTop + plotH}
+              stroke="#64748b" strokeWidth="1" strokeDasharray="3 3"
+            />
+            <circle cx={X(critical.x)} cy={YM(critical.MuPos)} r="4" fill="#ef4444" stroke="#fff" strokeWidth="1.5" />
+            <text x={X(critical.x) + 6} y={mTop + 10} className="diagram-label" fontSize="9">
+              critical, Mu/&#x03D5;Mn = {critical.ratio.toFixed(2)}
+            </text>
+          </g>
+        )}
+
+        <g transform={`translate(${PAD_L}, ${H - 4})`}>
+          {legend.map(({ label, color }, i) => (
+            <g key={label} transform={`translate(${i * 70}, 0)`}>
+              <line x1="0" y1="-4" x2="14" y2="-4" stroke={color} strokeWidth="2" />
+              <text x="18" y="-1" className="diagram-label legend-text">{label}</text>
+            </g>
+          ))}
+        </g>
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+import { useState } from 'react';
+import StressStrainChart from './StressStrainChart';
+import { convertFields, unitFormatter } from '../utils/units';
+import { STEEL_GRADE_FIELDS, steelGradeList, validateSteelGrade } from '../utils/steelGrades';
+
+const GRADE_QUANTITIES = Object.fromEntries(
+  STEEL_GRADE_FIELDS.filter((f) => f.quantity).map((f) => [f.id, f.quantity])
+);
+
+const FIELD_LABELS = {
+  Es: <>E<sub>s</sub></>,
+  fpy: <>f<sub>py</sub> (f<sub>y</sub>)</>,
+  fpu: <>f<sub>pu</sub> (f<sub>u</sub>)</>,
+  stressCap: 'Stress Cap',
+  Q: 'Q',
+  R: 'R',
+  K: 'K',
+  defaultFse: <>Default f<sub>se</sub></>,
+  defaultFpi: <>Default f<sub>pi</sub></>,
+};
+
+/**
+ * Custom steel grades. A grade starts from a copy of any existing one, is
+ * checked as it is edited (validateSteelGrade) and previewed against the
+ * grade it started from; onSave adds or replaces it (returning the stored
+ * grade) and onDelete removes one, throwing while a layer uses it. Stresses
+ * follow the form's units.
+ */
+export default function SteelGradeEditor({ grades, onSave, onDelete, units = 'US' }) {
+  const u = unitFormatter(units);
+  const all = steelGradeList(grades);
+  // Editor fields of a grade, stresses in the form's units.
+  const toDraft = (grade, copy) => ({
+    ...convertFields(grade, GRADE_QUANTITIES, 'US', units),
+    id: copy ? undefined : grade.id,
+    name: copy ? `${grade.name} (copy)` : grade.name,
+    from: grade.id,
+    strand: grade.strand === true,
+    frp: grade.frp === true,
+    lowRelaxation: grade.lowRelaxation !== false,
+    defaultFpi: grade.defaultFpi ?? 0,
+  });
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  // Rescale an open draft when the form switches units.
+  const [draftUnits, setDraftUnits] = useState(units);
+  if (draftUnits !== units) {
+    setDraftUnits(units);
+    setDraft((prev) => prev && { ...prev, ...convertFields(prev, GRADE_QUANTITIES, draftUnits, units) });
+  }
+
+  const handleChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // The draft as a grade in US units.
+  const numbers = draft && convertFields(
+    Object.fromEntries(STEEL_GRADE_FIELDS.map((f) => [f.id, parseFloat(draft[f.id])])),
+    GRADE_QUANTITIES, units, 'US', { round: false }
+  );
+  const parsed = draft && {
+    ...numbers,
+    id: draft.id,
+    name: draft.name,
+    category: draft.category,
+    strand: draft.category === 'prestressing' && draft.strand,
+    lowRelaxation: draft.lowRelaxation,
+    custom: true,
+    // Mild steel carries no prestress.
+    ...(draft.category === 'mild' && { defaultFse: 0, defaultFpi: 0 }),
+    // FRP is elastic to rupture at fpu; Q, R and K go unused.
+    ...(draft.frp && {
+      frp: true,
+      fpy: numbers.fpu,
+      stressCap: numbers.fpu,
+      Q: 0,
+      R: 100,
+      K: 1,
+    }),
+  };
+  const problems = parsed ? validateSteelGrade(parsed, all) : [];
+
+  const handleSave = () => {
+    try {
+      onSave(parsed);
+      setDraft(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (id) => {
+    try {
+      onDelete(id);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const yesNo = (field) => (
+    <select value={draft[field] ? 'yes' : 'no'} onChange={(e) => handleChange(field, e.target.value === 'yes')}>
+      <option value="yes">Yes</option>
+      <option value="no">No</option>
+    </select>
+  );
+  const fields = STEEL_GRADE_FIELDS
+    .filter((f) => draft?.category === 'prestressing' || !['defaultFse', 'defaultFpi'].includes(f.id))
+    .filter((f) => !draft?.frp || !['fpy', 'stressCap', 'Q', 'R', 'K'].includes(f.id));
+  const base = draft && all.find((g) => g.id === draft.from);
+
+  return (
+    <>
+      {grades.length > 0 && (
+        <div className="table-wrapper">
+          <table className="layer-table">
+            <thead>
+              <tr>
+                <th>Grade</th>
+                <th>f<sub>py</sub></th>
+                <th>f<sub>pu</sub></th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {grades.map((g) => (
+                <tr key={g.id}>
+                  <td>{g.name}</td>
+                  <td>{u.num(g.fpy, 'stress', 1)}</td>
+                  <td>{u.num(g.fpu, 'stress', 1)}</td>
+                  <td>
+                    <button type="button" className="btn-use" onClick={() => setDraft(toDraft(g, false))}>Edit</button>
+                    {' '}
+                    <button type="button" className="btn-use" onClick={() => handleDelete(g.id)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <span className="field-note">Stresses in {u.label('stress')}.</span>
+        </div>
+      )}
+
+      {!draft && (
+        <div className="form-row">
+          <label>
+            <span className="label-text">New Grade From</span>
+            <select value="" onChange={(e) => setDraft(toDraft(all.find((g) => g.id === e.target.value), true))}>
+              <option value="" disabled>Choose a grade to copy…</option>
+              {all.map((g) => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {draft && (
+        <>
+          <div className="form-row">
+            <label>
+              <span className="label-text">Name</span>
+              <input type="text" value={draft.name} onChange={(e) => handleChange('name', e.target.value)} />
+            </label>
+            <label>
+              <span className="label-text">Category</span>
+              <select value={draft.category} onChange={(e) => handleChange('category', e.target.value)}>
+                <option value="mild">Mild steel</option>
+                <option value="prestressing">Prestressing steel</option>
+              </select>
+            </label>
+            <label>
+              <span className="label-text">Material</span>
+              <select value={draft.frp ? 'frp' : 'steel'} onChange={(e) => handleChange('frp', e.target.value === 'frp')}>
+                <option value="steel">Steel (power formula)</option>
+                <option value="frp">FRP (elastic to rupture)</option>
+              </select>
+            </label>
+          </div>
+          {draft.category === 'prestressing' && (
+            <div className="form-row">
+              <label>
+                <span className="label-text">Seven-Wire Strand</span>
+                {yesNo('strand')}
+                <span className="field-note">&sect;25.4.8 transfer and development apply</span>
+              </label>
+              <label>
+                <span className="label-text">Low Relaxation</span>
+                {yesNo('lowRelaxation')}
+                <span className="field-note">For relaxation losses</span>
+              </label>
+            </div>
+          )}
+          <div className="form-row">
+            {fields.map((f) => (
+              <label key={f.id}>
+                <span className="label-text">
+                  {FIELD_LABELS[f.id]}{f.quantity ? ` (${u.label(f.quantity)})` : ''}
+                </span>
+                <input type="number" step="any" value={draft[f.id]} onChange={(e) => handleChange(f.id, e.target.value)} />
+              </label>
+            ))}
+          </div>
+          <span className="field-note">
+            {draft.frp
+              ? <>FRP: E<sub>s</sub> is E<sub>f</sub> and f<sub>pu</sub> the guaranteed tensile strength f<sub>fu</sub>.</>
+              : <>Stress cap: f<sub>py</sub> for mild steel, f<sub>pu</sub> for prestressing steel.</>}
+          </span>
+
+          {problems.length > 0 && (
+            <div className="dxf-error">
+              {problems.map((p) => <div key={p}>{p}</div>)}
+            </div>
+          )}
+          {problems.length === 0 && (
+            <StressStrainChart
+              grades={base && base.id !== parsed.id ? [base, { ...parsed, name: parsed.name || 'New grade' }] : [parsed]}
+              title="Preview"
+              units={units}
+            />
+          )}
+
+          <div className="form-row">
+            <button type="button" className="btn-add-layer" onClick={handleSave} disabled={problems.length > 0}>
+              {draft.id ? 'Save Changes' : 'Add Grade'}
+            </button>
+            <button type="button" className="btn-add-layer" onClick={() => { setDraft(null); setError(null); }}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <div className="dxf-error">{error}</div>}
+    </>
+  );
+}
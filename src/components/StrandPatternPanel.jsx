@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import steelPresets from '../data/steelPresets';
+import { convertFields, fromDisplay, unitFormatter } from '../utils/units';
+import { STRAND_SIZES } from '../utils/strandPattern';
+
+const PATTERN_QUANTITIES = { cover: 'length', sideCover: 'length', grid: 'length', endDepth: 'length', holdDown: 'span' };
+
+/**
+ * Strand-pattern tool. Collects the row counts (bottom row first), covers and
+ * harped rows, runs onApply (which lays the strands out on the grid and
+ * replaces the steel layers) and shows the strands placed in each row.
+ * Lengths follow the form's units; the strand list is that of steelGrades.
+ */
+export default function StrandPatternPanel({ onApply, units = 'US', steelGrades = steelPresets }) {
+  const strands = steelGrades.filter((p) => p.strand);
+  const [inputs, setInputs] = useState(convertFields({
+    rows: '12, 12, 10',
+    steelPresetId: 'grade270',
+    db: 0.5,
+    cover: 2,
+    sideCover: 2,
+    grid: 2,
+    harpedRows: 0,
+    endDepth: 4,
+    holdDown: 10,
+  }, PATTERN_QUANTITIES, 'US', units));
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // Rescale the inputs when the form switches units.
+  const [inputUnits, setInputUnits] = useState(units);
+  if (inputUnits !== units) {
+    setInputUnits(units);
+    setInputs((prev) => convertFields(prev, PATTERN_QUANTITIES, inputUnits, units));
+  }
+  const u = unitFormatter(units);
+
+  const handleChange = (field, value) => {
+    setInputs((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleApply = () => {
+    const inches = (field) => fromDisplay(parseFloat(inputs[field]), 'length', units);
+    const size = STRAND_SIZES.find((s) => s.db === parseFloat(inputs.db)) || STRAND_SIZES[1];
+    const harpedRows = parseInt(inputs.harpedRows) || 0;
+    try {
+      setResult(onApply({
+        rows: String(inputs.rows).split(/[\s,;]+/).filter(Boolean).map((n) => parseInt(n) || 0),
+        cover: inches('cover'),
+        sideCover: inches('sideCover'),
+        grid: inches('grid'),
+        harped: harpedRows > 0
+          ? { rows: harpedRows, endDepth: inches('endDepth'), holdDown: fromDisplay(parseFloat(inputs.holdDown), 'span', units) }
+          : null,
+        steelPresetId: inputs.steelPresetId,
+        db: size.db,
+        area: size.area,
+      }));
+      setError(null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Strands per Row</span>
+          <input type="text" value={inputs.rows} onChange={(e) => handleChange('rows', e.target.value)} />
+          <span className="field-note">Bottom row first, e.g. 12, 12, 10</span>
+        </label>
+        <label>
+          <span className="label-text">Strand</span>
+          <select value={inputs.steelPresetId} onChange={(e) => handleChange('steelPresetId', e.target.value)}>
+            {strands.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="label-text">Size</span>
+          <select value={inputs.db} onChange={(e) => handleChange('db', e.target.value)}>
+            {STRAND_SIZES.map((s) => (
+              <option key={s.db} value={s.db}>{s.name} ({u.fmt(s.area, 'area', 3)})</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Bottom Cover ({u.label('length')})</span>
+          <input type="number" step={u.si ? 'any' : '0.25'} min="0" value={inputs.cover}
+            onChange={(e) => handleChange('cover', e.target.value)} />
+          <span className="field-note">Soffit to the bottom row&apos;s strand centers</span>
+        </label>
+        <label>
+          <span className="label-text">Side Cover ({u.label('length')})</span>
+          <input type="number" step={u.si ? 'any' : '0.25'} min="0" value={inputs.sideCover}
+            onChange={(e) => handleChange('sideCover', e.target.value)} />
+          <span className="field-note">Outline to strand centers</span>
+        </label>
+        <label>
+          <span className="label-text">Grid ({u.label('length')})</span>
+          <input type="number" step={u.si ? 'any' : '0.5'} min="0" value={inputs.grid}
+            onChange={(e) => handleChange('grid', e.target.value)} />
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Harped Rows</span>
+          <input type="number" step="1" min="0" value={inputs.harpedRows}
+            onChange={(e) => handleChange('harpedRows', e.target.value)} />
+          <span className="field-note">Counted from the top row down</span>
+        </label>
+        {parseInt(inputs.harpedRows) > 0 && (
+          <>
+            <label>
+              <span className="label-text">End Depth ({u.label('length')})</span>
+              <input type="number" step={u.si ? 'any' : '0.5'} min="0" value={inputs.endDepth}
+                onChange={(e) => handleChange('endDepth', e.target.value)} />
+              <span className="field-note">Top harped row at the member ends</span>
+            </label>
+            <label>
+              <span className="label-text">Hold-Down ({u.label('span')})</span>
+              <input type="number" step="any" min="0" value={inputs.holdDown}
+                onChange={(e) => handleChange('holdDown', e.target.value)} />
+              <span className="field-note">From each end</span>
+            </label>
+          </>
+        )}
+      </div>
+
+      <button type="button" className="btn-add-layer" onClick={handleApply}>
+        Generate Strand Layers
+      </button>
+
+      {error && <div className="dxf-error">{error}</div>}
+
+      {result && (
+        <div className="table-wrapper loss-breakdown">
+          <table className="layer-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Depth</th>
+                <th>Placed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map((r) => (
+                <tr key={r.row}>
+                  <td>{r.row}</td>
+                  <td>{u.num(r.depth, 'length', 2)}</td>
+                  <td>{r.placed} / {r.requested}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <span className="field-note">
+            {result.placed} of {result.requested} strands placed
+            {result.complete ? '' : ' (the rest do not fit inside the outline with the covers given)'}.
+            Depths in {u.label('length')}. The steel layers above were replaced.
+          </span>
+        </div>
+      )}
+    </>
+  );
+}
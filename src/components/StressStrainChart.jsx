@@ -1,40 +1,70 @@
 import { generateStressStrainCurve } from '../utils/beamCalculations';
 import steelPresets from '../data/steelPresets';
+import { unitFormatter } from '../utils/units';
 
 /**
  * SVG stress-strain chart showing the power formula curves for all steel types
- * and overlaying the operating points from the current analysis.
+ * and overlaying the operating points from the current analysis. grades
+ * overrides the curves drawn (the steel-grade editor previews with it); by
+ * default they are the presets and any custom grade the analysis used, the
+ * custom ones dashed, FRP ending in a × at rupture. data overlays measured { strain, stress } points (ksi),
+ * as for a power-formula fit, and widens the strain axis to take them.
  */
-export default function StressStrainChart({ results }) {
+export default function StressStrainChart({ results, grades, data, title = 'Steel Stress-Strain Curves (Power Formula)', units }) {
   const width = 560;
-  const height = 380;
+  const chartH = 380;
   const margin = { top: 30, right: 20, bottom: 55, left: 65 };
   const plotW = width - margin.left - margin.right;
-  const plotH = height - margin.top - margin.bottom;
+  const plotH = chartH - margin.top - margin.bottom;
 
-  // Generate curves for all presets
-  const curves = steelPresets.map((preset) => ({
+  const u = unitFormatter(units || results?.section?.units);
+
+  // Determine the strain axis: 5 %, or whole percents past the data.
+  const maxStrain = Math.max(0.05, Math.ceil(Math.max(0, ...(data || []).map((p) => p.strain)) * 100) / 100);
+
+  // Generate curves for all presets, and custom grades in the analysis
+  const used = (results?.layers || []).map((l) => l.steel)
+    .filter((s, i, all) => s?.custom && all.findIndex((t) => t?.id === s.id) === i);
+  const curves = (grades || [...steelPresets, ...used]).map((preset) => ({
     preset,
-    points: generateStressStrainCurve(preset, 150),
+    points: generateStressStrainCurve(preset, 150, data ? maxStrain : undefined)
+      .map((p) => ({ ...p, stress: u.value(p.stress, 'stress') })),
   }));
 
-  // Determine axis ranges
-  const maxStrain = 0.05;
-  const maxStress = 300;
+  // Grades stronger than 270 ksi strand, or data above it, extend the stress
+  // axis in whole ticks.
+  const tick = u.si ? 300 : 50;
+  const maxStress = Math.max(
+    u.si ? 2100 : 300,
+    ...curves.map(({ preset }) => Math.ceil(u.value(preset.stressCap ?? preset.fpu, 'stress') / tick) * tick),
+    ...(data || []).map((p) => Math.ceil(u.value(p.stress, 'stress') / tick) * tick)
+  );
 
   const xScale = (val) => margin.left + (val / maxStrain) * plotW;
   const yScale = (val) => margin.top + plotH - (val / maxStress) * plotH;
 
   // Colors for each curve
-  const colors = ['#3b82f6', '#8b5cf6', '#06b6d4', '#f59e0b', '#ef4444', '#10b981'];
+  const colors = [
+    '#3b82f6', '#8b5cf6', '#06b6d4', '#f59e0b', '#ef4444', '#10b981',
+    '#ec4899', '#84cc16', '#6366f1', '#14b8a6', '#a16207', '#64748b',
+  ];
+
+  // Legend below the axis label, three entries to a row.
+  const legendCols = 3;
+  const legendAt = (k) => ({
+    lx: margin.left + (k % legendCols) * (plotW / legendCols),
+    ly: chartH + 4 + Math.floor(k / legendCols) * 16,
+  });
+  const height = chartH + 10 + Math.ceil((curves.length + (data ? 1 : 0)) / legendCols) * 16;
 
   // Grid lines
-  const xTicks = [0, 0.005, 0.01, 0.015, 0.02, 0.025, 0.03, 0.035, 0.04, 0.045, 0.05];
-  const yTicks = [0, 50, 100, 150, 200, 250, 300];
+  const xStep = maxStrain > 0.05 ? 0.01 : 0.005;
+  const xTicks = Array.from({ length: Math.round(maxStrain / xStep) + 1 }, (_, i) => +(i * xStep).toFixed(3));
+  const yTicks = Array.from({ length: maxStress / tick + 1 }, (_, i) => i * tick);
 
   return (
     <div className="stress-strain-chart">
-      <h3>Steel Stress-Strain Curves (Power Formula)</h3>
+      <h3>{title}</h3>
       <svg viewBox={`0 0 ${width} ${height}`} width="100%" style={{ maxWidth: width }}>
         {/* Grid */}
         {xTicks.map((t) => (
@@ -81,7 +111,7 @@ export default function StressStrainChart({ results }) {
         {/* Axis labels */}
         <text
           x={margin.left + plotW / 2}
-          y={height - 8}
+          y={chartH - 8}
           textAnchor="middle"
           className="chart-axis-label"
         >
@@ -94,7 +124,7 @@ export default function StressStrainChart({ results }) {
           className="chart-axis-label"
           transform={`rotate(-90, 14, ${margin.top + plotH / 2})`}
         >
-          Stress, f<tspan baselineShift="sub" fontSize="9">s</tspan> (ksi)
+          Stress, f<tspan baselineShift="sub" fontSize="9">s</tspan> ({u.label('stress')})
         </text>
 
         {/* Tick labels */}
@@ -118,24 +148,49 @@ export default function StressStrainChart({ results }) {
               return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
             })
             .join(' ');
+          // FRP ends where it ruptures, marked ×.
+          const end = points[points.length - 1];
           return (
-            <path
-              key={preset.id}
-              d={d}
-              fill="none"
-              stroke={colors[ci % colors.length]}
-              strokeWidth="2"
-              opacity="0.85"
-            />
+            <g key={preset.id}>
+              <path
+                d={d}
+                fill="none"
+                stroke={colors[ci % colors.length]}
+                strokeWidth="2"
+                strokeDasharray={preset.custom ? '6 3' : undefined}
+                opacity="0.85"
+              />
+              {preset.frp && (
+                <path
+                  d={`M ${xScale(end.strain) - 4} ${yScale(end.stress) - 4} l 8 8 m 0 -8 l -8 8`}
+                  stroke={colors[ci % colors.length]}
+                  strokeWidth="2"
+                />
+              )}
+            </g>
           );
         })}
 
+        {/* Measured data */}
+        {(data || []).map((p, i) => (
+          <circle
+            key={`data-${i}`}
+            cx={xScale(p.strain)}
+            cy={yScale(u.value(p.stress, 'stress'))}
+            r="2.5"
+            fill="none"
+            stroke="#334155"
+            strokeWidth="1"
+          />
+        ))}
+
         {/* Operating points from analysis */}
         {results &&
           results.layerResults.map((lr, idx) => {
-            if (lr.strain <= 0) return null;
+            // Unbonded tendons sit at fps, off the strain-compatibility curve.
+            if (lr.strain <= 0 || lr.bonded === false) return null;
             const x = xScale(lr.strain);
-            const y = yScale(Math.abs(lr.stress));
+            const y = yScale(u.value(Math.abs(lr.stress), 'stress'));
             return (
               <g key={idx}>
                 <circle cx={x} cy={y} r="5" fill="#ef4444" stroke="#fff" strokeWidth="1.5" />
@@ -148,8 +203,7 @@ export default function StressStrainChart({ results }) {
 
         {/* Legend */}
         {curves.map(({ preset }, ci) => {
-          const lx = margin.left + 10;
-          const ly = margin.top + 12 + ci * 16;
+          const { lx, ly } = legendAt(ci);
           return (
             <g key={`leg-${preset.id}`}>
               <line
@@ -159,6 +213,7 @@ export default function StressStrainChart({ results }) {
                 y2={ly}
                 stroke={colors[ci % colors.length]}
                 strokeWidth="2.5"
+                strokeDasharray={preset.custom ? '6 3' : undefined}
               />
               <text x={lx + 25} y={ly + 4} className="chart-legend-text">
                 {preset.name}
@@ -166,6 +221,17 @@ export default function StressStrainChart({ results }) {
             </g>
           );
         })}
+        {data && (() => {
+          const { lx, ly } = legendAt(curves.length);
+          return (
+            <g>
+              <circle cx={lx + 10} cy={ly} r="2.5" fill="none" stroke="#334155" strokeWidth="1" />
+              <text x={lx + 25} y={ly + 4} className="chart-legend-text">
+                Test data
+              </text>
+            </g>
+          );
+        })()}
       </svg>
     </div>
   );
@@ -0,0 +1,132 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+import { SWEEP_OUTPUTS, SWEEP_PARAMETERS } from '../utils/parametricSweep';
+
+/**
+ * Two-input sweep: the chosen output shaded over the grid, blue (low) to red
+ * (high), with isolines at round values traced cell by cell (marching
+ * squares). Cells with a failed corner are left blank.
+ */
+export default function SweepContourChart({ sweep, output, units = 'US' }) {
+  const u = unitFormatter(units);
+  const px = SWEEP_PARAMETERS.find((p) => p.id === sweep.x.param);
+  const py = SWEEP_PARAMETERS.find((p) => p.id === sweep.y.param);
+  const out = SWEEP_OUTPUTS.find((o) => o.id === output);
+  const inUnits = (v, quantity) => (quantity ? u.value(v, quantity) : v);
+  const xs = sweep.x.values.map((v) => inUnits(v, px.quantity));
+  const ys = sweep.y.values.map((v) => inUnits(v, py.quantity));
+  const z = sweep.grid.map((row) => row.map((pt) => (pt.outputs ? inUnits(pt.outputs[output], out.quantity) : null)));
+  const zAll = z.flat().filter((v) => v != null);
+  if (zAll.length === 0) return <div className="dxf-error">{sweep.grid[0][0].error}</div>;
+
+  const W = 380;
+  const H = 300;
+  const PAD_L = 50;
+  const PAD_R = 56;
+  const PAD_T = 14;
+  const PAD_B = 40;
+
+  const zMin = Math.min(...zAll);
+  const zMax = Math.max(...zAll);
+  const X = (v) => PAD_L + ((v - xs[0]) / (xs.at(-1) - xs[0])) * (W - PAD_L - PAD_R);
+  const Y = (v) => H - PAD_B - ((v - ys[0]) / (ys.at(-1) - ys[0])) * (H - PAD_T - PAD_B);
+  const color = (v) => `hsl(${220 - 220 * ((v - zMin) / (zMax - zMin || 1))}, 75%, 62%)`;
+
+  const cells = [];
+  for (let j = 0; j < ys.length - 1; j++) {
+    for (let i = 0; i < xs.length - 1; i++) {
+      const corners = [z[j][i], z[j][i + 1], z[j + 1][i + 1], z[j + 1][i]];
+      if (corners.some((v) => v == null)) continue;
+      cells.push({ i, j, corners });
+    }
+  }
+
+  // Isolines: in each cell, the crossings of the level along its four edges,
+  // joined in pairs.
+  const zStep = niceStep(zMax - zMin || 1);
+  const levels = [];
+  for (let v = Math.ceil(zMin / zStep) * zStep; v < zMax; v += zStep) levels.push(v);
+  const nodes = (i, j) => [[xs[i], ys[j]], [xs[i + 1], ys[j]], [xs[i + 1], ys[j + 1]], [xs[i], ys[j + 1]]];
+  const isolines = levels.map((level) => {
+    const segs = [];
+    for (const { i, j, corners } of cells) {
+      const pts = nodes(i, j);
+      const cross = [];
+      for (let e = 0; e < 4; e++) {
+        const a = corners[e];
+        const b = corners[(e + 1) % 4];
+        if ((a < level) !== (b < level)) {
+          const t = (level - a) / (b - a);
+          const [x0, y0] = pts[e];
+          const [x1, y1] = pts[(e + 1) % 4];
+          cross.push([x0 + t * (x1 - x0), y0 + t * (y1 - y0)]);
+        }
+      }
+      for (let k = 0; k + 1 < cross.length; k += 2) {
+        segs.push(`M ${X(cross[k][0]).toFixed(1)} ${Y(cross[k][1]).toFixed(1)} L ${X(cross[k + 1][0]).toFixed(1)} ${Y(cross[k + 1][1]).toFixed(1)}`);
+      }
+    }
+    return { level, path: segs.join(' ') };
+  });
+
+  const xStep = niceStep(xs.at(-1) - xs[0]);
+  const yStep = niceStep(ys.at(-1) - ys[0]);
+  const xTicks = [];
+  for (let v = Math.ceil(xs[0] / xStep) * xStep; v <= xs.at(-1) + xStep * 1e-6; v += xStep) xTicks.push(v);
+  const yTicks = [];
+  for (let v = Math.ceil(ys[0] / yStep) * yStep; v <= ys.at(-1) + yStep * 1e-6; v += yStep) yTicks.push(v);
+  const legend = [0, 0.25, 0.5, 0.75, 1].map((f) => zMin + f * (zMax - zMin));
+  const legendH = (H - PAD_T - PAD_B) / legend.length;
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+      {cells.map(({ i, j, corners }) => (
+        <rect
+          key={`${i}-${j}`}
+          x={X(xs[i])}
+          y={Y(ys[j + 1])}
+          width={X(xs[i + 1]) - X(xs[i]) + 0.5}
+          height={Y(ys[j]) - Y(ys[j + 1]) + 0.5}
+          fill={color(corners.reduce((s, v) => s + v, 0) / 4)}
+        />
+      ))}
+      {isolines.map(({ level, path }) => (
+        <path key={level} d={path} fill="none" stroke="#1e293b" strokeWidth="0.8" opacity="0.6" />
+      ))}
+      <rect x={PAD_L} y={PAD_T} width={W - PAD_L - PAD_R} height={H - PAD_T - PAD_B} fill="none" stroke="#94a3b8" />
+
+      {xTicks.map((v) => (
+        <text key={`x${v}`} x={X(v)} y={H - PAD_B + 12} className="chart-tick" textAnchor="middle">
+          {Number(v.toPrecision(3))}
+        </text>
+      ))}
+      {yTicks.map((v) => (
+        <text key={`y${v}`} x={PAD_L - 4} y={Y(v) + 3} className="chart-tick" textAnchor="end">
+          {Number(v.toPrecision(3))}
+        </text>
+      ))}
+      <text x={(PAD_L + W - PAD_R) / 2} y={H - PAD_B + 28} className="chart-axis-label" textAnchor="middle">
+        {px.name}{px.quantity ? ` (${u.label(px.quantity)})` : ''}
+      </text>
+      <text
+        x={12}
+        y={(PAD_T + H - PAD_B) / 2}
+        className="chart-axis-label"
+        textAnchor="middle"
+        transform={`rotate(-90 12 ${(PAD_T + H - PAD_B) / 2})`}
+      >
+        {py.name}{py.quantity ? ` (${u.label(py.quantity)})` : ''}
+      </text>
+
+      <g transform={`translate(${W - PAD_R + 8}, ${PAD_T})`}>
+        <text x="0" y="-3" className="chart-tick">{out.name}</text>
+        {legend.slice().reverse().map((v, k) => (
+          <g key={v} transform={`translate(0, ${k * legendH})`}>
+            <rect width="10" height={legendH} fill={color(v)} />
+            <text x="14" y={legendH / 2 + 3} className="chart-tick">{Number(v.toPrecision(3))}</text>
+          </g>
+        ))}
+      </g>
+    </svg>
+  );
+}
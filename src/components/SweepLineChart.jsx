@@ -0,0 +1,95 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+import { SWEEP_OUTPUTS, SWEEP_PARAMETERS } from '../utils/parametricSweep';
+
+/**
+ * One-input sweep: the chosen output against the swept input, with the base
+ * value of the input marked. Failed points break the line.
+ */
+export default function SweepLineChart({ sweep, output, base, units = 'US' }) {
+  const u = unitFormatter(units);
+  const param = SWEEP_PARAMETERS.find((p) => p.id === sweep.x.param);
+  const out = SWEEP_OUTPUTS.find((o) => o.id === output);
+  const xv = (v) => (param.quantity ? u.value(v, param.quantity) : v);
+  const yv = (v) => (out.quantity ? u.value(v, out.quantity) : v);
+  const points = sweep.points.map((pt) => ({ x: xv(pt.x), y: pt.outputs ? yv(pt.outputs[output]) : null }));
+  const ok = points.filter((p) => p.y != null);
+  if (ok.length === 0) return <div className="dxf-error">{sweep.points[0].error}</div>;
+
+  const W = 380;
+  const H = 260;
+  const PAD_L = 50;
+  const PAD_R = 16;
+  const PAD_T = 14;
+  const PAD_B = 40;
+
+  const xMin = Math.min(...points.map((p) => p.x));
+  const xMax = Math.max(...points.map((p) => p.x));
+  const yLo = Math.min(...ok.map((p) => p.y));
+  const yHi = Math.max(...ok.map((p) => p.y));
+  const yPad = (yHi - yLo) * 0.1 || Math.abs(yHi) * 0.1 || 1;
+  const yMin = yLo - yPad;
+  const yMax = yHi + yPad;
+
+  const X = (v) => PAD_L + ((v - xMin) / (xMax - xMin || 1)) * (W - PAD_L - PAD_R);
+  const Y = (v) => PAD_T + ((yMax - v) / (yMax - yMin)) * (H - PAD_T - PAD_B);
+
+  // A point after a failed one (or the first) starts a new subpath.
+  const path = points
+    .map((p, i) => p.y != null
+      && `${i === 0 || points[i - 1].y == null ? 'M' : 'L'} ${X(p.x).toFixed(1)} ${Y(p.y).toFixed(1)}`)
+    .filter(Boolean)
+    .join(' ');
+
+  const xStep = niceStep(xMax - xMin || 1);
+  const yStep = niceStep(yMax - yMin);
+  const xTicks = [];
+  for (let v = Math.ceil(xMin / xStep) * xStep; v <= xMax + xStep * 1e-6; v += xStep) xTicks.push(v);
+  const yTicks = [];
+  for (let v = Math.ceil(yMin / yStep) * yStep; v <= yMax; v += yStep) yTicks.push(v);
+  const xBase = base != null ? xv(base) : null;
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+      {xTicks.map((v) => (
+        <g key={`x${v}`}>
+          <line x1={X(v)} y1={PAD_T} x2={X(v)} y2={H - PAD_B} stroke="#e2e8f0" strokeWidth="1" />
+          <text x={X(v)} y={H - PAD_B + 12} className="chart-tick" textAnchor="middle">
+            {Number(v.toPrecision(3))}
+          </text>
+        </g>
+      ))}
+      {yTicks.map((v) => (
+        <g key={`y${v}`}>
+          <line x1={PAD_L} y1={Y(v)} x2={W - PAD_R} y2={Y(v)} stroke="#e2e8f0" strokeWidth="1" />
+          <text x={PAD_L - 4} y={Y(v) + 3} className="chart-tick" textAnchor="end">
+            {Number(v.toPrecision(3))}
+          </text>
+        </g>
+      ))}
+      <text x={(PAD_L + W - PAD_R) / 2} y={H - PAD_B + 28} className="chart-axis-label" textAnchor="middle">
+        {param.name}{param.quantity ? ` (${u.label(param.quantity)})` : ''}
+      </text>
+      <text
+        x={12}
+        y={(PAD_T + H - PAD_B) / 2}
+        className="chart-axis-label"
+        textAnchor="middle"
+        transform={`rotate(-90 12 ${(PAD_T + H - PAD_B) / 2})`}
+      >
+        {out.name}{out.quantity ? ` (${u.label(out.quantity)})` : ''}
+      </text>
+
+      {xBase != null && xBase >= xMin && xBase <= xMax && (
+        <g>
+          <line x1={X(xBase)} y1={PAD_T} x2={X(xBase)} y2={H - PAD_B} stroke="#f59e0b" strokeWidth="1.2" strokeDasharray="4 3" />
+          <text x={X(xBase) + 4} y={PAD_T + 10} className="diagram-label" fontSize="9" fill="#f59e0b">base</text>
+        </g>
+      )}
+      <path d={path} fill="none" stroke="#3b82f6" strokeWidth="2" />
+      {ok.map((p) => (
+        <circle key={p.x} cx={X(p.x)} cy={Y(p.y)} r="2.5" fill="#3b82f6" />
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { fromDisplay, toDisplay, unitFormatter } from '../utils/units';
+import {
+  SWEEP_OUTPUTS, SWEEP_PARAMETERS, parameterBase, sweep1D, sweep2D, sweepCsv, tornado,
+} from '../utils/parametricSweep';
+import SweepLineChart from './SweepLineChart';
+import SweepContourChart from './SweepContourChart';
+import TornadoChart from './TornadoChart';
+
+/**
+ * Parametric sweep of the calculated section: one input over a range (line
+ * chart), two over a grid (contour chart) or every input ±10 % (tornado
+ * chart), re-running analyzeBeam at each point. Ranges start at ±20 % of the
+ * base values and follow the section's units; sweeps export to CSV.
+ */
+export default function SweepPanel({ results }) {
+  const section = results.section;
+  const layers = results.layers;
+  const units = section.units || 'US';
+  const u = unitFormatter(units);
+  const available = SWEEP_PARAMETERS.filter((p) => parameterBase(p.id, section, layers) > 0);
+
+  // Display-unit range of ±20 % about a parameter's base value.
+  const defaultRange = (id) => {
+    const p = SWEEP_PARAMETERS.find((q) => q.id === id);
+    const b = parameterBase(id, section, layers);
+    const d = (x) => +(p.quantity ? toDisplay(x, p.quantity, units) : x).toPrecision(4);
+    return { param: id, from: d(0.8 * b), to: d(1.2 * b) };
+  };
+  const initial = () => ({
+    mode: 'line',
+    output: 'phiMnFt',
+    x: { ...defaultRange('fc'), steps: 21 },
+    y: { ...defaultRange(available.find((p) => p.id !== 'fc')?.id || 'area'), steps: 11 },
+  });
+  const [inputs, setInputs] = useState(initial);
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  // Start over for a new calculation.
+  const [forResults, setForResults] = useState(results);
+  if (forResults !== results) {
+    setForResults(results);
+    setInputs(initial());
+    setRun(null);
+    setError(null);
+  }
+
+  const setAxis = (axis, field, value) => {
+    setInputs((prev) => ({
+      ...prev,
+      [axis]: field === 'param'
+        ? { ...defaultRange(value), steps: prev[axis].steps }
+        : { ...prev[axis], [field]: value },
+    }));
+  };
+
+  const toUS = (axis) => {
+    const p = SWEEP_PARAMETERS.find((q) => q.id === axis.param);
+    const us = (v) => (p.quantity ? fromDisplay(parseFloat(v), p.quantity, units) : parseFloat(v));
+    return { param: axis.param, from: us(axis.from), to: us(axis.to), steps: parseInt(axis.steps) };
+  };
+
+  const handleRun = () => {
+    try {
+      if (inputs.mode === 'line') {
+        setRun({ mode: 'line', sweep: sweep1D(section, layers, toUS(inputs.x)) });
+      } else if (inputs.mode === 'contour') {
+        setRun({ mode: 'contour', sweep: sweep2D(section, layers, toUS(inputs.x), toUS(inputs.y)) });
+      } else {
+        setRun({ mode: 'tornado', study: tornado(section, layers, { output: inputs.output }) });
+      }
+      setError(null);
+    } catch (err) {
+      setRun(null);
+      setError(err.message);
+    }
+  };
+
+  const handleCsv = () => {
+    const blob = new Blob([sweepCsv(run.sweep, units)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = run.mode === 'line' ? `sweep-${run.sweep.x.param}.csv` : `sweep-${run.sweep.x.param}-${run.sweep.y.param}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const axisRow = (axis, label) => {
+    const value = inputs[axis];
+    const p = SWEEP_PARAMETERS.find((q) => q.id === value.param);
+    const unit = p.quantity ? ` (${u.label(p.quantity)})` : '';
+    return (
+      <div className="form-row">
+        <label>
+          <span className="label-text">{label}</span>
+          <select value={value.param} onChange={(e) => setAxis(axis, 'param', e.target.value)}>
+            {available.map((q) => (
+              <option key={q.id} value={q.id}>{q.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="label-text">From{unit}</span>
+          <input type="number" step="any" value={value.from} onChange={(e) => setAxis(axis, 'from', e.target.value)} />
+        </label>
+        <label>
+          <span className="label-text">To{unit}</span>
+          <input type="number" step="any" value={value.to} onChange={(e) => setAxis(axis, 'to', e.target.value)} />
+        </label>
+        <label>
+          <span className="label-text">Steps</span>
+          <input type="number" step="1" min="2" max="51" value={value.steps}
+            onChange={(e) => setAxis(axis, 'steps', e.target.value)} />
+        </label>
+      </div>
+    );
+  };
+
+  const failed = run?.sweep ? (run.sweep.points || run.sweep.grid.flat()).filter((pt) => pt.error).length : 0;
+  const base = run?.mode === 'line' ? parameterBase(run.sweep.x.param, section, layers) : null;
+
+  return (
+    <div className="beam-diagram interaction-diagram sweep-diagram">
+      <h3>Parametric Sweep</h3>
+      <div className="form-row">
+        <label>
+          <span className="label-text">Study</span>
+          <select value={inputs.mode} onChange={(e) => setInputs((prev) => ({ ...prev, mode: e.target.value }))}>
+            <option value="line">One input (line)</option>
+            <option value="contour">Two inputs (contour)</option>
+            <option value="tornado">Sensitivity ±10% (tornado)</option>
+          </select>
+        </label>
+        <label>
+          <span className="label-text">Output</span>
+          <select value={inputs.output} onChange={(e) => setInputs((prev) => ({ ...prev, output: e.target.value }))}>
+            {SWEEP_OUTPUTS.map((o) => (
+              <option key={o.id} value={o.id}>{o.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {inputs.mode !== 'tornado' && axisRow('x', inputs.mode === 'contour' ? 'Input (x)' : 'Input')}
+      {inputs.mode === 'contour' && axisRow('y', 'Input (y)')}
+
+      <button type="button" className="btn-add-layer" onClick={handleRun}>
+        Run Sweep
+      </button>
+      {run?.sweep && (
+        <button type="button" className="btn-add-layer" onClick={handleCsv}>
+          Download CSV
+        </button>
+      )}
+
+      {error && <div className="dxf-error">{error}</div>}
+
+      {run?.mode === 'line' && (
+        <SweepLineChart sweep={run.sweep} output={inputs.output} base={base} units={units} />
+      )}
+      {run?.mode === 'contour' && (
+        <SweepContourChart sweep={run.sweep} output={inputs.output} units={units} />
+      )}
+      {run?.mode === 'tornado' && <TornadoChart study={run.study} units={units} />}
+      {failed > 0 && (
+        <span className="field-note">
+          {failed} point{failed > 1 ? 's' : ''} failed ({(run.sweep.points || run.sweep.grid.flat()).find((pt) => pt.error).error}) and
+          {failed > 1 ? ' are' : ' is'} left blank.
+        </span>
+      )}
+      <span className="field-note">
+        fse scales the prestressed layers, steel depth shifts every layer with the steel centroid and
+        steel area scales every layer. Each point is a fully developed section at the calculated station.
+      </span>
+    </div>
+  );
+}
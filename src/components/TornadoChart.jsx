@@ -0,0 +1,81 @@
+import { unitFormatter } from '../utils/units';
+import { niceStep } from '../utils/chartTicks';
+import { SWEEP_OUTPUTS, SWEEP_PARAMETERS } from '../utils/parametricSweep';
+
+/**
+ * Tornado chart of ±delta sensitivities: one bar per input, largest swing at
+ * the top, running from the output at −delta (blue) to +delta (orange) about
+ * the base output.
+ */
+export default function TornadoChart({ study, units = 'US' }) {
+  const u = unitFormatter(units);
+  const out = SWEEP_OUTPUTS.find((o) => o.id === study.output);
+  const v = (x) => (x == null ? null : out.quantity ? u.value(x, out.quantity) : x);
+  const base = v(study.base);
+  if (base == null || study.bars.length === 0) return null;
+  const bars = study.bars.map((b) => ({ ...b, low: v(b.low), high: v(b.high) }));
+
+  const W = 380;
+  const ROW = 30;
+  const PAD_L = 84;
+  const PAD_R = 20;
+  const PAD_T = 12;
+  const PAD_B = 40;
+  const H = PAD_T + PAD_B + ROW * bars.length;
+
+  const all = [base, ...bars.flatMap((b) => [b.low, b.high]).filter((x) => x != null)];
+  const span = Math.max(...all) - Math.min(...all) || Math.abs(base) * 0.1 || 1;
+  const xMin = Math.min(...all) - span * 0.1;
+  const xMax = Math.max(...all) + span * 0.1;
+  const X = (x) => PAD_L + ((x - xMin) / (xMax - xMin)) * (W - PAD_L - PAD_R);
+
+  const step = niceStep(xMax - xMin);
+  const ticks = [];
+  for (let t = Math.ceil(xMin / step) * step; t <= xMax; t += step) ticks.push(t);
+  const pct = Math.round(study.delta * 100);
+  const bar = (x, y, color) => x != null && (
+    <rect
+      x={Math.min(X(x), X(base))}
+      y={y}
+      width={Math.max(Math.abs(X(x) - X(base)), 1)}
+      height={ROW - 10}
+      fill={color}
+    />
+  );
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ maxWidth: W, display: 'block', margin: '0 auto' }}>
+      {ticks.map((t) => (
+        <g key={t}>
+          <line x1={X(t)} y1={PAD_T} x2={X(t)} y2={H - PAD_B} stroke="#e2e8f0" strokeWidth="1" />
+          <text x={X(t)} y={H - PAD_B + 12} className="chart-tick" textAnchor="middle">
+            {Number(t.toPrecision(4))}
+          </text>
+        </g>
+      ))}
+      {bars.map((b, i) => {
+        const y = PAD_T + i * ROW + 5;
+        const p = SWEEP_PARAMETERS.find((q) => q.id === b.param);
+        return (
+          <g key={b.param}>
+            <text x={PAD_L - 6} y={y + ROW / 2 - 2} className="chart-tick" textAnchor="end">{p.name}</text>
+            {bar(b.low, y, '#60a5fa')}
+            {bar(b.high, y, '#fb923c')}
+          </g>
+        );
+      })}
+      <line x1={X(base)} y1={PAD_T} x2={X(base)} y2={H - PAD_B} stroke="#1e293b" strokeWidth="1.2" />
+      <text x={(PAD_L + W - PAD_R) / 2} y={H - PAD_B + 26} className="chart-axis-label" textAnchor="middle">
+        {out.name}{out.quantity ? ` (${u.label(out.quantity)})` : ''}
+      </text>
+      <g transform={`translate(${PAD_L}, ${H - 4})`}>
+        {[[`−${pct}%`, '#60a5fa'], [`+${pct}%`, '#fb923c']].map(([label, color], i) => (
+          <g key={label} transform={`translate(${i * 70}, 0)`}>
+            <rect x="0" y="-9" width="10" height="8" fill={color} />
+            <text x="14" y="-1" className="diagram-label legend-text">{label}</text>
+          </g>
+        ))}
+      </g>
+    </svg>
+  );
+}
@@ -0,0 +1,273 @@
+/**
+ * Standard precast products with their catalog dimensions, analyzed through
+ * the polygon path (sectionToPolygon) as "standard" sections. Each shape is
+ * an outer ring plus void rings, in inches with y measured downward from the
+ * top fiber and x from the left edge:
+ *
+ *   AASHTO Type I–VI girders      AASHTO/PCI standard, haunches and tapers
+ *   PCI bulb-tees BT-54/63/72     PCI Bridge Design Manual
+ *   Inverted tees and L-beams     PCI Design Handbook, 12 in stem, 12 in ledge
+ *   Box beams                     AASHTO-PCI, 5½ in flanges, 5 in webs,
+ *                                 3 in void chamfers
+ *   Double tees 8DT24, 10DT26,    PCI Design Handbook, 2 in flange (pretopped
+ *   12DT30                        ones take a composite topping), tapered stems
+ *   Hollow core 8 in, 12 in       4 ft generic PCI profiles, elongated voids
+ *
+ * ref holds the published gross properties (A in², yb in, I in⁴) where the
+ * catalog lists them; the polygon reproduces them to within rounding.
+ */
+
+// Mirror a right half-profile ([x from the centerline, y] corners from the
+// top down) into a full ring about x = b / 2.
+function symmetric(half, b) {
+  const c = b / 2;
+  const right = half.map(([x, y]) => ({ x: c + x, y }));
+  const left = [...half].reverse().map(([x, y]) => ({ x: c - x, y }));
+  return [...right, ...left];
+}
+
+// I-girder from its flange widths and the underside of the top flange, given
+// as [offset from the web face, depth] points from the flange tip inward.
+function iGirder({ h, bt, tf, topUnderside, bw, bb, tb, bottomHaunch }) {
+  const [hx, hy] = bottomHaunch; // horizontal, vertical
+  const b = Math.max(bt, bb);
+  const half = [
+    [bt / 2, 0],
+    [bt / 2, tf],
+    ...topUnderside.map(([dx, y]) => [bw / 2 + dx, y]),
+    [bw / 2, h - tb - hy],
+    [bw / 2 + hx, h - tb],
+    [bb / 2, h - tb],
+    [bb / 2, h],
+  ];
+  return symmetric(half, b);
+}
+
+// Double tee: flange bf × hf, two stems at spacing s tapering from wTop at the
+// flange to wBottom at the soffit.
+function doubleTee({ bf, hf, h, s, wTop, wBottom }) {
+  const ring = [{ x: 0, y: 0 }, { x: bf, y: 0 }, { x: bf, y: hf }];
+  for (const cx of [bf / 2 + s / 2, bf / 2 - s / 2]) {
+    ring.push(
+      { x: cx + wTop / 2, y: hf },
+      { x: cx + wBottom / 2, y: h },
+      { x: cx - wBottom / 2, y: h },
+      { x: cx - wTop / 2, y: hf },
+    );
+  }
+  ring.push({ x: 0, y: hf });
+  return ring;
+}
+
+// Elongated (stadium) void w wide and d deep centered at (cx, cy): two
+// semicircles of diameter w joined by straight sides.
+function stadium(cx, cy, w, d, seg = 16) {
+  const r = w / 2;
+  const straight = Math.max(d - w, 0) / 2;
+  const ring = [];
+  for (let k = 0; k <= seg; k++) {
+    const t = Math.PI + (k / seg) * Math.PI; // top arc, left to right
+    ring.push({ x: cx + r * Math.cos(t), y: cy - straight + r * Math.sin(t) });
+  }
+  for (let k = 0; k <= seg; k++) {
+    const t = (k / seg) * Math.PI; // bottom arc, right to left
+    ring.push({ x: cx + r * Math.cos(t), y: cy + straight + r * Math.sin(t) });
+  }
+  return ring;
+}
+
+// Hollow-core slab b wide and h deep with n evenly spaced voids.
+function hollowCore({ b, h, n, w, d }) {
+  const spacing = b / n;
+  const voids = Array.from({ length: n }, (_, i) => stadium(spacing * (i + 0.5), h / 2, w, d));
+  return { points: rect(b, h), holes: voids };
+}
+
+// Box beam b × h with flanges tf, webs tw and c × c chamfers in the void.
+function boxBeam({ b, h, tf, tw, c }) {
+  const x0 = tw, x1 = b - tw, y0 = tf, y1 = h - tf;
+  const hole = [
+    { x: x0 + c, y: y0 }, { x: x1 - c, y: y0 }, { x: x1, y: y0 + c },
+    { x: x1, y: y1 - c }, { x: x1 - c, y: y1 }, { x: x0 + c, y: y1 },
+    { x: x0, y: y1 - c }, { x: x0, y: y0 + c },
+  ];
+  return { points: rect(b, h), holes: [hole] };
+}
+
+// Inverted tee (two ledges) or L-beam (one, on the right): a bw-wide stem over
+// a ledge course hl deep projecting bl on each ledge side.
+function ledgerBeam({ h, bw, bl, hl, ledges }) {
+  const right = bw + bl * (ledges === 2 ? 2 : 1);
+  const stemLeft = ledges === 2 ? bl : 0;
+  return [
+    { x: stemLeft, y: 0 }, { x: stemLeft + bw, y: 0 }, { x: stemLeft + bw, y: h - hl },
+    { x: right, y: h - hl }, { x: right, y: h }, { x: 0, y: h },
+    ...(ledges === 2 ? [{ x: 0, y: h - hl }, { x: bl, y: h - hl }] : []),
+  ];
+}
+
+function rect(b, h) {
+  return [{ x: 0, y: 0 }, { x: b, y: 0 }, { x: b, y: h }, { x: 0, y: h }];
+}
+
+// AASHTO Type V and VI share the 42 in top flange: 5 in thick, a 3 in taper
+// over 13 in, then a 4 × 4 in haunch into the 8 in web.
+const AASHTO_WIDE_TOP = { bt: 42, tf: 5, topUnderside: [[4, 8], [0, 12]] };
+// PCI bulb-tee top flange: 3½ in at the tip, 2 in taper over 16 in, 2 × 2 in
+// fillet into the 6 in web; 26 × 6 in bottom flange with a 10 × 4½ in taper.
+const BULB_TEE = {
+  bt: 42, tf: 3.5, topUnderside: [[2, 5.5], [0, 7.5]],
+  bw: 6, bb: 26, tb: 6, bottomHaunch: [10, 4.5],
+};
+
+const standardShapes = [
+  {
+    id: 'aashto1',
+    name: 'AASHTO Type I',
+    family: 'AASHTO I-girder',
+    points: iGirder({ h: 28, bt: 12, tf: 4, topUnderside: [[0, 7]], bw: 6, bb: 16, tb: 5, bottomHaunch: [5, 5] }),
+    ref: { A: 276, yb: 12.59, I: 22750 },
+  },
+  {
+    id: 'aashto2',
+    name: 'AASHTO Type II',
+    family: 'AASHTO I-girder',
+    points: iGirder({ h: 36, bt: 12, tf: 6, topUnderside: [[0, 9]], bw: 6, bb: 18, tb: 6, bottomHaunch: [6, 6] }),
+    ref: { A: 369, yb: 15.83, I: 50980 },
+  },
+  {
+    id: 'aashto3',
+    name: 'AASHTO Type III',
+    family: 'AASHTO I-girder',
+    points: iGirder({ h: 45, bt: 16, tf: 7, topUnderside: [[0, 11.5]], bw: 7, bb: 22, tb: 7, bottomHaunch: [7.5, 7.5] }),
+    ref: { A: 560, yb: 20.27, I: 125390 },
+  },
+  {
+    id: 'aashto4',
+    name: 'AASHTO Type IV',
+    family: 'AASHTO I-girder',
+    points: iGirder({ h: 54, bt: 20, tf: 8, topUnderside: [[0, 14]], bw: 8, bb: 26, tb: 8, bottomHaunch: [9, 9] }),
+    ref: { A: 789, yb: 24.73, I: 260730 },
+  },
+  {
+    id: 'aashto5',
+    name: 'AASHTO Type V',
+    family: 'AASHTO I-girder',
+    points: iGirder({ h: 63, ...AASHTO_WIDE_TOP, bw: 8, bb: 28, tb: 8, bottomHaunch: [10, 10] }),
+    ref: { A: 1013, yb: 31.96, I: 521180 },
+  },
+  {
+    id: 'aashto6',
+    name: 'AASHTO Type VI',
+    family: 'AASHTO I-girder',
+    points: iGirder({ h: 72, ...AASHTO_WIDE_TOP, bw: 8, bb: 28, tb: 8, bottomHaunch: [10, 10] }),
+    ref: { A: 1085, yb: 36.38, I: 733320 },
+  },
+  {
+    id: 'bt54',
+    name: 'PCI BT-54',
+    family: 'PCI bulb-tee',
+    points: iGirder({ h: 54, ...BULB_TEE }),
+    ref: { A: 659, yb: 27.63, I: 268077 },
+  },
+  {
+    id: 'bt63',
+    name: 'PCI BT-63',
+    family: 'PCI bulb-tee',
+    points: iGirder({ h: 63, ...BULB_TEE }),
+    ref: { A: 713, yb: 32.12, I: 392638 },
+  },
+  {
+    id: 'bt72',
+    name: 'PCI BT-72',
+    family: 'PCI bulb-tee',
+    points: iGirder({ h: 72, ...BULB_TEE }),
+    ref: { A: 767, yb: 36.6, I: 545894 },
+  },
+  {
+    id: 'it28',
+    name: 'Inverted tee, 28 in (6 in ledges)',
+    family: 'Inverted tee',
+    points: ledgerBeam({ h: 28, bw: 12, bl: 6, hl: 12, ledges: 2 }),
+  },
+  {
+    id: 'it36',
+    name: 'Inverted tee, 36 in (6 in ledges)',
+    family: 'Inverted tee',
+    points: ledgerBeam({ h: 36, bw: 12, bl: 6, hl: 12, ledges: 2 }),
+  },
+  {
+    id: 'lb28',
+    name: 'L-beam, 28 in (6 in ledge)',
+    family: 'L-beam',
+    points: ledgerBeam({ h: 28, bw: 12, bl: 6, hl: 12, ledges: 1 }),
+  },
+  {
+    id: 'lb36',
+    name: 'L-beam, 36 in (6 in ledge)',
+    family: 'L-beam',
+    points: ledgerBeam({ h: 36, bw: 12, bl: 6, hl: 12, ledges: 1 }),
+  },
+  {
+    id: 'box36x27',
+    name: 'Box beam BI-36, 27 in',
+    family: 'Box beam',
+    ...boxBeam({ b: 36, h: 27, tf: 5.5, tw: 5, c: 3 }),
+  },
+  {
+    id: 'box48x33',
+    name: 'Box beam BII-48, 33 in',
+    family: 'Box beam',
+    ...boxBeam({ b: 48, h: 33, tf: 5.5, tw: 5, c: 3 }),
+  },
+  {
+    id: '8dt24',
+    name: '8DT24',
+    family: 'Double tee',
+    points: doubleTee({ bf: 96, hf: 2, h: 24, s: 48, wTop: 5.75, wBottom: 3.75 }),
+    ref: { A: 401, yb: 17.15, I: 20985 },
+  },
+  {
+    id: '10dt26',
+    name: '10DT26',
+    family: 'Double tee',
+    points: doubleTee({ bf: 120, hf: 2, h: 26, s: 60, wTop: 5.75, wBottom: 3.75 }),
+  },
+  {
+    id: '12dt30',
+    name: '12DT30',
+    family: 'Double tee',
+    points: doubleTee({ bf: 144, hf: 2, h: 30, s: 72, wTop: 7.75, wBottom: 5.75 }),
+  },
+  {
+    id: 'hc8',
+    name: 'Hollow core 4 ft × 8 in',
+    family: 'Hollow core',
+    ...hollowCore({ b: 48, h: 8, n: 6, w: 5.5, d: 6.25 }),
+  },
+  {
+    id: 'hc12',
+    name: 'Hollow core 4 ft × 12 in',
+    family: 'Hollow core',
+    ...hollowCore({ b: 48, h: 12, n: 5, w: 7.5, d: 10 }),
+  },
+].map((shape) => ({
+  holes: [],
+  ...shape,
+  h: Math.max(...shape.points.map((p) => p.y)),
+}));
+
+/** Catalog families in display order, for grouping a picker. */
+export const STANDARD_SHAPE_FAMILIES = [...new Set(standardShapes.map((s) => s.family))];
+
+/**
+ * The catalog entry with the given id.
+ * @throws {Error} for an unknown id
+ */
+export function findStandardShape(id) {
+  const shape = standardShapes.find((s) => s.id === id);
+  if (!shape) throw new Error(`Unknown standard shape "${id}"`);
+  return shape;
+}
+
+export default standardShapes;
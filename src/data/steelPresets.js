@@ -6,6 +6,11 @@
  *
  * stressCap = fpy (yield) for mild steel, fpu (ultimate) for prestressing steel
  *
+ * FRP bars and tendons (frp: true) are linear-elastic to rupture: fpy = fpu =
+ * stressCap is the guaranteed tensile strength ffu, Es the modulus Ef, and Q,
+ * R, K are unused (see powerFormulaStress). category still separates bars
+ * (mild, no prestress) from tendons.
+ *
  * Units: ksi for stresses/moduli, in for lengths
  */
 
@@ -23,6 +28,7 @@ const steelPresets = [
     R: 100,
     K: 1.096,
     defaultFse: 0, // no prestress for mild steel
+    defaultFpi: 0, // stress immediately after transfer (ksi)
   },
   {
     id: 'grade65',
@@ -37,6 +43,7 @@ const steelPresets = [
     R: 100,
     K: 1.096,
     defaultFse: 0,
+    defaultFpi: 0,
   },
   {
     id: 'grade70',
@@ -51,6 +58,37 @@ const steelPresets = [
     R: 100,
     K: 1.06,
     defaultFse: 0,
+    defaultFpi: 0,
+  },
+  {
+    id: 'grade80',
+    name: 'Grade 80 Bars',
+    description: 'ASTM A615 Gr. 80 deformed reinforcing bars',
+    category: 'mild',
+    Es: 29000,
+    fpu: 105,
+    fpy: 80,
+    stressCap: 80, // mild steel: cap at fy
+    Q: 0.0,
+    R: 100,
+    K: 1.06,
+    defaultFse: 0,
+    defaultFpi: 0,
+  },
+  {
+    id: 'grade100',
+    name: 'Grade 100 Bars',
+    description: 'ASTM A615 Gr. 100 deformed reinforcing bars',
+    category: 'mild',
+    Es: 29000,
+    fpu: 115,
+    fpy: 100,
+    stressCap: 100, // mild steel: cap at fy
+    Q: 0.0,
+    R: 100,
+    K: 1.04,
+    defaultFse: 0,
+    defaultFpi: 0,
   },
   {
     id: 'grade150',
@@ -65,11 +103,13 @@ const steelPresets = [
     R: 3.75,
     K: 1.04,
     defaultFse: 0,
+    defaultFpi: 0,
+    lowRelaxation: false, // relaxation class for prestress loss estimates
   },
   {
     id: 'grade270',
     name: 'Gr. 270 Strand',
-    description: 'ASTM A416 Gr. 270 7-wire low-relaxation strand',
+    description: 'ASTM A416 Gr. 270 7-wire low-relaxation strand (0.5, 0.6 or 0.7 in)',
     category: 'prestressing',
     Es: 28800,
     fpu: 270,
@@ -79,6 +119,9 @@ const steelPresets = [
     R: 7.36,
     K: 1.043,
     defaultFse: 170,
+    defaultFpi: 189, // 0.70 fpu
+    lowRelaxation: true,
+    strand: true, // seven-wire strand: §25.4.8 transfer and development apply
   },
   {
     id: 'grade250',
@@ -93,6 +136,76 @@ const steelPresets = [
     R: 7.36,
     K: 1.043,
     defaultFse: 150,
+    defaultFpi: 175, // 0.70 fpu
+    lowRelaxation: false, // stress-relieved
+    strand: true,
+  },
+  {
+    id: 'grade300',
+    name: 'Gr. 300 Strand',
+    description: 'ASTM A416 Gr. 300 7-wire low-relaxation strand',
+    category: 'prestressing',
+    Es: 28800,
+    fpu: 300,
+    fpy: 270, // 0.90 fpu
+    stressCap: 300,
+    Q: 0.031,
+    R: 7.36,
+    K: 1.043,
+    defaultFse: 189, // 0.63 fpu
+    defaultFpi: 210, // 0.70 fpu
+    lowRelaxation: true,
+    strand: true,
+  },
+  {
+    id: 'stainless240',
+    name: 'Stainless Strand',
+    description: 'ASTM A1114 Gr. 240 duplex stainless 7-wire strand',
+    category: 'prestressing',
+    Es: 24000, // lower modulus and a rounder knee than carbon strand
+    fpu: 240,
+    fpy: 204, // 0.85 fpu
+    stressCap: 240,
+    Q: 0.06,
+    R: 5,
+    K: 1.1,
+    defaultFse: 146,
+    defaultFpi: 168, // 0.70 fpu
+    lowRelaxation: true,
+    strand: true,
+  },
+  {
+    id: 'gfrp',
+    name: 'GFRP Bars',
+    description: 'ASTM D7957 glass-FRP bars, linear-elastic to rupture',
+    category: 'mild',
+    frp: true,
+    Es: 6500, // Ef
+    fpu: 100, // guaranteed tensile strength ffu
+    fpy: 100, // no yield
+    stressCap: 100,
+    Q: 0.0,
+    R: 100,
+    K: 1.0,
+    defaultFse: 0,
+    defaultFpi: 0,
+  },
+  {
+    id: 'cfrp',
+    name: 'CFRP Tendons',
+    description: 'Carbon-FRP 7-wire strand tendons (ACI 440.4R), linear-elastic to rupture',
+    category: 'prestressing',
+    frp: true,
+    Es: 22500,
+    fpu: 340,
+    fpy: 340,
+    stressCap: 340,
+    Q: 0.0,
+    R: 100,
+    K: 1.0,
+    defaultFse: 185,
+    defaultFpi: 204, // 0.60 ffu after transfer (ACI 440.4R)
+    lowRelaxation: true,
   },
 ];
 
@@ -9,6 +9,7 @@ import { describe, it, expect } from 'vitest';
 import {
   beta1,
   phiFactor,
+  frpPhiFactor,
   powerFormulaStress,
   steelStrain,
   concreteModulus,
@@ -17,8 +18,20 @@ import {
   prestressAndCracking,
   analyzeBeam,
   analyzeBiaxial,
+  interactionDiagram,
+  unbondedTendonStress,
+  noncompositeProperties,
+  polygonAreaAboveDepth,
+  polygonFullProperties,
+  sectionToPolygon,
+  CODE_PROVISIONS,
+  codeProvisions,
+  solveNeutralAxis,
+  hoggingSection,
+  isPolygonSection,
 } from './beamCalculations';
 import steelPresets from '../data/steelPresets';
+import standardShapes, { findStandardShape } from '../data/standardShapes';
 
 const byId = (id) => steelPresets.find((p) => p.id === id);
 const GR60 = byId('grade60');
@@ -53,6 +66,10 @@ describe('phiFactor (ACI 318-19 §21.2)', () => {
     const mid = ety + 0.0015;
     expect(phiFactor(mid, ety)).toBeCloseTo(0.775, 6);
   });
+  it('uses 0.75 as the compression-controlled limit for spirals', () => {
+    expect(phiFactor(0.001, ety, 0.75)).toBe(0.75);
+    expect(phiFactor(ety + 0.0015, ety, 0.75)).toBeCloseTo(0.825, 6);
+  });
 });
 
 describe('powerFormulaStress', () => {
@@ -73,11 +90,52 @@ describe('powerFormulaStress', () => {
   });
 });
 
+describe('FRP reinforcement (ACI 440.11-22)', () => {
+  const GFRP = byId('gfrp');
+  const efu = GFRP.fpu / GFRP.Es;
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 5 };
+
+  it('takes φ = 0.65 for crushing, 0.55 for rupture, linear between', () => {
+    expect(frpPhiFactor(0.8 * efu, efu)).toBe(0.65);
+    expect(frpPhiFactor(efu, efu)).toBe(0.55);
+    expect(frpPhiFactor(0.9 * efu, efu)).toBeCloseTo(0.60, 10);
+    expect(frpPhiFactor(0, efu, 0.75)).toBe(0.75);
+  });
+
+  it('is linear to rupture with no compression', () => {
+    expect(powerFormulaStress(0.01, GFRP)).toBeCloseTo(65, 10);
+    expect(powerFormulaStress(0.05, GFRP)).toBe(GFRP.fpu);
+    expect(powerFormulaStress(-0.002, GFRP)).toBe(0);
+  });
+
+  it('matches ACI 440.1R ff for a section that crushes first', () => {
+    // ρf = 3 / (12 × 21.5); ff = √((Ef εcu)²/4 + 0.85 β1 f'c Ef εcu / ρf) − 0.5 Ef εcu = 66.4 ksi
+    const res = analyzeBeam(section, [{ area: 3.0, depth: 21.5, fse: 0, steel: GFRP }]);
+    expect(res.layerResults[0].stress).toBeCloseTo(66.4, 0);
+    expect(res).toMatchObject({ frp: true, frpRupture: null, ductile: false, transition: false, phi: 0.65 });
+    expect(analyzeBeam({ ...section, code: 'aashto' }, [{ area: 3.0, depth: 21.5, fse: 0, steel: GFRP }]).phi).toBe(0.75);
+  });
+
+  it('takes Mn = Af ffu (d − β1 cb / 2) when the FRP ruptures', () => {
+    const res = analyzeBeam(section, [{ area: 0.4, depth: 21.5, fse: 0, steel: GFRP }]);
+    const cb = (0.003 * 21.5) / (0.003 + efu);
+    expect(res.frpRupture.cb).toBeCloseTo(cb, 10);
+    expect(res.Mn).toBeCloseTo(0.4 * 100 * (21.5 - (0.8 * cb) / 2), 6);
+    expect(res.phi).toBe(0.55);
+  });
+});
+
 describe('concreteModulus', () => {
   it('matches 57000√f\'c for normalweight concrete', () => {
     // f'c = 5 ksi -> 57000*sqrt(5000) ≈ 4030.5 ksi
     expect(concreteModulus(5)).toBeCloseTo(4030.5, 0);
   });
+
+  it('uses 4700√f\'c (MPa) for SI sections', () => {
+    // f'c = 35 MPa -> 4700*sqrt(35) ≈ 27806 MPa
+    const fc = 35 / 6.894757;
+    expect(concreteModulus(fc, 'SI') * 6.894757).toBeCloseTo(4700 * Math.sqrt(35), 6);
+  });
 });
 
 describe('grossSectionProperties (rectangular)', () => {
@@ -140,6 +198,100 @@ describe('analyzeBeam — classic singly-reinforced RC beam', () => {
   });
 });
 
+describe('solveNeutralAxis — equilibrium diagnosis', () => {
+  const rc = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 4 };
+
+  it('reports a single converged root for the RC beam', () => {
+    const res = analyzeBeam(rc, [{ area: 3.0, depth: 21.5, fse: 0, steel: GR60 }]);
+    expect(res.solver.status).toBe('converged');
+    expect(res.solver.roots).toHaveLength(1);
+    // The rupture jump at very shallow c is a sign change but not a root.
+    expect(res.solver.bracket.residualLow).toBeGreaterThan(0);
+    expect(res.solver.evaluations).toBeLessThan(120);
+  });
+
+  it('flags tension dominating when Pu exceeds the section capacity', () => {
+    const res = analyzeBeam({ ...rc, Pu: 5000 }, [{ area: 3.0, depth: 21.5, fse: 0, steel: GR60 }]);
+    expect(res.converged).toBe(false);
+    expect(res.solver.status).toBe('no-root');
+    expect(res.solver.dominant).toBe('tension');
+    expect(res.solver.bracket.cHigh).toBe(50 * 24);
+    expect(res.solver.bracket.residualLow).toBeLessThan(0);
+    expect(res.solver.bracket.residualHigh).toBeLessThan(0);
+    expect(res.solver.suggestion).toMatch(/axial load/);
+  });
+
+  it('flags compression dominating when axial tension exceeds the steel', () => {
+    // 3 in² of Grade 60 carries at most 180 kip.
+    const res = analyzeBeam({ ...rc, Pu: -500 }, [{ area: 3.0, depth: 21.5, fse: 0, steel: GR60 }]);
+    expect(res.solver.status).toBe('no-root');
+    expect(res.solver.dominant).toBe('compression');
+    expect(res.solver.residual).toBeGreaterThan(0);
+    expect(res.solver.suggestion).toMatch(/axial tension/);
+  });
+
+  it('takes the shallowest of several roots and says so', () => {
+    const res = solveNeutralAxis((c) => (c - 2) * (c - 6) * (c - 10), 0.01, 24);
+    expect(res.status).toBe('multiple-roots');
+    expect(res.converged).toBe(true);
+    expect(res.c).toBeCloseTo(2, 6);
+    expect(res.roots.map((c) => Math.round(c))).toEqual([2, 6, 10]);
+  });
+
+  it('does not mistake a jump for equilibrium', () => {
+    const res = solveNeutralAxis((c) => (c < 5 ? -10 : 10), 0.01, 24);
+    expect(res.status).toBe('discontinuous');
+    expect(res.converged).toBe(false);
+  });
+});
+
+describe('analyzeBeam — hogging moment', () => {
+  it('matches the sagging result of the mirrored rectangular beam', () => {
+    const rc = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 4 };
+    const sag = analyzeBeam(rc, [{ area: 3.0, depth: 21.5, fse: 0, steel: GR60 }]);
+    const hog = analyzeBeam({ ...rc, momentSign: 'hogging' }, [{ area: 3.0, depth: 2.5, fse: 0, steel: GR60 }]);
+    expect(hog.momentSign).toBe('hogging');
+    expect(hog.Mn).toBeCloseTo(sag.Mn, 8);
+    expect(hog.layerResults[0].depth).toBeCloseTo(21.5, 10);
+  });
+
+  it('puts the stress block in the web of a T-beam', () => {
+    // Compression at the bottom of the 12 in web: a = 120 / (0.85·4·12).
+    const tbeam = { sectionType: 'tbeam', bf: 36, bw: 12, hf: 4, h: 24, fc: 4, momentSign: 'hogging' };
+    const res = analyzeBeam(tbeam, [{ area: 2.0, depth: 2, fse: 0, steel: GR60 }]);
+    const a = 120 / (0.85 * 4 * 12);
+    expect(res.converged).toBe(true);
+    expect(res.a).toBeCloseTo(a, 4);
+    expect(res.Mn).toBeCloseTo(120 * (22 - a / 2), 2);
+  });
+
+  it('mirrors the geometry about mid-depth', () => {
+    const sections = [
+      { sectionType: 'tbeam', bf: 36, bw: 12, hf: 4, h: 24 },
+      { sectionType: 'sandwich', bt: 24, ht: 3, hg: 10, bb: 12, h: 20 },
+      { sectionType: 'hollowcore', bf: 48, h: 12, numVoids: 6, voidDiameter: 8, voidCenterDepth: 5 },
+    ];
+    for (const sec of sections) {
+      const g = grossSectionProperties(sec);
+      const m = grossSectionProperties(hoggingSection(sec, []).section);
+      expect(m.A).toBeCloseTo(g.A, 6);
+      expect(m.yCg).toBeCloseTo(sec.h - g.yCg, 2);
+      expect(m.Ig).toBeCloseTo(g.Ig, -1);
+    }
+  });
+
+  it('cracks at the top fiber: Mcr = St (fr + P/A) − P e', () => {
+    const sec = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6, momentSign: 'hogging' };
+    const cr = prestressAndCracking(sec, [{ area: 0.918, depth: 20, fse: 160, steel: GR270 }], 0);
+    const P = 160 * 0.918;
+    const St = (12 * 24 * 24) / 6;
+    const fr = (7.5 * Math.sqrt(6000)) / 1000;
+    expect(cr.tensionFiber).toBe('top');
+    expect(cr.S).toBeCloseTo(St, 8);
+    expect(cr.Mcr).toBeCloseTo(St * (fr + P / 288) - P * 8, 6);
+  });
+});
+
 describe('prestressAndCracking — 1.33Mu exception (ACI 318-19 §9.6.1.3)', () => {
   const section = { sectionType: 'rectangular', bw: 12, h: 24, fc: 5, lambda: 1 };
   const layers = [{ area: 0.918, depth: 21, fse: 170, steel: GR270 }];
@@ -189,3 +341,368 @@ describe('analyzeBiaxial — symmetric section sanity', () => {
     expect(res.anchors.xSag.phiMx).toBeGreaterThan(0);
   });
 });
+
+describe('interactionDiagram — symmetric RC column (ACI 318-19 §22.4)', () => {
+  // 16×16 in, f'c = 5 ksi, 2×1.58 in² Gr60 faces at d' = 2.5, d = 13.5.
+  // Po = 0.85·5·(256 − 3.16) + 60·3.16 = 1264.2 kip
+  // Balanced: cb = 0.003·13.5 / (0.003 + 60/29000) = 7.990 in
+  const section = { sectionType: 'rectangular', bf: 16, bw: 16, hf: 16, h: 16, fc: 5 };
+  const layers = [
+    { area: 1.58, depth: 2.5, fse: 0, steel: GR60 },
+    { area: 1.58, depth: 13.5, fse: 0, steel: GR60 },
+  ];
+  const pm = interactionDiagram(section, layers);
+
+  it('computes Po and the tied 0.80·Po cap', () => {
+    expect(pm.Po).toBeCloseTo(1264.17, 1);
+    expect(pm.Pnmax).toBeCloseTo(0.8 * pm.Po, 6);
+    expect(pm.phiPnmax).toBeCloseTo(0.65 * 0.8 * pm.Po, 6);
+  });
+  it('places the balanced point at εt = εty', () => {
+    expect(pm.balanced.c).toBeCloseTo(7.990, 2);
+    expect(pm.balanced.phi).toBeCloseTo(0.65, 6);
+  });
+  it('closes at pure tension −ΣfyAs', () => {
+    expect(pm.Pnt).toBeCloseTo(-189.6, 6);
+    expect(pm.points[pm.points.length - 1].Pn).toBeCloseTo(-189.6, 6);
+  });
+  it('matches analyzeBeam at P = 0', () => {
+    const flex = analyzeBeam(section, layers);
+    expect(pm.pureFlexure.MnFt).toBeCloseTo(flex.MnFt, 6);
+  });
+  it('never plots φPn above φPn,max', () => {
+    for (const p of pm.points) expect(p.phiPn).toBeLessThanOrEqual(pm.phiPnmax + 1e-9);
+  });
+  it('uses 0.85·Po and φ = 0.75 for spirals', () => {
+    const sp = interactionDiagram({ ...section, confinement: 'spiral' }, layers);
+    expect(sp.Pnmax).toBeCloseTo(0.85 * sp.Po, 6);
+    expect(sp.phiPnmax).toBeCloseTo(0.75 * 0.85 * sp.Po, 6);
+  });
+});
+
+describe('analyzeBeam with axial load', () => {
+  const section = { sectionType: 'rectangular', bf: 16, bw: 16, hf: 16, h: 16, fc: 5 };
+  const layers = [
+    { area: 1.58, depth: 2.5, fse: 0, steel: GR60 },
+    { area: 1.58, depth: 13.5, fse: 0, steel: GR60 },
+  ];
+  it('satisfies Cc − ΣT = Pu', () => {
+    const res = analyzeBeam({ ...section, Pu: 300 }, layers);
+    const T = res.layerResults.reduce((s, lr) => s + lr.force, 0);
+    expect(res.converged).toBe(true);
+    expect(res.Cc - T).toBeCloseTo(300, 2);
+  });
+  it('lands on the nominal interaction curve', () => {
+    const res = analyzeBeam({ ...section, Pu: 300 }, layers);
+    const pm = interactionDiagram(section, layers, { points: 400 });
+    // Nearest swept point in Pn brackets the solved moment.
+    const i = pm.points.findIndex((p) => p.Pn < 300);
+    const [p, q] = [pm.points[i - 1], pm.points[i]];
+    const t = (300 - p.Pn) / (q.Pn - p.Pn);
+    expect(res.MnFt).toBeCloseTo(p.MnFt + t * (q.MnFt - p.MnFt), 0);
+  });
+  it('flags a prestressed pile demand inside the curve', () => {
+    const pile = { sectionType: 'rectangular', bf: 14, bw: 14, hf: 14, h: 14, fc: 6, Pu: 200, Mu: 60 };
+    const strands = [
+      { area: 0.459, depth: 2.5, fse: 160, steel: GR270 },
+      { area: 0.306, depth: 7, fse: 160, steel: GR270 },
+      { area: 0.459, depth: 11.5, fse: 160, steel: GR270 },
+    ];
+    const pm = interactionDiagram(pile, strands);
+    // Po = 0.85·6·(196 − 1.224) − (160 − 0.003·28800)·1.224
+    expect(pm.Po).toBeCloseTo(0.85 * 6 * (196 - 1.224) - (160 - 0.003 * GR270.Es) * 1.224, 6);
+    expect(pm.demand.pass).toBe(true);
+    expect(pm.demand.phiMnAtPu).toBeGreaterThan(60);
+  });
+});
+
+describe('unbonded tendons (ACI 318-19 §20.3.2.4)', () => {
+  // 12 × 24 rectangular beam, f'c = 5 ksi, 6 unbonded 0.6-in. strands at dp = 20 in.
+  // ρp = 0.918 / (12 × 20) = 0.003825
+  // ℓn/h = 40·12/24 = 20 ≤ 35 → fps = 160 + 10 + 5 / (100·0.003825) = 183.07 ksi
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 5, span: 40 };
+  const layers = [{ area: 0.918, depth: 20, fse: 160, bonded: false, steel: GR270 }];
+
+  it('uses the ℓn/h ≤ 35 equation', () => {
+    const ub = unbondedTendonStress(section, layers);
+    expect(ub.b).toBeCloseTo(12, 6);
+    expect(ub.rhoP).toBeCloseTo(0.003825, 6);
+    expect(ub.slender).toBe(false);
+    expect(ub.fps[0]).toBeCloseTo(183.07, 2);
+    expect(ub.valid).toBe(true);
+  });
+  it('uses the ℓn/h > 35 equation for slender spans', () => {
+    // ℓn/h = 80·12/24 = 40 → fps = 170 + 5 / (300·0.003825) = 174.36 ksi
+    const ub = unbondedTendonStress({ ...section, span: 80 }, layers);
+    expect(ub.slender).toBe(true);
+    expect(ub.fps[0]).toBeCloseTo(174.36, 2);
+  });
+  it('caps the stress increase at fse + 60 ksi', () => {
+    const light = [{ ...layers[0], area: 0.153 }];
+    expect(unbondedTendonStress(section, light).fps[0]).toBeCloseTo(220, 6);
+  });
+  it('flags fse below 0.5·fpu', () => {
+    const low = [{ ...layers[0], fse: 120 }];
+    expect(unbondedTendonStress(section, low).valid).toBe(false);
+  });
+  it('returns null when every layer is bonded', () => {
+    expect(unbondedTendonStress(section, [{ ...layers[0], bonded: true }])).toBeNull();
+  });
+  it('gives unbonded layers no decompression strain', () => {
+    const props = grossSectionProperties(section);
+    const mixed = [layers[0], { ...layers[0], depth: 21, bonded: true }];
+    const d = decompressionStrains(mixed, props, 5);
+    expect(d[0]).toBe(0);
+    expect(d[1]).toBeGreaterThan(0);
+  });
+  it('carries fps through analyzeBeam', () => {
+    const res = analyzeBeam(section, layers);
+    const lr = res.layerResults[0];
+    expect(res.converged).toBe(true);
+    expect(lr.stress).toBeCloseTo(183.07, 2);
+    // Cc = Aps·fps → a = 0.918·183.07 / (0.85·5·12) = 3.295 in
+    expect(res.a).toBeCloseTo((0.918 * lr.stress) / (0.85 * 5 * 12), 4);
+    expect(res.Mn).toBeCloseTo(0.918 * lr.stress * (20 - res.a / 2), 3);
+    // Bonded strand reaches a higher stress than the unbonded fps.
+    const bonded = analyzeBeam(section, [{ ...layers[0], bonded: true }]);
+    expect(bonded.Mn).toBeGreaterThan(res.Mn);
+  });
+  it('carries fps through analyzeBiaxial', () => {
+    const res = analyzeBiaxial(section, [{ ...layers[0], x: 6 }], {});
+    expect(res.unbonded.fps[0]).toBeCloseTo(183.07, 2);
+    expect(res.anchors.xSag.layerResults[0].stress).toBeCloseTo(183.07, 2);
+    expect(res.anchors.xSag.Mx).toBeCloseTo(analyzeBeam(section, layers).MnFt, 1);
+  });
+});
+
+describe('composite topping', () => {
+  // 12 × 24 precast with a 48 × 2 topping: with f'ct = f'c it is a 26 in. T-beam.
+  const precast = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+  const composite = { ...precast, h: 26, topping: { bt: 48, ht: 2, fc: 6 } };
+  const tee = { sectionType: 'tbeam', bf: 48, bw: 12, hf: 2, h: 26, fc: 6 };
+  const layers = [{ area: 0.918, depth: 24, fse: 160, steel: GR270 }];
+
+  it('matches the equivalent T-beam when both concretes are alike', () => {
+    const c = grossSectionProperties(composite);
+    const t = grossSectionProperties(tee);
+    expect(c.A).toBeCloseTo(t.A, 8);
+    expect(c.yCg).toBeCloseTo(t.yCg, 8);
+    expect(c.Ig).toBeCloseTo(t.Ig, 6);
+    const nc = noncompositeProperties(composite);
+    expect(nc.A).toBe(288);
+    expect(nc.yCg).toBe(14);
+  });
+
+  it('transforms the topping by √(f\'ct / f\'c)', () => {
+    const c = grossSectionProperties({ ...composite, topping: { bt: 48, ht: 2, fc: 4 } });
+    expect(c.n).toBeCloseTo(Math.sqrt(4 / 6), 10);
+    expect(c.A).toBeCloseTo(288 + 96 * Math.sqrt(4 / 6), 8);
+  });
+
+  it('uses the topping strength and β1 for a block within the topping', () => {
+    const sec = { ...composite, topping: { bt: 48, ht: 2, fc: 4 } };
+    const r = analyzeBeam(sec, layers);
+    expect(r.beta1).toBeCloseTo(0.85, 10);
+    expect(r.a).toBeLessThan(2);
+    expect(r.Cc).toBeCloseTo(0.85 * 4 * 48 * r.a, 6);
+    // Decompression on the precast alone, which differs from the tee.
+    const tr = analyzeBeam(tee, layers);
+    expect(r.layerResults[0].epsDecomp).toBeGreaterThan(tr.layerResults[0].epsDecomp);
+  });
+
+  it('stacks the two strengths when the block enters the precast', () => {
+    const sec = { ...composite, topping: { bt: 12, ht: 2, fc: 4 } };
+    const r = analyzeBeam(sec, [{ area: 1.53, depth: 24, fse: 160, steel: GR270 }]);
+    expect(r.a).toBeGreaterThan(2);
+    expect(r.Cc).toBeCloseTo(0.85 * 4 * 12 * 2 + 0.85 * 6 * 12 * (r.a - 2), 6);
+  });
+
+  it('stages Mcr between the precast and composite sections', () => {
+    const Mnc = 40;
+    const cr = prestressAndCracking({ ...composite, Mnc }, layers, 0);
+    const nc = noncompositeProperties(composite);
+    const Sbc = grossSectionProperties(composite).Sb;
+    const P = 160 * 0.918;
+    const e = 24 - nc.yCg;
+    const expected = Mnc * 12 + Sbc * (cr.fr + P / nc.A + (P * e) / nc.Sb - (Mnc * 12) / nc.Sb);
+    expect(cr.Mcr).toBeCloseTo(expected, 6);
+    expect(cr.fpc).toBeCloseTo(P / 288, 10);
+  });
+
+  it('traces the P–M curve through analyzeBeam\'s φMn at P = 0', () => {
+    const sec = { ...composite, topping: { bt: 12, ht: 2, fc: 4 } };
+    const strands = [{ area: 2.448, depth: 24, fse: 160, steel: GR270 }];
+    const flex = analyzeBeam(sec, strands);
+    const pts = interactionDiagram(sec, strands, { points: 400 }).points;
+    const k = pts.findIndex((p, i) => i > 0 && pts[i - 1].Pn > 0 && p.Pn <= 0);
+    const p = pts[k - 1], q = pts[k];
+    const phiMnFt = p.phiMnFt + (q.phiMnFt - p.phiMnFt) * (p.Pn / (p.Pn - q.Pn));
+    expect(phiMnFt / flex.phiMnFt).toBeCloseTo(1, 3);
+  });
+});
+
+describe('multi-material polygon sections', () => {
+  // 12 × 24 outline with a 4 × 8 hole (x 4–8, y 8–16).
+  const outer = [{ x: 0, y: 0 }, { x: 12, y: 0 }, { x: 12, y: 24 }, { x: 0, y: 24 }];
+  const hole = [{ x: 4, y: 8 }, { x: 8, y: 8 }, { x: 8, y: 16 }, { x: 4, y: 16 }];
+  const base = { sectionType: 'custom', points: outer, holes: [hole], h: 24, fc: 8 };
+  const solid = { sectionType: 'custom', points: outer, holes: [], h: 24, fc: 8 };
+
+  it('treats an untagged hole as a void and a same-strength infill as solid', () => {
+    expect(grossSectionProperties(base).A).toBeCloseTo(288 - 32, 10);
+    const filled = { ...base, ringFc: [null, 8] };
+    expect(grossSectionProperties(filled).A).toBeCloseTo(288, 10);
+    expect(grossSectionProperties(filled).Ig).toBeCloseTo(13824, 6);
+    expect(polygonAreaAboveDepth(filled, 12)).toBeCloseTo(144, 10);
+  });
+
+  it('weights the stress block by f\'ci / f\'c', () => {
+    const sec = { ...base, ringFc: [null, 4] };
+    // Above y = 12: 144 in² of outline, 16 in² of which is 4 ksi infill.
+    expect(polygonAreaAboveDepth(sec, 12)).toBeCloseTo(144 - 16 + 16 * 0.5, 10);
+    // A weaker outer concrete scales the outline and nets out of the infill.
+    const weakOuter = { ...solid, ringFc: [4] };
+    expect(polygonAreaAboveDepth(weakOuter, 6)).toBeCloseTo(36, 10);
+  });
+
+  it('transforms elastic properties by √(f\'ci / f\'c)', () => {
+    const k = Math.sqrt(4 / 8);
+    const p = grossSectionProperties({ ...base, ringFc: [null, 4] });
+    expect(p.A).toBeCloseTo(256 + 32 * k, 10);
+    expect(p.yCg).toBeCloseTo(12, 10);
+    expect(p.Ig).toBeCloseTo(13824 - (1 - k) * (4 * 8 ** 3) / 12, 6);
+    const full = polygonFullProperties(sectionToPolygon({ ...base, ringFc: [null, 4] }));
+    expect(full.A).toBeCloseTo(p.A, 10);
+    expect(full.Ix).toBeCloseTo(p.Ig, 6);
+  });
+
+  it('matches a solid section in flexure and biaxially when the infill matches', () => {
+    const layers = [
+      { area: 0.459, depth: 21, x: 3, fse: 170, steel: GR270 },
+      { area: 0.459, depth: 21, x: 9, fse: 170, steel: GR270 },
+    ];
+    const filled = { ...base, ringFc: [null, 8] };
+    expect(analyzeBeam(filled, layers).Mn).toBeCloseTo(analyzeBeam(solid, layers).Mn, 6);
+    const b = analyzeBiaxial({ ...filled, bendingMode: 'biaxial' }, layers, {});
+    const s = analyzeBiaxial({ ...solid, bendingMode: 'biaxial' }, layers, {});
+    expect(b.anchors.xSag.phiMx).toBeCloseTo(s.anchors.xSag.phiMx, 4);
+  });
+
+  it('weights Po by region strength', () => {
+    const layers = [{ area: 0.8, depth: 3, steel: GR60 }, { area: 0.8, depth: 21, steel: GR60 }];
+    const withInfill = interactionDiagram({ ...base, ringFc: [null, 4] }, layers);
+    const voided = interactionDiagram(base, layers);
+    expect(withInfill.Po - voided.Po).toBeCloseTo(0.85 * 4 * 32, 6);
+  });
+});
+
+describe('AASHTO LRFD provisions (§5.5.4.2, §5.6.3.3)', () => {
+  const aashto = CODE_PROVISIONS.aashto;
+
+  it('defaults to ACI 318-19', () => {
+    expect(codeProvisions({}).id).toBe('aci318');
+    expect(codeProvisions({ code: 'aashto' })).toBe(aashto);
+  });
+
+  it('takes fr = 0.24λ√f\'c in ksi', () => {
+    expect(aashto.modulusOfRupture(6, 1)).toBeCloseTo(0.24 * Math.sqrt(6), 10);
+    expect(aashto.modulusOfRupture(6, 0.75)).toBeCloseTo(0.18 * Math.sqrt(6), 10);
+  });
+
+  it('interpolates the strain limits of Table C5.6.2.1-1', () => {
+    expect(aashto.strainLimits(GR270)).toEqual({ compression: 0.002, tension: 0.005 });
+    expect(aashto.strainLimits(GR60)).toEqual({ compression: 0.002, tension: 0.005 });
+    const gr90 = aashto.strainLimits({ ...GR60, fpy: 90 });
+    expect(gr90.compression).toBeCloseTo(0.0035, 10);
+    expect(gr90.tension).toBeCloseTo(0.0068, 10);
+  });
+
+  it('uses φ = 1.00 for tension-controlled prestressed and 0.90 for RC', () => {
+    const limits = { compression: 0.002, tension: 0.005 };
+    expect(aashto.phi(0.006, limits, { prestressed: true })).toBe(1.0);
+    expect(aashto.phi(0.006, limits, { prestressed: false })).toBe(0.9);
+    expect(aashto.phi(0.001, limits, { prestressed: true })).toBe(0.75);
+    expect(aashto.phi(0.0035, limits, { prestressed: true })).toBeCloseTo(0.875, 10);
+    expect(aashto.phi(0.0035, limits, { prestressed: false })).toBeCloseTo(0.825, 10);
+  });
+
+  it('feeds β1 and φ into analyzeBeam', () => {
+    const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+    const layers = [{ area: 0.612, depth: 21, fse: 160, steel: GR270 }];
+    const aci = analyzeBeam(section, layers);
+    const lrfd = analyzeBeam({ ...section, code: 'aashto' }, layers);
+    expect(lrfd.code).toBe('aashto');
+    expect(lrfd.Mn).toBeCloseTo(aci.Mn, 8);
+    expect(aci.phi).toBeCloseTo(0.9, 10);
+    expect(lrfd.phi).toBeCloseTo(1.0, 10);
+    expect(lrfd.strainLimits.tension).toBe(0.005);
+  });
+
+  it('checks φMn against γ3[(γ1 fr + γ2 fcpe) Sc − Mdnc (Sc/Snc − 1)]', () => {
+    const precast = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6, code: 'aashto' };
+    const composite = { ...precast, h: 26, topping: { bt: 48, ht: 2, fc: 6 }, Mnc: 40 };
+    const layers = [{ area: 0.918, depth: 24, fse: 160, steel: GR270 }];
+    const cr = prestressAndCracking(composite, layers, 1e6, 0);
+    const nc = noncompositeProperties(composite);
+    const Sc = grossSectionProperties(composite).Sb;
+    const P = 160 * 0.918;
+    const fcpe = P / nc.A + (P * (24 - nc.yCg)) / nc.Sb;
+    const fr = 0.24 * Math.sqrt(6);
+    expect(cr.fcpe).toBeCloseTo(fcpe, 10);
+    expect([cr.gamma1, cr.gamma2, cr.gamma3]).toEqual([1.6, 1.1, 1.0]);
+    expect(cr.McrMin).toBeCloseTo((1.6 * fr + 1.1 * fcpe) * Sc - 480 * (Sc / nc.Sb - 1), 6);
+    expect(cr.governs).toBe('Mcr');
+    expect(cr.threshold).toBe(cr.McrMin);
+
+    const rc = prestressAndCracking(precast, [{ area: 2, depth: 21, fse: 0, steel: GR60 }], 1e6, 0);
+    expect(rc.gamma3).toBeCloseTo(60 / 90, 10);
+    const unbonded = prestressAndCracking(precast, [{ ...layers[0], bonded: false }], 1e6, 0);
+    expect(unbonded.gamma2).toBe(1.0);
+  });
+});
+
+describe('standard shapes (PCI/AASHTO catalog)', () => {
+  const standard = (id) => {
+    const { points, holes, h } = findStandardShape(id);
+    return { sectionType: 'standard', shapeId: id, points, holes, h, fc: 6 };
+  };
+
+  it('reproduces the published gross properties', () => {
+    for (const shape of standardShapes.filter((s) => s.ref)) {
+      const { A, yb, Ig } = grossSectionProperties(standard(shape.id));
+      expect(Math.abs(A - shape.ref.A) / shape.ref.A, shape.id).toBeLessThan(0.002);
+      expect(yb, shape.id).toBeCloseTo(shape.ref.yb, 1);
+      expect(Math.abs(Ig - shape.ref.I) / shape.ref.I, shape.id).toBeLessThan(0.002);
+    }
+  });
+
+  it('has a closed outer ring with voids inside it for every shape', () => {
+    for (const shape of standardShapes) {
+      const xs = shape.points.map((p) => p.x);
+      expect(Math.min(...xs), shape.id).toBe(0);
+      expect(Math.min(...shape.points.map((p) => p.y)), shape.id).toBe(0);
+      for (const hole of shape.holes) {
+        for (const p of hole) {
+          expect(p.x > 0 && p.x < Math.max(...xs) && p.y > 0 && p.y < shape.h, shape.id).toBe(true);
+        }
+      }
+    }
+  });
+
+  it('analyzes through the polygon path', () => {
+    const section = standard('aashto4');
+    expect(isPolygonSection(section)).toBe(true);
+    expect(sectionToPolygon(section).outer).toBe(section.points);
+    // A shallow block stays in the 20 in top flange: a rectangular-flange answer.
+    const layers = [{ area: 0.153 * 20, depth: 50, fse: 160, steel: GR270 }];
+    const r = analyzeBeam(section, layers);
+    expect(r.solver.status).toBe('converged');
+    expect(r.a).toBeLessThan(8);
+    const rect = analyzeBeam({ sectionType: 'rectangular', bf: 20, bw: 20, hf: 54, h: 54, fc: 6 }, layers);
+    expect(r.Mn / rect.Mn).toBeCloseTo(1, 4);
+  });
+
+  it('throws for an unknown id', () => {
+    expect(() => findStandardShape('nope')).toThrow('Unknown standard shape "nope"');
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Axis ticks shared by the SVG charts: a 1, 2 or 5 × 10ⁿ step that splits a
+ * span into about `divisions` intervals.
+ */
+
+/** Tick step for a span of `span` in about `divisions` intervals (default 5). */
+export function niceStep(span, divisions = 5) {
+  const raw = span / divisions;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const n = raw / mag;
+  const step = n < 1.5 ? 1 : n < 3 ? 2 : n < 7 ? 5 : 10;
+  return step * mag;
+}
@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { niceStep } from './chartTicks';
+
+describe('niceStep', () => {
+  it('picks a 1, 2 or 5 × 10ⁿ step for about five intervals', () => {
+    expect(niceStep(100)).toBe(20);
+    expect(niceStep(0.03)).toBeCloseTo(0.005, 12);
+    expect(niceStep(700)).toBe(100);
+  });
+  it('takes the interval count', () => {
+    expect(niceStep(100, 4)).toBe(20);
+    expect(niceStep(100, 10)).toBe(10);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Camber and deflection of a simply supported prestressed member at midspan.
+ * Deflections are found by virtual work, integrating M·m / EI along the span
+ * (m = unit-load moment at midspan), so straight, harped and debonded strand
+ * patterns are handled alike through the profile of strandProfiles.js:
+ *
+ *   Δ = ∫ M(x) m(x) / (E I) dx,   m(x) = min(x, L − x) / 2
+ *
+ *   prestress at release   M = Σ Pi (d(x) − ȳcg),  Pi = fpi·Aps,  E = Eci
+ *     (zero inside a debonded length; transfer length neglected)
+ *   self-weight            w = A·wc,               E = Eci
+ *   topping weight         w = bt·ht·wc,           E = Ec
+ *   superimposed dead      wD and dead point loads, E = Ec
+ *   live                   wL and live point loads, E = Ec, I = Ie
+ *
+ * Prestress, self-weight and a composite topping's weight act on the precast
+ * section (I = Inc); superimposed and live loads act on the composite section.
+ *
+ * Long-term values use the PCI Design Handbook multipliers (Table 5.8.2) on the
+ * release camber and the elastic deflections. The live-load deflection uses
+ * Branson's effective moment of inertia with the cracking moment Mcr from
+ * prestressAndCracking() reduced by the dead-load moment (PCI §5.8.3):
+ *
+ *   Ie = (Mcr,L / ML)³ Ig + [1 − (Mcr,L / ML)³] Icr ≤ Ig,   Mcr,L = Mcr − MD
+ *   Icr = n Aps dp² (1 − 1.6 √(n ρp))
+ *
+ * Camber (upward) is positive and deflections are reported as positive
+ * downward magnitudes. Lengths in ft on the section, deflections in in.
+ */
+import {
+  compressionFaceWidth,
+  concreteModulus,
+  grossSectionProperties,
+  hasTopping,
+  noncompositeProperties,
+  prestressAndCracking,
+} from './beamCalculations';
+import { beamActions, concreteArea } from './spanAnalysis';
+import { layerDepthAt } from './strandProfiles';
+
+/**
+ * PCI Design Handbook Table 5.8.2 multipliers, without and with a composite
+ * topping.
+ */
+export const PCI_MULTIPLIERS = {
+  noncomposite: {
+    erectionSelfWeight: 1.85,
+    erectionCamber: 1.8,
+    finalSelfWeight: 2.7,
+    finalCamber: 2.45,
+    finalSuperimposed: 3.0,
+    finalTopping: null,
+  },
+  composite: {
+    erectionSelfWeight: 1.85,
+    erectionCamber: 1.8,
+    finalSelfWeight: 2.4,
+    finalCamber: 2.2,
+    finalSuperimposed: 3.0,
+    finalTopping: 2.3,
+  },
+};
+
+// Simpson's rule over [0, L] of f(x)·m(x), m the midspan unit-load moment.
+function midspanIntegral(f, L, n = 240) {
+  const h = L / n;
+  let sum = 0;
+  for (let i = 0; i <= n; i++) {
+    const x = i * h;
+    const w = i === 0 || i === n ? 1 : i % 2 ? 4 : 2;
+    sum += w * f(x) * (Math.min(x, L - x) / 2);
+  }
+  return (sum * h) / 3;
+}
+
+/**
+ * Release prestress moment (kip-in) at x in from the left end: each layer's
+ * force times its eccentricity at that station, zero where it is debonded.
+ */
+export function prestressMomentAt(steelLayers, xIn, Lin, yCg) {
+  const xe = Math.min(xIn, Lin - xIn);
+  let M = 0;
+  for (const l of steelLayers) {
+    if (!(l.fse > 0)) continue;
+    if (l.debondLength > 0 && xe < l.debondLength * 12) continue;
+    const fpi = l.fpi > 0 ? l.fpi : l.fse;
+    M += fpi * l.area * (layerDepthAt(l, xIn / 12, Lin / 12) - yCg);
+  }
+  return M;
+}
+
+/**
+ * Cracked moment of inertia Icr = n Aps dp² (1 − 1.6 √(n ρp)) (in⁴), taking
+ * all steel below the centroid as transformed area at its centroid.
+ */
+export function crackedInertia(section, steelLayers, Ec) {
+  const { yCg } = grossSectionProperties(section);
+  let nA = 0, nAd = 0;
+  for (const l of steelLayers) {
+    if (l.depth <= yCg) continue;
+    const n = l.steel.Es / Ec;
+    nA += n * l.area;
+    nAd += n * l.area * l.depth;
+  }
+  if (!(nA > 0)) return 0;
+  const dp = nAd / nA;
+  const nRho = nA / (compressionFaceWidth(section) * dp);
+  return Math.max(nA * dp * dp * (1 - 1.6 * Math.sqrt(nRho)), 0);
+}
+
+/**
+ * Release, erection and final camber and the live-load deflection.
+ *
+ * @param {object} section – geometry, fc, fci, span (ft), wc (pcf), wD, wL
+ *   (kip/ft) and pointLoads [{ P, a, type }] as for spanAnalysis()
+ * @param {Array} steelLayers – layers at midspan, with the profile fields of
+ *   layersAtStation()
+ * @param {object} [opts] – { composite, liveLimit: 360 (span / Δ) }; composite
+ *   selects the PCI multipliers and defaults to whether the section has a
+ *   topping
+ * @returns {object|null} null without a span
+ */
+export function deflection(section, steelLayers, opts = {}) {
+  const { composite = hasTopping(section), liveLimit = 360 } = opts;
+  const Lft = section.span;
+  if (!(Lft > 0)) return null;
+  const L = Lft * 12;
+
+  const { Ig } = grossSectionProperties(section);
+  const { Ig: Inc, yCg } = noncompositeProperties(section);
+  const toppingArea = hasTopping(section) ? section.topping.bt * section.topping.ht : 0;
+  const A = concreteArea(section) - toppingArea;
+  const Ec = concreteModulus(section.fc, section.units);
+  const Eci = concreteModulus(section.fci > 0 ? section.fci : section.fc, section.units);
+
+  const wc = section.wc ?? 150;
+  const wSelf = ((A / 144) * wc) / 1000;
+  const wTopping = ((toppingArea / 144) * wc) / 1000;
+  const points = (section.pointLoads || []).filter((p) => p.a >= 0 && p.a <= Lft);
+  const deadPoints = points.filter((p) => p.type !== 'L');
+  const livePoints = points.filter((p) => p.type === 'L');
+
+  // Simple-span moment (kip-in) at x in for a uniform load (kip/ft) and points.
+  const moment = (w, pts) => (x) => beamActions(x / 12, Lft, 'simple', w, pts).M * 12;
+  const mSelf = moment(wSelf, []);
+  const mTopping = moment(wTopping, []);
+  const mDead = moment(section.wD || 0, deadPoints);
+  const mLive = moment(section.wL || 0, livePoints);
+
+  const camber = midspanIntegral((x) => prestressMomentAt(steelLayers, x, L, yCg), L) / (Eci * Inc);
+  const selfWeight = midspanIntegral(mSelf, L) / (Eci * Inc);
+  const topping = midspanIntegral(mTopping, L) / (Ec * Inc);
+  const superimposed = midspanIntegral(mDead, L) / (Ec * Ig);
+
+  // Live load on the effective moment of inertia.
+  const { Mcr } = prestressAndCracking({ ...section, momentSign: 'sagging' }, steelLayers, 0);
+  const MD = mSelf(L / 2) + mTopping(L / 2) + mDead(L / 2);
+  const ML = mLive(L / 2);
+  const Icr = crackedInertia(section, steelLayers, Ec);
+  const McrL = Mcr - MD;
+  let Ie = Ig;
+  if (ML > 0 && McrL < ML) {
+    const r = Math.max(McrL, 0) / ML;
+    Ie = Math.min(r ** 3 * Ig + (1 - r ** 3) * Icr, Ig);
+  }
+  const liveElastic = midspanIntegral(mLive, L) / Ec;
+  const live = Ie > 0 ? liveElastic / Ie : Infinity;
+
+  const k = composite ? PCI_MULTIPLIERS.composite : PCI_MULTIPLIERS.noncomposite;
+  const release = camber - selfWeight;
+  const erection = k.erectionCamber * camber - k.erectionSelfWeight * selfWeight;
+  const final = k.finalCamber * camber - k.finalSelfWeight * selfWeight
+    - (k.finalTopping ?? k.finalSuperimposed) * topping - k.finalSuperimposed * superimposed;
+  const liveAllowable = L / liveLimit;
+
+  return {
+    L: Lft,
+    Ec,
+    Eci,
+    Ig,
+    Inc,
+    Icr,
+    Ie,
+    Mcr,
+    MD,
+    ML,
+    cracked: Ie < Ig,
+    multipliers: k,
+    camber,
+    selfWeight,
+    topping,
+    superimposed,
+    release,
+    erection,
+    final,
+    live,
+    finalWithLive: final - live,
+    liveLimit,
+    liveAllowable,
+    pass: live <= liveAllowable,
+  };
+}
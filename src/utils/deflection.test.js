@@ -0,0 +1,85 @@
+/**
+ * Tests for camber and deflection: closed-form release camber for straight
+ * and harped strand, PCI multipliers, and the effective moment of inertia.
+ */
+import { describe, it, expect } from 'vitest';
+import { deflection, crackedInertia, PCI_MULTIPLIERS } from './deflection';
+import { concreteModulus } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+
+describe('deflection', () => {
+  // 12 × 24 rectangle: A = 288, Ig = 13824, ȳcg = 12
+  const section = {
+    sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6, fci: 4.5,
+    span: 40, wD: 0, wL: 0, wc: 150, pointLoads: [],
+  };
+  const Ig = 13824;
+  const L = 480;
+  const Eci = concreteModulus(4.5);
+  const Ec = concreteModulus(6);
+  const strand = { area: 0.918, depth: 20, fse: 160, fpi: 190, steel: GR270 };
+  const Pi = 190 * 0.918;
+
+  it('matches P e L² / 8EI and 5wL⁴ / 384EI for straight strand', () => {
+    const r = deflection(section, [strand]);
+    expect(r.camber).toBeCloseTo((Pi * 8 * L * L) / (8 * Eci * Ig), 4);
+    const w = 0.3 / 12; // 288 in² at 150 pcf
+    expect(r.selfWeight).toBeCloseTo((5 * w * L ** 4) / (384 * Eci * Ig), 4);
+    expect(r.release).toBeCloseTo(r.camber - r.selfWeight, 10);
+  });
+
+  it('matches the PCI harped-strand formula', () => {
+    // Δ = Pi ec L² / 8EI − Pi (ec − ee) a² / 6EI, a = hold-down from each end
+    const harped = { ...strand, profile: 'harped', endDepth: 14, holdDown: 16 };
+    const a = 16 * 12;
+    const expected = (Pi * 8 * L * L) / (8 * Eci * Ig) - (Pi * 6 * a * a) / (6 * Eci * Ig);
+    expect(deflection(section, [harped]).camber).toBeCloseTo(expected, 3);
+  });
+
+  it('drops the prestress moment over debonded lengths', () => {
+    const full = deflection(section, [strand]).camber;
+    const debonded = deflection(section, [{ ...strand, debondLength: 5 }]).camber;
+    // Removing P e over 0..a at each end reduces Δ by P e a² / 2EI.
+    const a = 60;
+    expect(debonded).toBeCloseTo(full - (Pi * 8 * a * a) / (2 * Eci * Ig), 2);
+  });
+
+  it('applies the PCI long-term multipliers', () => {
+    const r = deflection({ ...section, wD: 0.2 }, [strand]);
+    const k = PCI_MULTIPLIERS.noncomposite;
+    expect(r.erection).toBeCloseTo(1.8 * r.camber - 1.85 * r.selfWeight, 10);
+    expect(r.final).toBeCloseTo(
+      k.finalCamber * r.camber - k.finalSelfWeight * r.selfWeight - 3.0 * r.superimposed,
+      10
+    );
+    expect(r.superimposed).toBeCloseTo((5 * (0.2 / 12) * L ** 4) / (384 * Ec * Ig), 4);
+  });
+
+  it('uses Ig until the live load cracks the section, then Ie', () => {
+    const light = deflection({ ...section, wL: 0.2 }, [strand]);
+    expect(light.Ie).toBe(Ig);
+    expect(light.live).toBeCloseTo((5 * (0.2 / 12) * L ** 4) / (384 * Ec * Ig), 4);
+
+    const heavy = deflection({ ...section, wL: 3 }, [strand]);
+    expect(heavy.cracked).toBe(true);
+    expect(heavy.Ie).toBeLessThan(Ig);
+    expect(heavy.Ie).toBeGreaterThan(heavy.Icr);
+    const r = (heavy.Mcr - heavy.MD) / heavy.ML;
+    expect(heavy.Ie).toBeCloseTo(r ** 3 * Ig + (1 - r ** 3) * heavy.Icr, 6);
+  });
+
+  it('computes Icr = n Aps dp² (1 − 1.6√(nρp))', () => {
+    const n = GR270.Es / Ec;
+    const nRho = (n * 0.918) / (12 * 20);
+    expect(crackedInertia(section, [strand], Ec)).toBeCloseTo(
+      n * 0.918 * 400 * (1 - 1.6 * Math.sqrt(nRho)),
+      6
+    );
+  });
+
+  it('returns null without a span', () => {
+    expect(deflection({ ...section, span: 0 }, [strand])).toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Design mode: the least prestressing steel for a factored moment, the inverse
+ * of analyzeBeam(). Strand counts n = 1, 2 … are analyzed in turn, each as
+ * n strands of area Ab added to any fixed base layers, until one satisfies
+ *
+ *   φMn ≥ Mu                                   strength
+ *   φMn ≥ min(1.2 Mcr, 1.33 Mu)                §9.6.1.3 (AASHTO: §5.6.3.3)
+ *   εt ≥ the tension-controlled limit          optional, §21.2.2
+ *
+ * through the same provisions as analyzeBeam (section.code). The strands are
+ * either one layer at a given depth dp or, without a depth, filled row by row
+ * from the bottom on the 2 in grid of strandPattern(), each row to its
+ * capacity, so that the depth falls as strands are added.
+ *
+ * Adding strands lowers εt, so once a candidate misses the tension-controlled
+ * target before it has the strength, no larger count can meet both and the
+ * search stops. For a single layer the exact area with φMn = Mu is also
+ * found, by bisection between the last two counts. An analysis without a
+ * single equilibrium root (solver status other than 'converged') is never
+ * taken as adequate, and more steel cannot restore it, so the search stops.
+ */
+import { analyzeBeam } from './beamCalculations';
+import { patternLayers, strandPattern } from './strandPattern';
+
+// A single equilibrium root; the shallowest of several is not trusted here.
+const solved = (r) => r.converged && r.solver.status === 'converged';
+
+// Strands per row of the grid pattern, bottom row first, up to the top.
+function rowCapacities(section, grid) {
+  const rows = Array.from({ length: Math.floor((section.h - grid.cover) / grid.grid) + 1 }, () => 1e3);
+  return strandPattern(section, { ...grid, rows }).rows.map((r) => r.placed);
+}
+
+// Row counts holding n strands, filling each row before the next.
+function fillRows(capacities, n) {
+  const rows = [];
+  let left = n;
+  for (const cap of capacities) {
+    if (left <= 0) break;
+    rows.push(Math.min(cap, left));
+    left -= cap;
+  }
+  return left > 0 ? null : rows;
+}
+
+/**
+ * Find the minimum strand count for a factored moment.
+ *
+ * @param {object} section – analysis section as for analyzeBeam()
+ * @param {object} opts – { Mu (kip-ft, default section.Mu), strand: layer
+ *   fields of one strand ({ area, steel, fse, fpi, db … }), depth (in) for a
+ *   single layer or null for the grid pattern, cover / sideCover / grid (in,
+ *   pattern only), tensionControlled: false, baseLayers: [], maxCount: 100,
+ *   extra: 2 (candidates listed past the first adequate one) }
+ * @returns {object} { candidates: [{ n, area, layers, phiMnFt, utilization,
+ *   minStrength, epsilonT, tensionControlled, converged, suggestion,
+ *   adequate }], required (the
+ *   least adequate candidate, or null), requiredArea (in², single layer),
+ *   reason (why none is adequate) }
+ */
+export function designPrestress(section, opts = {}) {
+  const {
+    strand,
+    depth = null,
+    cover = 2,
+    sideCover = 2,
+    grid = 2,
+    tensionControlled = false,
+    baseLayers = [],
+    maxCount = 100,
+    extra = 2,
+  } = opts;
+  const Mu = opts.Mu ?? section.Mu ?? 0;
+  if (!(Mu > 0)) throw new Error('Design mode: enter a positive factored moment Mu.');
+  if (!(strand?.area > 0)) throw new Error('Design mode: enter a positive strand area.');
+  if (depth != null && !(depth > 0 && depth < section.h)) {
+    throw new Error('Design mode: the strand depth must lie within the section.');
+  }
+  const sec = { ...section, Mu };
+  const pattern = { cover, sideCover, grid };
+  const capacities = depth == null ? rowCapacities(sec, pattern) : null;
+
+  const layersFor = (n) => {
+    if (depth != null) return [{ ...strand, area: n * strand.area, depth }];
+    const rows = fillRows(capacities, n);
+    return rows && patternLayers(strandPattern(sec, { ...pattern, rows }), strand);
+  };
+  const evaluate = (n) => {
+    const layers = layersFor(n);
+    if (!layers) return null;
+    const r = analyzeBeam(sec, [...baseLayers, ...layers]);
+    const converged = solved(r);
+    const strength = converged && r.phiMn >= Mu * 12;
+    const tc = r.epsilonT >= r.strainLimits.tension;
+    return {
+      n,
+      area: n * strand.area,
+      layers,
+      phiMnFt: r.phiMnFt,
+      utilization: (Mu * 12) / r.phiMn,
+      strength,
+      minStrength: r.cracking.passesMinStrength,
+      epsilonT: r.epsilonT,
+      tensionControlled: tc,
+      converged,
+      suggestion: converged ? null : r.solver.suggestion,
+      adequate: strength && r.cracking.passesMinStrength && (!tensionControlled || tc),
+    };
+  };
+
+  const candidates = [];
+  let required = null;
+  let reason = null;
+  for (let n = 1; n <= maxCount; n++) {
+    const cand = evaluate(n);
+    if (!cand) {
+      reason = reason || `No more than ${n - 1} strands fit in the section on the grid.`;
+      break;
+    }
+    candidates.push(cand);
+    if (!cand.converged) {
+      reason = `No force equilibrium with ${n} strand${n > 1 ? 's' : ''}: ${cand.suggestion}`;
+      break;
+    }
+    if (!required && cand.adequate) required = cand;
+    if (required && n >= required.n + extra) break;
+    if (!required && tensionControlled && !cand.tensionControlled && !cand.strength) {
+      reason = 'The section is not tension-controlled with enough steel for Mu: it needs more depth or compression area.';
+      break;
+    }
+  }
+  if (!required && !reason) reason = `No count up to ${maxCount} strands is adequate.`;
+
+  let requiredArea = null;
+  if (depth != null && required) {
+    // φMn at area A of the single layer, bisected between the counts bracketing Mu.
+    const phiMn = (A) => {
+      const r = analyzeBeam(sec, [...baseLayers, { ...strand, area: A, depth }]);
+      return solved(r) ? r.phiMn : -Infinity;
+    };
+    const firstStrong = candidates.find((c) => c.strength);
+    let lo = (firstStrong.n - 1) * strand.area;
+    let hi = firstStrong.n * strand.area;
+    for (let i = 0; i < 40 && hi - lo > 1e-6; i++) {
+      const mid = (lo + hi) / 2;
+      if (phiMn(mid) >= Mu * 12) hi = mid;
+      else lo = mid;
+    }
+    requiredArea = hi;
+  }
+
+  return { Mu, candidates, required, requiredArea, reason: required ? null : reason };
+}
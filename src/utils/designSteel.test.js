@@ -0,0 +1,74 @@
+/**
+ * Tests for design mode: the least strand count for a factored moment, with a
+ * single layer or the grid pattern, and the tension-controlled target.
+ */
+import { describe, it, expect } from 'vitest';
+import { designPrestress } from './designSteel';
+import { analyzeBeam } from './beamCalculations';
+import { findStandardShape } from '../data/standardShapes';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const STRAND = { area: 0.153, fse: 160, steel: GR270 };
+const RECT = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+
+const phiMnFt = (section, n, depth) => analyzeBeam(section, [{ ...STRAND, area: n * 0.153, depth }]).phiMnFt;
+
+describe('designPrestress', () => {
+  it('finds the least count of a single layer and lists the next ones', () => {
+    const Mu = phiMnFt(RECT, 4, 21) - 1;
+    const d = designPrestress(RECT, { Mu, strand: STRAND, depth: 21 });
+    expect(d.required.n).toBe(4);
+    expect(d.candidates.map((c) => c.n)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(d.candidates[2].strength).toBe(false);
+    expect(d.required.utilization).toBeLessThan(1);
+    expect(d.candidates[2].utilization).toBeGreaterThan(1);
+    expect(d.required.layers).toEqual([{ ...STRAND, area: 4 * 0.153, depth: 21 }]);
+  });
+
+  it('bisects the exact area with φMn = Mu for a single layer', () => {
+    const Mu = (phiMnFt(RECT, 3, 21) + phiMnFt(RECT, 4, 21)) / 2;
+    const d = designPrestress(RECT, { Mu, strand: STRAND, depth: 21 });
+    expect(d.requiredArea).toBeGreaterThan(3 * 0.153);
+    expect(d.requiredArea).toBeLessThan(4 * 0.153);
+    const r = analyzeBeam(RECT, [{ ...STRAND, area: d.requiredArea, depth: 21 }]);
+    expect(r.phiMnFt).toBeCloseTo(Mu, 2);
+  });
+
+  it('fills grid rows from the bottom without a depth', () => {
+    const { points, holes, h } = findStandardShape('aashto4');
+    const girder = { sectionType: 'standard', shapeId: 'aashto4', points, holes, h, fc: 8 };
+    const d = designPrestress(girder, { Mu: 3500, strand: STRAND });
+    const { layers } = d.required;
+    expect(layers.reduce((s, l) => s + l.count, 0)).toBe(d.required.n);
+    expect(layers[0]).toMatchObject({ depth: 52 });
+    // Every row below the last is full (12 strands across the bottom flange).
+    expect(layers.slice(0, -1).every((l) => l.count === 12)).toBe(true);
+    const r = analyzeBeam({ ...girder, Mu: 3500 }, layers);
+    expect(r.phiMnFt).toBeGreaterThanOrEqual(3500);
+  });
+
+  it('stops when strength needs more steel than a tension-controlled section takes', () => {
+    const d = designPrestress(RECT, { Mu: 600, strand: STRAND, depth: 21, tensionControlled: true });
+    expect(d.required).toBeNull();
+    expect(d.reason).toMatch(/not tension-controlled/);
+    expect(d.candidates.at(-1).tensionControlled).toBe(false);
+    // Without the target the count is found.
+    expect(designPrestress(RECT, { Mu: 250, strand: STRAND, depth: 21 }).required).not.toBeNull();
+  });
+
+  it('stops at a count the solver finds no equilibrium for', () => {
+    // One 20 in² "strand" pulls harder than the whole section can push back.
+    const d = designPrestress(RECT, { Mu: 400, strand: { ...STRAND, area: 20 }, depth: 21 });
+    expect(d.required).toBeNull();
+    expect(d.candidates).toHaveLength(1);
+    expect(d.candidates[0].converged).toBe(false);
+    expect(d.candidates[0].adequate).toBe(false);
+    expect(d.reason).toMatch(/No force equilibrium with 1 strand: .*steel tension exceeds/);
+  });
+
+  it('rejects a missing demand or a depth outside the section', () => {
+    expect(() => designPrestress(RECT, { strand: STRAND, depth: 21 })).toThrow('positive factored moment');
+    expect(() => designPrestress(RECT, { Mu: 100, strand: STRAND, depth: 30 })).toThrow('within the section');
+  });
+});
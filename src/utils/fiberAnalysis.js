@@ -0,0 +1,207 @@
+/**
+ * Fiber-section flexural analysis: integrates a nonlinear concrete
+ * stress–strain curve over horizontal strips of the section instead of using
+ * the ACI 318 rectangular (Whitney) stress block. The steel side is identical
+ * to analyzeBeam (power formula, decompression strains, unbonded fps, optional
+ * axial load), so the two answers differ only in the concrete model.
+ *
+ * Concrete models (compression positive, no tension, εcu = 0.003 at the top):
+ *   Hognestad    f''c = 0.85 f'c,  ε0 = 2 f''c / Ec
+ *                fc = f''c [2 ε/ε0 − (ε/ε0)²]                    ε ≤ ε0
+ *                fc = f''c [1 − 0.15 (ε − ε0) / (0.0038 − ε0)]   ε > ε0
+ *   Todeschini   f''c = 0.90 f'c,  ε0 = 1.71 f'c / Ec
+ *                fc = 2 f''c (ε/ε0) / [1 + (ε/ε0)²]
+ *   custom       piecewise-linear through user { strain, stress (ksi) } points
+ * with Ec = 57,000 √f'c (psi), or 4,700 √f'c (MPa) for SI sections.
+ *
+ * Strip areas come from concreteCompression(), so every section type the
+ * Whitney solver handles (including drawn and DXF polygons) works here too.
+ */
+import {
+  codeProvisions,
+  concreteCompression,
+  concreteModulus,
+  compressionPhi,
+  decompressionStrains,
+  grossSectionProperties,
+  layerState,
+  noncompositeProperties,
+  solveNeutralAxis,
+  unbondedTendonStress,
+} from './beamCalculations';
+
+export const CONCRETE_MODELS = [
+  { id: 'hognestad', name: 'Hognestad parabola' },
+  { id: 'todeschini', name: 'Todeschini' },
+  { id: 'custom', name: 'User-defined curve' },
+];
+
+// ─── Concrete stress–strain ──────────────────────────────────────────────────
+
+/**
+ * Peak stress f''c and strain at peak ε0 for the built-in models.
+ * @returns {{ fpp: number, eps0: number } | null} null for a custom curve
+ */
+export function concreteCurveParameters(fc, model = 'hognestad', units) {
+  const Ec = concreteModulus(fc, units);
+  if (model === 'todeschini') return { fpp: 0.9 * fc, eps0: (1.71 * fc) / Ec };
+  if (model === 'hognestad') {
+    const fpp = 0.85 * fc;
+    return { fpp, eps0: (2 * fpp) / Ec };
+  }
+  return null;
+}
+
+// Linear interpolation through user points; the curve starts at the origin and
+// holds its last stress beyond the final point.
+function interpolateCurve(points, eps) {
+  const pts = [...points].sort((p, q) => p.strain - q.strain);
+  if (!pts.length) return 0;
+  if (pts[0].strain > 0) pts.unshift({ strain: 0, stress: 0 });
+  if (eps >= pts[pts.length - 1].strain) return pts[pts.length - 1].stress;
+  for (let i = 1; i < pts.length; i++) {
+    const p = pts[i - 1], q = pts[i];
+    if (eps <= q.strain) {
+      const t = q.strain > p.strain ? (eps - p.strain) / (q.strain - p.strain) : 1;
+      return p.stress + t * (q.stress - p.stress);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Concrete compressive stress (ksi) at strain eps (compression positive).
+ * Tensile strains return 0.
+ *
+ * @param {number} eps    – concrete strain, compression positive
+ * @param {number} fc     – f'c (ksi)
+ * @param {string} model  – 'hognestad' | 'todeschini' | 'custom'
+ * @param {Array}  points – [{ strain, stress }] for the custom model
+ */
+export function concreteStress(eps, fc, model = 'hognestad', points = [], units) {
+  if (!(eps > 0)) return 0;
+  if (model === 'custom') return Math.max(interpolateCurve(points, eps), 0);
+
+  const { fpp, eps0 } = concreteCurveParameters(fc, model, units);
+  const r = eps / eps0;
+  if (model === 'todeschini') return (2 * fpp * r) / (1 + r * r);
+
+  if (eps <= eps0) return fpp * (2 * r - r * r);
+  return Math.max(fpp * (1 - (0.15 * (eps - eps0)) / (0.0038 - eps0)), 0);
+}
+
+// ─── Fiber discretization ────────────────────────────────────────────────────
+
+/**
+ * Split the section into n horizontal strips of equal height. Each fiber
+ * carries the net concrete area of its strip, taken as the difference of the
+ * areas above its bottom and top edges, located at the strip mid-depth.
+ *
+ * @returns {Array} [{ depth, area }] with depth from the extreme compression fiber (in)
+ */
+export function sectionFibers(section, n = 100) {
+  const { bf, bw, hf, h } = section;
+  const areaAbove = (y) => (y > 0 ? concreteCompression(1, Math.min(y, h), bf, bw, hf, section) / 0.85 : 0);
+  const fibers = [];
+  let prev = 0;
+  for (let k = 1; k <= n; k++) {
+    const yBot = (k * h) / n;
+    const cum = areaAbove(yBot);
+    const area = cum - prev;
+    prev = cum;
+    if (area > 1e-12) fibers.push({ depth: yBot - h / (2 * n), area });
+  }
+  return fibers;
+}
+
+// ─── Section analysis ────────────────────────────────────────────────────────
+
+/**
+ * Nominal flexural strength from strain compatibility with a nonlinear concrete
+ * curve. The neutral-axis depth c is solved from Cc − ΣT = Pu by
+ * solveNeutralAxis, with the extreme compression fiber at εcu = 0.003 as in
+ * analyzeBeam, and Mn is taken about the gross centroid (equal to the internal
+ * couple when Pu = 0). φ follows the section's design code, as in analyzeBeam.
+ *
+ * @param {object} section – as for analyzeBeam; section.concreteModel and
+ *   section.concreteCurve supply the defaults for opts.model / opts.points
+ * @param {Array} steelLayers – as for analyzeBeam
+ * @param {object} [opts] – { model, points, fibers: strip count (default 100) }
+ * @returns {object} { model, c, Cc, ccCentroid, Mn, MnFt, phi, phiMn, phiMnFt,
+ *   epsilonT, layerResults, converged, residual, solver, curve }
+ */
+export function analyzeFiber(section, steelLayers, opts = {}) {
+  const {
+    model = section.concreteModel || 'hognestad',
+    points = section.concreteCurve || [],
+    fibers: nFibers = 100,
+  } = opts;
+  const { h, fc } = section;
+  const Pu = section.Pu || 0;
+  const ecu = 0.003;
+
+  // Prestress acts on the precast alone, before any topping is cast.
+  const sectionProps = grossSectionProperties(section);
+  const decomp = decompressionStrains(steelLayers, noncompositeProperties(section), fc, section.units);
+  const unbonded = unbondedTendonStress(section, steelLayers);
+  const fibers = sectionFibers(section, nFibers);
+
+  const concreteAt = (c) => {
+    let C = 0;
+    let Mtop = 0;
+    for (const f of fibers) {
+      const F = concreteStress((ecu * (c - f.depth)) / c, fc, model, points, section.units) * f.area;
+      C += F;
+      Mtop += F * f.depth;
+    }
+    return { C, centroid: C > 0 ? Mtop / C : 0 };
+  };
+  const steelAt = (c) =>
+    steelLayers.map((layer, i) => {
+      const { strain, stress } = layerState(layer, layer.depth, c, decomp[i], unbonded ? unbonded.fps[i] : null);
+      return { ...layer, strain, epsDecomp: decomp[i], stress, force: stress * layer.area };
+    });
+
+  const residualAt = (c) => concreteAt(c).C - steelAt(c).reduce((s, lr) => s + lr.force, 0) - Pu;
+  // The bracket starts one strip down: above the first fiber mid-depth the
+  // concrete carries nothing, and with the steel past rupture the residual
+  // there would be an exact, spurious zero.
+  const solver = solveNeutralAxis(residualAt, h / nFibers, Pu > 0 ? 50 * h : h, { Pu });
+  const { c, residual, converged } = solver;
+
+  const { C: Cc, centroid: ccCentroid } = concreteAt(c);
+  const layerResults = steelAt(c);
+  let Mn = -Cc * ccCentroid + Pu * sectionProps.yCg;
+  for (const lr of layerResults) Mn += lr.force * lr.depth;
+
+  let extreme = null;
+  for (const lr of layerResults) {
+    if (!extreme || lr.depth > extreme.depth) extreme = lr;
+  }
+  const epsilonT = extreme ? extreme.strain : 0;
+  const code = codeProvisions(section);
+  const limits = extreme ? code.strainLimits(extreme.steel) : { compression: 0.002, tension: 0.005 };
+  const phi = code.phi(epsilonT, limits, {
+    phiCompression: compressionPhi(section.confinement),
+    prestressed: steelLayers.some((l) => l.fse > 0),
+  });
+  const phiMn = phi * Mn;
+
+  return {
+    model,
+    c,
+    Cc,
+    ccCentroid,
+    Mn,
+    MnFt: Mn / 12,
+    phi,
+    phiMn,
+    phiMnFt: phiMn / 12,
+    epsilonT,
+    layerResults,
+    converged,
+    residual,
+    solver,
+    curve: concreteCurveParameters(fc, model, section.units),
+  };
+}
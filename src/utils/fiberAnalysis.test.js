@@ -0,0 +1,122 @@
+/**
+ * Tests for the fiber-section solver: the concrete models against their
+ * closed-form peaks, strip areas against gross properties, and Mn against the
+ * Whitney-block answer from analyzeBeam.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  concreteStress,
+  concreteCurveParameters,
+  sectionFibers,
+  analyzeFiber,
+} from './fiberAnalysis';
+import { analyzeBeam, beta1, grossSectionProperties } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+
+describe('concreteStress', () => {
+  it('peaks at 0.85 f\'c at ε0 for Hognestad', () => {
+    const { fpp, eps0 } = concreteCurveParameters(5, 'hognestad');
+    expect(fpp).toBeCloseTo(4.25, 10);
+    // Ec = 57√5000 = 4030.5 ksi → ε0 = 2·4.25 / 4030.5 = 0.002109
+    expect(eps0).toBeCloseTo(0.002109, 6);
+    expect(concreteStress(eps0, 5, 'hognestad')).toBeCloseTo(4.25, 10);
+    expect(concreteStress(eps0 / 2, 5, 'hognestad')).toBeCloseTo(0.75 * 4.25, 10);
+  });
+  it('descends linearly to 0.85 f\'\'c at 0.0038', () => {
+    expect(concreteStress(0.0038, 5, 'hognestad')).toBeCloseTo(0.85 * 4.25, 10);
+  });
+  it('peaks at 0.90 f\'c at ε0 for Todeschini', () => {
+    const { eps0 } = concreteCurveParameters(5, 'todeschini');
+    expect(concreteStress(eps0, 5, 'todeschini')).toBeCloseTo(4.5, 10);
+  });
+  it('interpolates a custom curve and ignores tension', () => {
+    const pts = [{ strain: 0.001, stress: 3 }, { strain: 0.002, stress: 4 }];
+    expect(concreteStress(0.0005, 5, 'custom', pts)).toBeCloseTo(1.5, 10);
+    expect(concreteStress(0.0015, 5, 'custom', pts)).toBeCloseTo(3.5, 10);
+    expect(concreteStress(0.003, 5, 'custom', pts)).toBeCloseTo(4, 10);
+    expect(concreteStress(-0.001, 5, 'hognestad')).toBe(0);
+  });
+});
+
+describe('sectionFibers', () => {
+  it('sums to the gross area of a T-beam', () => {
+    const tee = { sectionType: 'tbeam', bf: 48, bw: 8, hf: 4, h: 30, fc: 5 };
+    const A = sectionFibers(tee, 60).reduce((s, f) => s + f.area, 0);
+    expect(A).toBeCloseTo(grossSectionProperties(tee).A, 6);
+  });
+  it('sums to the gross area of a drawn polygon with a hole', () => {
+    const box = {
+      sectionType: 'custom', h: 20, fc: 5,
+      points: [{ x: 0, y: 0 }, { x: 16, y: 0 }, { x: 16, y: 20 }, { x: 0, y: 20 }],
+      holes: [[{ x: 4, y: 4 }, { x: 12, y: 4 }, { x: 12, y: 16 }, { x: 4, y: 16 }]],
+    };
+    const A = sectionFibers(box, 80).reduce((s, f) => s + f.area, 0);
+    expect(A).toBeCloseTo(16 * 20 - 8 * 12, 6);
+  });
+});
+
+describe('analyzeFiber', () => {
+  // Same RC beam as the analyzeBeam regression: Whitney Mn ≈ 289 kip-ft.
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 4 };
+  const layers = [{ area: 3.0, depth: 21.5, fse: 0, steel: GR60 }];
+
+  it('reproduces the Whitney block with an equivalent custom curve', () => {
+    // 0.85 f'c uniform from εcu(1 − β1) to εcu is the rectangular block.
+    const e1 = 0.003 * (1 - beta1(4));
+    const block = [
+      { strain: e1 - 1e-9, stress: 0 },
+      { strain: e1, stress: 0.85 * 4 },
+      { strain: 0.003, stress: 0.85 * 4 },
+    ];
+    const fib = analyzeFiber(section, layers, { model: 'custom', points: block, fibers: 400 });
+    const wb = analyzeBeam(section, layers);
+    expect(fib.converged).toBe(true);
+    expect(fib.c).toBeCloseTo(wb.c, 1);
+    expect(fib.MnFt).toBeCloseTo(wb.MnFt, 0);
+  });
+  it('lands within 1% of Whitney for a normal-strength RC beam', () => {
+    const wb = analyzeBeam(section, layers);
+    for (const model of ['hognestad', 'todeschini']) {
+      const fib = analyzeFiber(section, layers, { model });
+      expect(fib.converged).toBe(true);
+      expect(Math.abs(fib.MnFt / wb.MnFt - 1)).toBeLessThan(0.01);
+      const T = fib.layerResults.reduce((s, lr) => s + lr.force, 0);
+      expect(fib.Cc).toBeCloseTo(T, 3);
+    }
+  });
+  it('reads the model from the section and handles prestress', () => {
+    const pc = { ...section, fc: 10, concreteModel: 'todeschini' };
+    const strands = [{ area: 1.53, depth: 21, fse: 160, steel: GR270 }];
+    const fib = analyzeFiber(pc, strands);
+    expect(fib.model).toBe('todeschini');
+    expect(fib.converged).toBe(true);
+    expect(fib.layerResults[0].epsDecomp).toBeGreaterThan(0);
+  });
+  it('takes the decompression strains on the precast section under a topping', () => {
+    const composite = { ...section, fc: 6, h: 26, topping: { bt: 48, ht: 2, fc: 6 } };
+    const strands = [{ area: 0.918, depth: 24, fse: 160, steel: GR270 }];
+    const fib = analyzeFiber(composite, strands);
+    const wb = analyzeBeam(composite, strands);
+    expect(fib.converged).toBe(true);
+    expect(fib.layerResults[0].epsDecomp).toBeCloseTo(wb.layerResults[0].epsDecomp, 12);
+    expect(Math.abs(fib.MnFt / wb.MnFt - 1)).toBeLessThan(0.01);
+  });
+  it('takes φ from the section\'s design code', () => {
+    const strands = [{ area: 0.612, depth: 21, fse: 160, steel: GR270 }];
+    const aci = analyzeFiber({ ...section, fc: 6 }, strands);
+    const aashto = analyzeFiber({ ...section, fc: 6, code: 'aashto' }, strands);
+    expect(aci.phi).toBeCloseTo(analyzeBeam({ ...section, fc: 6 }, strands).phi, 10);
+    // Tension-controlled prestressed member: 0.90 (ACI 318) vs 1.00 (AASHTO §5.5.4.2)
+    expect(aci.phi).toBeCloseTo(0.9, 10);
+    expect(aashto.phi).toBeCloseTo(1.0, 10);
+  });
+  it('reports a missing equilibrium root', () => {
+    const fib = analyzeFiber({ ...section, Pu: 5000 }, layers);
+    expect(fib.converged).toBe(false);
+    expect(fib.solver.status).toBe('no-root');
+    expect(fib.solver.dominant).toBe('tension');
+  });
+});
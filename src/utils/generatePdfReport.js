@@ -1,4 +1,9 @@
 import { jsPDF } from 'jspdf';
+import { CONCRETE_MODELS } from './fiberAnalysis';
+import { SUPPORT_TYPES } from './spanAnalysis';
+import { codeProvisions } from './beamCalculations';
+import { unitFormatter } from './units';
+import { findStandardShape } from '../data/standardShapes';
 
 // ─── Greek / math text helpers ───────────────────────────────────────────────
 
@@ -139,6 +144,16 @@ function drawSup(doc, main, sup, x, y) {
  */
 export default async function generatePdfReport(results, section, info) {
   const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  // Design code of the analysis; "ACI 318 Sec. 21.2"-style citations.
+  const code = codeProvisions(section);
+  const aashto = code.id === 'aashto';
+  const codeShort = aashto ? 'AASHTO LRFD' : 'ACI 318';
+  const cite = (key) => `${codeShort} Sec. ${code.cite[key].replace('\u00A7', '')}`;
+  // Display units; values stay in ksi/in/kip until formatted here.
+  const u = unitFormatter(section.units);
+  // Helvetica has the ² and ³ glyphs but no ⁴.
+  const fmt = (v, name, digits) => u.fmt(v, name, digits).replace('\u2074', '4');
+  const kips = (v, digits = 2) => (u.si ? u.fmt(v, 'force', digits) : `${v.toFixed(digits)} kips`);
   const W = doc.internal.pageSize.getWidth();   // 612
   const H = doc.internal.pageSize.getHeight();  // 792
   const MG = 48; // page margin
@@ -183,7 +198,7 @@ export default async function generatePdfReport(results, section, info) {
   doc.setFont('helvetica', 'bold');
   doc.setFontSize(8);
   doc.setTextColor(...white);
-  doc.text('ACI 318-19', MG + 34, 33, { align: 'center' });
+  doc.text(code.name, MG + 34, 33, { align: 'center' });
 
   // Title
   doc.setFontSize(16);
@@ -237,11 +252,18 @@ export default async function generatePdfReport(results, section, info) {
     hollowcore: 'Hollow Core (PCI)',
     custom: 'Custom (Drawn)',
     dxf: 'Custom (DXF Import)',
+    standard: 'Standard Shape',
   };
+  const shapeName = section.sectionType === 'standard' ? `: ${findStandardShape(section.shapeId).name}` : '';
   doc.setFontSize(8);
   doc.setFont('helvetica', 'italic');
   doc.setTextColor(...slate400);
-  doc.text(`Section Type: ${sectionNames[section.sectionType] || section.sectionType}`, MG, y);
+  const hogging = results.momentSign === 'hogging';
+  doc.text(
+    `Section Type: ${sectionNames[section.sectionType] || section.sectionType}${shapeName}` +
+      (hogging ? '  |  Hogging moment: c, a and d measured from the bottom fiber' : ''),
+    MG, y
+  );
   y += 16;
 
   // ═════════════════════════════════════════════════════════════════════════
@@ -252,12 +274,18 @@ export default async function generatePdfReport(results, section, info) {
   const cardH = 56;
   const { phiMnFt, phiMn, MnFt, Mn, phi, epsilonT, ductile, transition } = results;
 
-  const ductilityStatus = ductile
+  // FRP sections are classed by failure mode; concrete crushing is preferred.
+  const frpRupture = results.frp && epsilonT >= results.strainLimits.tension;
+  const ductilityStatus = results.frp
+    ? frpRupture ? 'FRP Rupture' : transition ? 'Transition Zone' : 'Concrete Crushing'
+    : ductile
     ? 'Tension-Controlled'
     : transition
     ? 'Transition Zone'
     : 'Compression-Controlled';
-  const ductilityColor = ductile ? green600 : transition ? amber600 : red600;
+  const ductilityColor = results.frp
+    ? frpRupture ? red600 : transition ? amber600 : green600
+    : ductile ? green600 : transition ? amber600 : red600;
 
   // Card 1 -- phiMn (primary blue)
   doc.setFillColor(...blue);
@@ -269,10 +297,10 @@ export default async function generatePdfReport(results, section, info) {
   drawGreek(doc, '\u03D5Mn (Design Strength)', MG + cardW / 2, y + 14, { align: 'center' });
   doc.setTextColor(...white);
   doc.setFontSize(16);
-  doc.text(`${phiMnFt.toFixed(1)} kip-ft`, MG + cardW / 2, y + 34, { align: 'center' });
+  doc.text(fmt(phiMnFt, 'moment', 1), MG + cardW / 2, y + 34, { align: 'center' });
   doc.setFontSize(8);
   doc.setTextColor(180, 200, 240);
-  doc.text(`${phiMn.toFixed(1)} kip-in`, MG + cardW / 2, y + 47, { align: 'center' });
+  doc.text(fmt(phiMn, 'momentIn', 1), MG + cardW / 2, y + 47, { align: 'center' });
 
   // Card 2 -- Mn
   const c2x = MG + cardW + 6;
@@ -285,10 +313,10 @@ export default async function generatePdfReport(results, section, info) {
   doc.text('Mn (Nominal Strength)', c2x + cardW / 2, y + 14, { align: 'center' });
   doc.setTextColor(...slate800);
   doc.setFontSize(16);
-  doc.text(`${MnFt.toFixed(1)} kip-ft`, c2x + cardW / 2, y + 34, { align: 'center' });
+  doc.text(fmt(MnFt, 'moment', 1), c2x + cardW / 2, y + 34, { align: 'center' });
   doc.setFontSize(8);
   doc.setTextColor(...slate400);
-  doc.text(`${Mn.toFixed(1)} kip-in`, c2x + cardW / 2, y + 47, { align: 'center' });
+  doc.text(fmt(Mn, 'momentIn', 1), c2x + cardW / 2, y + 47, { align: 'center' });
 
   // Card 3 -- phi factor
   const c3x = MG + 2 * (cardW + 6);
@@ -304,7 +332,7 @@ export default async function generatePdfReport(results, section, info) {
   doc.text(phi.toFixed(3), c3x + cardW / 2, y + 34, { align: 'center' });
   doc.setFontSize(8);
   doc.setTextColor(...slate400);
-  doc.text('ACI 318 Sec. 21.2', c3x + cardW / 2, y + 47, { align: 'center' });
+  doc.text(cite('phi'), c3x + cardW / 2, y + 47, { align: 'center' });
 
   // Card 4 -- Ductility
   const c4x = MG + 3 * (cardW + 6);
@@ -357,6 +385,8 @@ export default async function generatePdfReport(results, section, info) {
   }
   const etl = extremeLayer;
   const epsilonTy = etl ? etl.steel.fpy / etl.steel.Es : 0.002;
+  const limits = results.strainLimits || { compression: epsilonTy, tension: epsilonTy + 0.003 };
+  const phiT = results.layerResults.some((lr) => lr.fse > 0) ? 1.0 : 0.9;
 
   // Data table rows
   const detailData = [
@@ -366,7 +396,7 @@ export default async function generatePdfReport(results, section, info) {
         const w = doc.getTextWidth("f'");
         drawSub(doc, '', 'c', lx + w, ly);
       },
-      value: `${results.fc} ksi`,
+      value: u.si ? fmt(results.fc, 'stress', 1) : `${results.fc} ksi`,
     },
     {
       label: (lx, ly) => { drawSub(doc, '\u03B2', '1', lx, ly); },
@@ -374,7 +404,7 @@ export default async function generatePdfReport(results, section, info) {
     },
     {
       label: (lx, ly) => { doc.text('Neutral axis depth, c', lx, ly); },
-      value: `${results.c.toFixed(3)} in`,
+      value: fmt(results.c, 'length', 3),
     },
     {
       label: (lx, ly) => {
@@ -384,7 +414,7 @@ export default async function generatePdfReport(results, section, info) {
         cx2 += drawSub(doc, '\u03B2', '1', cx2, ly);
         doc.text('\u00B7c', cx2, ly);
       },
-      value: `${results.a.toFixed(3)} in`,
+      value: fmt(results.a, 'length', 3),
     },
     {
       label: (lx, ly) => {
@@ -393,7 +423,7 @@ export default async function generatePdfReport(results, section, info) {
         cx2 += doc.getTextWidth('Concrete compression, C');
         drawSub(doc, '', 'c', cx2, ly);
       },
-      value: `${results.Cc.toFixed(2)} kips`,
+      value: kips(results.Cc),
     },
     {
       label: (lx, ly) => {
@@ -415,7 +445,27 @@ export default async function generatePdfReport(results, section, info) {
       },
       value: epsilonT.toFixed(6),
     },
-    {
+    results.frp ? {
+      label: (lx, ly) => {
+        let cx2 = lx;
+        doc.text('FRP strain limits, 0.8', lx, ly);
+        cx2 += doc.getTextWidth('FRP strain limits, 0.8');
+        cx2 += drawSub(doc, '\u03B5', 'fu', cx2, ly);
+        doc.text(' / ', cx2, ly); cx2 += doc.getTextWidth(' / ');
+        drawSub(doc, '\u03B5', 'fu', cx2, ly);
+      },
+      value: `${limits.compression.toFixed(4)} / ${limits.tension.toFixed(4)}`,
+    } : aashto ? {
+      label: (lx, ly) => {
+        let cx2 = lx;
+        doc.text('Strain limits, ', lx, ly);
+        cx2 += doc.getTextWidth('Strain limits, ');
+        cx2 += drawSub(doc, '\u03B5', 'cl', cx2, ly);
+        doc.text(' / ', cx2, ly); cx2 += doc.getTextWidth(' / ');
+        drawSub(doc, '\u03B5', 'tl', cx2, ly);
+      },
+      value: `${limits.compression.toFixed(4)} / ${limits.tension.toFixed(4)}`,
+    } : {
       label: (lx, ly) => {
         let cx2 = lx;
         doc.text('Yield strain, ', lx, ly);
@@ -442,7 +492,7 @@ export default async function generatePdfReport(results, section, info) {
         const tw = drawSub(doc, 'M', 'n', lx, ly);
         doc.text(' (Nominal Strength)', lx + tw, ly);
       },
-      value: `${MnFt.toFixed(1)} kip-ft (${Mn.toFixed(1)} kip-in)`,
+      value: `${fmt(MnFt, 'moment', 1)} (${fmt(Mn, 'momentIn', 1)})`,
     },
     {
       label: (lx, ly) => {
@@ -451,7 +501,7 @@ export default async function generatePdfReport(results, section, info) {
         cx2 += drawSub(doc, 'M', 'n', cx2, ly);
         doc.text(' (Design Strength)', cx2, ly);
       },
-      value: `${phiMnFt.toFixed(1)} kip-ft (${phiMn.toFixed(1)} kip-in)`,
+      value: `${fmt(phiMnFt, 'moment', 1)} (${fmt(phiMn, 'momentIn', 1)})`,
     },
   ];
 
@@ -535,13 +585,13 @@ export default async function generatePdfReport(results, section, info) {
   });
   if (etl) {
     drawFlexExpr((ex, ey) => {
-      doc.text(`= ${etl.stress.toFixed(2)} ksi  (extreme tension layer)`, ex, ey);
+      doc.text(`= ${fmt(etl.stress, 'stress', 2)}  (extreme tension layer)`, ex, ey);
     }, 26);
   }
   ffy += ffGap;
 
   // Formula 2: Strain Compatibility
-  drawFlexTitle('Strain Compatibility (ACI 318):');
+  drawFlexTitle(`Strain Compatibility (${codeShort}):`);
   drawFlexExpr((ex, ey) => {
     let px = ex;
     doc.setFont('helvetica', 'bold');
@@ -562,14 +612,14 @@ export default async function generatePdfReport(results, section, info) {
   });
   if (etl) {
     drawFlexExpr((ex, ey) => {
-      doc.text(`= 0.003\u00B7(${etl.depth.toFixed(2)} / ${results.c.toFixed(3)} - 1) + ${(etl.fse || 0).toFixed(1)} / ${etl.steel.Es.toLocaleString()} + ${(etl.epsDecomp || 0).toFixed(6)} = ${etl.strain.toFixed(6)}`, ex, ey);
+      doc.text(`= 0.003\u00B7(${u.num(etl.depth, 'length', 2)} / ${u.num(results.c, 'length', 3)} - 1) + ${u.num(etl.fse || 0, 'stress', 1)} / ${Math.round(u.value(etl.steel.Es, 'stress')).toLocaleString()} + ${(etl.epsDecomp || 0).toFixed(6)} = ${etl.strain.toFixed(6)}`, ex, ey);
     }, 26);
   }
-  drawFlexNote('\u03B5cu = 0.003 per ACI 318; \u0394\u03B5decomp = concrete decompression strain (bonded prestress only)', 38);
+  drawFlexNote(`\u03B5cu = 0.003 per ${codeShort}; \u0394\u03B5decomp = concrete decompression strain (bonded prestress only)`, 38);
   ffy += ffGap;
 
   // Formula 3: Whitney Stress Block
-  drawFlexTitle('Whitney Stress Block (ACI 318 Sec. 22.2):');
+  drawFlexTitle(`Whitney Stress Block (${cite('whitney')}):`);
   drawFlexExpr((ex, ey) => {
     let px = ex;
     doc.setFont('helvetica', 'bold');
@@ -585,31 +635,85 @@ export default async function generatePdfReport(results, section, info) {
     doc.text('\u00B7c', px, ey);
   });
   drawFlexExpr((ex, ey) => {
-    doc.text(`a = ${results.beta1.toFixed(3)} x ${results.c.toFixed(3)} = ${results.a.toFixed(3)} in`, ex, ey);
-    const lineW = doc.getTextWidth(`a = ${results.beta1.toFixed(3)} x ${results.c.toFixed(3)} = ${results.a.toFixed(3)} in`);
-    doc.text(`     = ${results.Cc.toFixed(2)} kips`, ex + lineW, ey);
+    const aLine = `a = ${results.beta1.toFixed(3)} x ${u.num(results.c, 'length', 3)} = ${fmt(results.a, 'length', 3)}`;
+    doc.text(aLine, ex, ey);
+    doc.text(`     = ${kips(results.Cc)}`, ex + doc.getTextWidth(aLine), ey);
   }, 26);
   ffy += ffGap;
 
   // Formula 4: Strength Reduction φ
-  drawFlexTitle('Strength Reduction \u03D5 (ACI 318 Sec. 21.2):');
-  drawFlexExpr((ex, ey) => {
-    let px = ex;
-    doc.setFont('helvetica', 'bold');
-    doc.setTextColor(...blueLabel);
-    px += drawGreek(doc, '\u03D5', px, ey);
-    doc.setFont('helvetica', 'normal');
-    doc.setTextColor(...slate800);
-    doc.text(' = 0.65 + 0.25\u00B7(', px, ey); px += doc.getTextWidth(' = 0.65 + 0.25\u00B7(');
-    px += drawSub(doc, '\u03B5', 't', px, ey);
-    doc.text(' - ', px, ey); px += doc.getTextWidth(' - ');
-    px += drawSub(doc, '\u03B5', 'ty', px, ey);
-    doc.text(') / 0.003', px, ey);
-  });
-  drawFlexExpr((ex, ey) => {
-    doc.text(`= 0.65 + 0.25\u00B7(${epsilonT.toFixed(6)} - ${epsilonTy.toFixed(6)}) / 0.003 = ${phi.toFixed(3)}`, ex, ey);
-  }, 26);
-  drawFlexNote('0.65 <= \u03D5 <= 0.90', 38);
+  drawFlexTitle(`Strength Reduction \u03D5 (${results.frp ? (aashto ? 'AASHTO GFRP guide spec.' : 'ACI 440.11-22 \u00A721.2') : cite('phi')}):`);
+  if (results.frp) {
+    const phiC = aashto ? 0.75 : 0.65;
+    drawFlexExpr((ex, ey) => {
+      let px = ex;
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...blueLabel);
+      px += drawGreek(doc, '\u03D5', px, ey);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(...slate800);
+      const head = ` = ${phiC.toFixed(2)} - ${(phiC - 0.55).toFixed(2)}\u00B7(`;
+      doc.text(head, px, ey); px += doc.getTextWidth(head);
+      px += drawSub(doc, '\u03B5', 't', px, ey);
+      doc.text(' - 0.8', px, ey); px += doc.getTextWidth(' - 0.8');
+      px += drawSub(doc, '\u03B5', 'fu', px, ey);
+      doc.text(') / 0.2', px, ey); px += doc.getTextWidth(') / 0.2');
+      drawSub(doc, '\u03B5', 'fu', px, ey);
+    });
+    drawFlexExpr((ex, ey) => {
+      doc.text(
+        `= ${phiC.toFixed(2)} - ${(phiC - 0.55).toFixed(2)}\u00B7(${epsilonT.toFixed(6)} - ${limits.compression.toFixed(4)}) / ` +
+          `${(limits.tension - limits.compression).toFixed(4)} = ${phi.toFixed(3)}`,
+        ex, ey
+      );
+    }, 26);
+    drawFlexNote(`0.55 (FRP rupture) <= \u03D5 <= ${phiC.toFixed(2)} (concrete crushing)`, 38);
+  } else if (aashto) {
+    drawFlexExpr((ex, ey) => {
+      let px = ex;
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...blueLabel);
+      px += drawGreek(doc, '\u03D5', px, ey);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(...slate800);
+      const head = ` = 0.75 + ${(phiT - 0.75).toFixed(2)}\u00B7(`;
+      doc.text(head, px, ey); px += doc.getTextWidth(head);
+      px += drawSub(doc, '\u03B5', 't', px, ey);
+      doc.text(' - ', px, ey); px += doc.getTextWidth(' - ');
+      px += drawSub(doc, '\u03B5', 'cl', px, ey);
+      doc.text(') / (', px, ey); px += doc.getTextWidth(') / (');
+      px += drawSub(doc, '\u03B5', 'tl', px, ey);
+      doc.text(' - ', px, ey); px += doc.getTextWidth(' - ');
+      px += drawSub(doc, '\u03B5', 'cl', px, ey);
+      doc.text(')', px, ey);
+    });
+    drawFlexExpr((ex, ey) => {
+      doc.text(
+        `= 0.75 + ${(phiT - 0.75).toFixed(2)}\u00B7(${epsilonT.toFixed(6)} - ${limits.compression.toFixed(4)}) / ` +
+          `(${limits.tension.toFixed(4)} - ${limits.compression.toFixed(4)}) = ${phi.toFixed(3)}`,
+        ex, ey
+      );
+    }, 26);
+    drawFlexNote(`0.75 <= \u03D5 <= ${phiT.toFixed(2)} (${phiT === 1 ? 'prestressed' : 'nonprestressed'})`, 38);
+  } else {
+    drawFlexExpr((ex, ey) => {
+      let px = ex;
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...blueLabel);
+      px += drawGreek(doc, '\u03D5', px, ey);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(...slate800);
+      doc.text(' = 0.65 + 0.25\u00B7(', px, ey); px += doc.getTextWidth(' = 0.65 + 0.25\u00B7(');
+      px += drawSub(doc, '\u03B5', 't', px, ey);
+      doc.text(' - ', px, ey); px += doc.getTextWidth(' - ');
+      px += drawSub(doc, '\u03B5', 'ty', px, ey);
+      doc.text(') / 0.003', px, ey);
+    });
+    drawFlexExpr((ex, ey) => {
+      doc.text(`= 0.65 + 0.25\u00B7(${epsilonT.toFixed(6)} - ${epsilonTy.toFixed(6)}) / 0.003 = ${phi.toFixed(3)}`, ex, ey);
+    }, 26);
+    drawFlexNote('0.65 <= \u03D5 <= 0.90', 38);
+  }
 
   y += flexEqH + 16;
 
@@ -626,13 +730,13 @@ export default async function generatePdfReport(results, section, info) {
     { label: null,      w: 0.10, align: 'right',
       labelFn: (lx, ly) => {
         const tw = drawSub(doc, 'A', 's', lx, ly);
-        doc.text(' (in\u00B2)', lx + tw, ly);
+        doc.text(` (${u.label('area')})`, lx + tw, ly);
       }},
-    { label: 'd (in)',  w: 0.09, align: 'right' },
+    { label: `d (${u.label('length')})`,  w: 0.09, align: 'right' },
     { label: null,      w: 0.10, align: 'right',
       labelFn: (lx, ly) => {
         const tw = drawSub(doc, 'f', 'se', lx, ly);
-        doc.text(' (ksi)', lx + tw, ly);
+        doc.text(` (${u.label('stress')})`, lx + tw, ly);
       }},
     { label: null,      w: 0.14, align: 'right',
       labelFn: (lx, ly) => {
@@ -641,9 +745,9 @@ export default async function generatePdfReport(results, section, info) {
     { label: null,      w: 0.12, align: 'right',
       labelFn: (lx, ly) => {
         const tw = drawSub(doc, 'f', 's', lx, ly);
-        doc.text(' (ksi)', lx + tw, ly);
+        doc.text(` (${u.label('stress')})`, lx + tw, ly);
       }},
-    { label: 'Force (kips)', w: 0.13, align: 'right' },
+    { label: `Force (${u.si ? u.label('force') : 'kips'})`, w: 0.13, align: 'right' },
   ];
 
   const colWidths = colCfg.map((c) => c.w * cw);
@@ -687,13 +791,13 @@ export default async function generatePdfReport(results, section, info) {
 
     const cells = [
       `${idx + 1}`,
-      lr.name || lr.steel?.name || '',
-      lr.area.toFixed(3),
-      lr.depth.toFixed(2),
-      (lr.fse || 0).toFixed(1),
+      `${lr.name || lr.steel?.name || ''}${lr.bonded === false ? ' (unb.)' : ''}${lr.fpsMax != null ? ' (dev.)' : ''}`,
+      u.num(lr.area, 'area', 3),
+      u.num(lr.depth, 'length', 2),
+      u.num(lr.fse || 0, 'stress', 1),
       lr.strain.toFixed(6),
-      lr.stress.toFixed(2),
-      lr.force.toFixed(2),
+      u.num(lr.stress, 'stress', 2),
+      u.num(lr.force, 'force', 2),
     ];
 
     doc.setFont('helvetica', 'normal');
@@ -728,9 +832,81 @@ export default async function generatePdfReport(results, section, info) {
   doc.setTextColor(...slate800);
   const totalForce = layerResults.reduce((s, lr) => s + lr.force, 0);
   doc.text('Total Steel Force', tblRight - colWidths[colWidths.length - 1] - 8, y + 13, { align: 'right' });
-  doc.text(`${totalForce.toFixed(2)} kips`, tblRight - 6, y + 13, { align: 'right' });
+  doc.text(kips(totalForce), tblRight - 6, y + 13, { align: 'right' });
   y += 28;
 
+  // Unbonded tendon note: stress from ACI 318-19 §20.3.2.4, not strain compatibility
+  if (results.unbonded) {
+    const ub = results.unbonded;
+    ensureSpace(16);
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7.5);
+    doc.setTextColor(...slate600);
+    drawGreek(
+      doc,
+      `unb. = unbonded tendon: fs = fps per ACI 318-19 \u00A720.3.2.4 ` +
+      `(ln/h = ${ub.spanDepth.toFixed(1)}, \u03C1p = ${ub.rhoP.toFixed(5)}); ` +
+      `\u03B5s is the concrete strain at the tendon level.`,
+      tblLeft, y
+    );
+    y += 14;
+  }
+
+  // Strand development note: stress capped within ℓd, ACI 318-19 §25.4.8
+  if (results.development && results.development.rows.some((r) => r?.capped)) {
+    const dv = results.development;
+    const caps = dv.rows
+      .map((r, i) => (r?.capped ? `layer ${i + 1}: ${fmt(r.cap, 'stress', 1)} (ld = ${fmt(r.ld, 'length', 1)})` : null))
+      .filter(Boolean)
+      .join('; ');
+    ensureSpace(16);
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7.5);
+    doc.setTextColor(...slate600);
+    drawGreek(
+      doc,
+      `dev. = strand not fully developed at ${u.si ? fmt(dv.x, 'length', 0) : `${dv.x} in`} from the member end (\u00A725.4.8): ${caps}.`,
+      tblLeft, y
+    );
+    y += 14;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // FIBER-SECTION CHECK
+  // ═════════════════════════════════════════════════════════════════════════
+
+  if (results.fiber) {
+    const fb = results.fiber;
+    const modelName = CONCRETE_MODELS.find((m) => m.id === fb.model)?.name || fb.model;
+    drawSectionHeading('Fiber-Section Check');
+
+    const fiberRows = [
+      ['Concrete model', modelName],
+      ['Neutral axis depth, c (Whitney / fiber)', `${u.num(results.c, 'length', 3)} / ${fmt(fb.c, 'length', 3)}`],
+      ['Nominal strength, Mn (Whitney / fiber)', `${u.num(results.MnFt, 'moment', 1)} / ${fmt(fb.MnFt, 'moment', 1)}`],
+      ['Design strength, \u03D5Mn (Whitney / fiber)', `${u.num(results.phiMnFt, 'moment', 1)} / ${fmt(fb.phiMnFt, 'moment', 1)}`],
+      ['Fiber / Whitney Mn', (fb.MnFt / results.MnFt).toFixed(3)],
+    ];
+    fiberRows.forEach(([label, value], i) => {
+      ensureSpace(rowH);
+      if (i % 2 === 0) {
+        doc.setFillColor(...slate100);
+        doc.rect(tblLeft, y, cw, rowH, 'F');
+      }
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(...slate600);
+      drawGreek(doc, label, tblLeft + 8, y + 13.5);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...slate800);
+      doc.text(sanitize(value), tblRight - 8, y + 13.5, { align: 'right' });
+      y += rowH;
+    });
+    doc.setDrawColor(...slate200);
+    doc.line(tblLeft, y, tblRight, y);
+    y += 14;
+  }
+
   // ═════════════════════════════════════════════════════════════════════════
   // PRESTRESS & CRACKING ANALYSIS
   // ═════════════════════════════════════════════════════════════════════════
@@ -749,7 +925,7 @@ export default async function generatePdfReport(results, section, info) {
           const w = doc.getTextWidth('Gross section area, ');
           drawSub(doc, 'A', 'g', lx + w, ly);
         },
-        value: `${sp.A.toFixed(2)} in\u00B2`,
+        value: fmt(sp.A, 'area', 2),
       },
       {
         label: (lx, ly) => {
@@ -758,18 +934,18 @@ export default async function generatePdfReport(results, section, info) {
           drawSub(doc, 'I', 'g', lx + w, ly);
         },
         valueFn: (vx, vy) => {
-          const txt = `${sp.Ig.toFixed(1)} in`;
+          const txt = `${u.num(sp.Ig, 'inertia', 1)} ${u.si ? 'mm' : 'in'}`;
           doc.text(txt, vx, vy, { align: 'right' });
           drawSup(doc, '', '4', vx, vy);
         },
       },
       {
         label: (lx, ly) => {
-          doc.text('Section modulus (bottom), ', lx, ly);
-          const w = doc.getTextWidth('Section modulus (bottom), ');
-          drawSub(doc, 'S', 'b', lx + w, ly);
+          const head = `Section modulus (${hogging ? 'top' : 'bottom'}), `;
+          doc.text(head, lx, ly);
+          drawSub(doc, 'S', hogging ? 't' : 'b', lx + doc.getTextWidth(head), ly);
         },
-        value: `${sp.Sb.toFixed(2)} in\u00B3`,
+        value: fmt(cr.S, 'modulus', 2),
       },
       {
         label: (lx, ly) => {
@@ -777,7 +953,7 @@ export default async function generatePdfReport(results, section, info) {
           const w = doc.getTextWidth('Effective prestress force, ');
           drawSub(doc, 'P', 'e', lx + w, ly);
         },
-        value: `${cr.P.toFixed(2)} kips`,
+        value: kips(cr.P),
       },
       {
         label: (lx, ly) => {
@@ -790,11 +966,11 @@ export default async function generatePdfReport(results, section, info) {
           doc.text(' / ', px, ly); px += doc.getTextWidth(' / ');
           drawSub(doc, 'A', 'g', px, ly);
         },
-        value: `${cr.fpc.toFixed(4)} ksi`,
+        value: fmt(cr.fpc, 'stress', 4),
       },
       {
         label: (lx, ly) => { doc.text('Prestress eccentricity, e', lx, ly); },
-        value: `${cr.e.toFixed(3)} in`,
+        value: fmt(cr.e, 'length', 3),
       },
       {
         label: (lx, ly) => {
@@ -803,7 +979,7 @@ export default async function generatePdfReport(results, section, info) {
           px += doc.getTextWidth('Modulus of rupture, ');
           drawSub(doc, 'f', 'r', px, ly);
         },
-        value: `${cr.fr.toFixed(4)} ksi`,
+        value: fmt(cr.fr, 'stress', 4),
       },
       {
         label: (lx, ly) => {
@@ -811,18 +987,25 @@ export default async function generatePdfReport(results, section, info) {
           const w = doc.getTextWidth('Cracking moment, ');
           drawSub(doc, 'M', 'cr', lx + w, ly);
         },
-        value: `${cr.McrFt.toFixed(1)} kip-ft`,
+        value: fmt(cr.McrFt, 'moment', 1),
       },
       {
         label: (lx, ly) => {
           let px = lx;
-          doc.text('1.2 ', px, ly);
-          px += doc.getTextWidth('1.2 ');
+          const head = aashto ? 'Minimum strength ' : '1.2 ';
+          doc.text(head, px, ly);
+          px += doc.getTextWidth(head);
           drawSub(doc, 'M', 'cr', px, ly);
         },
-        value: `${(cr.Mcr12Ft ?? cr.thresholdFt).toFixed(1)} kip-ft`,
+        value: fmt(cr.McrMinFt ?? cr.Mcr12Ft ?? cr.thresholdFt, 'moment', 1),
       },
     ];
+    if (sp.n != null) {
+      prestressData.splice(3, 0, {
+        label: (lx, ly) => { doc.text('Composite: n = Ect/Ec; precast Anc, Sb,nc; Mnc', lx, ly); },
+        value: `${sp.n.toFixed(3)}; ${fmt(cr.ncProps.A, 'area', 1)}, ${fmt(cr.ncProps.Sb, 'modulus', 1)}; ${fmt(cr.Mnc / 12, 'moment', 1)}`,
+      });
+    }
 
     prestressData.forEach((row, i) => {
       ensureSpace(rowH);
@@ -894,12 +1077,12 @@ export default async function generatePdfReport(results, section, info) {
       px += drawSub(doc, 'P', 'e', px, ey);
       doc.text(' / ', px, ey); px += doc.getTextWidth(' / ');
       px += drawSub(doc, 'A', 'g', px, ey);
-      doc.text(` = ${cr.fpc.toFixed(4)} ksi`, px, ey);
+      doc.text(` = ${fmt(cr.fpc, 'stress', 4)}`, px, ey);
     });
     cry += crGap;
 
     // Equation 2: Modulus of Rupture
-    drawCrFormulaTitle('Modulus of Rupture (ACI 318 Sec. 19.2.3):');
+    drawCrFormulaTitle(`Modulus of Rupture (${cite('fr')}):`);
     drawCrFormulaExpr((ex, ey) => {
       let px = ex;
       doc.setFont('helvetica', 'bold');
@@ -907,15 +1090,17 @@ export default async function generatePdfReport(results, section, info) {
       px += drawSub(doc, 'f', 'r', px, ey);
       doc.setFont('helvetica', 'normal');
       doc.setTextColor(...slate800);
-      doc.text(` = 7.5 x ${cr.lambda ?? 1} x sqrt(f'`, px, ey); px += doc.getTextWidth(` = 7.5 x ${cr.lambda ?? 1} x sqrt(f'`);
+      const coef = aashto ? (u.si ? '0.63' : '0.24') : (u.si ? '0.62' : '7.5');
+      const head = ` = ${coef} x ${cr.lambda ?? 1} x sqrt(f'`;
+      doc.text(head, px, ey); px += doc.getTextWidth(head);
       px += drawSub(doc, '', 'c', px, ey);
-      doc.text(`) = ${cr.fr.toFixed(4)} ksi`, px, ey);
+      doc.text(`) = ${fmt(cr.fr, 'stress', 4)}`, px, ey);
     });
-    drawCrFormulaNote("f'c in psi; lambda = lightweight factor (ACI 318 Sec. 19.2.4)");
+    drawCrFormulaNote(`f'c in ${u.si ? 'MPa' : aashto ? 'ksi' : 'psi'}; lambda = lightweight factor (${cite('lambda')})`);
     cry += crGap;
 
     // Equation 3: Cracking Moment
-    drawCrFormulaTitle('Cracking Moment (ACI 318 Sec. 24.2.3.5):');
+    drawCrFormulaTitle(`Cracking Moment (${cite('Mcr')}):`);
     drawCrFormulaExpr((ex, ey) => {
       let px = ex;
       doc.setFont('helvetica', 'bold');
@@ -923,24 +1108,33 @@ export default async function generatePdfReport(results, section, info) {
       px += drawSub(doc, 'M', 'cr', px, ey);
       doc.setFont('helvetica', 'normal');
       doc.setTextColor(...slate800);
+      const face = hogging ? 't' : 'b';
       doc.text(' = ', px, ey); px += doc.getTextWidth(' = ');
-      px += drawSub(doc, 'S', 'b', px, ey);
+      px += drawSub(doc, 'S', face, px, ey);
       doc.text(' (', px, ey); px += doc.getTextWidth(' (');
       px += drawSub(doc, 'f', 'r', px, ey);
       doc.text(' + ', px, ey); px += doc.getTextWidth(' + ');
       px += drawSub(doc, 'P', 'e', px, ey);
       doc.text('/', px, ey); px += doc.getTextWidth('/');
       px += drawSub(doc, 'A', 'g', px, ey);
-      doc.text(' + ', px, ey); px += doc.getTextWidth(' + ');
+      doc.text(hogging ? ' - ' : ' + ', px, ey); px += doc.getTextWidth(' + ');
       px += drawSub(doc, 'P', 'e', px, ey);
       doc.text('\u00B7e / ', px, ey); px += doc.getTextWidth('\u00B7e / ');
-      px += drawSub(doc, 'S', 'b', px, ey);
-      doc.text(`) = ${cr.McrFt.toFixed(1)} kip-ft`, px, ey);
+      px += drawSub(doc, 'S', face, px, ey);
+      doc.text(`) = ${fmt(cr.McrFt, 'moment', 1)}`, px, ey);
     });
+    if (hogging) {
+      drawCrFormulaNote(sp.n != null
+        ? 'Hogging, top-fiber tension: lesser of Stc fr,top (topping) and the precast top fiber with Mnc'
+        : 'Hogging: tension at the top fiber');
+    } else if (sp.n != null) {
+      drawCrFormulaNote('Composite: Mcr = Mnc + Sbc (fr + Pe/Anc + Pe e/Sb,nc - Mnc/Sb,nc)');
+    }
     cry += crGap;
 
-    // Equation 4: minimum-strength check (lesser of 1.2Mcr and 1.33Mu)
-    drawCrFormulaTitle('Minimum Flexural Strength (ACI 318 Sec. 9.6.1.3):');
+    // Equation 4: minimum-strength check (lesser of 1.2Mcr, or the AASHTO
+    // factored Mcr, and 1.33Mu)
+    drawCrFormulaTitle(`Minimum Flexural Strength (${cite('minStrength')}):`);
     drawCrFormulaExpr((ex, ey) => {
       let px = ex;
       doc.setFont('helvetica', 'bold');
@@ -949,11 +1143,13 @@ export default async function generatePdfReport(results, section, info) {
       px += drawSub(doc, 'M', 'n', px, ey);
       doc.setFont('helvetica', 'normal');
       doc.setTextColor(...slate800);
-      const reqLabel = cr.Mu > 0 ? ` >= min(1.2Mcr, 1.33Mu) [${cr.governs}] ` : ' >= 1.2 Mcr ';
+      const mcrMin = aashto ? 'Mcr' : '1.2Mcr';
+      const reqLabel = cr.Mu > 0 ? ` >= min(${mcrMin}, 1.33Mu) [${cr.governs}] ` : ` >= ${mcrMin} `;
       doc.text(reqLabel, px, ey); px += doc.getTextWidth(reqLabel);
-      doc.text(`     ${phiMnFt.toFixed(1)}`, px, ey); px += doc.getTextWidth(`     ${phiMnFt.toFixed(1)}`);
-      doc.text(` ${cr.passesMinStrength ? '>=' : '<'} ${cr.thresholdFt.toFixed(1)} kip-ft`, px, ey);
-      px += doc.getTextWidth(` ${cr.passesMinStrength ? '>=' : '<'} ${cr.thresholdFt.toFixed(1)} kip-ft`);
+      const lhs = `     ${u.num(phiMnFt, 'moment', 1)}`;
+      doc.text(lhs, px, ey); px += doc.getTextWidth(lhs);
+      const rhs = ` ${cr.passesMinStrength ? '>=' : '<'} ${fmt(cr.thresholdFt, 'moment', 1)}`;
+      doc.text(rhs, px, ey); px += doc.getTextWidth(rhs);
       doc.text('  ', px, ey); px += doc.getTextWidth('  ');
       if (cr.passesMinStrength) {
         doc.setTextColor(...green600);
@@ -965,10 +1161,230 @@ export default async function generatePdfReport(results, section, info) {
         doc.text('FAILS', px, ey);
       }
     });
+    if (aashto) {
+      drawCrFormulaNote(
+        `\u03B33[(\u03B31 fr + \u03B32 fcpe) Sc - Mdnc (Sc/Snc - 1)] with \u03B31 = ${cr.gamma1}, ` +
+          `\u03B32 = ${cr.gamma2}, \u03B33 = ${cr.gamma3.toFixed(2)}; fcpe = ${fmt(cr.fcpe, 'stress', 4)}`
+      );
+    }
 
     y += crEqH + 16;
   }
 
+  // ═════════════════════════════════════════════════════════════════════════
+  // STAGE STRESSES (ACI 318-19 §24.5)
+  // ═════════════════════════════════════════════════════════════════════════
+
+  if (results.stages) {
+    const st = results.stages;
+    drawSectionHeading('Stage Stresses (ACI 318-19 \u00A724.5)');
+
+    const stageCols = [
+      { label: 'Stage', w: 0.26, align: 'left' },
+      { label: `M (${u.label('moment')})`, w: 0.14, align: 'right' },
+      { label: 'Fiber', w: 0.14, align: 'left' },
+      { label: `f (${u.label('stress')})`, w: 0.16, align: 'right' },
+      { label: `Limit (${u.label('stress')})`, w: 0.16, align: 'right' },
+      { label: 'Status', w: 0.14, align: 'center' },
+    ];
+    const stageW = stageCols.map((c) => c.w * cw);
+    const drawStageRow = (cells, bold) => {
+      let sx = tblLeft;
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      cells.forEach((cell, i) => {
+        const a = stageCols[i].align;
+        const tx = a === 'right' ? sx + stageW[i] - 6 : a === 'center' ? sx + stageW[i] / 2 : sx + 6;
+        doc.text(sanitize(cell), tx, y + 13, { align: a });
+        sx += stageW[i];
+      });
+    };
+
+    ensureSpace(22);
+    doc.setFillColor(...slate200);
+    doc.rect(tblLeft, y, cw, 20, 'F');
+    doc.setFontSize(7.5);
+    doc.setTextColor(...slate600);
+    drawStageRow(stageCols.map((c) => c.label), true);
+    y += 20;
+
+    doc.setFontSize(8.5);
+    doc.setTextColor(...slate800);
+    [
+      ['Transfer', st.transfer],
+      ['Service, sustained', st.sustained],
+      ['Service, total', st.service],
+    ].forEach(([name, stage]) => {
+      stage.checks.forEach((chk, i) => {
+        ensureSpace(20);
+        if (chk.pass) doc.setFillColor(240, 253, 244);
+        else doc.setFillColor(254, 242, 242);
+        doc.rect(tblLeft, y, cw, 19, 'F');
+        drawStageRow([
+          i === 0 ? name : '',
+          i === 0 ? u.num(stage.M / 12, 'moment', 1) : '',
+          chk.fiber,
+          u.num(chk.stress, 'stress', 3),
+          chk.limit == null ? '-' : `${chk.kind === 'compression' ? '' : '-'}${u.num(chk.limit, 'stress', 3)}`,
+          chk.limit == null ? 'class' : chk.pass ? 'OK' : 'NG',
+        ], false);
+        y += 19;
+      });
+    });
+
+    ensureSpace(30);
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7.5);
+    doc.setTextColor(...slate600);
+    drawGreek(
+      doc,
+      `Compression positive, gross section. f'ci = ${u.si ? fmt(st.fci, 'stress', 1) : `${st.fci} ksi`}, ` +
+      `${st.location === 'end'
+        ? `member end (0.70 f'ci, ${u.si ? '0.5' : '6'} sqrt(f'ci))`
+        : `away from ends (0.60 f'ci, ${u.si ? '0.25' : '3'} sqrt(f'ci))`}. ` +
+      `Service: Class ${st.service.classification} (ft = ${fmt(st.service.ft, 'stress', 3)}; ` +
+      `U <= ${u.num(st.service.limits.classU, 'stress', 3)}, T <= ${fmt(st.service.limits.classT, 'stress', 3)}).`,
+      tblLeft, y + 10
+    );
+    y += 26;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // SHEAR STRENGTH (ACI 318-19 §22.5)
+  // ═════════════════════════════════════════════════════════════════════════
+
+  if (results.shear) {
+    const sh = results.shear;
+    drawSectionHeading('Shear Strength (ACI 318-19 \u00A722.5)');
+
+    const governsLabel = sh.governs === 'simplified'
+      ? 'Table 22.5.6.2'
+      : sh.governs === 'nonprestressed' ? `${u.si ? '0.17' : '2'} sqrt(f'c) bw d` : sh.governs;
+    const shearRows = [
+      ['Member', sh.prestressed ? 'Prestressed (\u00A722.5.6)' : 'Nonprestressed (\u00A722.5.5)'],
+      ['bw / d / dp', `${u.num(sh.bw, 'length', 2)} / ${u.num(sh.d, 'length', 2)} / ${fmt(sh.dp, 'length', 2)}`],
+    ];
+    if (sh.simplified) {
+      shearRows.push(['Vc, Table 22.5.6.2', kips(sh.simplified.Vc)]);
+    }
+    if (sh.detailed) {
+      shearRows.push(
+        ['Vci (\u00A722.5.6.3.1)', sh.detailed.Vci == null ? 'no applied moment' : kips(sh.detailed.Vci)],
+        ['Vcw (\u00A722.5.6.3.2)', kips(sh.detailed.Vcw)],
+      );
+      if (sh.detailed.Vp > 0) shearRows.push(['Vp (harped strand)', kips(sh.detailed.Vp)]);
+    }
+    shearRows.push([`\u03D5Vc (${governsLabel})`, kips(sh.phiVc)]);
+    if (sh.Vu > 0) {
+      shearRows.push(
+        ['Vu / Vs required', `${u.num(sh.Vu, 'force', 1)} / ${kips(sh.VsReq)}`],
+        ['Av/s required', fmt(sh.AvsReq, 'areaPerLength', 4)],
+        ['Maximum spacing', `${fmt(sh.sMax, 'length', 1)}${sh.tight ? ' (halved)' : ''}`],
+      );
+      if (sh.spacing != null) {
+        shearRows.push([`Spacing for Av = ${u.si ? fmt(sh.Av, 'area', 0) : `${sh.Av} in2`}`, fmt(sh.spacing, 'length', 2)]);
+      }
+      shearRows.push([`Vs <= ${u.si ? '0.66' : '8'} sqrt(f'c) bw d`, sh.pass ? 'OK' : 'NG, enlarge section']);
+    }
+    shearRows.forEach(([label, value], i) => {
+      ensureSpace(rowH);
+      if (i % 2 === 0) {
+        doc.setFillColor(...slate100);
+        doc.rect(tblLeft, y, cw, rowH, 'F');
+      }
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(...slate600);
+      drawGreek(doc, label, tblLeft + 8, y + 13.5);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...slate800);
+      doc.text(sanitize(value), tblRight - 8, y + 13.5, { align: 'right' });
+      y += rowH;
+    });
+    doc.setDrawColor(...slate200);
+    doc.line(tblLeft, y, tblRight, y);
+    y += 14;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // SPAN ANALYSIS
+  // ═════════════════════════════════════════════════════════════════════════
+
+  if (results.span) {
+    const sp = results.span;
+    drawSectionHeading('Span Analysis');
+
+    const supportName = SUPPORT_TYPES.find((t) => t.id === sp.supports)?.name || sp.supports;
+    const spanRows = [
+      ['Supports / span', `${supportName}, ${u.si ? fmt(sp.L, 'span', 2) : `${sp.L} ft`}`],
+      ['wD (incl. self-weight) / wL', `${u.num(sp.wD, 'lineLoad', 3)} / ${fmt(sp.wL, 'lineLoad', 3)}`],
+      ['Maximum Mu', `${fmt(sp.maxMu.MuPos, 'moment', 1)} at x = ${fmt(sp.maxMu.x, 'span', 2)}`],
+      ['Maximum |Vu|', `${kips(Math.abs(sp.maxVu.Vu), 1)} at x = ${fmt(sp.maxVu.x, 'span', 2)}`],
+      ['Critical section', `x = ${fmt(sp.critical.x, 'span', 2)}, Mu/\u03D5Mn = ${sp.critical.ratio.toFixed(3)}`],
+      ['Mu <= \u03D5Mn along span', sp.pass ? 'OK' : 'NG'],
+    ];
+    spanRows.forEach(([label, value], i) => {
+      ensureSpace(rowH);
+      if (i % 2 === 0) {
+        doc.setFillColor(...slate100);
+        doc.rect(tblLeft, y, cw, rowH, 'F');
+      }
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(...slate600);
+      drawGreek(doc, label, tblLeft + 8, y + 13.5);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...slate800);
+      drawGreek(doc, value, tblRight - 8, y + 13.5, { align: 'right' });
+      y += rowH;
+    });
+    doc.setDrawColor(...slate200);
+    doc.line(tblLeft, y, tblRight, y);
+    y += 14;
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  // CAMBER & DEFLECTION
+  // ═════════════════════════════════════════════════════════════════════════
+
+  if (results.deflection) {
+    const df = results.deflection;
+    drawSectionHeading('Camber & Deflection');
+
+    const k = df.multipliers;
+    const deflRows = [
+      ['Eci / Ec', `${u.num(df.Eci, 'stress', 0)} / ${fmt(df.Ec, 'stress', 0)}`],
+      ['Camber from prestress at release', `${fmt(df.camber, 'length', 3)} up`],
+      ['Self-weight deflection at release', `${fmt(df.selfWeight, 'length', 3)} down`],
+      ['Net camber at release', fmt(df.release, 'length', 3)],
+      [`Net camber at erection (${k.erectionCamber}, ${k.erectionSelfWeight})`, fmt(df.erection, 'length', 3)],
+      ...(df.topping > 0 ? [['Topping weight deflection', `${fmt(df.topping, 'length', 3)} down`]] : []),
+      ['Superimposed dead-load deflection', `${fmt(df.superimposed, 'length', 3)} down`],
+      [`Final camber (${k.finalCamber}, ${k.finalSelfWeight}, ${k.finalSuperimposed})`, fmt(df.final, 'length', 3)],
+      ['Ig / Icr / Ie', `${u.num(df.Ig, 'inertia', 0)} / ${u.num(df.Icr, 'inertia', 0)} / ${fmt(df.Ie, 'inertia', 0)}${df.cracked ? ' (cracked)' : ''}`],
+      ['Live-load deflection', `${fmt(df.live, 'length', 3)} down`],
+      ['Final camber with live load', fmt(df.finalWithLive, 'length', 3)],
+      [`Live load <= span/${df.liveLimit} = ${fmt(df.liveAllowable, 'length', 3)}`, df.pass ? 'OK' : 'NG'],
+    ];
+    deflRows.forEach(([label, value], i) => {
+      ensureSpace(rowH);
+      if (i % 2 === 0) {
+        doc.setFillColor(...slate100);
+        doc.rect(tblLeft, y, cw, rowH, 'F');
+      }
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(...slate600);
+      drawGreek(doc, label, tblLeft + 8, y + 13.5);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...slate800);
+      doc.text(sanitize(value), tblRight - 8, y + 13.5, { align: 'right' });
+      y += rowH;
+    });
+    doc.setDrawColor(...slate200);
+    doc.line(tblLeft, y, tblRight, y);
+    y += 14;
+  }
+
   // ═════════════════════════════════════════════════════════════════════════
   // DIAGRAMS
   // ═════════════════════════════════════════════════════════════════════════
@@ -1035,7 +1451,7 @@ export default async function generatePdfReport(results, section, info) {
     doc.setFontSize(7);
     doc.setTextColor(...slate400);
     doc.text(
-      'ACI 318-19  |  Devalapura-Tadros / PCI Power Formula  |  For educational and preliminary design purposes only',
+      `${code.name}  |  Devalapura-Tadros / PCI Power Formula  |  For educational and preliminary design purposes only`,
       MG,
       footerY + 12
     );
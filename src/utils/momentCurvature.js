@@ -0,0 +1,211 @@
+/**
+ * Moment–curvature (M–φ) response of a section, traced by sweeping the
+ * extreme compression fiber strain εtop from 0 to εcu and solving curvature
+ * κ for axial equilibrium at each step.
+ *
+ * Strains are linear over the depth. With compression positive for concrete
+ * and tension positive for steel:
+ *   εc(y)  = εtop − κ·y
+ *   εs,i   = fse/Es + εdecomp,i + κ·di − εtop
+ * which is the steelStrain() relation of the Whitney solver with κ = εcu/c, so
+ * the prestrain and decompression terms carry over unchanged. Concrete follows
+ * the fiber-section curves of fiberAnalysis.js in compression and is linear up
+ * to the design code's modulus of rupture fr in tension (7.5λ√f'c under
+ * ACI 318, 0.24λ√f'c ksi under AASHTO LRFD), with no tension beyond cracking.
+ * Steel follows the power formula. Unbonded tendons are held at fse, since their stress
+ * increase depends on the whole member rather than the section.
+ *
+ * Moments are about the gross centroid and include the prestress, so M is the
+ * external moment on the section.
+ */
+import {
+  codeProvisions,
+  concreteModulus,
+  decompressionStrains,
+  grossSectionProperties,
+  noncompositeProperties,
+  powerFormulaStress,
+} from './beamCalculations';
+import { concreteStress, sectionFibers } from './fiberAnalysis';
+
+const ECU = 0.003;
+
+/**
+ * Build a solver for the section state at a given top strain. Returns
+ * { state(epsTop, crack) } where state() gives { kappa, M, ... } or null when
+ * no equilibrium is bracketed.
+ */
+function sectionSolver(section, steelLayers, model, points, nFibers) {
+  const { h, fc } = section;
+  const Pu = section.Pu || 0;
+  const props = grossSectionProperties(section);
+  // Prestress acts on the precast alone, before any topping is cast.
+  const decomp = decompressionStrains(steelLayers, noncompositeProperties(section), fc, section.units);
+  const fibers = sectionFibers(section, nFibers);
+  const Ec = concreteModulus(fc, section.units);
+  const fr = codeProvisions(section).modulusOfRupture(fc, section.lambda ?? 1, section.units);
+  const epsCr = fr / Ec;
+
+  const concreteFiberStress = (eps, crack) => {
+    if (eps >= 0) return concreteStress(eps, fc, model, points, section.units);
+    if (crack && -eps > epsCr) return 0;
+    return Ec * eps;
+  };
+
+  const forces = (epsTop, kappa, crack) => {
+    let N = 0;
+    let M = 0;
+    for (const f of fibers) {
+      const F = concreteFiberStress(epsTop - kappa * f.depth, crack) * f.area;
+      N += F;
+      M += F * (props.yCg - f.depth);
+    }
+    const layers = steelLayers.map((l, i) => {
+      const strain = l.bonded === false
+        ? l.fse / l.steel.Es
+        : l.fse / l.steel.Es + decomp[i] + kappa * l.depth - epsTop;
+      const stress = l.bonded === false
+        ? l.fse
+        : Math.min(powerFormulaStress(strain, l.steel), l.fpsMax ?? Infinity);
+      const force = stress * l.area;
+      N -= force;
+      M += force * (l.depth - props.yCg);
+      return { strain, stress, force };
+    });
+    return { N, M, layers };
+  };
+
+  // Solve κ with N = Pu. Raising κ moves the section toward tension, so the
+  // residual falls with κ; the bracket spans reverse curvature (camber under
+  // prestress) to a neutral axis a few hundredths of h below the top.
+  const state = (epsTop, crack = true) => {
+    let lo = -0.004 / h;
+    let hi = Math.max(epsTop, ECU) / (0.02 * h);
+    const res = (k) => forces(epsTop, k, crack).N - Pu;
+    if (res(lo) < 0 || res(hi) > 0) return null;
+    let kappa = 0;
+    for (let it = 0; it < 100; it++) {
+      kappa = (lo + hi) / 2;
+      if (res(kappa) > 0) lo = kappa; else hi = kappa;
+    }
+    const { M, layers } = forces(epsTop, kappa, crack);
+    return {
+      epsTop,
+      kappa,
+      M,
+      MFt: M / 12,
+      epsBottom: epsTop - kappa * h,
+      layers,
+    };
+  };
+
+  return { state, epsCr };
+}
+
+/**
+ * Moment–curvature curve with cracking, first yield and ultimate marked.
+ *
+ *   cracking    – extreme tension fiber reaches fr (solved on the uncracked branch)
+ *   first yield – first bonded tension layer reaches εy = fpy / Es
+ *   ultimate    – extreme compression fiber reaches εcu = 0.003
+ *   μφ = φu / φy (curvature ductility)
+ *
+ * @param {object} section – as for analyzeBeam; section.concreteModel and
+ *   section.concreteCurve select the concrete curve (Hognestad by default)
+ * @param {Array} steelLayers – as for analyzeBeam
+ * @param {object} [opts] – { model, points, steps (default 60), fibers (default 100) }
+ * @returns {object} { points, cracking, firstYield, ultimate, peak, ductility, model }
+ *   with κ in 1/in and moments in kip-in (M) and kip-ft (MFt)
+ */
+export function momentCurvature(section, steelLayers, opts = {}) {
+  const fallbackModel = section.concreteModel && section.concreteModel !== 'none'
+    ? section.concreteModel
+    : 'hognestad';
+  const {
+    model = fallbackModel,
+    points: curvePoints = section.concreteCurve || [],
+    steps = 60,
+    fibers = 100,
+  } = opts;
+  const { state, epsCr } = sectionSolver(section, steelLayers, model, curvePoints, fibers);
+  const pick = ({ epsTop, kappa, M, MFt }) => ({ epsTop, kappa, M, MFt });
+
+  const points = [];
+  for (let k = 0; k <= steps; k++) {
+    const s = state((ECU * k) / steps);
+    if (s) points.push(s);
+  }
+
+  // A prestressed section already needs moment to reach εtop = 0; start the
+  // curve at its unloaded (M = 0, reverse-curvature) state instead.
+  if (points.length && points[0].M > 0) {
+    let lo = -0.002, hi = 0;
+    let rest = null;
+    for (let it = 0; it < 60; it++) {
+      const mid = (lo + hi) / 2;
+      const s = state(mid);
+      if (!s) { lo = mid; continue; }
+      rest = s;
+      if (s.M > 0) hi = mid; else lo = mid;
+    }
+    if (rest && Math.abs(rest.M) < 0.01 * points[0].M) points.unshift(rest);
+  }
+
+  // Cracking: bisection on εtop along the uncracked branch for εbottom = −εcr.
+  let cracking = null;
+  const first = state(0, false);
+  if (first && first.epsBottom > -epsCr) {
+    let lo = 0, hi = ECU;
+    const top = state(hi, false);
+    if (top && top.epsBottom < -epsCr) {
+      let s = first;
+      for (let it = 0; it < 60; it++) {
+        const mid = (lo + hi) / 2;
+        const t = state(mid, false);
+        if (!t) break;
+        s = t;
+        if (t.epsBottom > -epsCr) lo = mid; else hi = mid;
+      }
+      cracking = pick(s);
+    }
+  }
+
+  // First yield: interpolate between sweep points on the bonded tension layer
+  // that first reaches its yield strain.
+  let firstYield = null;
+  for (let k = 1; k < points.length && !firstYield; k++) {
+    const p = points[k - 1], q = points[k];
+    steelLayers.forEach((l, i) => {
+      if (l.bonded === false || firstYield) return;
+      const ey = l.steel.fpy / l.steel.Es;
+      const e0 = p.layers[i].strain, e1 = q.layers[i].strain;
+      if (e0 < ey && e1 >= ey) {
+        const t = (ey - e0) / (e1 - e0);
+        firstYield = {
+          epsTop: p.epsTop + t * (q.epsTop - p.epsTop),
+          kappa: p.kappa + t * (q.kappa - p.kappa),
+          M: p.M + t * (q.M - p.M),
+          MFt: (p.M + t * (q.M - p.M)) / 12,
+          layer: i,
+        };
+      }
+    });
+  }
+
+  const last = points[points.length - 1];
+  const ultimate = last && last.epsTop >= ECU - 1e-12 ? pick(last) : null;
+  let peak = null;
+  for (const p of points) if (!peak || p.M > peak.M) peak = p;
+
+  return {
+    model,
+    points: points.map(pick),
+    cracking,
+    firstYield,
+    ultimate,
+    peak: peak ? pick(peak) : null,
+    ductility: ultimate && firstYield && firstYield.kappa > 0
+      ? ultimate.kappa / firstYield.kappa
+      : null,
+  };
+}
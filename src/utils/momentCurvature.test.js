@@ -0,0 +1,85 @@
+/**
+ * Tests for the moment–curvature sweep: the cracking point against the
+ * transformed uncracked section, the ultimate point against the fiber solver,
+ * and the prestressed starting state (reverse curvature at M = 0).
+ */
+import { describe, it, expect } from 'vitest';
+import { momentCurvature } from './momentCurvature';
+import { analyzeFiber } from './fiberAnalysis';
+import { concreteModulus } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+
+describe('momentCurvature — RC beam', () => {
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 4 };
+  const layers = [{ area: 3.0, depth: 21.5, fse: 0, steel: GR60 }];
+  const mk = momentCurvature(section, layers);
+
+  it('cracks near the transformed-section Mcr', () => {
+    // Uncracked transformed section with n·As at d (the fiber model does not
+    // deduct the concrete displaced by the bar):
+    const n = GR60.Es / concreteModulus(4);
+    const At = 288 + n * 3;
+    const y = (288 * 12 + n * 3 * 21.5) / At;
+    const It = (12 * 24 ** 3) / 12 + 288 * (12 - y) ** 2 + n * 3 * (21.5 - y) ** 2;
+    const fr = (7.5 * Math.sqrt(4000)) / 1000;
+    const Mcr = (fr * It) / (24 - y);
+    expect(mk.cracking.M / Mcr).toBeGreaterThan(0.97);
+    expect(mk.cracking.M / Mcr).toBeLessThan(1.01);
+  });
+  it('cracks at the AASHTO LRFD fr = 0.24λ√f\'c under that code', () => {
+    const aashto = momentCurvature({ ...section, code: 'aashto' }, layers);
+    const ratio = (0.24 * Math.sqrt(4)) / ((7.5 * Math.sqrt(4000)) / 1000);
+    expect(aashto.cracking.M / mk.cracking.M).toBeCloseTo(ratio, 3);
+  });
+  it('yields the bar at εy = fy / Es before ultimate', () => {
+    expect(mk.firstYield.layer).toBe(0);
+    expect(mk.firstYield.M).toBeLessThan(mk.ultimate.M);
+    expect(mk.firstYield.kappa).toBeGreaterThan(mk.cracking.kappa);
+    expect(mk.ductility).toBeGreaterThan(2);
+  });
+  it('ends at the fiber-section Mn', () => {
+    const fib = analyzeFiber(section, layers, { model: 'hognestad' });
+    expect(mk.ultimate.epsTop).toBeCloseTo(0.003, 10);
+    expect(mk.ultimate.MFt / fib.MnFt).toBeCloseTo(1, 2);
+    // Concrete tension just below the neutral axis shifts c slightly.
+    expect((mk.ultimate.kappa * fib.c) / 0.003).toBeCloseTo(1, 1);
+  });
+});
+
+describe('momentCurvature — pretensioned beam', () => {
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+  const layers = [{ area: 1.224, depth: 20, fse: 160, steel: GR270 }];
+  const mk = momentCurvature(section, layers);
+
+  it('starts from the unloaded state with reverse curvature', () => {
+    expect(mk.points[0].M).toBeCloseTo(0, 0);
+    expect(mk.points[0].kappa).toBeLessThan(0);
+  });
+  it('orders cracking, first yield and ultimate', () => {
+    expect(mk.cracking.M).toBeGreaterThan(0);
+    expect(mk.firstYield.M).toBeGreaterThan(mk.cracking.M);
+    expect(mk.ultimate.M).toBeGreaterThan(mk.firstYield.M);
+  });
+  it('matches the fiber solver at ultimate', () => {
+    const fib = analyzeFiber(section, layers, { model: 'hognestad' });
+    expect(mk.ultimate.MFt / fib.MnFt).toBeCloseTo(1, 2);
+  });
+});
+
+describe('momentCurvature — pretensioned beam with a topping', () => {
+  // Enough strand that it stays below fpu, so Mn depends on the prestrain.
+  const section = {
+    sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 26, fc: 6,
+    topping: { bt: 12, ht: 2, fc: 6 },
+  };
+  const layers = [{ area: 2.448, depth: 24, fse: 160, steel: GR270 }];
+  const mk = momentCurvature(section, layers);
+
+  it('takes the decompression strain on the precast, as the fiber solver does', () => {
+    const fib = analyzeFiber(section, layers, { model: 'hognestad' });
+    expect(mk.ultimate.MFt / fib.MnFt).toBeCloseTo(1, 3);
+  });
+});
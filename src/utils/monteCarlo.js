@@ -0,0 +1,189 @@
+/**
+ * Monte Carlo reliability of the flexural capacity. Each trial draws the
+ * material and geometric variables below, runs analyzeBeam() on the section
+ * so modified and records the capacity R (Mn by default, or φMn). From the
+ * trials come the capacity's mean, COV and bias (mean / nominal), the
+ * probability of failure against a deterministic demand,
+ *
+ *   pf = P(R < Mu)                  (share of trials)
+ *   β  = −Φ⁻¹(pf)
+ *
+ * and, since pf is only resolved to about 1/trials, the reliability index of
+ * a lognormal R with the sampled mean and COV,
+ *
+ *   β = [ln(R̄ / Mu) − σ²/2] / σ,   σ² = ln(1 + V²)
+ *
+ * Each variable is a factor on its nominal value with a mean (the bias λ) and
+ * coefficient of variation V, normal or lognormal:
+ *
+ *   fc      f'c of the section
+ *   fpu     strength of the prestressing steel (fpu, fpy and the stress cap)
+ *   area    Aps, the area of every prestressing layer
+ *   depth   dp, the depth of every prestressing layer
+ *   fse     effective prestress of every prestressing layer
+ *
+ * One factor per variable and trial is applied to all layers alike (fully
+ * correlated); mild steel stays at its nominal values. The defaults are
+ * typical of the calibration literature and should be replaced with
+ * statistics of the population at hand. Trials are reproducible: the same
+ * seed draws the same samples.
+ */
+import { analyzeBeam } from './beamCalculations';
+
+/** Random variables with their default statistics. */
+export const RANDOM_VARIABLES = [
+  { id: 'fc', name: "f'c", dist: 'normal', bias: 1.15, cov: 0.12 },
+  { id: 'fpu', name: 'fpu', dist: 'normal', bias: 1.04, cov: 0.015 },
+  { id: 'area', name: 'Aps', dist: 'normal', bias: 1.01, cov: 0.0125 },
+  { id: 'depth', name: 'dp', dist: 'normal', bias: 1.0, cov: 0.03 },
+  { id: 'fse', name: 'fse', dist: 'normal', bias: 1.0, cov: 0.1 },
+];
+
+const isPrestressing = (l) => l.steel?.category === 'prestressing';
+
+/**
+ * Seeded uniform generator on [0, 1) (mulberry32): the same integer seed
+ * gives the same sequence.
+ */
+export function seededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Inverse of the standard normal CDF, Φ⁻¹(p) for 0 < p < 1 (Acklam's rational
+ * approximation, relative error below 1.2e-9).
+ */
+export function normalInverse(p) {
+  if (!(p > 0 && p < 1)) throw new Error('normalInverse: p must lie strictly between 0 and 1.');
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+    / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q)
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Standard normal draw (Box–Muller) from a uniform generator.
+function standardNormal(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Factor with mean bias and COV cov from a standard normal draw z.
+function factor({ dist, bias, cov }, z) {
+  if (dist === 'lognormal') {
+    const s2 = Math.log(1 + cov * cov);
+    return Math.exp(Math.log(bias) - s2 / 2 + Math.sqrt(s2) * z);
+  }
+  return bias * (1 + cov * z);
+}
+
+// Section and layers with every variable at its factor.
+function sampled(section, layers, f) {
+  const sec = { ...section, fc: section.fc * f.fc };
+  const lays = layers.map((l) => {
+    if (!isPrestressing(l)) return l;
+    const steel = { ...l.steel, fpu: l.steel.fpu * f.fpu, fpy: l.steel.fpy * f.fpu, stressCap: l.steel.stressCap * f.fpu };
+    return { ...l, steel, area: l.area * f.area, depth: l.depth * f.depth, fse: l.fse * f.fse };
+  });
+  return { section: sec, layers: lays };
+}
+
+/**
+ * Run the Monte Carlo simulation.
+ *
+ * @param {object} section – analysis section as for analyzeBeam()
+ * @param {Array} layers – analysis layers
+ * @param {object} [opts] – { trials: 2000, seed: 1, Mu (kip-ft, default
+ *   section.Mu), capacity: 'MnFt' | 'phiMnFt', variables: { id: { dist,
+ *   bias, cov } } overriding RANDOM_VARIABLES }
+ * @returns {object} { trials, samples (capacities of the valid trials, kip-ft,
+ *   ascending), failed (trials with no valid analysis, e.g. dp past the
+ *   soffit), nominal, mean, sd, cov, bias, p05, Mu, pf, betaEmpirical (null
+ *   when pf is 0 or 1), beta (lognormal; null without scatter), variables }
+ */
+export function monteCarlo(section, layers, opts = {}) {
+  const { trials = 2000, seed = 1, capacity = 'MnFt' } = opts;
+  const Mu = opts.Mu ?? section.Mu ?? 0;
+  if (!(trials >= 2 && trials <= 100000)) throw new Error('Monte Carlo: enter between 2 and 100,000 trials.');
+  const variables = RANDOM_VARIABLES.map((v) => ({ ...v, ...opts.variables?.[v.id] }));
+  const bad = variables.find((v) => !(v.bias > 0) || !(v.cov >= 0));
+  if (bad) throw new Error(`Monte Carlo: ${bad.name} needs a positive bias and a COV of zero or more.`);
+
+  const nominal = analyzeBeam(section, layers);
+  if (!nominal.converged) throw new Error('Monte Carlo: the nominal section has no force equilibrium.');
+  const random = seededRandom(seed);
+  const samples = [];
+  let failed = 0;
+  for (let i = 0; i < Math.floor(trials); i++) {
+    // Every variable is drawn each trial, so a variable's samples do not
+    // depend on the statistics of the others.
+    const f = Object.fromEntries(variables.map((v) => [v.id, factor(v, standardNormal(random))]));
+    const trial = sampled(section, layers, f);
+    if (!(trial.section.fc > 0) || trial.layers.some((l) => !(l.depth > 0 && l.depth < section.h && l.area >= 0))) {
+      failed++;
+      continue;
+    }
+    const r = analyzeBeam(trial.section, trial.layers);
+    if (!r.converged || !Number.isFinite(r[capacity])) {
+      failed++;
+      continue;
+    }
+    samples.push(r[capacity]);
+  }
+  if (samples.length < 2) throw new Error('Monte Carlo: too few trials gave a valid analysis.');
+  samples.sort((a, b) => a - b);
+
+  const n = samples.length;
+  const mean = samples.reduce((s, x) => s + x, 0) / n;
+  const sd = Math.sqrt(samples.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1));
+  const cov = sd / mean;
+  let pf = null;
+  let betaEmpirical = null;
+  let beta = null;
+  if (Mu > 0) {
+    pf = samples.filter((x) => x < Mu).length / n;
+    betaEmpirical = pf > 0 && pf < 1 ? -normalInverse(pf) : null;
+    const s2 = Math.log(1 + cov * cov);
+    beta = s2 > 0 ? (Math.log(mean / Mu) - s2 / 2) / Math.sqrt(s2) : null;
+  }
+  return {
+    trials: Math.floor(trials),
+    samples,
+    failed,
+    nominal: nominal[capacity],
+    mean,
+    sd,
+    cov,
+    bias: mean / nominal[capacity],
+    p05: samples[Math.floor(0.05 * (n - 1))],
+    Mu: Mu > 0 ? Mu : null,
+    pf,
+    betaEmpirical,
+    beta,
+    variables,
+  };
+}
+
+/** Equal-width histogram of the samples: [{ from, to, count }]. */
+export function histogram(samples, bins = 30) {
+  const lo = samples[0];
+  const hi = samples[samples.length - 1];
+  const width = (hi - lo) / bins || 1;
+  const out = Array.from({ length: bins }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }));
+  for (const x of samples) out[Math.min(Math.floor((x - lo) / width), bins - 1)].count++;
+  return out;
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests for the Monte Carlo reliability analysis: the seeded generator, the
+ * inverse normal CDF, reproducible capacity statistics and the two
+ * reliability indices.
+ */
+import { describe, it, expect } from 'vitest';
+import { histogram, monteCarlo, normalInverse, RANDOM_VARIABLES, seededRandom } from './monteCarlo';
+import { analyzeBeam } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+const RECT = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 28, h: 28, fc: 6 };
+const LAYERS = [
+  { area: 0.612, depth: 24, fse: 160, steel: GR270 },
+  { area: 0.4, depth: 25, fse: 0, steel: GR60 },
+];
+const FIXED = Object.fromEntries(RANDOM_VARIABLES.map((v) => [v.id, { bias: 1, cov: 0 }]));
+
+describe('seededRandom and normalInverse', () => {
+  it('repeats a sequence for a seed and spreads it over [0, 1)', () => {
+    const a = seededRandom(42);
+    const b = seededRandom(42);
+    const xs = Array.from({ length: 5000 }, () => a());
+    expect(Array.from({ length: 5000 }, () => b())).toEqual(xs);
+    expect(xs.every((x) => x >= 0 && x < 1)).toBe(true);
+    expect(xs.reduce((s, x) => s + x, 0) / xs.length).toBeCloseTo(0.5, 1);
+    expect(seededRandom(43)()).not.toBe(seededRandom(42)());
+  });
+
+  it('inverts the standard normal CDF in the body and the tails', () => {
+    expect(normalInverse(0.5)).toBeCloseTo(0, 10);
+    expect(normalInverse(0.975)).toBeCloseTo(1.959964, 5);
+    expect(normalInverse(0.00134990)).toBeCloseTo(-3, 4);
+    expect(normalInverse(1 - 2.866516e-7)).toBeCloseTo(5, 3);
+    expect(() => normalInverse(0)).toThrow('strictly between');
+  });
+});
+
+describe('monteCarlo', () => {
+  it('returns the nominal capacity for every trial without scatter', () => {
+    const mc = monteCarlo(RECT, LAYERS, { trials: 20, variables: FIXED, Mu: 200 });
+    const Mn = analyzeBeam(RECT, LAYERS).MnFt;
+    expect(mc.samples).toHaveLength(20);
+    mc.samples.forEach((x) => expect(x).toBeCloseTo(Mn, 8));
+    expect(mc.bias).toBeCloseTo(1, 8);
+    expect(mc.cov).toBeCloseTo(0, 8);
+    expect(mc.pf).toBe(0);
+    expect(mc.beta).toBeNull();
+  });
+
+  it('reproduces a run from its seed and follows the bias of the steel', () => {
+    const a = monteCarlo(RECT, LAYERS, { trials: 400, seed: 7 });
+    expect(monteCarlo(RECT, LAYERS, { trials: 400, seed: 7 }).samples).toEqual(a.samples);
+    expect(monteCarlo(RECT, LAYERS, { trials: 400, seed: 8 }).mean).not.toBe(a.mean);
+    // Under-reinforced: the capacity follows Aps·fpu (biases 1.01 and 1.04)
+    // more than f'c, with a COV of a few percent.
+    expect(a.bias).toBeGreaterThan(1.02);
+    expect(a.bias).toBeLessThan(1.08);
+    expect(a.cov).toBeGreaterThan(0.01);
+    expect(a.cov).toBeLessThan(0.06);
+    expect(a.samples[0]).toBeLessThanOrEqual(a.p05);
+    expect(a.p05).toBeLessThan(a.mean);
+  });
+
+  it('agrees on β from the failure count and from the lognormal fit', () => {
+    const base = monteCarlo(RECT, LAYERS, { trials: 4000, seed: 3 });
+    // A demand at the 10th percentile of capacity: pf ≈ 0.1, β ≈ 1.28.
+    const Mu = base.samples[Math.floor(0.1 * base.samples.length)];
+    const mc = monteCarlo(RECT, LAYERS, { trials: 4000, seed: 3, Mu });
+    expect(mc.pf).toBeCloseTo(0.1, 2);
+    expect(mc.betaEmpirical).toBeCloseTo(1.28, 1);
+    expect(Math.abs(mc.beta - mc.betaEmpirical)).toBeLessThan(0.2);
+  });
+
+  it('samples lognormal variables and counts trials that leave the section', () => {
+    const deep = [{ ...LAYERS[0], depth: 27 }];
+    const mc = monteCarlo(RECT, deep, {
+      trials: 500,
+      variables: { depth: { cov: 0.05 }, fc: { dist: 'lognormal', cov: 0.3 } },
+    });
+    expect(mc.failed).toBeGreaterThan(0);
+    expect(mc.samples.length + mc.failed).toBe(500);
+    expect(mc.samples.every((x) => x > 0)).toBe(true);
+  });
+
+  it('rejects bad trial counts and statistics', () => {
+    expect(() => monteCarlo(RECT, LAYERS, { trials: 1 })).toThrow('trials');
+    expect(() => monteCarlo(RECT, LAYERS, { variables: { fc: { cov: -0.1 } } })).toThrow("f'c needs a positive bias");
+  });
+});
+
+describe('histogram', () => {
+  it('bins every sample', () => {
+    const { samples } = monteCarlo(RECT, LAYERS, { trials: 300 });
+    const bins = histogram(samples, 12);
+    expect(bins).toHaveLength(12);
+    expect(bins.reduce((s, b) => s + b.count, 0)).toBe(300);
+    expect(bins[0].from).toBe(samples[0]);
+    expect(bins.at(-1).to).toBeCloseTo(samples.at(-1), 8);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Parametric sweeps and sensitivities of the flexural analysis. One or two
+ * inputs are stepped over a range and analyzeBeam() is run at every point;
+ * the tornado study moves each input ±delta (10 %) about its base value and
+ * records the swing of one output.
+ *
+ * Inputs that span several layers are varied as a whole, keeping the layers'
+ * proportions:
+ *
+ *   fc      f'c of the section (ksi)
+ *   fse     Aps-weighted mean fse of the prestressed layers; each is scaled
+ *   depth   area-weighted steel centroid depth; every layer is shifted
+ *   area    total steel area; every layer is scaled
+ *
+ * Points where the analysis fails (a layer pushed out of the section, no
+ * equilibrium) keep a null result and the error message, so a chart shows a
+ * gap rather than stopping the sweep. The section is analyzed as given, with
+ * fully developed layers; span and development effects are not swept.
+ */
+import { analyzeBeam } from './beamCalculations';
+import { toDisplay, unitLabel } from './units';
+
+const prestressed = (layers) => layers.filter((l) => l.fse > 0);
+const totalArea = (layers) => layers.reduce((s, l) => s + l.area, 0);
+
+/** Sweepable inputs: base value, and the section and layers at a new value. */
+export const SWEEP_PARAMETERS = [
+  {
+    id: 'fc',
+    name: "f'c",
+    quantity: 'stress',
+    base: (section) => section.fc,
+    apply: (section, layers, v) => ({ section: { ...section, fc: v }, layers }),
+  },
+  {
+    id: 'fse',
+    name: 'fse',
+    quantity: 'stress',
+    base: (section, layers) => {
+      const ps = prestressed(layers);
+      const A = totalArea(ps);
+      return A > 0 ? ps.reduce((s, l) => s + l.fse * l.area, 0) / A : 0;
+    },
+    apply: (section, layers, v, base) => ({
+      section,
+      layers: layers.map((l) => (l.fse > 0 ? { ...l, fse: (l.fse * v) / base } : l)),
+    }),
+  },
+  {
+    id: 'depth',
+    name: 'Steel depth',
+    quantity: 'length',
+    base: (section, layers) => layers.reduce((s, l) => s + l.depth * l.area, 0) / totalArea(layers),
+    apply: (section, layers, v, base) => {
+      const shifted = layers.map((l) => ({ ...l, depth: l.depth + v - base }));
+      if (shifted.some((l) => !(l.depth > 0 && l.depth < section.h))) {
+        throw new Error('A layer lies outside the section at this depth.');
+      }
+      return { section, layers: shifted };
+    },
+  },
+  {
+    id: 'area',
+    name: 'Steel area',
+    quantity: 'area',
+    base: (section, layers) => totalArea(layers),
+    apply: (section, layers, v, base) => ({
+      section,
+      layers: layers.map((l) => ({ ...l, area: (l.area * v) / base })),
+    }),
+  },
+];
+
+/** Results recorded at each point, with their display quantity. */
+export const SWEEP_OUTPUTS = [
+  { id: 'phiMnFt', name: 'φMn', quantity: 'moment', value: (r) => r.phiMnFt },
+  { id: 'MnFt', name: 'Mn', quantity: 'moment', value: (r) => r.MnFt },
+  { id: 'c', name: 'c', quantity: 'length', value: (r) => r.c },
+  { id: 'epsilonT', name: 'εt', quantity: null, value: (r) => r.epsilonT },
+  { id: 'phi', name: 'φ', quantity: null, value: (r) => r.phi },
+  { id: 'McrFt', name: 'Mcr', quantity: 'moment', value: (r) => r.cracking.McrFt },
+];
+
+function parameter(id) {
+  const p = SWEEP_PARAMETERS.find((q) => q.id === id);
+  if (!p) throw new Error(`Unknown sweep parameter "${id}"`);
+  return p;
+}
+
+/** Base value of a parameter for the section and layers. */
+export function parameterBase(id, section, layers) {
+  return parameter(id).base(section, layers);
+}
+
+// Evenly spaced values from..to.
+function range({ from, to, steps = 21 }) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || !(steps >= 2)) {
+    throw new Error('Sweep: enter a finite range and at least 2 steps.');
+  }
+  const n = Math.floor(steps);
+  return Array.from({ length: n }, (_, i) => from + ((to - from) * i) / (n - 1));
+}
+
+// Analyze at the given parameter values ({ id: value }); outputs or an error.
+function evaluate(section, layers, values) {
+  try {
+    let state = { section, layers };
+    for (const [id, v] of Object.entries(values)) {
+      const p = parameter(id);
+      const base = p.base(state.section, state.layers);
+      if (!(base > 0)) throw new Error(`No ${p.name} to vary in this section.`);
+      state = p.apply(state.section, state.layers, v, base);
+    }
+    if (!(state.section.fc > 0)) throw new Error("f'c must be positive.");
+    const r = analyzeBeam(state.section, state.layers);
+    if (!r.converged) throw new Error('No force equilibrium.');
+    return { outputs: Object.fromEntries(SWEEP_OUTPUTS.map((o) => [o.id, o.value(r)])), error: null };
+  } catch (err) {
+    return { outputs: null, error: err.message };
+  }
+}
+
+/**
+ * Vary one input over a range.
+ *
+ * @param {object} axis – { param, from, to, steps: 21 }
+ * @returns {object} { x: { param, values }, points: [{ x, outputs, error }] }
+ */
+export function sweep1D(section, layers, axis) {
+  parameter(axis.param);
+  const values = range(axis);
+  return {
+    x: { param: axis.param, values },
+    points: values.map((x) => ({ x, ...evaluate(section, layers, { [axis.param]: x }) })),
+  };
+}
+
+/**
+ * Vary two inputs over a grid.
+ *
+ * @param {object} xAxis, yAxis – { param, from, to, steps }
+ * @returns {object} { x, y, grid: [row j][column i] of { x, y, outputs, error } }
+ */
+export function sweep2D(section, layers, xAxis, yAxis) {
+  if (xAxis.param === yAxis.param) throw new Error('Sweep: choose two different inputs.');
+  const xs = range(xAxis);
+  const ys = range(yAxis);
+  return {
+    x: { param: xAxis.param, values: xs },
+    y: { param: yAxis.param, values: ys },
+    grid: ys.map((y) => xs.map((x) => ({
+      x, y, ...evaluate(section, layers, { [xAxis.param]: x, [yAxis.param]: y }),
+    }))),
+  };
+}
+
+/**
+ * ±delta sensitivities of one output to each input, largest swing first.
+ *
+ * @param {object} [opts] – { output: 'phiMnFt', delta: 0.1, params: all ids }
+ * @returns {object} { output, delta, base, bars: [{ param, baseValue, low,
+ *   high, swing }] } with low and high the output at (1 ∓ delta)·base, null
+ *   where the analysis fails (the swing then runs from the base output to
+ *   the other side); inputs with no base value are skipped
+ */
+export function tornado(section, layers, opts = {}) {
+  const { output = 'phiMnFt', delta = 0.1, params = SWEEP_PARAMETERS.map((p) => p.id) } = opts;
+  const base = evaluate(section, layers, {}).outputs?.[output] ?? null;
+  const bars = params
+    .map((id) => {
+      const baseValue = parameterBase(id, section, layers);
+      if (!(baseValue > 0)) return null;
+      const at = (f) => evaluate(section, layers, { [id]: baseValue * f }).outputs?.[output] ?? null;
+      const low = at(1 - delta);
+      const high = at(1 + delta);
+      const swing = base == null ? 0 : Math.abs((high ?? base) - (low ?? base));
+      return { param: id, baseValue, low, high, swing };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.swing - a.swing);
+  return { output, delta, base, bars };
+}
+
+/**
+ * CSV of a sweep, one row per point: the input value(s) and every output in
+ * the units of system ('US' or 'SI'); failed points leave the outputs blank
+ * and give the error.
+ */
+export function sweepCsv(sweep, system = 'US') {
+  const head = (id, quantity) => (quantity ? `${id} (${unitLabel(quantity, system)})` : id);
+  const num = (v, quantity) => {
+    if (v == null) return '';
+    return String(+(quantity ? toDisplay(v, quantity, system) : v).toPrecision(6));
+  };
+  const axes = [sweep.x, ...(sweep.y ? [sweep.y] : [])].map((a) => parameter(a.param));
+  const header = [
+    ...axes.map((p) => head(p.id, p.quantity)),
+    ...SWEEP_OUTPUTS.map((o) => head(o.id, o.quantity)),
+    'error',
+  ];
+  const points = sweep.grid ? sweep.grid.flat() : sweep.points;
+  const rows = points.map((pt) => [
+    ...(sweep.grid ? [pt.x, pt.y] : [pt.x]).map((v, i) => num(v, axes[i].quantity)),
+    ...SWEEP_OUTPUTS.map((o) => (pt.outputs ? num(pt.outputs[o.id], o.quantity) : '')),
+    pt.error ? `"${pt.error.replace(/"/g, '""')}"` : '',
+  ]);
+  return [header, ...rows].map((r) => r.join(',')).join('\n');
+}
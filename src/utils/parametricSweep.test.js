@@ -0,0 +1,114 @@
+/**
+ * Tests for the parametric sweeps: one- and two-input runs against direct
+ * analyzeBeam calls, failed points, the ±10 % tornado and the CSV export.
+ */
+import { describe, it, expect } from 'vitest';
+import { parameterBase, sweep1D, sweep2D, sweepCsv, tornado } from './parametricSweep';
+import { analyzeBeam } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+const RECT = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 28, h: 28, fc: 6 };
+const LAYERS = [
+  { area: 0.612, depth: 21, fse: 160, steel: GR270 },
+  { area: 0.4, depth: 22, fse: 0, steel: GR60 },
+];
+
+describe('sweep1D', () => {
+  it("matches analyzeBeam at each f'c", () => {
+    const s = sweep1D(RECT, LAYERS, { param: 'fc', from: 4, to: 10, steps: 4 });
+    expect(s.x.values).toEqual([4, 6, 8, 10]);
+    s.points.forEach((pt) => {
+      const r = analyzeBeam({ ...RECT, fc: pt.x }, LAYERS);
+      expect(pt.outputs.phiMnFt).toBeCloseTo(r.phiMnFt, 6);
+      expect(pt.outputs.c).toBeCloseTo(r.c, 6);
+    });
+    // Stronger concrete raises the capacity.
+    const m = s.points.map((pt) => pt.outputs.phiMnFt);
+    expect(m[3]).toBeGreaterThan(m[0]);
+  });
+
+  it('shifts every layer with the steel centroid and scales the areas together', () => {
+    expect(parameterBase('depth', RECT, LAYERS)).toBeCloseTo((0.612 * 21 + 0.4 * 22) / 1.012, 10);
+    const base = parameterBase('depth', RECT, LAYERS);
+    const d = sweep1D(RECT, LAYERS, { param: 'depth', from: base - 2, to: base, steps: 2 });
+    const shifted = LAYERS.map((l) => ({ ...l, depth: l.depth - 2 }));
+    expect(d.points[0].outputs.phiMnFt).toBeCloseTo(analyzeBeam(RECT, shifted).phiMnFt, 6);
+
+    const a = sweep1D(RECT, LAYERS, { param: 'area', from: 2.024, to: 2.024, steps: 2 });
+    const doubled = LAYERS.map((l) => ({ ...l, area: 2 * l.area }));
+    expect(a.points[0].outputs.phiMnFt).toBeCloseTo(analyzeBeam(RECT, doubled).phiMnFt, 6);
+  });
+
+  it('scales only the prestressed layers with fse', () => {
+    expect(parameterBase('fse', RECT, LAYERS)).toBe(160);
+    const s = sweep1D(RECT, LAYERS, { param: 'fse', from: 80, to: 80, steps: 2 });
+    const halved = [{ ...LAYERS[0], fse: 80 }, LAYERS[1]];
+    expect(s.points[0].outputs.MnFt).toBeCloseTo(analyzeBeam(RECT, halved).MnFt, 6);
+  });
+
+  it('keeps failed points with their error and rejects a bad range', () => {
+    const s = sweep1D(RECT, LAYERS, { param: 'depth', from: 20, to: 34, steps: 3 });
+    expect(s.points[0].outputs).not.toBeNull();
+    expect(s.points[2].outputs).toBeNull();
+    expect(s.points[2].error).toMatch(/outside the section/);
+    expect(() => sweep1D(RECT, LAYERS, { param: 'fc', from: 4, to: 8, steps: 1 })).toThrow('at least 2 steps');
+    expect(() => sweep1D(RECT, LAYERS, { param: 'span', from: 1, to: 2 })).toThrow('Unknown sweep parameter');
+  });
+});
+
+describe('sweep2D', () => {
+  it('evaluates every grid point, rows along the second input', () => {
+    const s = sweep2D(RECT, LAYERS, { param: 'fc', from: 5, to: 7, steps: 3 }, { param: 'area', from: 0.8, to: 1.2, steps: 2 });
+    expect(s.grid).toHaveLength(2);
+    expect(s.grid[0]).toHaveLength(3);
+    const pt = s.grid[1][2];
+    expect(pt).toMatchObject({ x: 7, y: 1.2 });
+    const scaled = LAYERS.map((l) => ({ ...l, area: (l.area * 1.2) / 1.012 }));
+    expect(pt.outputs.phiMnFt).toBeCloseTo(analyzeBeam({ ...RECT, fc: 7 }, scaled).phiMnFt, 6);
+    expect(() => sweep2D(RECT, LAYERS, { param: 'fc', from: 5, to: 7 }, { param: 'fc', from: 5, to: 7 }))
+      .toThrow('two different inputs');
+  });
+});
+
+describe('tornado', () => {
+  it('ranks the ±10 % swings and brackets the base value', () => {
+    const t = tornado(RECT, LAYERS);
+    expect(t.base).toBeCloseTo(analyzeBeam(RECT, LAYERS).phiMnFt, 6);
+    expect(t.bars.map((b) => b.param).sort()).toEqual(['area', 'depth', 'fc', 'fse']);
+    t.bars.slice(1).forEach((b, i) => expect(b.swing).toBeLessThanOrEqual(t.bars[i].swing));
+    // Steel depth and area govern an under-reinforced section more than f'c.
+    const swing = Object.fromEntries(t.bars.map((b) => [b.param, b.swing]));
+    expect(swing.depth).toBeGreaterThan(swing.fc);
+    expect(swing.area).toBeGreaterThan(swing.fc);
+    const area = t.bars.find((b) => b.param === 'area');
+    expect(area.low).toBeLessThan(t.base);
+    expect(area.high).toBeGreaterThan(t.base);
+  });
+
+  it('measures a one-sided swing when a side pushes steel out of the section', () => {
+    const deep = { ...LAYERS[1], depth: 26.5 };
+    const t = tornado(RECT, [LAYERS[0], deep]);
+    const depth = t.bars.find((b) => b.param === 'depth');
+    expect(depth.high).toBeNull();
+    expect(depth.swing).toBeCloseTo(t.base - depth.low, 10);
+  });
+
+  it('skips fse without prestressed layers', () => {
+    const t = tornado(RECT, [LAYERS[1]], { output: 'MnFt' });
+    expect(t.bars.map((b) => b.param)).not.toContain('fse');
+  });
+});
+
+describe('sweepCsv', () => {
+  it('writes a header with units and one row per point', () => {
+    const s = sweep1D(RECT, LAYERS, { param: 'depth', from: 20, to: 34, steps: 3 });
+    const lines = sweepCsv(s).split('\n');
+    expect(lines[0]).toBe('depth (in),phiMnFt (kip-ft),MnFt (kip-ft),c (in),epsilonT,phi,McrFt (kip-ft),error');
+    expect(lines).toHaveLength(4);
+    expect(lines[1].split(',')[0]).toBe('20');
+    expect(lines[3]).toMatch(/^34,,,,,,,"A layer lies/);
+    expect(sweepCsv(s, 'SI').split('\n')[1].split(',')[0]).toBe('508');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Least-squares fit of the Devalapura–Tadros power-formula constants Q, R and
+ * K (powerFormulaStress) to measured stress–strain data, e.g. a strand
+ * supplier's test curve or mill certificate. With Es, fpy and fpu fixed, the
+ * fit minimizes
+ *
+ *   S(Q, R, K) = Σ [fs(εi; Q, R, K) − fi]²
+ *
+ * by Nelder–Mead over (Q, ln R, K), from several starting R so that the
+ * sharp-knee and the rounded solutions are both tried. Q is held to [0, 1)
+ * and K to (0, 2], which keeps the fitted curve rising (see steelGrades.js).
+ *
+ * Es, fpy and fpu default to estimates from the data: Es the slope through
+ * the origin of the points below half the peak stress, fpy the stress at
+ * 1 % strain (ASTM A416) and fpu the peak stress. Stresses are ksi.
+ */
+import { powerFormulaStress } from './beamCalculations';
+
+/**
+ * Read (strain, stress) pairs from CSV text: one pair per line separated by
+ * commas, semicolons, tabs or spaces; lines that do not start with two
+ * numbers (headers, notes) are skipped. strainPercent reads strains given in
+ * percent. Sorted by strain.
+ */
+export function parseStressStrainCsv(text, { strainPercent = false } = {}) {
+  const points = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const [a, b] = line.trim().split(/[\s,;]+/).map(Number);
+    if (Number.isFinite(a) && Number.isFinite(b)) {
+      points.push({ strain: strainPercent ? a / 100 : a, stress: b });
+    }
+  }
+  if (points.length < 4) throw new Error('Stress–strain data: enter at least 4 strain, stress pairs.');
+  if (points.some((p) => p.strain < 0 || p.stress < 0)) {
+    throw new Error('Stress–strain data: strains and stresses must be tensile (positive).');
+  }
+  return points.sort((p, q) => p.strain - q.strain);
+}
+
+/** Es, fpy and fpu estimated from the data (see the module notes). */
+export function estimateProperties(points) {
+  const fpu = Math.max(...points.map((p) => p.stress));
+  const elastic = points.filter((p) => p.strain > 0 && p.stress <= 0.5 * fpu);
+  const Es = elastic.length
+    ? elastic.reduce((s, p) => s + p.strain * p.stress, 0) / elastic.reduce((s, p) => s + p.strain ** 2, 0)
+    : null;
+  let fpy = null;
+  const i = points.findIndex((p) => p.strain >= 0.01);
+  if (i > 0) {
+    const a = points[i - 1];
+    const b = points[i];
+    fpy = a.stress + ((b.stress - a.stress) * (0.01 - a.strain)) / (b.strain - a.strain);
+  } else if (i === 0 && points[0].strain === 0.01) {
+    fpy = points[0].stress;
+  }
+  return { Es, fpy, fpu };
+}
+
+/**
+ * Nelder–Mead minimization of f from x0 (standard coefficients: reflection 1,
+ * expansion 2, contraction ½, shrink ½).
+ *
+ * @param {Function} f – objective of a parameter array
+ * @param {number[]} x0 – starting point
+ * @param {number[]} steps – initial simplex edge along each parameter
+ * @returns {object} { x, fx, iterations, converged }
+ */
+export function nelderMead(f, x0, steps, { tol = 1e-10, maxIterations = 2000 } = {}) {
+  const n = x0.length;
+  let simplex = [x0, ...steps.map((s, i) => x0.map((v, j) => (j === i ? v + s : v)))]
+    .map((x) => ({ x, fx: f(x) }));
+  const at = (a, b, t) => a.map((v, j) => v + t * (b[j] - v));
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    simplex.sort((p, q) => p.fx - q.fx);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.fx - best.fx) <= tol * (Math.abs(best.fx) + tol)) {
+      return { x: best.x, fx: best.fx, iterations, converged: true };
+    }
+    const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((s, p) => s + p.x[j], 0) / n);
+    const reflected = at(centroid, worst.x, -1);
+    const fr = f(reflected);
+    if (fr < best.fx) {
+      const expanded = at(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[n] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+    } else if (fr < simplex[n - 1].fx) {
+      simplex[n] = { x: reflected, fx: fr };
+    } else {
+      const outside = fr < worst.fx;
+      const contracted = at(centroid, outside ? reflected : worst.x, 0.5);
+      const fc = f(contracted);
+      if (fc < (outside ? fr : worst.fx)) {
+        simplex[n] = { x: contracted, fx: fc };
+      } else {
+        simplex = simplex.map((p, k) => (k === 0 ? p : { x: at(best.x, p.x, 0.5), fx: f(at(best.x, p.x, 0.5)) }));
+      }
+    }
+  }
+  simplex.sort((p, q) => p.fx - q.fx);
+  return { x: simplex[0].x, fx: simplex[0].fx, iterations, converged: false };
+}
+
+/**
+ * Fit Q, R and K to stress–strain points.
+ *
+ * @param {Array} points – [{ strain, stress }] (ksi)
+ * @param {object} [opts] – { Es, fpy, fpu, stressCap (default fpu) }; null
+ *   entries are estimated from the data
+ * @returns {object} { Q, R, K, Es, fpy, fpu, stressCap, rms, maxError,
+ *   r2, converged, iterations, residuals: [{ strain, stress, fit, error }] }
+ */
+export function fitPowerFormula(points, opts = {}) {
+  if (!Array.isArray(points) || points.length < 4) {
+    throw new Error('Power-formula fit: at least 4 data points are needed.');
+  }
+  const est = estimateProperties(points);
+  const Es = opts.Es ?? est.Es;
+  const fpy = opts.fpy ?? est.fpy;
+  const fpu = opts.fpu ?? est.fpu;
+  const stressCap = opts.stressCap ?? fpu;
+  if (!(Es > 0)) throw new Error('Power-formula fit: enter Es, or include points on the elastic line.');
+  if (!(fpy > 0)) throw new Error('Power-formula fit: enter fpy, or include data past 1% strain.');
+  if (!(fpu >= fpy)) throw new Error('Power-formula fit: fpu must be at least fpy.');
+
+  const steel = (x) => ({ Es, fpy, fpu, stressCap, Q: x[0], R: Math.exp(x[1]), K: x[2] });
+  const sse = (x) => {
+    if (!(x[0] >= 0 && x[0] < 1 && x[2] > 0 && x[2] <= 2 && Math.abs(x[1]) < 6)) return Infinity;
+    const s = steel(x);
+    return points.reduce((sum, p) => sum + (powerFormulaStress(p.strain, s) - p.stress) ** 2, 0);
+  };
+  let best = null;
+  for (const R0 of [2, 5, 10, 25]) {
+    const run = nelderMead(sse, [0.02, Math.log(R0), 1.03], [0.01, 0.3, 0.02]);
+    if (!best || run.fx < best.fx) best = run;
+  }
+
+  const fitted = steel(best.x);
+  const residuals = points.map((p) => {
+    const fit = powerFormulaStress(p.strain, fitted);
+    return { strain: p.strain, stress: p.stress, fit, error: fit - p.stress };
+  });
+  const mean = points.reduce((s, p) => s + p.stress, 0) / points.length;
+  const sst = points.reduce((s, p) => s + (p.stress - mean) ** 2, 0);
+  return {
+    Q: fitted.Q,
+    R: fitted.R,
+    K: fitted.K,
+    Es,
+    fpy,
+    fpu,
+    stressCap,
+    rms: Math.sqrt(best.fx / points.length),
+    maxError: Math.max(...residuals.map((r) => Math.abs(r.error))),
+    r2: sst > 0 ? 1 - best.fx / sst : 1,
+    converged: best.converged,
+    iterations: best.iterations,
+    residuals,
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Tests for the power-formula fit: CSV reading, property estimates, the
+ * Nelder–Mead minimizer and recovery of known Q, R and K.
+ */
+import { describe, it, expect } from 'vitest';
+import { estimateProperties, fitPowerFormula, nelderMead, parseStressStrainCsv } from './powerFormulaFit';
+import { powerFormulaStress } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR150 = steelPresets.find((p) => p.id === 'grade150');
+const curve = (steel, n = 40, maxStrain = 0.05) => Array.from({ length: n }, (_, i) => {
+  const strain = ((i + 1) / n) * maxStrain;
+  return { strain, stress: powerFormulaStress(strain, steel) };
+});
+
+describe('parseStressStrainCsv', () => {
+  it('skips headers, reads any separator and sorts by strain', () => {
+    const text = 'strain,stress (ksi)\n0.004; 115\n0.001\t28.8\n0.002 57.6\n0.01,243\n';
+    expect(parseStressStrainCsv(text)).toEqual([
+      { strain: 0.001, stress: 28.8 }, { strain: 0.002, stress: 57.6 },
+      { strain: 0.004, stress: 115 }, { strain: 0.01, stress: 243 },
+    ]);
+    expect(parseStressStrainCsv('0.1,28.8\n0.2,57.6\n0.4,115\n1,243', { strainPercent: true })[3].strain).toBeCloseTo(0.01, 12);
+    expect(() => parseStressStrainCsv('0.001,28.8\n0.002,57.6')).toThrow('at least 4');
+    expect(() => parseStressStrainCsv('0,0\n0.001,-1\n0.002,2\n0.003,3')).toThrow('tensile');
+  });
+});
+
+describe('estimateProperties', () => {
+  it('takes Es from the elastic points, fpy at 1% strain and fpu at the peak', () => {
+    const points = curve(GR270, 200);
+    const est = estimateProperties(points);
+    expect(est.Es / GR270.Es).toBeCloseTo(1, 3);
+    expect(est.fpy).toBeCloseTo(powerFormulaStress(0.01, GR270), 0);
+    expect(est.fpu).toBeCloseTo(Math.max(...points.map((p) => p.stress)), 10);
+  });
+});
+
+describe('nelderMead', () => {
+  it('finds the Rosenbrock minimum', () => {
+    const rosen = ([x, y]) => (1 - x) ** 2 + 100 * (y - x * x) ** 2;
+    const r = nelderMead(rosen, [-1.2, 1], [0.5, 0.5], { tol: 1e-14, maxIterations: 5000 });
+    expect(r.converged).toBe(true);
+    expect(r.x[0]).toBeCloseTo(1, 3);
+    expect(r.x[1]).toBeCloseTo(1, 3);
+  });
+});
+
+describe('fitPowerFormula', () => {
+  it('recovers the Gr. 270 strand constants from its own curve', () => {
+    const fit = fitPowerFormula(curve(GR270), { Es: GR270.Es, fpy: GR270.fpy, fpu: GR270.fpu });
+    expect(fit.Q).toBeCloseTo(GR270.Q, 3);
+    expect(fit.R).toBeCloseTo(GR270.R, 1);
+    expect(fit.K).toBeCloseTo(GR270.K, 3);
+    expect(fit.rms).toBeLessThan(0.01);
+    expect(fit.r2).toBeGreaterThan(0.99999);
+  });
+
+  it('fits a rounded knee and reports the error of noisy data', () => {
+    // Gr. 150 rods (R = 3.75) with ±1 ksi of deterministic scatter.
+    const noisy = curve(GR150, 60, 0.03).map((p, i) => ({ ...p, stress: p.stress + (i % 2 ? 1 : -1) }));
+    const fit = fitPowerFormula(noisy, { Es: GR150.Es, fpy: GR150.fpy, fpu: GR150.fpu });
+    expect(fit.R).toBeGreaterThan(3);
+    expect(fit.R).toBeLessThan(4.5);
+    expect(fit.rms).toBeGreaterThan(0.9);
+    expect(fit.rms).toBeLessThan(1.1);
+    expect(fit.maxError).toBeLessThan(2);
+    expect(fit.residuals).toHaveLength(60);
+  });
+
+  it('estimates missing properties and rejects data that cannot give them', () => {
+    const fit = fitPowerFormula(curve(GR270, 80));
+    expect(fit.Es).toBeCloseTo(GR270.Es, -2);
+    expect(fit.rms).toBeLessThan(1);
+    const short = curve(GR270, 10, 0.008);
+    expect(() => fitPowerFormula(short)).toThrow('past 1% strain');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Prestress loss estimates that turn a jacking stress fpj into the effective
+ * prestress fse used by the strength engine:
+ *
+ *   fse = fpj − (ES + CR + SH + RE)
+ *   fpi = fpj − ES              (stress just after transfer, for §24.5.3 checks)
+ *
+ * Two methods are available.
+ *
+ * PCI / Zia et al. (1979), "Estimating Prestress Losses" (PCI Design Handbook):
+ *   ES = Kes · Es · fcir / Eci
+ *   fcir = Kcir (Pi/A + Pi e²/I) − Mg e / I,    Pi = fpj · Aps
+ *   CR = Kcr (Es / Ec)(fcir − fcds),           fcds = Msd e / I
+ *   SH = 8.2×10⁻⁶ Ksh Es (1 − 0.06 V/S)(100 − RH)
+ *   RE = [Kre − J (SH + CR + ES)] · C
+ * with Kes = 1.0 / 0.5, Kcir = 0.9 / 1.0 and Kcr = 2.0 / 1.6 for pretensioned /
+ * post-tensioned members (Kcr × 0.8 for sand-lightweight concrete).
+ *
+ * AASHTO LRFD refined estimate (§5.9.3.3, §5.9.3.4), pretensioned members,
+ * taken as a single stage from transfer (age ti) to the final age tf:
+ *   ES  = Aps fpbt (Ig + em² Ag) − em Mg Ag
+ *         ─────────────────────────────────────────  (closed form, C5.9.3.2.3a)
+ *         Aps (Ig + em² Ag) + Ag Ig Eci / Ep
+ *   SH  = εbid Ep Kid,          εbid = ks khs kf ktd · 0.48×10⁻³
+ *   CR  = (Ep / Eci) fcgp ψb(tf, ti) Kid
+ *   RE  = 2 · fpt / KL (fpt / fpy − 0.55),   KL = 30 low-relaxation, 7 otherwise
+ *
+ * Moduli come from concreteModulus() (57,000 √f'c psi, 4,700 √f'c MPa), as elsewhere in the
+ * app. All stresses in ksi, lengths in in, moments in kip-in unless noted.
+ */
+import { concreteModulus, grossSectionProperties, noncompositeProperties } from './beamCalculations';
+
+// ─── PCI / Zia tables ────────────────────────────────────────────────────────
+
+// Relaxation constants Kre (ksi) and J for the common tendon types.
+const ZIA_RELAXATION = [
+  { fpu: 270, low: true, Kre: 5.0, J: 0.040 },
+  { fpu: 250, low: true, Kre: 4.63, J: 0.037 },
+  { fpu: 270, low: false, Kre: 20.0, J: 0.15 },
+  { fpu: 250, low: false, Kre: 18.5, J: 0.14 },
+  { fpu: 160, low: false, Kre: 6.0, J: 0.05 }, // Grade 145/160 stress-relieved bars
+];
+
+// Relaxation factor C against fpi/fpu, 0.60 … 0.80 in 0.01 steps.
+const ZIA_C_LOW = [
+  0.33, 0.37, 0.41, 0.45, 0.49, 0.53, 0.57, 0.61, 0.66, 0.70, 0.75,
+  0.80, 0.85, 0.90, 0.95, 1.00, 1.05, 1.11, 1.16, 1.22, 1.28,
+];
+// Stress-relieved tendons are listed only up to 0.75.
+const ZIA_C_STRESS_RELIEVED = [
+  0.49, 0.53, 0.58, 0.63, 0.68, 0.73, 0.78, 0.83, 0.89, 0.94, 1.00,
+  1.09, 1.18, 1.27, 1.36, 1.45,
+];
+
+// Ksh for post-tensioned members against days from end of curing to tensioning.
+const ZIA_KSH_PT = [
+  [1, 0.92], [3, 0.85], [5, 0.80], [7, 0.77], [10, 0.73], [20, 0.64], [30, 0.58], [60, 0.45],
+];
+
+function interpolate(table, x) {
+  if (x <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [x0, y0] = table[i - 1], [x1, y1] = table[i];
+    if (x <= x1) return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+  }
+  return table[table.length - 1][1];
+}
+
+/**
+ * Zia relaxation factor C for the initial stress ratio fpi/fpu, clamped to the
+ * tabulated range.
+ */
+export function ziaRelaxationFactor(ratio, lowRelaxation = true) {
+  const values = lowRelaxation ? ZIA_C_LOW : ZIA_C_STRESS_RELIEVED;
+  return interpolate(values.map((c, i) => [0.60 + i * 0.01, c]), ratio);
+}
+
+function ziaRelaxationConstants(steel) {
+  const low = steel.lowRelaxation !== false;
+  const candidates = ZIA_RELAXATION.filter((r) => r.low === low);
+  const pool = candidates.length ? candidates : ZIA_RELAXATION;
+  return pool.reduce((best, r) =>
+    Math.abs(r.fpu - steel.fpu) < Math.abs(best.fpu - steel.fpu) ? r : best);
+}
+
+// ─── Section quantities shared by both methods ──────────────────────────────
+
+// Prestress acts on the precast (noncomposite) section.
+function tendonGroup(section, steelLayers, jackingRatio) {
+  const props = noncompositeProperties(section);
+  let Aps = 0, Pj = 0, PjDepth = 0;
+  steelLayers.forEach((l) => {
+    if (l.steel?.category !== 'prestressing') return;
+    const fpj = jackingRatio * l.steel.fpu;
+    Aps += l.area;
+    Pj += fpj * l.area;
+    PjDepth += fpj * l.area * l.depth;
+  });
+  const e = Pj > 0 ? PjDepth / Pj - props.yCg : 0;
+  return { props, Aps, Pj, e };
+}
+
+// ─── Loss estimate ───────────────────────────────────────────────────────────
+
+/**
+ * Estimate prestress losses for every prestressing layer of a section.
+ *
+ * @param {object} section – analysis section (geometry, fc, fci, lambda, Mself,
+ *   Msustained in kip-ft)
+ * @param {Array} steelLayers – as for analyzeBeam; layers whose steel category
+ *   is 'prestressing' are tensioned to jackingRatio · fpu
+ * @param {object} [opts]
+ *   method        'pci' | 'aashto' (default 'pci')
+ *   jackingRatio  fpj / fpu (default 0.75)
+ *   RH            ambient relative humidity, % (default 70)
+ *   VS            volume-to-surface ratio, in (default 3)
+ *   postTensioned default false (PCI method only)
+ *   ti, tf        age at transfer and final age, days (default 1 and 10,000)
+ *   Mg, Msd       self-weight and superimposed sustained moments, kip-ft
+ *                 (default section.Mself and section.Msustained − Mself)
+ * @returns {object} { method, Aps, e, fcds, layers }, plus fcir (PCI) or psi and
+ *   epsBid (AASHTO). layers is aligned with steelLayers: null for
+ *   non-prestressed layers, otherwise { fpj, ES, CR, SH, RE, total, fpi, fse }
+ */
+export function prestressLosses(section, steelLayers, opts = {}) {
+  const {
+    method = 'pci',
+    jackingRatio = 0.75,
+    RH = 70,
+    VS = 3,
+    postTensioned = false,
+    ti = 1,
+    tf = 10000,
+  } = opts;
+  const MgFt = opts.Mg ?? section.Mself ?? 0;
+  const MsdFt = opts.Msd ?? Math.max((section.Msustained ?? 0) - MgFt, 0);
+  const Mg = MgFt * 12;
+  const Msd = MsdFt * 12;
+
+  const { props, Aps, Pj, e } = tendonGroup(section, steelLayers, jackingRatio);
+  if (!(Aps > 0)) throw new Error('No prestressing steel layers to estimate losses for.');
+  const { A, Ig } = props;
+  const fc = section.fc;
+  const fci = section.fci > 0 ? section.fci : fc;
+  const Eci = concreteModulus(fci, section.units);
+  const Ec = concreteModulus(fc, section.units);
+  // Superimposed dead load acts on the composite section when there is one.
+  const composite = grossSectionProperties(section);
+  const fcds = (Msd * (e + props.yCg - composite.yCg)) / composite.Ig;
+
+  if (method === 'aashto') {
+    if (postTensioned) throw new Error('The AASHTO refined estimate applies to pretensioned members.');
+    // Time-development and correction factors, AASHTO LRFD §5.4.2.3.
+    const ks = Math.max(1.45 - 0.13 * VS, 1.0);
+    const khs = 2.0 - 0.014 * RH;
+    const khc = 1.56 - 0.008 * RH;
+    const kf = 5 / (1 + fci);
+    const t = Math.max(tf - ti, 0);
+    const ktd = t / ((12 * (100 - 4 * fci)) / (fci + 20) + t);
+    const psi = 1.9 * ks * khc * kf * ktd * Math.pow(ti, -0.118);
+    const epsBid = ks * khs * kf * ktd * 0.48e-3;
+
+    const layers = steelLayers.map((l) => {
+      if (l.steel?.category !== 'prestressing') return null;
+      const Ep = l.steel.Es;
+      const fpj = jackingRatio * l.steel.fpu;
+      const ES = (Aps * fpj * (Ig + e * e * A) - e * Mg * A)
+        / (Aps * (Ig + e * e * A) + (A * Ig * Eci) / Ep);
+      const fpt = fpj - ES;
+      const fcgp = (fpt * Aps) / A + (fpt * Aps * e * e) / Ig - (Mg * e) / Ig;
+      const Kid = 1 / (1 + (Ep / Eci) * (Aps / A) * (1 + (A * e * e) / Ig) * (1 + 0.7 * psi));
+      const SH = epsBid * Ep * Kid;
+      const CR = Math.max((Ep / Eci) * fcgp * psi * Kid, 0);
+      const KL = l.steel.lowRelaxation === false ? 7 : 30;
+      const RE = Math.max(2 * (fpt / KL) * (fpt / l.steel.fpy - 0.55), 0);
+      return summarize(fpj, ES, CR, SH, RE);
+    });
+    return { method, Aps, e, fcds, psi, epsBid, layers };
+  }
+
+  // PCI / Zia.
+  const Kes = postTensioned ? 0.5 : 1.0;
+  const Kcir = postTensioned ? 1.0 : 0.9;
+  const Kcr = (postTensioned ? 1.6 : 2.0) * ((section.lambda ?? 1) < 1 ? 0.8 : 1);
+  const Ksh = postTensioned ? interpolate(ZIA_KSH_PT, ti) : 1.0;
+  const fcir = Kcir * (Pj / A + (Pj * e * e) / Ig) - (Mg * e) / Ig;
+
+  const layers = steelLayers.map((l) => {
+    if (l.steel?.category !== 'prestressing') return null;
+    const Es = l.steel.Es;
+    const fpj = jackingRatio * l.steel.fpu;
+    const ES = Math.max((Kes * Es * fcir) / Eci, 0);
+    const CR = Math.max(Kcr * (Es / Ec) * (fcir - fcds), 0);
+    const SH = Math.max(8.2e-6 * Ksh * Es * (1 - 0.06 * VS) * (100 - RH), 0);
+    const { Kre, J } = ziaRelaxationConstants(l.steel);
+    const C = ziaRelaxationFactor(jackingRatio, l.steel.lowRelaxation !== false);
+    const RE = Math.max((Kre - J * (SH + CR + ES)) * C, 0);
+    return summarize(fpj, ES, CR, SH, RE);
+  });
+  return { method, Aps, e, fcir, fcds, layers };
+}
+
+function summarize(fpj, ES, CR, SH, RE) {
+  const total = ES + CR + SH + RE;
+  return { fpj, ES, CR, SH, RE, total, fpi: fpj - ES, fse: fpj - total };
+}
@@ -0,0 +1,76 @@
+/**
+ * Tests for the prestress loss estimates, against hand calculations on the
+ * 12 × 24 in. pretensioned beam used for the stage stress checks.
+ */
+import { describe, it, expect } from 'vitest';
+import { prestressLosses, ziaRelaxationFactor } from './prestressLosses';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+
+// A = 288 in², Ig = 13,824 in⁴, e = 8 in; Eci = 3,823.7 ksi, Ec = 4,415.2 ksi.
+const section = {
+  sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6,
+  fci: 4.5, Mself: 50, Msustained: 120,
+};
+const layers = [
+  { area: 1.224, depth: 20, fse: 0, steel: GR270 },
+  { area: 0.4, depth: 2, fse: 0, steel: GR60 },
+];
+
+describe('prestressLosses — PCI / Zia', () => {
+  const res = prestressLosses(section, layers);
+  const r = res.layers[0];
+
+  it('computes fcir and fcds at the tendon centroid', () => {
+    // fcir = 0.9 (247.86/288 + 247.86·64/13824) − 600·8/13824
+    expect(res.fcir).toBeCloseTo(1.46009, 5);
+    expect(res.fcds).toBeCloseTo((840 * 8) / 13824, 10);
+  });
+  it('breaks the loss into ES, CR, SH and RE', () => {
+    expect(r.fpj).toBeCloseTo(202.5, 10);
+    expect(r.ES).toBeCloseTo(10.997, 3);
+    expect(r.CR).toBeCloseTo(12.706, 3);
+    expect(r.SH).toBeCloseTo(5.8095, 4); // 8.2e-6 · 28800 · 0.82 · 30
+    expect(r.RE).toBeCloseTo(3.8195, 4); // [5 − 0.04 Σ] · C, C = 1.00 at 0.75 fpu
+    expect(r.fse).toBeCloseTo(169.167, 3);
+    expect(r.fpi).toBeCloseTo(202.5 - r.ES, 10);
+  });
+  it('skips non-prestressed layers', () => {
+    expect(res.layers[1]).toBeNull();
+  });
+  it('uses the post-tensioning coefficients', () => {
+    const pt = prestressLosses(section, layers, { postTensioned: true }).layers[0];
+    // Kcir = 1.0: fcir = 2.008125 − 0.347222 = 1.660903; Kes = 0.5
+    expect(pt.ES).toBeCloseTo((0.5 * 28800 * 1.660903) / 3823.676, 4);
+    expect(pt.SH).toBeCloseTo(0.92 * r.SH, 10);
+  });
+});
+
+describe('ziaRelaxationFactor', () => {
+  it('interpolates and clamps the C table', () => {
+    expect(ziaRelaxationFactor(0.75)).toBeCloseTo(1.0, 10);
+    expect(ziaRelaxationFactor(0.705)).toBeCloseTo(0.775, 10);
+    expect(ziaRelaxationFactor(0.9)).toBeCloseTo(1.28, 10);
+    expect(ziaRelaxationFactor(0.70, false)).toBeCloseTo(1.0, 10);
+  });
+});
+
+describe('prestressLosses — AASHTO refined', () => {
+  const r = prestressLosses(section, layers, { method: 'aashto' }).layers[0];
+
+  it('matches the closed-form elastic shortening', () => {
+    expect(r.ES).toBeCloseTo(11.6405, 3);
+  });
+  it('computes time-dependent losses with the transformed-section factor Kid', () => {
+    // ks = 1.06, khs = 1.02, kf = 0.909, ktd = 0.996, ψb = 1.824, Kid = 0.8547
+    expect(r.SH).toBeCloseTo(11.567, 2);
+    expect(r.CR).toBeCloseTo(18.143, 2);
+    expect(r.RE).toBeCloseTo(2.9956, 3);
+    expect(r.fse).toBeCloseTo(158.155, 2);
+  });
+  it('rejects post-tensioned members', () => {
+    expect(() => prestressLosses(section, layers, { method: 'aashto', postTensioned: true })).toThrow();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Project files: the form inputs (section and steel layers, in the units the
+ * form shows) together with the custom steel grades they use, as JSON. Grades
+ * travel with the project so a file opens with every layer's steel defined;
+ * they are re-validated on load like grades entered in the editor.
+ */
+import { steelGradeList, validateSteelGrade } from './steelGrades';
+
+export const PROJECT_FORMAT = 'prestressed-beam-project';
+export const PROJECT_VERSION = 1;
+
+/** JSON text of a project. */
+export function serializeProject({ section, layers, steelGrades = [] }) {
+  return JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, section, layers, steelGrades }, null, 2);
+}
+
+/**
+ * Read a project file.
+ *
+ * @param {string} text – JSON written by serializeProject()
+ * @returns {object} { section, layers, steelGrades }
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Project file: not valid JSON.');
+  }
+  if (data?.format !== PROJECT_FORMAT) throw new Error('Project file: not a beam project.');
+  if (!(data.version <= PROJECT_VERSION)) {
+    throw new Error(`Project file: version ${data.version} is newer than this calculator reads (${PROJECT_VERSION}).`);
+  }
+  if (!data.section || typeof data.section !== 'object' || !Array.isArray(data.layers) || data.layers.length === 0) {
+    throw new Error('Project file: the section or steel layers are missing.');
+  }
+  const steelGrades = Array.isArray(data.steelGrades) ? data.steelGrades : [];
+  steelGrades.forEach((g, i) => {
+    const errors = validateSteelGrade(g, steelGradeList(steelGrades.filter((_, j) => j !== i)));
+    if (errors.length) throw new Error(`Project file: steel grade "${g.name}": ${errors[0]}`);
+  });
+  const grades = steelGradeList(steelGrades);
+  data.layers.forEach((l, i) => {
+    if (!grades.some((g) => g.id === l.steelPresetId)) {
+      throw new Error(`Project file: layer ${i + 1} uses an unknown steel grade "${l.steelPresetId}".`);
+    }
+  });
+  return { section: data.section, layers: data.layers, steelGrades };
+}
@@ -0,0 +1,39 @@
+/**
+ * Tests for project files: a round trip with custom steel grades and the
+ * checks made when a file is opened.
+ */
+import { describe, it, expect } from 'vitest';
+import { parseProject, serializeProject } from './projectFile';
+import { customSteelGrade } from './steelGrades';
+
+const GRADE = customSteelGrade({
+  name: 'Mill 300 Strand', category: 'prestressing', Es: 28800, fpy: 270, fpu: 300, stressCap: 300,
+  Q: 0.031, R: 7.36, K: 1.043, defaultFse: 180, defaultFpi: 210,
+});
+const PROJECT = {
+  section: { units: 'SI', sectionType: 'rectangular', bw: 300, h: 600, fc: 40 },
+  layers: [{ id: 1, steelPresetId: GRADE.id, area: 400, depth: 530 }, { id: 2, steelPresetId: 'grade60', area: 200, depth: 550 }],
+  steelGrades: [GRADE],
+};
+
+describe('project files', () => {
+  it('round-trips the form inputs and custom grades', () => {
+    expect(parseProject(serializeProject(PROJECT))).toEqual(PROJECT);
+  });
+
+  it('rejects foreign, newer or incomplete files', () => {
+    expect(() => parseProject('{')).toThrow('not valid JSON');
+    expect(() => parseProject('{"format":"other"}')).toThrow('not a beam project');
+    const newer = JSON.parse(serializeProject(PROJECT));
+    newer.version = 99;
+    expect(() => parseProject(JSON.stringify(newer))).toThrow('version 99');
+    expect(() => parseProject(serializeProject({ ...PROJECT, layers: [] }))).toThrow('steel layers are missing');
+  });
+
+  it('re-validates the grades and checks every layer has one', () => {
+    const bad = { ...PROJECT, steelGrades: [{ ...GRADE, fpy: 320 }] };
+    expect(() => parseProject(serializeProject(bad))).toThrow('steel grade "Mill 300 Strand": fpy cannot exceed fpu');
+    const missing = { ...PROJECT, steelGrades: [] };
+    expect(() => parseProject(serializeProject(missing))).toThrow(`layer 1 uses an unknown steel grade "${GRADE.id}"`);
+  });
+});
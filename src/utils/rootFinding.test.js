@@ -0,0 +1,47 @@
+/**
+ * Tests for the bracketed root finder: sign-change scan and Illinois
+ * refinement.
+ */
+import { describe, it, expect } from 'vitest';
+import { illinois, scanSignChanges } from './rootFinding';
+
+describe('scanSignChanges', () => {
+  it('brackets each root and reports the end values', () => {
+    const f = (x) => (x - 1) * (x - 3);
+    const scan = scanSignChanges(f, 0, 4, 8);
+    expect(scan.brackets.map(({ a, b }) => [a, b])).toEqual([[0.5, 1], [2.5, 3]]);
+    expect(scan.fLo).toBe(3);
+    expect(scan.fHi).toBe(3);
+    expect(scan.evaluations).toBe(9);
+  });
+
+  it('finds no bracket when f keeps one sign', () => {
+    expect(scanSignChanges((x) => x * x + 1, -2, 2).brackets).toHaveLength(0);
+  });
+});
+
+describe('illinois', () => {
+  it('converges superlinearly on a smooth root', () => {
+    const f = (x) => x ** 3 - 2 * x - 5;
+    const r = illinois(f, 2, 3);
+    expect(r.converged).toBe(true);
+    expect(r.x).toBeCloseTo(2.0945514815, 8);
+    expect(r.iterations).toBeLessThan(15);
+  });
+
+  it('stays inside the bracket across a kink', () => {
+    const f = (x) => (x < 1 ? 10 * (x - 1) - 1 : x - 2);
+    const r = illinois(f, 0, 5);
+    expect(r.x).toBeCloseTo(2, 6);
+  });
+
+  it('collapses onto a jump with a residual left over', () => {
+    const r = illinois((x) => (x < 1 ? -1 : 1), 0, 2);
+    expect(Math.abs(r.x - 1)).toBeLessThan(1e-9);
+    expect(Math.abs(r.fx)).toBe(1);
+  });
+
+  it('rejects an unbracketed interval', () => {
+    expect(() => illinois((x) => x * x + 1, -1, 1)).toThrow(/not bracketed/);
+  });
+});
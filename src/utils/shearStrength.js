@@ -0,0 +1,210 @@
+/**
+ * One-way shear strength and stirrup design, ACI 318-19 §22.5 and §9.6.3 /
+ * §9.7.6. Forces in kip, moments in kip-ft on the section object, stresses in
+ * ksi. √f'c is evaluated in psi and, in Vc, limited to 100 psi (§22.5.3.1);
+ * the Vs limits below take the full √f'c.
+ *
+ * Prestressed members (§22.5.6), when Aps·fse ≥ 0.4 (Aps·fpu + As·fy):
+ *   Simplified, Table 22.5.6.2:
+ *     Vc = (0.6λ√f'c + 700 Vu dp / Mu) bw d,   Vu dp / Mu ≤ 1.0
+ *     2λ√f'c bw d ≤ Vc ≤ (0.6λ√f'c + 700) bw d, 5λ√f'c bw d
+ *   Detailed, §22.5.6.3: Vc = min(Vci, Vcw)
+ *     Vci = 0.6λ√f'c bw dp + Vd + Vi Mcre / Mmax  ≥ 1.7λ√f'c bw dp
+ *     Mcre = (I / yt)(6λ√f'c + fpe − fd)
+ *     Vcw = (3.5λ√f'c + 0.3 fpc) bw dp + Vp
+ *   with Vi = Vu − Vd and Mmax = Mu − Md. Either method is permitted, so the
+ *   larger Vc is used.
+ *
+ * Otherwise the member is treated as nonprestressed, Table 22.5.5.1(a):
+ *   Vc = 2λ√f'c bw d  (Av ≥ Av,min, which the stirrup design below provides)
+ *
+ * In prestressed members d and dp need not be taken less than 0.8h (§22.5.2.1).
+ *
+ * Stirrups, φ = 0.75 (Table 21.2.1):
+ *   Av/s = (Vu/φ − Vc) / (fyt d),  fyt ≤ 60 ksi (§20.2.2.4)
+ *   Av,min/s (Table 9.6.3.4) where Vu > 0.5 φVc
+ *   Vs ≤ 8√f'c bw d (§22.5.1.2)
+ *   s ≤ 3h/4 (prestressed) or d/2, and ≤ 24 in; halved when Vs > 4√f'c bw d
+ *
+ * SI sections (section.units) take the ACI 318M coefficients (0.05, 0.17,
+ * 0.29, 0.42, 0.5, 0.66 √f'c MPa, 4.8 MPa for 700 psi …), √f'c ≤ 8.3 MPa,
+ * fyt ≤ 420 MPa and s ≤ 600 mm.
+ */
+import { concreteCompression, prestressAndCracking, sqrtFcTerm } from './beamCalculations';
+
+const PHI_SHEAR = 0.75;
+const MPA_PER_KSI = 6.894757;
+
+/**
+ * Web width bw: the narrowest width of concrete between the compression face
+ * and depth d. Standard shapes are exact; drawn, imported and sandwich sections
+ * are sampled in thin strips through concreteCompression().
+ */
+export function shearWebWidth(section, d) {
+  switch (section.sectionType) {
+    case 'rectangular':
+    case 'tbeam':
+      return section.bw;
+    case 'doubletee':
+      return (section.numStems || 2) * section.stemWidth;
+    case 'hollowcore':
+      return section.bf - (section.numVoids || 0) * (section.voidDiameter || 0);
+    default: {
+      const { bf, bw, hf } = section;
+      const n = 200;
+      const dy = d / n;
+      let min = Infinity;
+      let prev = 0;
+      for (let i = 1; i <= n; i++) {
+        const area = concreteCompression(1, i * dy, bf, bw, hf, section) / 0.85;
+        min = Math.min(min, (area - prev) / dy);
+        prev = area;
+      }
+      return Math.max(min, 0);
+    }
+  }
+}
+
+/**
+ * Shear strength of a uniaxial section and the stirrups it needs.
+ *
+ * @param {object} section – geometry, fc, lambda, plus the shear inputs
+ *   Vu, Vd (kip) and MuV, Md (kip-ft) at the section considered, stirrup
+ *   area Av (in², all legs) and fyt (ksi)
+ * @param {Array} steelLayers – as for analyzeBeam
+ * @param {object} [opts] – { Vp } vertical component of the effective
+ *   prestress force (kip), 0 for straight tendons
+ * @returns {object|null} null when the section has no web (bw = 0); pass is
+ *   false when Vs would exceed 8√f'c bw d and the section must be enlarged
+ */
+export function shearStrength(section, steelLayers, opts = {}) {
+  const { Vp = 0 } = opts;
+  const { fc, h } = section;
+  const lambda = section.lambda ?? 1;
+  const Vu = section.Vu || 0;
+  const Vd = section.Vd || 0;
+  const Mu = (section.MuV || 0) * 12;
+  const Md = (section.Md || 0) * 12;
+  const si = section.units === 'SI';
+  const fyt = Math.min(section.fyt || 60, si ? 420 / MPA_PER_KSI : 60);
+  // k·√f'c in ksi, with √f'c capped at 100 psi (8.3 MPa).
+  const fcCapped = Math.min(fc, si ? 8.3 ** 2 / MPA_PER_KSI : 10);
+  const rt = (kPsi, kMpa) => sqrtFcTerm(fcCapped, kPsi, kMpa, section.units);
+  const rtFull = (kPsi, kMpa) => sqrtFcTerm(fc, kPsi, kMpa, section.units);
+  const k700 = si ? 4.8 / MPA_PER_KSI : 0.7; // 700 psi term of Table 22.5.6.2
+  const sCap = si ? 600 / 25.4 : 24;
+
+  const pc = prestressAndCracking(section, steelLayers, 0);
+  const { P, fpc, e, sectionProps, ncProps } = pc;
+  const { Ig, yb } = sectionProps;
+
+  // Tension reinforcement: layers below the centroid.
+  let AsFy = 0, Aps = 0, ApsFpu = 0, tensionMoment = 0, tensionArea = 0;
+  for (const l of steelLayers) {
+    if (l.depth <= sectionProps.yCg) continue;
+    tensionArea += l.area;
+    tensionMoment += l.area * l.depth;
+    if (l.fse > 0) {
+      Aps += l.area;
+      ApsFpu += l.area * l.steel.fpu;
+    } else {
+      AsFy += l.area * l.steel.fpy;
+    }
+  }
+  const dTension = tensionArea > 0 ? tensionMoment / tensionArea : 0.8 * h;
+  const prestressed = P > 0 && P >= 0.4 * (ApsFpu + AsFy);
+  const d = prestressed ? Math.max(dTension, 0.8 * h) : dTension;
+  const dpActual = pc.yps;
+  const dp = Math.max(dpActual, 0.8 * h);
+
+  const bw = shearWebWidth(section, d);
+  if (!(bw > 0)) return null;
+
+  let Vc;
+  let governs;
+  let simplified = null;
+  let detailed = null;
+
+  if (prestressed) {
+    // Table 22.5.6.2
+    const ratio = Mu > 0 ? Math.min((Vu * dpActual) / Mu, 1) : 1;
+    const a = (lambda * rt(0.6, 0.05) + k700 * ratio) * bw * d;
+    const b = (lambda * rt(0.6, 0.05) + k700) * bw * d;
+    const c = lambda * rt(5, 0.42) * bw * d;
+    const min = lambda * rt(2, 0.17) * bw * d;
+    simplified = { ratio, a, b, c, min, Vc: Math.max(Math.min(a, b, c), min) };
+
+    // §22.5.6.3
+    // Prestress acts on the precast section; Mcre on the composite one.
+    const fpe = P / ncProps.A + (P * e * ncProps.yb) / ncProps.Ig;
+    const fd = (Md * yb) / Ig;
+    const Mcre = (Ig / yb) * (lambda * rt(6, 0.5) + fpe - fd);
+    const Vi = Math.max(Vu - Vd, 0);
+    const Mmax = Mu - Md;
+    const VciMin = lambda * rt(1.7, 0.14) * bw * dp;
+    const Vci = Mmax > 0
+      ? Math.max(lambda * rt(0.6, 0.05) * bw * dp + Vd + (Vi * Mcre) / Mmax, VciMin)
+      : null;
+    const Vcw = (lambda * rt(3.5, 0.29) + 0.3 * fpc) * bw * dp + Vp;
+    const VcDetailed = Vci == null ? Vcw : Math.min(Vci, Vcw);
+    detailed = { fpe, fd, Mcre, Vi, Mmax, Vci, VciMin, Vcw, Vp, Vc: VcDetailed };
+
+    if (VcDetailed >= simplified.Vc) {
+      Vc = VcDetailed;
+      governs = Vci != null && Vci < Vcw ? 'Vci' : 'Vcw';
+    } else {
+      Vc = simplified.Vc;
+      governs = 'simplified';
+    }
+  } else {
+    Vc = lambda * rt(2, 0.17) * bw * d;
+    governs = 'nonprestressed';
+  }
+
+  const phiVc = PHI_SHEAR * Vc;
+  const VsReq = Math.max(Vu / PHI_SHEAR - Vc, 0);
+  const VsMax = rtFull(8, 0.66) * bw * d;
+
+  // Table 9.6.3.4
+  const AvsMinGeneral = Math.max(rt(0.75, 0.062), si ? 0.35 / MPA_PER_KSI : 0.05) * bw / fyt;
+  const AvsMin = prestressed && Aps > 0
+    ? Math.min(AvsMinGeneral, (ApsFpu / (80 * fyt * d)) * Math.sqrt(d / bw))
+    : AvsMinGeneral;
+  const needsMin = Vu > 0.5 * phiVc;
+  const AvsStrength = VsReq / (fyt * d);
+  const AvsReq = Math.max(AvsStrength, needsMin ? AvsMin : 0);
+
+  const sMaxBase = prestressed ? Math.min(0.75 * h, sCap) : Math.min(d / 2, sCap);
+  const tight = VsReq > rtFull(4, 0.33) * bw * d;
+  const sMax = tight ? sMaxBase / 2 : sMaxBase;
+  const Av = section.Av || 0;
+  const spacing = Av > 0 && AvsReq > 0 ? Math.min(Av / AvsReq, sMax) : null;
+
+  return {
+    prestressed,
+    bw,
+    d,
+    dp,
+    lambda,
+    fyt,
+    phi: PHI_SHEAR,
+    P,
+    fpc,
+    simplified,
+    detailed,
+    Vc,
+    phiVc,
+    governs,
+    Vu,
+    VsReq,
+    VsMax,
+    AvsMin,
+    needsMin,
+    AvsReq,
+    sMax,
+    tight,
+    Av,
+    spacing,
+    pass: VsReq <= VsMax,
+  };
+}
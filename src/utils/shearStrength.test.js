@@ -0,0 +1,95 @@
+/**
+ * Tests for the §22.5 shear checks: simplified and detailed Vc on the 12 × 24 in.
+ * pretensioned beam, stirrup design, and the nonprestressed fallback.
+ */
+import { describe, it, expect } from 'vitest';
+import { shearStrength, shearWebWidth } from './shearStrength';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+
+describe('shearStrength — prestressed (ACI 318-19 §22.5.6)', () => {
+  // P = 195.84 kip, fpc = 0.68 ksi, e = 8 in, d = dp = 20 in (> 0.8h = 19.2)
+  const section = {
+    sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6,
+    Vu: 60, MuV: 150, Vd: 20, Md: 50, Av: 0.22, fyt: 60,
+  };
+  const layers = [{ area: 1.224, depth: 20, fse: 160, steel: GR270 }];
+  const res = shearStrength(section, layers);
+
+  it('evaluates Table 22.5.6.2 with Vu·dp/Mu', () => {
+    expect(res.prestressed).toBe(true);
+    expect(res.simplified.ratio).toBeCloseTo(2 / 3, 10);
+    expect(res.simplified.a).toBeCloseTo(123.154, 2);
+    expect(res.simplified.Vc).toBeCloseTo(92.952, 2); // 5√f'c bw d governs
+  });
+  it('computes Vci from Mcre and Vcw from fpc', () => {
+    // fpe = 0.68 + 1.36, fd = 600·12/13824, Mcre = 1152 (0.4648 + 2.04 − 0.5208)
+    expect(res.detailed.Mcre).toBeCloseTo(2285.48, 1);
+    expect(res.detailed.Vci).toBeCloseTo(107.337, 2);
+    expect(res.detailed.Vcw).toBeCloseTo(114.026, 2);
+    expect(res.Vc).toBeCloseTo(107.337, 2);
+    expect(res.governs).toBe('Vci');
+  });
+  it('provides minimum stirrups when Vu > φVc / 2', () => {
+    expect(res.VsReq).toBe(0);
+    expect(res.needsMin).toBe(true);
+    // Aps fpu / (80 fyt d) · √(d / bw) governs over 0.75√f'c bw / fyt
+    expect(res.AvsMin).toBeCloseTo(0.0044443, 6);
+    expect(res.sMax).toBe(18);
+    expect(res.spacing).toBe(18);
+  });
+  it('designs stirrups for Vs and halves the spacing limit above 4√f\'c bw d', () => {
+    const high = shearStrength({ ...section, Vu: 150 }, layers);
+    expect(high.governs).toBe('Vcw');
+    expect(high.VsReq).toBeCloseTo(200 - 114.026, 2);
+    expect(high.tight).toBe(true);
+    expect(high.sMax).toBe(9);
+    expect(high.spacing).toBeCloseTo(0.22 / (85.974 / 1200), 2);
+    expect(high.pass).toBe(true);
+    expect(shearStrength({ ...section, Vu: 250 }, layers).pass).toBe(false);
+  });
+  it('caps √f\'c at 100 psi in Vc only, not in the Vs limits', () => {
+    const hsc = shearStrength({ ...section, fc: 15, Vu: 180 }, layers);
+    const rt = Math.sqrt(15000) / 1000;
+    expect(hsc.VsMax).toBeCloseTo(8 * rt * 12 * 20, 6);
+    expect(hsc.detailed.Vcw).toBeLessThan((3.5 * rt + 0.3 * 0.68) * 12 * 20);
+    // Vs between 4·(100 psi) and 4√f'c bw d: the spacing limit is not halved.
+    expect(hsc.VsReq).toBeGreaterThan(0.4 * 12 * 20);
+    expect(hsc.VsReq).toBeLessThan(4 * rt * 12 * 20);
+    expect(hsc.tight).toBe(false);
+  });
+});
+
+describe('shearStrength — nonprestressed fallback', () => {
+  it('uses 2λ√f\'c bw d', () => {
+    const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 4, Vu: 30 };
+    const res = shearStrength(section, [{ area: 3, depth: 21.5, fse: 0, steel: GR60 }]);
+    expect(res.prestressed).toBe(false);
+    expect(res.d).toBeCloseTo(21.5, 10);
+    expect(res.Vc).toBeCloseTo((2 * Math.sqrt(4000) / 1000) * 12 * 21.5, 8);
+    expect(res.sMax).toBeCloseTo(10.75, 10);
+  });
+
+  it('uses 0.17λ√f\'c bw d (MPa) for SI sections', () => {
+    const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 4, units: 'SI' };
+    const res = shearStrength(section, [{ area: 3, depth: 21.5, fse: 0, steel: GR60 }]);
+    const fcMpa = 4 * 6.894757;
+    expect(res.Vc).toBeCloseTo(((0.17 * Math.sqrt(fcMpa)) / 6.894757) * 12 * 21.5, 8);
+  });
+});
+
+describe('shearWebWidth', () => {
+  it('uses the stems, the net hollow-core width and the narrowest polygon strip', () => {
+    expect(shearWebWidth({ sectionType: 'doubletee', numStems: 2, stemWidth: 5 }, 20)).toBe(10);
+    expect(shearWebWidth({ sectionType: 'hollowcore', bf: 48, numVoids: 4, voidDiameter: 6 }, 7)).toBe(24);
+    // I-shape: 12 in flanges 4 in thick, 4 in web, 20 in deep
+    const points = [
+      { x: 0, y: 0 }, { x: 12, y: 0 }, { x: 12, y: 4 }, { x: 8, y: 4 }, { x: 8, y: 16 },
+      { x: 12, y: 16 }, { x: 12, y: 20 }, { x: 0, y: 20 }, { x: 0, y: 16 }, { x: 4, y: 16 },
+      { x: 4, y: 4 }, { x: 0, y: 4 },
+    ];
+    expect(shearWebWidth({ sectionType: 'custom', points, holes: [], h: 20 }, 18)).toBeCloseTo(4, 6);
+  });
+});
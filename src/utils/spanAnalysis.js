@@ -0,0 +1,152 @@
+/**
+ * Capacity against demand along a prismatic member. Moments and shears come
+ * from statics (simple span) or from the fixed-end moments of the
+ * indeterminate cases, superposed on the simple-span diagrams:
+ *
+ *   M(x) = Msimple(x) + MA (1 − x/L) + MB x/L,   V(x) = Vsimple(x) + (MB − MA) / L
+ *
+ *   propped (fixed at x = 0): MA = −wL²/8,   MA = −P b (L² − b²) / (2L²)
+ *   fixed–fixed:              MA = MB = −wL²/12,
+ *                             MA = −P a b² / L², MB = −P a² b / L²
+ *
+ * Dead load D is the self-weight (A · wc, any topping included) plus the
+ * superimposed uniform and point dead loads; L is the live load. Factored
+ * demands are the envelope of 1.4D and 1.2D + 1.6L (ACI 318-19 Table 5.3.1).
+ *
+ * φMn is found by analyzeBeam() at every station, so a layersAt(x) callback
+ * can vary the reinforcement along the span. Only sagging capacity is
+ * evaluated, whatever section.momentSign; hogging demands are reported
+ * without a capacity.
+ *
+ * Lengths in ft, loads in kip and kip/ft, moments in kip-ft.
+ */
+import { analyzeBeam, hasTopping, noncompositeProperties } from './beamCalculations';
+
+export const SUPPORT_TYPES = [
+  { id: 'simple', name: 'Simply supported' },
+  { id: 'propped', name: 'Propped cantilever (fixed left)' },
+  { id: 'fixed', name: 'Fixed–fixed' },
+];
+
+const COMBOS = [
+  { name: '1.4D', D: 1.4, L: 0 },
+  { name: '1.2D + 1.6L', D: 1.2, L: 1.6 },
+];
+
+/**
+ * Concrete area (in²): the precast plus any topping, untransformed. Infilled
+ * holes of a multi-material polygon count at full area.
+ */
+export function concreteArea(section) {
+  const ringFc = section.ringFc?.map((f) => (f > 0 ? section.fc : null));
+  const { A } = noncompositeProperties(ringFc ? { ...section, ringFc } : section);
+  return hasTopping(section) ? A + section.topping.bt * section.topping.ht : A;
+}
+
+/**
+ * Shear and moment at x for a uniform load w and point loads [{ P, a }] on a
+ * span L with the given supports.
+ *
+ * @returns {{ V: number, M: number }} kip and kip-ft, sagging positive
+ */
+export function beamActions(x, L, supports, w, points = []) {
+  let RA = (w * L) / 2;
+  let M = RA * x - (w * x * x) / 2;
+  let MA = supports === 'fixed' ? -(w * L * L) / 12 : supports === 'propped' ? -(w * L * L) / 8 : 0;
+  let MB = supports === 'fixed' ? MA : 0;
+  let passed = 0;
+
+  for (const { P, a } of points) {
+    const b = L - a;
+    RA += (P * b) / L;
+    M += ((P * b) / L) * x;
+    if (x > a) {
+      M -= P * (x - a);
+      passed += P;
+    }
+    if (supports === 'fixed') {
+      MA -= (P * a * b * b) / (L * L);
+      MB -= (P * a * a * b) / (L * L);
+    } else if (supports === 'propped') {
+      MA -= (P * b * (L * L - b * b)) / (2 * L * L);
+    }
+  }
+
+  const V = RA - w * x - passed + (MB - MA) / L;
+  return { V, M: M + MA * (1 - x / L) + MB * (x / L) };
+}
+
+/**
+ * Run the span analysis.
+ *
+ * @param {object} section – analysis section with span (ft), supports, wD, wL
+ *   (kip/ft), wc (pcf) and pointLoads [{ P (kip), a (ft), type: 'D' | 'L' }]
+ * @param {Array} steelLayers – as for analyzeBeam
+ * @param {object} [opts] – { stations: 21, layersAt(xFt) → steelLayers }
+ * @returns {object} { L, supports, wSelf, stations, maxMu, maxVu, critical, pass }
+ *   stations: [{ x, Vu, MuPos, MuNeg, phiMnFt, ratio }]
+ */
+export function spanAnalysis(section, steelLayers, opts = {}) {
+  const { stations: n = 21, layersAt = () => steelLayers } = opts;
+  const L = section.span;
+  const supports = section.supports || 'simple';
+  const wSelf = ((concreteArea(section) / 144) * (section.wc ?? 150)) / 1000;
+  const wD = wSelf + (section.wD || 0);
+  const wL = section.wL || 0;
+  const points = (section.pointLoads || []).filter((p) => p.a >= 0 && p.a <= L);
+  const deadPoints = points.filter((p) => p.type !== 'L');
+  const livePoints = points.filter((p) => p.type === 'L');
+
+  // Evenly spaced stations plus the point-load locations, where peaks occur.
+  const xs = new Set();
+  for (let i = 0; i < n; i++) xs.add((L * i) / (n - 1));
+  points.forEach((p) => xs.add(p.a));
+  const sorted = [...xs].sort((a, b) => a - b);
+
+  // layersAt() builds new layers at every station, so capacities are cached on
+  // what the analysis reads from them: stations where no strand changes
+  // (outside transfer lengths and harp slopes) share one analysis.
+  const capacity = new Map();
+  const phiMnFor = (layers) => {
+    const key = layers
+      .map((l) => [l.area, l.depth, l.fse, l.bonded, l.fpsMax, l.steel?.id].join(','))
+      .join(';');
+    if (!capacity.has(key)) {
+      capacity.set(key, analyzeBeam({ ...section, Mu: 0, momentSign: 'sagging' }, layers).phiMnFt);
+    }
+    return capacity.get(key);
+  };
+
+  const stations = sorted.map((x) => {
+    const dead = beamActions(x, L, supports, wD, deadPoints);
+    const live = beamActions(x, L, supports, wL, livePoints);
+    let Vu = 0, MuPos = 0, MuNeg = 0;
+    for (const c of COMBOS) {
+      const V = c.D * dead.V + c.L * live.V;
+      const M = c.D * dead.M + c.L * live.M;
+      if (Math.abs(V) > Math.abs(Vu)) Vu = V;
+      MuPos = Math.max(MuPos, M);
+      MuNeg = Math.min(MuNeg, M);
+    }
+    const phiMnFt = phiMnFor(layersAt(x));
+    const ratio = MuPos > 0 && phiMnFt > 0 ? MuPos / phiMnFt : 0;
+    return { x, Vu, MuPos, MuNeg, phiMnFt, ratio };
+  });
+
+  const critical = stations.reduce((best, s) => (s.ratio > best.ratio ? s : best), stations[0]);
+  const maxMu = stations.reduce((best, s) => (s.MuPos > best.MuPos ? s : best), stations[0]);
+  const maxVu = stations.reduce((best, s) => (Math.abs(s.Vu) > Math.abs(best.Vu) ? s : best), stations[0]);
+
+  return {
+    L,
+    supports,
+    wSelf,
+    wD,
+    wL,
+    stations,
+    maxMu,
+    maxVu,
+    critical,
+    pass: critical.ratio <= 1,
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for the span analysis: closed-form beam actions for each support
+ * case, the factored envelope, and φMn stations from analyzeBeam.
+ */
+import { describe, it, expect } from 'vitest';
+import { beamActions, spanAnalysis } from './spanAnalysis';
+import { analyzeBeam } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+
+describe('beamActions', () => {
+  const L = 30;
+  it('matches the simple-span formulas', () => {
+    expect(beamActions(15, L, 'simple', 2).M).toBeCloseTo((2 * L * L) / 8, 10);
+    expect(beamActions(0, L, 'simple', 2).V).toBeCloseTo(L, 10);
+    // P a b / L under the load
+    expect(beamActions(10, L, 'simple', 0, [{ P: 12, a: 10 }]).M).toBeCloseTo((12 * 10 * 20) / L, 10);
+    expect(beamActions(20, L, 'simple', 0, [{ P: 12, a: 10 }]).V).toBeCloseTo(-4, 10);
+  });
+  it('superposes fixed-end moments', () => {
+    expect(beamActions(0, L, 'fixed', 2).M).toBeCloseTo(-(2 * L * L) / 12, 10);
+    expect(beamActions(15, L, 'fixed', 2).M).toBeCloseTo((2 * L * L) / 24, 10);
+    expect(beamActions(15, L, 'fixed', 0, [{ P: 8, a: 15 }]).M).toBeCloseTo((8 * L) / 8, 10);
+  });
+  it('handles the propped cantilever', () => {
+    expect(beamActions(0, L, 'propped', 2).M).toBeCloseTo(-(2 * L * L) / 8, 10);
+    expect(beamActions(0, L, 'propped', 2).V).toBeCloseTo((5 * 2 * L) / 8, 10);
+    expect(beamActions((5 * L) / 8, L, 'propped', 2).M).toBeCloseTo((9 * 2 * L * L) / 128, 10);
+    // Point load at midspan: MA = 3PL/16
+    expect(beamActions(0, L, 'propped', 0, [{ P: 16, a: 15 }]).M).toBeCloseTo(-(3 * 16 * L) / 16, 10);
+  });
+});
+
+describe('spanAnalysis', () => {
+  const section = {
+    sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6,
+    span: 30, supports: 'simple', wD: 0.5, wL: 1.0, wc: 150, pointLoads: [],
+  };
+  const layers = [{ area: 1.224, depth: 20, fse: 160, steel: GR270 }];
+  const res = spanAnalysis(section, layers);
+  const phiMnFt = analyzeBeam(section, layers).phiMnFt;
+
+  it('includes the self-weight and envelopes 1.4D and 1.2D + 1.6L', () => {
+    expect(res.wSelf).toBeCloseTo(0.3, 10); // 288 in² at 150 pcf
+    // (1.2 · 0.8 + 1.6 · 1.0) · 30² / 8
+    expect(res.maxMu.MuPos).toBeCloseTo(288, 8);
+    expect(res.maxMu.x).toBeCloseTo(15, 10);
+    expect(Math.abs(res.maxVu.Vu)).toBeCloseTo(2.56 * 15, 8);
+  });
+  it('compares Mu with φMn at every station', () => {
+    expect(res.stations).toHaveLength(21);
+    res.stations.forEach((s) => expect(s.phiMnFt).toBeCloseTo(phiMnFt, 8));
+    expect(res.critical.x).toBeCloseTo(15, 10);
+    expect(res.critical.ratio).toBeCloseTo(288 / phiMnFt, 8);
+    expect(res.pass).toBe(288 <= phiMnFt);
+  });
+  it('evaluates the layers returned for each station', () => {
+    const half = [{ ...layers[0], area: 0.612 }];
+    const varied = spanAnalysis(section, layers, { layersAt: (x) => (x < 6 ? half : layers) });
+    expect(varied.stations[0].phiMnFt).toBeLessThan(varied.stations[10].phiMnFt);
+    expect(varied.stations[10].phiMnFt).toBeCloseTo(phiMnFt, 8);
+  });
+  it('adds point-load locations as stations', () => {
+    const pt = spanAnalysis({ ...section, pointLoads: [{ P: 10, a: 7.3, type: 'L' }] }, layers);
+    expect(pt.stations.some((s) => s.x === 7.3)).toBe(true);
+  });
+});
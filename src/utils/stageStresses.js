@@ -0,0 +1,157 @@
+/**
+ * Extreme-fiber concrete stresses at transfer and at service, checked against
+ * the permissible stresses of ACI 318-19 §24.5. Stresses use the gross section
+ * from grossSectionProperties() and are compression positive:
+ *
+ *   f_top = P/A − P·e·yt/Ig + M·yt/Ig
+ *   f_bot = P/A + P·e·yb/Ig − M·yb/Ig
+ *
+ * with e = yps − ȳcg (positive below the centroid), yt = ȳcg and yb = h − ȳcg.
+ *
+ * Stages (M in kip-ft on the section, positive sagging):
+ *   transfer   P = Σ fpi·Aps, M = Mself        §24.5.3
+ *   sustained  P = Σ fse·Aps, M = Msustained   §24.5.4.1 (0.45 f'c)
+ *   service    P = Σ fse·Aps, M = Mservice     §24.5.4.1 (0.60 f'c), §24.5.2.1 class
+ *
+ * Transfer limits (§24.5.3.1, §24.5.3.2), location = 'end' for the ends of
+ * simply supported members:
+ *   compression 0.60 f'ci (0.70 f'ci at ends)
+ *   tension     3√f'ci    (6√f'ci at ends); above this, bonded reinforcement
+ *               is required to resist the tension force (§24.5.3.2.1)
+ *
+ * Service class (§24.5.2.1) from the tension ft in the precompressed tension
+ * zone (the bottom fiber): U ≤ 7.5√f'c < T ≤ 12√f'c < C. The §24.5.4.1
+ * compression limits apply to classes U and T.
+ *
+ * SI sections (section.units) use the ACI 318M limits 0.25√f'ci, 0.5√f'ci,
+ * 0.62√f'c and 1.0√f'c (MPa) in place of 3, 6, 7.5 and 12√f'c (psi).
+ *
+ * With a composite topping the fibers are the top and bottom of the precast.
+ * Prestress, and at service the noncomposite moment Mnc, act on the precast
+ * section; the rest of the moment acts on the composite section:
+ *
+ *   f = P/Anc ± P·e·y/Inc ∓ Mnc·y/Inc ∓ (M − Mnc)·yc/Ic
+ */
+import { grossSectionProperties, hasTopping, noncompositeProperties, sqrtFcTerm } from './beamCalculations';
+
+// Precast top and bottom fiber stresses. props are the noncomposite
+// properties; composite, when given, is { props, ht, Mnc } and carries M − Mnc.
+function fiberStresses(P, e, M, props, composite = null) {
+  const { A, Ig, yCg, yb } = props;
+  const yt = yCg - (composite?.ht || 0);
+  const Mnc = composite ? Math.min(M, composite.Mnc) : M;
+  const stresses = {
+    top: P / A - (P * e * yt) / Ig + (Mnc * yt) / Ig,
+    bottom: P / A + (P * e * yb) / Ig - (Mnc * yb) / Ig,
+  };
+  if (composite) {
+    const c = composite.props;
+    stresses.top += ((M - Mnc) * (c.yCg - composite.ht)) / c.Ig;
+    stresses.bottom -= ((M - Mnc) * c.yb) / c.Ig;
+  }
+  return stresses;
+}
+
+// Compare both fibers with a compression limit and a tension limit (ksi,
+// magnitudes). A null tension limit skips the tension check.
+function checkFibers(stresses, compressionLimit, tensionLimit) {
+  const checks = ['top', 'bottom'].map((fiber) => {
+    const f = stresses[fiber];
+    if (f >= 0) {
+      return { fiber, stress: f, kind: 'compression', limit: compressionLimit, pass: f <= compressionLimit };
+    }
+    if (tensionLimit == null) return { fiber, stress: f, kind: 'tension', limit: null, pass: true };
+    return { fiber, stress: f, kind: 'tension', limit: tensionLimit, pass: -f <= tensionLimit };
+  });
+  return { ...stresses, checks, pass: checks.every((c) => c.pass) };
+}
+
+/**
+ * Transfer and service stress checks for a prestressed section.
+ *
+ * @param {object} section – { fc, fci, Mself, Msustained, Mservice (kip-ft),
+ *   stressLocation: 'midspan' | 'end', ...geometry }, plus topping and Mnc
+ *   (kip-ft) for a composite section
+ * @param {Array} steelLayers – [{ area, depth, fse, fpi }]; fpi (stress right
+ *   after transfer) falls back to fse when not given
+ * @returns {object|null} null when no layer is prestressed
+ */
+export function stageStressChecks(section, steelLayers) {
+  const props = noncompositeProperties(section);
+  const composite = hasTopping(section)
+    ? { props: grossSectionProperties(section), ht: section.topping.ht, Mnc: (section.Mnc || 0) * 12 }
+    : null;
+  // At transfer the topping is not yet cast: the precast carries Mself alone.
+  const precastOnly = composite && { ...composite, Mnc: Infinity };
+  let Pi = 0, Pe = 0, PeMoment = 0, PiMoment = 0;
+  for (const l of steelLayers) {
+    if (!(l.fse > 0)) continue;
+    const fpi = l.fpi > 0 ? l.fpi : l.fse;
+    Pe += l.fse * l.area;
+    PeMoment += l.fse * l.area * l.depth;
+    Pi += fpi * l.area;
+    PiMoment += fpi * l.area * l.depth;
+  }
+  if (!(Pe > 0)) return null;
+
+  const { fc } = section;
+  const fci = section.fci > 0 ? section.fci : fc;
+  const atEnd = section.stressLocation === 'end';
+  const root = (f, kPsi, kMpa) => sqrtFcTerm(f, kPsi, kMpa, section.units);
+  const ei = PiMoment / Pi - props.yCg;
+  const e = PeMoment / Pe - props.yCg;
+
+  const MselfIn = (section.Mself || 0) * 12;
+  const MsusIn = (section.Msustained || 0) * 12;
+  const MserIn = (section.Mservice || 0) * 12;
+
+  const transferLimits = {
+    compression: (atEnd ? 0.70 : 0.60) * fci,
+    tension: atEnd ? root(fci, 6, 0.5) : root(fci, 3, 0.25),
+  };
+  const transfer = {
+    P: Pi,
+    e: ei,
+    M: MselfIn,
+    limits: transferLimits,
+    ...checkFibers(fiberStresses(Pi, ei, MselfIn, props, precastOnly), transferLimits.compression, transferLimits.tension),
+  };
+
+  const sustained = {
+    P: Pe,
+    e,
+    M: MsusIn,
+    limits: { compression: 0.45 * fc, tension: null },
+    ...checkFibers(fiberStresses(Pe, e, MsusIn, props, composite), 0.45 * fc, null),
+  };
+
+  const serviceStresses = fiberStresses(Pe, e, MserIn, props, composite);
+  const ft = Math.max(-serviceStresses.bottom, 0);
+  const classU = root(fc, 7.5, 0.62);
+  const classT = root(fc, 12, 1.0);
+  const classification = ft <= classU ? 'U' : ft <= classT ? 'T' : 'C';
+  const service = {
+    P: Pe,
+    e,
+    M: MserIn,
+    limits: { compression: 0.60 * fc, tension: null, classU, classT },
+    ft,
+    classification,
+    ...checkFibers(serviceStresses, 0.60 * fc, null),
+  };
+
+  // Class C members are not verified here: their §24.3 crack control and
+  // cracked-section stresses are outside these gross-section checks.
+  const serviceOk = classification !== 'C' && service.pass && sustained.pass;
+
+  return {
+    props,
+    fci,
+    location: atEnd ? 'end' : 'midspan',
+    transfer,
+    sustained,
+    service,
+    serviceOk,
+    pass: transfer.pass && serviceOk,
+  };
+}
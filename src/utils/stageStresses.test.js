@@ -0,0 +1,86 @@
+/**
+ * Tests for the §24.5 transfer and service stress checks, against hand
+ * calculations on a 12 × 24 in. pretensioned beam.
+ */
+import { describe, it, expect } from 'vitest';
+import { stageStressChecks } from './stageStresses';
+import { grossSectionProperties } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+
+describe('stageStressChecks (ACI 318-19 §24.5)', () => {
+  // A = 288 in², Ig = 13,824 in⁴, yt = yb = 12 in, e = 20 − 12 = 8 in.
+  const section = {
+    sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6,
+    fci: 4.5, Mself: 50, Msustained: 120, Mservice: 180,
+  };
+  const layers = [{ area: 1.224, depth: 20, fse: 160, fpi: 189, steel: GR270 }];
+  const res = stageStressChecks(section, layers);
+
+  it('computes transfer stresses from Pi and Mself', () => {
+    // Pi = 231.34 kip: P/A = 0.8033, Pe·yt/I = 1.6065, M·y/I = 600·12/13824 = 0.5208
+    expect(res.transfer.P).toBeCloseTo(231.336, 3);
+    expect(res.transfer.top).toBeCloseTo(-0.2824, 4);
+    expect(res.transfer.bottom).toBeCloseTo(1.8889, 4);
+  });
+  it('applies 3√f\'ci tension and 0.60 f\'ci compression away from the ends', () => {
+    expect(res.transfer.limits.tension).toBeCloseTo(0.2012, 4);
+    expect(res.transfer.limits.compression).toBeCloseTo(2.7, 10);
+    expect(res.transfer.checks[0]).toMatchObject({ fiber: 'top', kind: 'tension', pass: false });
+    expect(res.transfer.checks[1]).toMatchObject({ fiber: 'bottom', kind: 'compression', pass: true });
+  });
+  it('relaxes to 6√f\'ci and 0.70 f\'ci at the ends of simply supported members', () => {
+    const end = stageStressChecks({ ...section, stressLocation: 'end' }, layers);
+    expect(end.transfer.limits.tension).toBeCloseTo(0.4025, 4);
+    expect(end.transfer.limits.compression).toBeCloseTo(3.15, 10);
+    expect(end.transfer.pass).toBe(true);
+  });
+  it('checks service compression at 0.45 and 0.60 f\'c', () => {
+    // Pe = 195.84 kip: P/A = 0.68, Pe·y/I = 1.36
+    expect(res.sustained.top).toBeCloseTo(0.68 - 1.36 + 1.25, 6);
+    expect(res.service.top).toBeCloseTo(0.68 - 1.36 + 1.875, 6);
+    expect(res.sustained.limits.compression).toBeCloseTo(2.7, 10);
+    expect(res.service.limits.compression).toBeCloseTo(3.6, 10);
+    expect(res.serviceOk).toBe(true);
+    expect(res.pass).toBe(false); // transfer tension governs
+  });
+  it('classifies the precompressed tension zone as U, T or C', () => {
+    expect(res.service.classification).toBe('U');
+    // Mservice = 260 kip-ft: fb = 2.04 − 2.708 = −0.668 ksi, 7.5√f'c = 0.581, 12√f'c = 0.930
+    expect(stageStressChecks({ ...section, Mservice: 260 }, layers).service.classification).toBe('T');
+    const classC = stageStressChecks({ ...section, Mservice: 300 }, layers);
+    expect(classC.service.classification).toBe('C');
+    expect(classC.serviceOk).toBe(false);
+  });
+  it('falls back to fse when fpi is not given, and skips non-prestressed sections', () => {
+    const noFpi = stageStressChecks(section, [{ ...layers[0], fpi: undefined }]);
+    expect(noFpi.transfer.P).toBeCloseTo(195.84, 6);
+    expect(stageStressChecks(section, [{ area: 3, depth: 21, fse: 0, steel: GR60 }])).toBeNull();
+  });
+});
+
+describe('stageStressChecks with a composite topping', () => {
+  // The 12 × 24 beam above under a 48 × 2 topping; depths shift by 2 in.
+  const precast = {
+    sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6,
+    fci: 4.5, Mself: 50, Msustained: 120, Mservice: 180,
+  };
+  const section = { ...precast, h: 26, topping: { bt: 48, ht: 2, fc: 4 }, Mnc: 100 };
+  const layer = { area: 1.224, depth: 20, fse: 160, fpi: 189, steel: GR270 };
+  const res = stageStressChecks(section, [{ ...layer, depth: 22 }]);
+  const alone = stageStressChecks(precast, [layer]);
+
+  it('checks transfer on the precast alone', () => {
+    expect(res.transfer.top).toBeCloseTo(alone.transfer.top, 10);
+    expect(res.transfer.bottom).toBeCloseTo(alone.transfer.bottom, 10);
+  });
+  it('puts the moment above Mnc on the composite section', () => {
+    const c = grossSectionProperties(section);
+    const extra = (180 - 100) * 12;
+    const atMnc = stageStressChecks({ ...precast, Mservice: 100 }, [layer]).service;
+    expect(res.service.top).toBeCloseTo(atMnc.top + (extra * (c.yCg - 2)) / c.Ig, 10);
+    expect(res.service.bottom).toBeCloseTo(atMnc.bottom - (extra * c.yb) / c.Ig, 10);
+  });
+});
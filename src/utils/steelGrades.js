@@ -0,0 +1,113 @@
+/**
+ * User-defined steel grades. A custom grade carries the same fields as the
+ * built-in presets (src/data/steelPresets.js) — Es, fpy, fpu, stressCap and
+ * the power-formula constants Q, R and K, with the default fse and fpi — so
+ * the engine takes it unchanged through layer.steel, in uniaxial and biaxial
+ * runs alike. Grades are checked before use:
+ *
+ *   Es, fpy, fpu, R, K > 0,  fpy ≤ fpu,  0 < stressCap ≤ fpu,  Q < 1
+ *   0 ≤ fse < stressCap (0 for mild steel),  fse ≤ fpi ≤ fpu
+ *   fs(εs) non-decreasing out to 3 fpu / Es
+ *   FRP (frp: true): fpy = stressCap = fpu, no yield
+ *
+ * The last check samples the power formula itself. With Q ≥ 0 the curve
+ * always rises; a negative Q gives a softening branch, accepted only when it
+ * lies beyond the stress cap, so an analysis never meets one stress at two
+ * strains.
+ */
+import steelPresets from '../data/steelPresets';
+import { powerFormulaStress } from './beamCalculations';
+
+/** Numeric fields of a grade, in US units (ksi) where a quantity is given. */
+export const STEEL_GRADE_FIELDS = [
+  { id: 'Es', quantity: 'stress' },
+  { id: 'fpy', quantity: 'stress' },
+  { id: 'fpu', quantity: 'stress' },
+  { id: 'stressCap', quantity: 'stress' },
+  { id: 'Q', quantity: null },
+  { id: 'R', quantity: null },
+  { id: 'K', quantity: null },
+  { id: 'defaultFse', quantity: 'stress' },
+  { id: 'defaultFpi', quantity: 'stress' },
+];
+
+/**
+ * Check a grade; returns the problems found, [] when it may be used.
+ *
+ * @param {object} grade – { name, category, Es, fpy, fpu, stressCap, Q, R, K,
+ *   defaultFse, defaultFpi } in ksi
+ * @param {Array} [others] – grades it must not share a name with
+ */
+export function validateSteelGrade(grade, others = []) {
+  const errors = [];
+  const name = String(grade.name ?? '').trim();
+  if (!name) errors.push('Enter a name.');
+  else if (others.some((g) => g.id !== grade.id && g.name.toLowerCase() === name.toLowerCase())) {
+    errors.push(`A steel grade named "${name}" already exists.`);
+  }
+  if (!['mild', 'prestressing'].includes(grade.category)) errors.push('Choose mild or prestressing steel.');
+
+  const { Es, fpy, fpu, stressCap, Q, R, K, defaultFse = 0, defaultFpi = 0 } = grade;
+  const positive = { Es, fpy, fpu, R, K };
+  for (const [field, v] of Object.entries(positive)) {
+    if (!(Number.isFinite(v) && v > 0)) errors.push(`${field} must be a positive number.`);
+  }
+  if (errors.length) return errors;
+
+  if (fpy > fpu) errors.push('fpy cannot exceed fpu.');
+  if (!(stressCap > 0 && stressCap <= fpu)) errors.push('The stress cap must lie between 0 and fpu.');
+  if (!(Number.isFinite(Q) && Q < 1)) errors.push('Q must be a number less than 1.');
+  if (grade.frp && !(fpy === fpu && stressCap === fpu)) {
+    errors.push('FRP has no yield: fpy and the stress cap must equal fpu.');
+  }
+  if (grade.category === 'mild' && defaultFse !== 0) errors.push('Mild steel carries no prestress: fse must be 0.');
+  if (!(defaultFse >= 0 && defaultFse < stressCap)) errors.push('The default fse must lie between 0 and the stress cap.');
+  if (grade.category === 'prestressing' && defaultFpi > 0 && !(defaultFpi >= defaultFse && defaultFpi <= fpu)) {
+    errors.push('The default fpi must lie between fse and fpu.');
+  }
+  if (errors.length) return errors;
+
+  // Sample the curve densely through the knee and out past the cap.
+  const maxStrain = (3 * fpu) / Es;
+  let prev = 0;
+  for (let i = 1; i <= 600; i++) {
+    const eps = (i / 600) * maxStrain;
+    const fs = powerFormulaStress(eps, grade);
+    if (!Number.isFinite(fs) || fs < prev - 1e-9 * fpu) {
+      errors.push(`The stress–strain curve falls after εs = ${(eps - maxStrain / 600).toFixed(4)}; check Q, R and K.`);
+      break;
+    }
+    prev = fs;
+  }
+  return errors;
+}
+
+/**
+ * A custom grade from editor fields: a stable id (kept when editing,
+ * otherwise "custom-" and a slug of the name, unique among grades) and the
+ * flags the presets carry. Throws with the first problem when invalid.
+ */
+export function customSteelGrade(fields, grades = steelPresets) {
+  const grade = {
+    ...fields,
+    name: String(fields.name ?? '').trim(),
+    description: fields.description || 'User-defined steel grade',
+    custom: true,
+    lowRelaxation: fields.category === 'prestressing' ? fields.lowRelaxation !== false : undefined,
+    strand: fields.category === 'prestressing' && fields.strand === true,
+  };
+  const errors = validateSteelGrade(grade, grades);
+  if (errors.length) throw new Error(`${grade.name || 'Steel grade'}: ${errors[0]}`);
+  if (!grade.id) {
+    const slug = grade.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'grade';
+    let id = `custom-${slug}`;
+    for (let n = 2; grades.some((g) => g.id === id); n++) id = `custom-${slug}-${n}`;
+    grade.id = id;
+  }
+  return grade;
+}
+
+/** Built-in presets followed by the custom grades. */
+export function steelGradeList(customGrades = []) {
+  return [...steelPresets, ...customGrades];
+}
@@ -0,0 +1,86 @@
+/**
+ * Tests for user-defined steel grades: validation (including the monotonicity
+ * of the power-formula curve), ids for new grades, and custom grades in
+ * uniaxial and biaxial analyses.
+ */
+import { describe, it, expect } from 'vitest';
+import { customSteelGrade, steelGradeList, validateSteelGrade } from './steelGrades';
+import { analyzeBeam, analyzeBiaxial } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const STRAND_300 = {
+  name: 'Mill 300 Strand',
+  category: 'prestressing',
+  Es: 28800,
+  fpy: 270,
+  fpu: 300,
+  stressCap: 300,
+  Q: 0.031,
+  R: 7.36,
+  K: 1.043,
+  defaultFse: 180,
+  defaultFpi: 210,
+  strand: true,
+};
+
+describe('validateSteelGrade', () => {
+  it('accepts every built-in preset', () => {
+    steelPresets.forEach((p) => expect(validateSteelGrade(p, steelPresets)).toEqual([]));
+  });
+
+  it('reports missing or inconsistent properties', () => {
+    expect(validateSteelGrade({ ...STRAND_300, Es: 0 })).toContain('Es must be a positive number.');
+    expect(validateSteelGrade({ ...STRAND_300, fpy: 310 })).toContain('fpy cannot exceed fpu.');
+    expect(validateSteelGrade({ ...STRAND_300, stressCap: 320 })).toContain('The stress cap must lie between 0 and fpu.');
+    expect(validateSteelGrade({ ...STRAND_300, Q: 1.2 })).toContain('Q must be a number less than 1.');
+    expect(validateSteelGrade({ ...STRAND_300, defaultFpi: 150 })).toContain('The default fpi must lie between fse and fpu.');
+    expect(validateSteelGrade({ ...STRAND_300, category: 'mild' })).toContain('Mild steel carries no prestress: fse must be 0.');
+    expect(validateSteelGrade({ ...STRAND_300, name: ' ' })).toContain('Enter a name.');
+    expect(validateSteelGrade({ ...STRAND_300, name: 'gr. 270 strand' }, steelPresets)[0]).toMatch(/already exists/);
+    expect(validateSteelGrade({ ...STRAND_300, frp: true })).toContain('FRP has no yield: fpy and the stress cap must equal fpu.');
+  });
+
+  it('rejects a curve that softens below the cap but not one capped first', () => {
+    const softening = { ...STRAND_300, Q: -0.5 };
+    expect(validateSteelGrade(softening)[0]).toMatch(/curve falls after/);
+    // Mild steel with a falling branch past fy: the fy cap hides it.
+    const capped = {
+      name: 'Capped', category: 'mild', Es: 29000, fpy: 60, fpu: 90, stressCap: 60,
+      Q: -0.001, R: 100, K: 1.2, defaultFse: 0,
+    };
+    expect(validateSteelGrade(capped)).toEqual([]);
+  });
+});
+
+describe('customSteelGrade', () => {
+  it('gives a new grade a unique id and the preset flags', () => {
+    const a = customSteelGrade(STRAND_300);
+    expect(a).toMatchObject({ id: 'custom-mill-300-strand', custom: true, lowRelaxation: true, strand: true });
+    const b = customSteelGrade({ ...STRAND_300, name: 'Mill 300 strand!' }, steelGradeList([a]));
+    expect(b.id).toBe('custom-mill-300-strand-2');
+    // Editing keeps the id.
+    expect(customSteelGrade({ ...a, fpu: 295, stressCap: 295 }, steelGradeList([a])).id).toBe(a.id);
+    expect(() => customSteelGrade({ ...STRAND_300, fpy: 320 })).toThrow('Mill 300 Strand: fpy cannot exceed fpu.');
+  });
+});
+
+describe('custom grades in the analysis', () => {
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6, lambda: 1 };
+
+  it('matches the preset for a copy of Gr. 270 and rises with fpu', () => {
+    const copy = customSteelGrade({ ...GR270, id: undefined, name: 'My 270' });
+    const layer = { area: 0.612, depth: 21, fse: 160 };
+    const preset = analyzeBeam(section, [{ ...layer, steel: GR270 }]);
+    expect(analyzeBeam(section, [{ ...layer, steel: copy }]).MnFt).toBeCloseTo(preset.MnFt, 8);
+    const stronger = analyzeBeam(section, [{ ...layer, steel: customSteelGrade(STRAND_300) }]);
+    expect(stronger.MnFt).toBeGreaterThan(preset.MnFt);
+  });
+
+  it('runs in biaxial bending', () => {
+    const steel = customSteelGrade(STRAND_300);
+    const layers = [3, 9].map((x) => ({ area: 0.459, depth: 21, x, fse: 180, steel }));
+    const res = analyzeBiaxial({ ...section, bendingMode: 'biaxial' }, layers, {});
+    expect(res.anchors.xSag.Mx).toBeCloseTo(analyzeBeam(section, layers).MnFt, 1);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Transfer and development of pretensioned seven-wire strand, ACI 318-19
+ * §25.4.8. Within the development length the strand cannot reach the stress
+ * that strain compatibility gives, so its stress is capped by the bilinear
+ * relation (R25.4.8.1), with x the distance from the member end:
+ *
+ *   ℓt = (fse / 3000) db                          transfer length
+ *   ℓd = (fse / 3000) db + ((fps − fse) / 1000) db   (§25.4.8.1, psi)
+ *
+ *   x ≤ ℓt:       fcap = fse · x / ℓt
+ *   ℓt < x < ℓd:  fcap = fse + (fps − fse)(x − ℓt) / (ℓd − ℓt)
+ *   x ≥ ℓd:       no cap
+ *
+ * fps is the strand stress at nominal strength of the fully developed section.
+ * Stresses in ksi (so ℓt = fse/3 · db), lengths in in. SI sections use the
+ * ACI 318M divisors 21 and 7 (MPa) in place of 3000 and 1000 (psi).
+ */
+import { analyzeBeam } from './beamCalculations';
+
+const MPA_PER_KSI = 6.894757;
+
+/** Transfer length ℓt (in), fse in ksi. */
+export function transferLength(fse, db, units) {
+  return units === 'SI' ? ((fse * MPA_PER_KSI) / 21) * db : (fse / 3) * db;
+}
+
+/** Development length ℓd (in), §25.4.8.1 with stresses in ksi. */
+export function developmentLength(fse, fps, db, units) {
+  const bond = units === 'SI' ? ((fps - fse) * MPA_PER_KSI) / 7 : fps - fse;
+  return transferLength(fse, db, units) + bond * db;
+}
+
+/**
+ * Strand stress that can be developed at distance x (in) from where the bond
+ * begins, or Infinity past ℓd. ldFactor = 2 doubles ℓd for debonded strand.
+ */
+export function developedStress(x, fse, fps, db, ldFactor = 1, units) {
+  if (x <= 0) return 0;
+  const lt = transferLength(fse, db, units);
+  const ld = developmentLength(fse, fps, db, units) * ldFactor;
+  if (x >= ld) return Infinity;
+  if (x <= lt) return lt > 0 ? (fse * x) / lt : 0;
+  return fse + ((fps - fse) * (x - lt)) / (ld - lt);
+}
+
+// Bonded pretensioned strand is the only reinforcement §25.4.8 covers.
+const isStrand = (l) => l.steel?.strand && l.bonded !== false;
+
+/**
+ * Cap the stress of bonded strand layers at distance x (in) from the member
+ * end. Returns the layers with fpsMax set where the strand is not fully
+ * developed (the input array itself when nothing is capped), and one row per
+ * layer: null for other layers, otherwise { db, lt, ld, fps, cap, capped }.
+ *
+ * @param {object} section – as for analyzeBeam
+ * @param {Array} steelLayers – layers may carry db (in, default 0.5) and, from
+ *   layersAtStation(), embedment (in) and debonded, which replace x and
+ *   double ℓd
+ * @param {number} x – distance from the member end (in)
+ * @param {object} [full] – a fully developed analyzeBeam result to reuse
+ */
+export function developLayers(section, steelLayers, x, full = null) {
+  const base = full || analyzeBeam(section, steelLayers);
+  let anyCapped = false;
+  const rows = steelLayers.map((l, i) => {
+    if (!isStrand(l)) return null;
+    const db = l.db || 0.5;
+    const factor = l.debonded ? 2 : 1;
+    const fps = base.layerResults[i].stress;
+    const lt = transferLength(l.fse, db, section.units);
+    const ld = developmentLength(l.fse, fps, db, section.units) * factor;
+    const cap = l.fpsMax === 0 ? 0 : developedStress(l.embedment ?? x, l.fse, fps, db, factor, section.units);
+    const capped = cap < fps || l.fpsMax === 0;
+    if (capped) anyCapped = true;
+    return { db, lt, ld, fps, cap, capped };
+  });
+  const layers = anyCapped
+    ? steelLayers.map((l, i) => (rows[i]?.capped ? { ...l, fpsMax: rows[i].cap } : l))
+    : steelLayers;
+  return { x, layers, rows };
+}
@@ -0,0 +1,60 @@
+/**
+ * Tests for the §25.4.8 transfer and development lengths and the bilinear
+ * strand stress cap near member ends.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  transferLength,
+  developmentLength,
+  developedStress,
+  developLayers,
+} from './strandDevelopment';
+import { analyzeBeam } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const GR60 = steelPresets.find((p) => p.id === 'grade60');
+
+describe('transfer and development lengths', () => {
+  it('follows §25.4.8.1 in ksi', () => {
+    expect(transferLength(150, 0.5)).toBeCloseTo(25, 10);
+    expect(developmentLength(150, 265, 0.5)).toBeCloseTo(25 + 57.5, 10);
+  });
+  it('caps the stress bilinearly', () => {
+    expect(developedStress(0, 150, 265, 0.5)).toBe(0);
+    expect(developedStress(12.5, 150, 265, 0.5)).toBeCloseTo(75, 10);
+    expect(developedStress(25, 150, 265, 0.5)).toBeCloseTo(150, 10);
+    expect(developedStress(53.75, 150, 265, 0.5)).toBeCloseTo(207.5, 10);
+    expect(developedStress(82.5, 150, 265, 0.5)).toBe(Infinity);
+  });
+});
+
+describe('developLayers', () => {
+  const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+  const layers = [
+    { area: 1.224, depth: 20, fse: 160, db: 0.5, steel: GR270 },
+    { area: 0.4, depth: 2, fse: 0, steel: GR60 },
+  ];
+  const full = analyzeBeam(section, layers);
+  const fps = full.layerResults[0].stress;
+
+  it('reports ℓt and ℓd from the developed fps', () => {
+    const { rows } = developLayers(section, layers, 10);
+    expect(rows[0].fps).toBeCloseTo(fps, 10);
+    expect(rows[0].lt).toBeCloseTo(80 / 3, 10);
+    expect(rows[0].ld).toBeCloseTo(80 / 3 + (fps - 160) * 0.5, 10);
+    expect(rows[1]).toBeNull();
+  });
+  it('limits the strand stress and Mn inside the transfer length', () => {
+    const dev = developLayers(section, layers, 10);
+    expect(dev.layers[0].fpsMax).toBeCloseTo(60, 10); // 160 · 10 / 26.67
+    const capped = analyzeBeam(section, dev.layers);
+    expect(capped.layerResults[0].stress).toBeCloseTo(60, 6);
+    expect(capped.Mn).toBeLessThan(full.Mn);
+  });
+  it('leaves fully developed sections untouched', () => {
+    const dev = developLayers(section, layers, 120, full);
+    expect(dev.layers).toBe(layers);
+    expect(dev.rows[0].capped).toBe(false);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Strand patterns on the standard 2 in grid. Rows are counted from the bottom:
+ * row i has its strand centers at cover + i·grid above the soffit. Each row
+ * fills the concrete spans at its depth, i.e. the section cut by a horizontal
+ * line, with holes left void and each span narrowed by sideCover to the strand
+ * centers. Within a span the strands sit on grid columns symmetric about the
+ * span center,
+ *
+ *   odd count   x = xc + k·grid,          k = 0, ±1, ±2 …
+ *   even count  x = xc ± (k + ½)·grid,    k = 0, 1, 2 …
+ *
+ * innermost columns first. A row's strands are shared evenly among its spans
+ * (the two stems of a double tee), so a symmetric section gets a symmetric
+ * pattern. Strands that do not fit are reported, not placed.
+ *
+ * Optional harped rows are the top rows of the pattern: they keep their depth
+ * between hold-down points and rise to the ends on the same grid, the top one
+ * to endDepth and each lower one grid below it (see strandProfiles.js).
+ *
+ * Depths are from the top of the section (of the topping, when composite) and
+ * x from its left fiber, both in in; the precast outline comes from
+ * sectionToPolygon().
+ */
+import { hasTopping, precastSection, sectionToPolygon } from './beamCalculations';
+
+/** Seven-wire strand sizes: nominal diameter and area (in, in²), ASTM A416. */
+export const STRAND_SIZES = [
+  { db: 0.375, area: 0.085, name: '3/8 in' },
+  { db: 0.5, area: 0.153, name: '1/2 in' },
+  { db: 0.6, area: 0.217, name: '0.6 in' },
+  { db: 0.7, area: 0.294, name: '0.7 in' },
+];
+
+// Concrete spans [x0, x1] along the horizontal line at y (polygon coordinates):
+// crossings of every ring, paired up by the even-odd rule.
+function spansAt(polySpec, y) {
+  const rings = [polySpec.outer, ...(polySpec.extra || []), ...(polySpec.holes || [])]
+    .filter((r) => r && r.length >= 3);
+  const xs = [];
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const p = ring[i], q = ring[(i + 1) % ring.length];
+      if ((p.y <= y) !== (q.y <= y)) xs.push(p.x + ((y - p.y) * (q.x - p.x)) / (q.y - p.y));
+    }
+  }
+  xs.sort((a, b) => a - b);
+  const spans = [];
+  for (let i = 0; i + 1 < xs.length; i += 2) spans.push([xs[i], xs[i + 1]]);
+  return spans;
+}
+
+// Overlap of two span lists.
+function intersectSpans(a, b) {
+  const out = [];
+  for (const [a0, a1] of a) {
+    for (const [b0, b1] of b) {
+      const x0 = Math.max(a0, b0), x1 = Math.min(a1, b1);
+      if (x1 > x0) out.push([x0, x1]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Spans at depth y (polygon coordinates) where a strand center keeps
+ * sideCover to the outline: the spans common to the lines y − sideCover, y
+ * and y + sideCover (held just inside the top and bottom faces, whose cover
+ * the row depth sets), each narrowed by sideCover at both ends.
+ */
+export function strandSpans(polySpec, y, sideCover) {
+  const ys = [polySpec.outer, ...(polySpec.extra || [])].flat().map((p) => p.y);
+  const eps = 1e-6;
+  const inside = (yy) => Math.min(Math.max(yy, Math.min(...ys) + eps), Math.max(...ys) - eps);
+  const cut = [y - sideCover, y, y + sideCover].map((yy) => spansAt(polySpec, inside(yy)));
+  return cut.reduce(intersectSpans)
+    .map(([x0, x1]) => [x0 + sideCover, x1 - sideCover])
+    .filter(([x0, x1]) => x1 >= x0 - 1e-9);
+}
+
+// The n grid columns of a span [x0, x1] nearest its center, or null when they
+// do not fit.
+function gridColumns([x0, x1], n, grid) {
+  if (n === 0) return [];
+  const xc = (x0 + x1) / 2;
+  const offsets = [];
+  for (let k = 0; offsets.length < n; k++) {
+    if (n % 2) {
+      if (k === 0) offsets.push(0);
+      else offsets.push(k * grid, -k * grid);
+    } else {
+      offsets.push((k + 0.5) * grid, -(k + 0.5) * grid);
+    }
+  }
+  const xs = offsets.slice(0, n).map((o) => xc + o).sort((a, b) => a - b);
+  const tol = 1e-9;
+  return xs[0] >= x0 - tol && xs[xs.length - 1] <= x1 + tol ? xs : null;
+}
+
+// Share n strands among the spans as evenly as possible, the remainder to the
+// widest spans, then place each share on the grid. Shares that do not fit
+// drop strands until they do.
+function fillRow(spans, n, grid) {
+  if (!spans.length) return [];
+  const shares = spans.map(() => Math.floor(n / spans.length));
+  const byWidth = spans.map((s, i) => i).sort((i, j) => (spans[j][1] - spans[j][0]) - (spans[i][1] - spans[i][0]));
+  for (let r = 0; r < n % spans.length; r++) shares[byWidth[r]]++;
+  const xs = [];
+  spans.forEach((span, i) => {
+    for (let k = shares[i]; k >= 0; k--) {
+      const cols = gridColumns(span, k, grid);
+      if (cols) {
+        xs.push(...cols);
+        break;
+      }
+    }
+  });
+  return xs.sort((a, b) => a - b);
+}
+
+/**
+ * Lay out a strand pattern in a section.
+ *
+ * @param {object} section – analysis section (any type, with h and an optional
+ *   composite topping)
+ * @param {object} opts – { rows: [strand count per row, bottom row first],
+ *   cover: 2 (soffit to the bottom row's centers), grid: 2, sideCover: 2 (in),
+ *   harped: { rows, endDepth (in), holdDown (ft) } or null }
+ * @returns {object} { strands: [{ x, depth, row, harped, endDepth }],
+ *   rows: [{ row, depth, requested, placed }], requested, placed, complete }
+ */
+export function strandPattern(section, opts = {}) {
+  const { rows = [], cover = 2, grid = 2, sideCover = 2, harped = null } = opts;
+  if (!(grid > 0)) throw new Error('Strand pattern: the grid spacing must be positive.');
+  if (!(cover > 0) || !(sideCover >= 0)) throw new Error('Strand pattern: covers must be positive.');
+  const top = hasTopping(section) ? section.topping.ht : 0;
+  const poly = sectionToPolygon(precastSection(section));
+  const harpedRows = harped?.rows > 0 ? Math.min(harped.rows, rows.length) : 0;
+  if (harpedRows && !(harped.endDepth >= 0 && harped.holdDown > 0)) {
+    throw new Error('Strand pattern: harped rows need an end depth and a hold-down distance.');
+  }
+
+  const strands = [];
+  const rowReport = rows.map((count, i) => {
+    const requested = Math.max(Math.floor(count) || 0, 0);
+    const depth = section.h - cover - i * grid;
+    const xs = depth > top ? fillRow(strandSpans(poly, depth - top, sideCover), requested, grid) : [];
+    // Harped rows are the top harpedRows rows; the topmost rises to endDepth.
+    const fromTop = rows.length - 1 - i;
+    const isHarped = fromTop < harpedRows;
+    for (const x of xs) {
+      strands.push({
+        x,
+        depth,
+        row: i + 1,
+        harped: isHarped,
+        endDepth: isHarped ? harped.endDepth + fromTop * grid : null,
+      });
+    }
+    return { row: i + 1, depth, requested, placed: xs.length };
+  });
+
+  const requested = rowReport.reduce((s, r) => s + r.requested, 0);
+  return {
+    strands,
+    rows: rowReport,
+    requested,
+    placed: strands.length,
+    complete: strands.length === requested,
+    holdDown: harpedRows ? harped.holdDown : null,
+  };
+}
+
+/**
+ * Steel layers for a pattern: one per row depth and profile with the summed
+ * strand area (x at the strands' mean) or, with individual, one per strand at
+ * its own x for biaxial runs. strand carries the remaining layer fields
+ * ({ area per strand, steel or steelPresetId, fse, fpi, db … }).
+ */
+export function patternLayers(pattern, strand, { individual = false } = {}) {
+  const profile = (s) => (s.harped
+    ? { profile: 'harped', endDepth: s.endDepth, holdDown: pattern.holdDown }
+    : { profile: 'straight' });
+  if (individual) {
+    return pattern.strands.map((s) => ({ ...strand, ...profile(s), depth: s.depth, x: s.x, count: 1 }));
+  }
+  const groups = new Map();
+  for (const s of pattern.strands) {
+    const key = `${s.depth}|${s.harped ? s.endDepth : ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  return [...groups.values()].map((group) => ({
+    ...strand,
+    ...profile(group[0]),
+    area: strand.area * group.length,
+    depth: group[0].depth,
+    x: group.reduce((sum, s) => sum + s.x, 0) / group.length,
+    count: group.length,
+  }));
+}
@@ -0,0 +1,91 @@
+/**
+ * Tests for the 2 in grid strand-pattern generator: row filling inside the
+ * outline, shared rows across stems, harped rows and the generated layers.
+ */
+import { describe, it, expect } from 'vitest';
+import { patternLayers, strandPattern } from './strandPattern';
+import { analyzeBeam } from './beamCalculations';
+import { findStandardShape } from '../data/standardShapes';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+const STRAND = { area: 0.153, fse: 160, steel: GR270 };
+
+const standard = (id, extra = {}) => {
+  const { points, holes, h } = findStandardShape(id);
+  return { sectionType: 'standard', shapeId: id, points, holes, h, fc: 8, ...extra };
+};
+
+describe('strandPattern', () => {
+  it('fills the AASHTO Type IV bottom flange on the 2 in grid', () => {
+    const p = strandPattern(standard('aashto4'), { rows: [12, 12, 12, 10] });
+    expect(p.complete).toBe(true);
+    expect(p.rows.map((r) => r.depth)).toEqual([52, 50, 48, 46]);
+    const bottom = p.strands.filter((s) => s.row === 1).map((s) => s.x);
+    // 26 in flange, 2 in to the strand centers: columns 2, 4 … 24.
+    expect(bottom).toEqual([2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24]);
+    // Row 4 runs into the bottom haunch, which leaves room for 10.
+    const row4 = p.strands.filter((s) => s.row === 4).map((s) => s.x);
+    expect(row4).toEqual([4, 6, 8, 10, 12, 14, 16, 18, 20, 22]);
+  });
+
+  it('reports strands that do not fit instead of placing them', () => {
+    const p = strandPattern(standard('aashto4'), { rows: [14, 12] });
+    expect(p.rows[0]).toMatchObject({ requested: 14, placed: 12 });
+    expect(p.complete).toBe(false);
+    expect(p.placed).toBe(24);
+  });
+
+  it('centers odd counts on a column and shares a row between stems', () => {
+    const p = strandPattern(standard('8dt24'), { rows: [2, 2], sideCover: 1.5 });
+    expect(p.complete).toBe(true);
+    expect(p.strands.filter((s) => s.row === 1).map((s) => s.x)).toEqual([24, 72]);
+    const odd = strandPattern({ sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24 }, { rows: [3] });
+    expect(odd.strands.map((s) => s.x)).toEqual([4, 6, 8]);
+  });
+
+  it('measures depths from the top of a composite topping', () => {
+    const precast = standard('aashto4');
+    const composite = { ...precast, h: precast.h + 8, topping: { bt: 96, ht: 8, fc: 4 } };
+    const a = strandPattern(precast, { rows: [12] });
+    const b = strandPattern(composite, { rows: [12] });
+    expect(b.strands.map((s) => s.depth)).toEqual(a.strands.map((s) => s.depth + 8));
+    expect(b.strands.map((s) => s.x)).toEqual(a.strands.map((s) => s.x));
+  });
+
+  it('harps the top rows to the end depth on the same grid', () => {
+    const p = strandPattern(standard('aashto4'), {
+      rows: [12, 12, 2, 2],
+      harped: { rows: 2, endDepth: 4, holdDown: 20 },
+    });
+    const row = (n) => p.strands.find((s) => s.row === n);
+    expect(row(4)).toMatchObject({ harped: true, endDepth: 4 });
+    expect(row(3)).toMatchObject({ harped: true, endDepth: 6 });
+    expect(row(2)).toMatchObject({ harped: false, endDepth: null });
+    expect(() => strandPattern(standard('aashto4'), { rows: [2], harped: { rows: 1 } }))
+      .toThrow('harped rows need');
+  });
+});
+
+describe('patternLayers', () => {
+  const section = standard('aashto4');
+  const pattern = strandPattern(section, { rows: [12, 12, 6], harped: { rows: 1, endDepth: 6, holdDown: 25 } });
+
+  it('groups strands at equal depth with summed area', () => {
+    const layers = patternLayers(pattern, STRAND);
+    expect(layers).toHaveLength(3);
+    expect(layers.map((l) => l.count)).toEqual([12, 12, 6]);
+    expect(layers[0].area).toBeCloseTo(12 * 0.153, 10);
+    expect(layers[0].x).toBeCloseTo(13, 10);
+    expect(layers[2]).toMatchObject({ profile: 'harped', endDepth: 6, holdDown: 25, depth: 48 });
+    expect(layers[0].profile).toBe('straight');
+  });
+
+  it('keeps individual x positions, with the same uniaxial strength', () => {
+    const single = patternLayers(pattern, STRAND, { individual: true });
+    expect(single).toHaveLength(30);
+    expect(single.every((l) => l.area === 0.153 && l.count === 1)).toBe(true);
+    const grouped = analyzeBeam(section, patternLayers(pattern, STRAND));
+    expect(analyzeBeam(section, single).Mn / grouped.Mn).toBeCloseTo(1, 6);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Strand profiles along a symmetric member of span L (ft). A layer's depth is
+ * its depth between hold-down points; harped layers rise linearly to endDepth
+ * at both member ends:
+ *
+ *   profile 'harped':  depth(x) = endDepth + (depth − endDepth) · x / xh   for x < xh
+ *                      (mirrored at the far end), xh = holdDown (ft from each end)
+ *
+ * A debonded layer (debondLength, ft from each end) is sheathed near the ends:
+ * within that length it carries no prestress and no stress, and past it the
+ * strand develops from the end of the sheathing with ℓd doubled (ACI 318-19
+ * §25.4.8.1, bonding not extending to the member end).
+ *
+ * layersAtStation() returns the layer set for analyzeBeam() at a station, each
+ * layer carrying embedment (in, distance from where its bond begins) for
+ * developLayers(). Inclined strands contribute Vp = Σ fse·Aps·sin θ to shear.
+ */
+
+const harped = (l) => l.profile === 'harped' && l.holdDown > 0 && Number.isFinite(l.endDepth);
+
+/** Depth of a layer (in) at x ft from the left end. */
+export function layerDepthAt(layer, xFt, L) {
+  if (!harped(layer)) return layer.depth;
+  const xe = Math.min(xFt, L - xFt);
+  if (xe >= layer.holdDown) return layer.depth;
+  return layer.endDepth + ((layer.depth - layer.endDepth) * Math.max(xe, 0)) / layer.holdDown;
+}
+
+/**
+ * Layer set at x ft from the left end: depth from the profile, and fse = 0 with
+ * fpsMax = 0 inside a debonded length, where the sheathed strand takes neither
+ * tension nor compression (layerState). Arrays stay aligned with steelLayers.
+ */
+export function layersAtStation(steelLayers, xFt, L) {
+  const xe = Math.min(xFt, L - xFt);
+  return steelLayers.map((l) => {
+    const debond = l.debondLength > 0 ? l.debondLength : 0;
+    const station = {
+      ...l,
+      depth: layerDepthAt(l, xFt, L),
+      embedment: (xe - debond) * 12,
+      debonded: debond > 0,
+    };
+    if (debond > 0 && xe < debond) {
+      station.fse = 0;
+      station.fpsMax = 0;
+    }
+    return station;
+  });
+}
+
+/**
+ * Vertical component of the effective prestress at x ft (kip), positive
+ * upward where harped strands rise toward the nearer end.
+ */
+export function verticalPrestress(steelLayers, xFt, L) {
+  const xe = Math.min(xFt, L - xFt);
+  let Vp = 0;
+  for (const l of steelLayers) {
+    if (!harped(l) || !(l.fse > 0) || xe >= l.holdDown) continue;
+    if (l.debondLength > 0 && xe < l.debondLength) continue;
+    const theta = Math.atan2(l.depth - l.endDepth, l.holdDown * 12);
+    Vp += l.fse * l.area * Math.sin(theta);
+  }
+  return Vp;
+}
@@ -0,0 +1,67 @@
+/**
+ * Tests for harped and debonded strand profiles: depth along the span, the
+ * station layer set, and the vertical prestress component.
+ */
+import { describe, it, expect } from 'vitest';
+import { layerDepthAt, layersAtStation, verticalPrestress } from './strandProfiles';
+import { developLayers } from './strandDevelopment';
+import { analyzeBeam } from './beamCalculations';
+import steelPresets from '../data/steelPresets';
+
+const GR270 = steelPresets.find((p) => p.id === 'grade270');
+
+// 40 ft span, hold-downs 16 ft from each end, 8 in at the ends to 20 in.
+const harpedLayer = {
+  area: 0.612, depth: 20, fse: 160, steel: GR270,
+  profile: 'harped', endDepth: 8, holdDown: 16,
+};
+const debondedLayer = { area: 0.306, depth: 21, fse: 160, steel: GR270, debondLength: 5 };
+
+describe('layerDepthAt', () => {
+  it('interpolates between the end and the hold-down points', () => {
+    expect(layerDepthAt(harpedLayer, 0, 40)).toBe(8);
+    expect(layerDepthAt(harpedLayer, 8, 40)).toBeCloseTo(14, 10);
+    expect(layerDepthAt(harpedLayer, 20, 40)).toBe(20);
+    expect(layerDepthAt(harpedLayer, 36, 40)).toBeCloseTo(11, 10); // mirrored
+    expect(layerDepthAt(debondedLayer, 0, 40)).toBe(21);
+  });
+});
+
+describe('layersAtStation', () => {
+  it('removes prestress inside the debonded length', () => {
+    const [h, d] = layersAtStation([harpedLayer, debondedLayer], 3, 40);
+    expect(h.depth).toBeCloseTo(8 + 12 * 3 / 16, 10);
+    expect(h.embedment).toBeCloseTo(36, 10);
+    expect(d.fse).toBe(0);
+    expect(d.fpsMax).toBe(0);
+    expect(d.embedment).toBeCloseTo(-24, 10);
+  });
+  it('takes no compression in sheathed strand above the neutral axis', () => {
+    const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+    const top = { ...debondedLayer, depth: 2 };
+    const bottom = { area: 0.918, depth: 21, fse: 160, steel: GR270 };
+    const r = analyzeBeam(section, layersAtStation([top, bottom], 3, 40));
+    expect(r.c).toBeGreaterThan(2);
+    expect(r.layerResults[0].strain).toBeLessThan(0);
+    expect(r.layerResults[0].stress).toBe(0);
+    expect(r.Cc).toBeCloseTo(r.layerResults[1].force, 3);
+  });
+  it('develops debonded strand from the end of the sheathing with ℓd doubled', () => {
+    const section = { sectionType: 'rectangular', bf: 12, bw: 12, hf: 24, h: 24, fc: 6 };
+    const layers = layersAtStation([debondedLayer], 6, 40);
+    expect(layers[0].fse).toBe(160);
+    const { rows } = developLayers(section, layers, 72);
+    const ldSingle = (160 / 3) * 0.5 + (rows[0].fps - 160) * 0.5;
+    expect(rows[0].ld).toBeCloseTo(2 * ldSingle, 10);
+    expect(rows[0].cap).toBeCloseTo((160 * 12) / (80 / 3), 10); // 12 in past the sheathing
+  });
+});
+
+describe('verticalPrestress', () => {
+  it('sums fse·Aps·sin θ in the harped zone only', () => {
+    const sinT = 12 / Math.hypot(12, 192);
+    expect(verticalPrestress([harpedLayer], 4, 40)).toBeCloseTo(160 * 0.612 * sinT, 10);
+    expect(verticalPrestress([harpedLayer], 20, 40)).toBe(0);
+    expect(verticalPrestress([debondedLayer], 2, 40)).toBe(0);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit systems for input and output. The engine works in ksi, in and kip
+ * throughout; SI projects convert at the boundary — form inputs on the way in,
+ * the results panel, charts and PDF report on the way out. Every value here is
+ * stored in its US base unit and only rescaled for display:
+ *
+ *   quantity     US base    SI
+ *   length       in         mm
+ *   span         ft         m
+ *   area         in²        mm²
+ *   modulus      in³        mm³ (section modulus)
+ *   inertia      in⁴        mm⁴
+ *   stress       ksi        MPa
+ *   force        kip        kN
+ *   moment       kip-ft     kN·m
+ *   momentIn     kip-in     kN·m
+ *   lineLoad     kip/ft     kN/m
+ *   unitWeight   pcf        kg/m³
+ *   curvature    1/in       1/mm
+ *   areaPerLength in²/in    mm²/mm (e.g. stirrup Av/s)
+ *
+ * Code equations in √f'c are not converted here: their SI-edition forms are
+ * selected in the engine by section.units (see sqrtFcTerm in beamCalculations).
+ */
+
+export const UNIT_SYSTEMS = [
+  { id: 'US', name: 'US customary (ksi, in, kip)' },
+  { id: 'SI', name: 'SI (MPa, mm, kN)' },
+];
+
+// SI units per US base unit, with the labels of each system. Labels are
+// plain text; html adds sub/superscripts where the results panel renders them.
+const QUANTITIES = {
+  length: { factor: 25.4, US: 'in', SI: 'mm' },
+  span: { factor: 0.3048, US: 'ft', SI: 'm' },
+  area: { factor: 645.16, US: 'in²', SI: 'mm²' },
+  modulus: { factor: 16387.064, US: 'in³', SI: 'mm³' },
+  inertia: { factor: 416231.4256, US: 'in⁴', SI: 'mm⁴' },
+  stress: { factor: 6.894757, US: 'ksi', SI: 'MPa' },
+  force: { factor: 4.4482216, US: 'kip', SI: 'kN' },
+  moment: { factor: 1.3558179, US: 'kip-ft', SI: 'kN·m' },
+  momentIn: { factor: 0.11298483, US: 'kip-in', SI: 'kN·m' },
+  lineLoad: { factor: 14.593903, US: 'kip/ft', SI: 'kN/m' },
+  unitWeight: { factor: 16.018463, US: 'pcf', SI: 'kg/m³' },
+  curvature: { factor: 1 / 25.4, US: '1/in', SI: '1/mm' },
+  areaPerLength: { factor: 25.4, US: 'in²/in', SI: 'mm²/mm' },
+};
+
+/** Quantity names accepted by the conversion helpers. */
+export const QUANTITY_NAMES = Object.keys(QUANTITIES);
+
+function quantity(name) {
+  const q = QUANTITIES[name];
+  if (!q) throw new Error(`Unknown quantity "${name}"`);
+  return q;
+}
+
+/** Convert a US base value to the display system. */
+export function toDisplay(value, name, system) {
+  return system === 'SI' ? value * quantity(name).factor : value;
+}
+
+/** Convert a display-system value back to the US base unit. */
+export function fromDisplay(value, name, system) {
+  return system === 'SI' ? value / quantity(name).factor : value;
+}
+
+/** Unit label of a quantity in the given system. */
+export function unitLabel(name, system) {
+  return quantity(name)[system === 'SI' ? 'SI' : 'US'];
+}
+
+/**
+ * Formatter bound to a unit system, for result displays:
+ *   u.num(v, 'moment', 1)  → "123.4" (converted, no label)
+ *   u.fmt(v, 'moment', 1)  → "123.4 kN·m"
+ *   u.label('moment')      → "kN·m"
+ * Digits are those of the US display; SI values of large-magnitude
+ * quantities (mm², mm⁴ …) drop decimals where the US one would show them.
+ */
+export function unitFormatter(system = 'US') {
+  const si = system === 'SI';
+  const digitsFor = (name, digits) => {
+    if (!si) return digits;
+    const f = quantity(name).factor;
+    if (f > 100) return 0;
+    if (f > 10) return Math.max(digits - 1, 0);
+    return digits;
+  };
+  const num = (value, name, digits = 2) => toDisplay(value, name, system).toFixed(digitsFor(name, digits));
+  return {
+    system,
+    si,
+    num,
+    fmt: (value, name, digits = 2) => `${num(value, name, digits)} ${unitLabel(name, system)}`,
+    label: (name) => unitLabel(name, system),
+    value: (value, name) => toDisplay(value, name, system),
+  };
+}
+
+// Round a converted input so a toggle does not leave float noise in the form.
+function roundInput(value) {
+  if (!Number.isFinite(value) || value === 0) return value;
+  const digits = Math.max(0, 4 - Math.floor(Math.log10(Math.abs(value))));
+  return parseFloat(value.toFixed(Math.min(digits, 6)));
+}
+
+/**
+ * Rescale the numeric fields of a form-state object between unit systems.
+ * fields maps a field name to its quantity; blank and non-numeric strings are
+ * left alone so optional inputs stay blank. Values are rounded for the form
+ * unless round is false, as when handing inputs to the engine.
+ */
+export function convertFields(state, fields, from, to, { round = true } = {}) {
+  if (from === to) return state;
+  const finish = round ? roundInput : (v) => v;
+  const out = { ...state };
+  for (const [key, name] of Object.entries(fields)) {
+    const raw = state[key];
+    if (raw === '' || raw == null) continue;
+    const v = parseFloat(raw);
+    if (!Number.isFinite(v)) continue;
+    out[key] = finish(toDisplay(fromDisplay(v, name, from), name, to));
+  }
+  return out;
+}
+
+/**
+ * Rescale the columns of a free-text table ("a, b, c" per line), e.g. point
+ * loads or a stress–strain curve. columns[i] is the quantity of column i, or
+ * null to keep it; lines that do not parse are kept as typed. round as for
+ * convertFields.
+ */
+export function convertTextColumns(text, columns, from, to, { round = true } = {}) {
+  if (from === to) return text;
+  const finish = round ? roundInput : (v) => v;
+  return String(text || '')
+    .split('\n')
+    .map((line) => {
+      const cells = line.trim().split(/[\s,;]+/);
+      const parses = columns.every((name, i) => !name || Number.isFinite(parseFloat(cells[i])));
+      if (!line.trim() || !parses) return line;
+      return cells
+        .map((cell, i) => {
+          const name = columns[i];
+          if (!name) return cell;
+          return String(finish(toDisplay(fromDisplay(parseFloat(cell), name, from), name, to)));
+        })
+        .join(', ');
+    })
+    .join('\n');
+}
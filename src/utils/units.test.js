@@ -0,0 +1,77 @@
+/**
+ * Tests for the US/SI display conversions: factors, the form-state and
+ * free-text converters, and the bound formatter.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  QUANTITY_NAMES,
+  convertFields,
+  convertTextColumns,
+  fromDisplay,
+  toDisplay,
+  unitFormatter,
+  unitLabel,
+} from './units';
+
+describe('toDisplay / fromDisplay', () => {
+  it('uses the exact conversion factors', () => {
+    expect(toDisplay(1, 'length', 'SI')).toBe(25.4);
+    expect(toDisplay(1, 'stress', 'SI')).toBeCloseTo(6.894757, 6);
+    expect(toDisplay(1, 'force', 'SI')).toBeCloseTo(4.4482216, 6);
+    expect(toDisplay(1, 'moment', 'SI')).toBeCloseTo(1.3558179, 6);
+    expect(toDisplay(150, 'unitWeight', 'SI')).toBeCloseTo(2402.8, 1);
+  });
+
+  it('round-trips every quantity and leaves US values alone', () => {
+    for (const name of QUANTITY_NAMES) {
+      expect(fromDisplay(toDisplay(3.7, name, 'SI'), name, 'SI')).toBeCloseTo(3.7, 10);
+      expect(toDisplay(3.7, name, 'US')).toBe(3.7);
+    }
+  });
+
+  it('rejects unknown quantities', () => {
+    expect(() => toDisplay(1, 'torque', 'SI')).toThrow(/Unknown quantity/);
+  });
+});
+
+describe('convertFields', () => {
+  it('rescales numeric fields, keeps blanks and rounds for the form', () => {
+    const state = { h: 24, fc: '5', Mu: '', name: 'beam' };
+    const out = convertFields(state, { h: 'length', fc: 'stress', Mu: 'moment' }, 'US', 'SI');
+    expect(out.h).toBe(609.6);
+    expect(out.fc).toBe(34.474);
+    expect(out.Mu).toBe('');
+    expect(out.name).toBe('beam');
+  });
+
+  it('is exact with round: false and the identity for equal systems', () => {
+    const state = { fc: 34.474 };
+    const us = convertFields(state, { fc: 'stress' }, 'SI', 'US', { round: false });
+    expect(us.fc).toBeCloseTo(34.474 / 6.894757, 12);
+    expect(convertFields(state, { fc: 'stress' }, 'SI', 'SI')).toBe(state);
+  });
+});
+
+describe('convertTextColumns', () => {
+  it('converts the listed columns and keeps the rest as typed', () => {
+    const text = '10, 5, D\n\nnot a load';
+    expect(convertTextColumns(text, ['force', 'span', null], 'US', 'SI'))
+      .toBe('44.482, 1.524, D\n\nnot a load');
+  });
+});
+
+describe('unitFormatter', () => {
+  it('formats with SI labels and drops decimals on large-factor quantities', () => {
+    const u = unitFormatter('SI');
+    expect(u.fmt(100, 'moment', 1)).toBe('135.6 kN·m');
+    expect(u.num(1, 'area', 2)).toBe('645');
+    expect(u.num(1, 'lineLoad', 3)).toBe('14.59');
+    expect(u.label('stress')).toBe('MPa');
+  });
+
+  it('defaults to US customary', () => {
+    const u = unitFormatter();
+    expect(u.fmt(12.345, 'length', 2)).toBe('12.35 in');
+    expect(unitLabel('inertia', 'US')).toBe('in⁴');
+  });
+});